@@ -0,0 +1,207 @@
+/**
+ * Tests for achievement hunting
+ */
+
+import { describe, it, expect, mock } from 'bun:test';
+import {
+  getTierAchievementCount,
+  getNextBuildingMilestone,
+  getMilkCpsGain,
+  isAchievementReachable,
+  valueAchievementTargets,
+} from '../core/achievements';
+import {
+  getMilkState,
+  getAchievementTargets,
+  performAchievementAction,
+} from '../browser/achievements';
+import type { AchievementGameContext } from '../browser/achievements';
+import { createBuildingMock } from './mocks/game';
+import type { AchievementTarget, Candidate, MilkState, Shimmer } from '../types';
+
+const noKittens: MilkState = { milk: 1, multiplier: 1, kittens: [] };
+
+function achievementGame(overrides: Partial<AchievementGameContext> = {}): AchievementGameContext {
+  return {
+    Objects: {},
+    Achievements: {},
+    milkProgress: 1,
+    wrinklers: [],
+    shimmers: [],
+    bakeryName: 'Test',
+    Has: () => false,
+    ...overrides,
+  };
+}
+
+describe('building milestones', () => {
+  it('should map tiers to building counts', () => {
+    expect(getTierAchievementCount(1)).toBe(1);
+    expect(getTierAchievementCount(2)).toBe(50);
+    expect(getTierAchievementCount(3)).toBe(100);
+  });
+
+  it('should find the lowest unwon milestone above the amount', () => {
+    const achievements = [
+      { name: 'Bought the farm', tier: 1, won: true },
+      { name: 'Reap what you sow', tier: 2, won: false },
+      { name: 'Farm ill', tier: 3, won: false },
+    ];
+    expect(getNextBuildingMilestone(42, achievements)).toEqual({ name: 'Reap what you sow', count: 50 });
+    expect(getNextBuildingMilestone(60, achievements)).toEqual({ name: 'Farm ill', count: 100 });
+    expect(getNextBuildingMilestone(120, achievements)).toBeNull();
+  });
+});
+
+describe('getMilkCpsGain', () => {
+  it('should be zero without kittens', () => {
+    expect(getMilkCpsGain(noKittens)).toBe(0);
+  });
+
+  it('should compound across owned kittens', () => {
+    // Kitten helpers at 100% milk: 1.1 -> 1.104
+    expect(getMilkCpsGain({ milk: 1, multiplier: 1, kittens: [0.1] })).toBeCloseTo(0.004 / 1.1);
+    const two = getMilkCpsGain({ milk: 1, multiplier: 1, kittens: [0.1, 0.125] });
+    expect(two).toBeCloseTo((1.104 / 1.1) * (1.13 / 1.125) - 1);
+  });
+});
+
+describe('isAchievementReachable', () => {
+  it('should allow milestones within an hour of CpS', () => {
+    expect(isAchievementReachable(3600, 1)).toBe(true);
+    expect(isAchievementReachable(3601, 1)).toBe(false);
+    expect(isAchievementReachable(10, 0)).toBe(false);
+  });
+});
+
+describe('valueAchievementTargets', () => {
+  const milk: MilkState = { milk: 1, multiplier: 1, kittens: [0.1] };
+  const target = (needed: number, price: number): AchievementTarget => ({
+    kind: 'building',
+    name: 'Reap what you sow',
+    building: 'Farm',
+    needed,
+    price,
+  });
+  const farm = (quantity: number, price: number, deltaCps: number): Candidate => ({
+    name: quantity > 1 ? `Farm x${quantity}` : 'Farm',
+    type: 'Building',
+    pp: price / deltaCps,
+    price,
+    deltaCps,
+    affordable: false,
+    building: 'Farm',
+    quantity,
+  });
+
+  it('should add the milk to the bundle of the same quantity', () => {
+    const candidates = [farm(1, 1000, 8), farm(10, 20000, 80)];
+    const valued = valueAchievementTargets(candidates, [target(10, 20000)], milk, 0, 100);
+    expect(valued).toEqual([candidates[1]!]);
+    expect(candidates[1]!.achievement).toBe('Reap what you sow');
+    expect(candidates[1]!.deltaCps).toBeCloseTo(80 + getMilkCpsGain(milk) * 100);
+    expect(candidates[1]!.bonusCps).toBeCloseTo(getMilkCpsGain(milk) * 100);
+    expect(candidates[0]!.achievement).toBeUndefined();
+  });
+
+  it('should add a bundle of the exact amount when none matches', () => {
+    const candidates = [farm(1, 1000, 8)];
+    valueAchievementTargets(candidates, [target(7, 9000)], milk, 0, 100);
+    expect(candidates[1]).toMatchObject({
+      name: 'Farm x7',
+      building: 'Farm',
+      quantity: 7,
+      price: 9000,
+      achievement: 'Reap what you sow',
+    });
+    expect(candidates[1]!.deltaCps).toBeCloseTo(56 + getMilkCpsGain(milk) * 100);
+    expect(Number.isFinite(candidates[1]!.pp)).toBe(true);
+  });
+
+  it('should skip milestones out of reach and action targets', () => {
+    const candidates: Candidate[] = [];
+    const valued = valueAchievementTargets(
+      candidates,
+      [target(50, 1e9), { kind: 'action', name: 'Tiny cookie', action: 'tinyCookie' }],
+      milk,
+      0,
+      100
+    );
+    expect(valued).toEqual([]);
+    expect(candidates).toEqual([]);
+  });
+});
+
+describe('getMilkState', () => {
+  it('should read milk and owned kittens', () => {
+    const owned = new Set(['Kitten helpers', 'Kitten workers', "Santa's milk and cookies"]);
+    expect(getMilkState({ milkProgress: 2.5, Has: (name) => owned.has(name) })).toEqual({
+      milk: 2.5,
+      multiplier: 1.05,
+      kittens: [0.1, 0.125],
+    });
+  });
+});
+
+describe('getAchievementTargets', () => {
+  it('should list building milestones and available actions', () => {
+    const farm = {
+      ...createBuildingMock('Farm', 45, false, 1100),
+      tieredAchievs: {
+        1: { name: 'Bought the farm', won: 1 },
+        2: { name: 'Reap what you sow', won: 0 },
+      },
+    };
+    const targets = getAchievementTargets(
+      achievementGame({
+        Objects: { Farm: farm, Grandma: createBuildingMock('Grandma', 0) },
+        Achievements: {
+          'Just wrong': { name: 'Just wrong', won: 0 },
+          'Tiny cookie': { name: 'Tiny cookie', won: 0 },
+          "What's in a name": { name: "What's in a name", won: 1 },
+        },
+        ClickTinyCookie: mock(),
+      })
+    );
+    expect(targets).toEqual([
+      { kind: 'building', name: 'Reap what you sow', building: 'Farm', needed: 5, price: farm.getSumPrice(5) },
+      { kind: 'action', name: 'Tiny cookie', action: 'tinyCookie' },
+    ]);
+  });
+});
+
+describe('performAchievementAction', () => {
+  it('should pop the least-fed normal wrinkler', () => {
+    const wrinklers = [
+      { phase: 2, type: 0, sucked: 500, hp: 1 },
+      { phase: 2, type: 1, sucked: 10, hp: 1 },
+      { phase: 2, type: 0, sucked: 100, hp: 1 },
+    ];
+    expect(performAchievementAction(achievementGame({ wrinklers }), 'popWrinkler')).toBe(true);
+    expect(wrinklers.map((w) => w.hp)).toEqual([1, 1, 0]);
+  });
+
+  it('should click only a regular golden cookie', () => {
+    const wrath: Shimmer = { type: 'golden', wrath: 1, pop: mock() };
+    const golden: Shimmer = { type: 'golden', wrath: 0, pop: mock() };
+    expect(performAchievementAction(achievementGame({ shimmers: [wrath] }), 'clickGolden')).toBe(false);
+    expect(performAchievementAction(achievementGame({ shimmers: [wrath, golden] }), 'clickGolden')).toBe(true);
+    expect(golden.pop).toHaveBeenCalled();
+    expect(wrath.pop).not.toHaveBeenCalled();
+  });
+
+  it('should sell one grandma and buy it back', () => {
+    const grandma = createBuildingMock('Grandma', 3);
+    expect(performAchievementAction(achievementGame({ Objects: { Grandma: grandma } }), 'sellGrandma')).toBe(true);
+    expect(grandma.sell).toHaveBeenCalledWith(1);
+    expect(grandma.buy).toHaveBeenCalledWith(1);
+  });
+
+  it('should confirm the bakery name the way the prompt does', () => {
+    const bakeryNameSet = mock();
+    const Win = mock();
+    expect(performAchievementAction(achievementGame({ bakeryNameSet, Win }), 'renameBakery')).toBe(true);
+    expect(bakeryNameSet).toHaveBeenCalledWith('Test');
+    expect(Win).toHaveBeenCalledWith("What's in a name");
+  });
+});
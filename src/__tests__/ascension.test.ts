@@ -1,5 +1,52 @@
-import { describe, expect, it } from 'bun:test';
-import { calculateAscensionStats, calculateUnpurchasedHeavenlyCost } from '../core/ascension';
+import { describe, expect, it, mock } from 'bun:test';
+import {
+  calculateAscensionStats,
+  calculateUnpurchasedHeavenlyCost,
+  getSecondsToDoubleGain,
+  shouldAscend,
+  ASCEND_DOUBLE_MIN_GAIN_PERCENT,
+} from '../core/ascension';
+import { advanceAscension } from '../browser/ascension';
+import type { AscensionAutopilotContext } from '../browser/ascension';
+import { createUpgradeMock } from './mocks/game';
+import type { AscensionStats, Upgrade } from '../types';
+
+function ascensionStats(pendingPrestige: number, currentPrestige = 100): AscensionStats {
+  return calculateAscensionStats({
+    currentPrestige,
+    cookiesReset: 0,
+    cookiesEarned: 0,
+    howMuchPrestige: () => currentPrestige + pendingPrestige,
+    heavenlyChips: 0,
+    unpurchasedUpgradeCost: 0,
+  });
+}
+
+function prestigeUpgrade(name: string, price: number, parents: Upgrade[] = []): Upgrade {
+  const upgrade = createUpgradeMock(name, price);
+  upgrade.pool = 'prestige';
+  upgrade.parents = parents;
+  upgrade.buy = mock(() => {
+    upgrade.bought = true;
+  });
+  return upgrade;
+}
+
+function autopilotGame(overrides: Partial<AscensionAutopilotContext> = {}): AscensionAutopilotContext {
+  return {
+    prestige: 100,
+    heavenlyChips: 0,
+    Upgrades: {},
+    wrinklers: [],
+    OnAscend: 0,
+    AscendTimer: 0,
+    ReincarnateTimer: 0,
+    Has: () => false,
+    Ascend: mock(),
+    Reincarnate: mock(),
+    ...overrides,
+  };
+}
 
 describe('calculateAscensionStats', () => {
   it('calculates pending prestige correctly', () => {
@@ -111,3 +158,113 @@ describe('calculateUnpurchasedHeavenlyCost', () => {
     expect(calculateUnpurchasedHeavenlyCost(upgrades)).toBe(50);
   });
 });
+
+describe('getSecondsToDoubleGain', () => {
+  it('should time the cookies needed for twice the pending prestige', () => {
+    const stats = ascensionStats(50);
+    // Doubling 50 pending from 100 needs prestige 200: 4e12 cookies at 1e12 per prestige²
+    const seconds = getSecondsToDoubleGain(stats, 1e12, (p) => p * p * 1e8, 1e6);
+    expect(seconds).toBe((4e12 - 1e12) / 1e6);
+  });
+
+  it('should be Infinity without a gain or CpS', () => {
+    expect(getSecondsToDoubleGain(ascensionStats(0), 0, () => 0, 1e6)).toBe(Infinity);
+    expect(getSecondsToDoubleGain(ascensionStats(50), 0, () => 0, 0)).toBe(Infinity);
+  });
+});
+
+describe('shouldAscend', () => {
+  it('should ascend once the gain reaches the threshold', () => {
+    expect(shouldAscend(ascensionStats(100), 0, 100, 12)).toEqual({
+      shouldAscend: true,
+      reason: 'Gain reached 100%',
+    });
+  });
+
+  it('should ascend when doubling the gain would take too long', () => {
+    expect(shouldAscend(ascensionStats(20), 13 * 3600, 100, 12)).toEqual({
+      shouldAscend: true,
+      reason: 'Gain doubles in over 12h',
+    });
+    expect(shouldAscend(ascensionStats(20), 13 * 3600, 100, 0).reason).toBe('Gain still growing');
+  });
+
+  it('should not ascend for a tiny gain however slowly it grows', () => {
+    // +1 on 10000 prestige is 0.01%, under ASCEND_DOUBLE_MIN_GAIN_PERCENT
+    expect(shouldAscend(ascensionStats(1, 10000), 48 * 3600, 100, 12).shouldAscend).toBe(false);
+    const minimum = ascensionStats(ASCEND_DOUBLE_MIN_GAIN_PERCENT * 100, 10000);
+    expect(shouldAscend(minimum, 48 * 3600, 100, 12).shouldAscend).toBe(true);
+  });
+
+  it('should wait while the gain grows', () => {
+    expect(shouldAscend(ascensionStats(20), 3600, 100, 12).shouldAscend).toBe(false);
+    expect(shouldAscend(ascensionStats(0), Infinity, 100, 12).reason).toBe('No prestige to gain');
+  });
+});
+
+describe('advanceAscension', () => {
+  it('should pop every wrinkler, shiny included, before ascending', () => {
+    const game = autopilotGame({
+      wrinklers: [
+        { phase: 2, type: 0, sucked: 100, hp: 1 },
+        { phase: 2, type: 1, sucked: 500, hp: 1 },
+      ],
+    });
+    const result = advanceAscension(game, 'popping', []);
+    expect(result.step).toBe('ascending');
+    expect(result.action).toBe('ASCEND_WRINKLERS');
+    expect(result.data.count).toBe(2);
+    expect(game.wrinklers.every((w) => w.hp === 0)).toBe(true);
+  });
+
+  it('should ascend once and wait for the animation', () => {
+    const game = autopilotGame();
+    expect(advanceAscension(game, 'ascending', []).action).toBe('ASCEND');
+    expect(game.Ascend).toHaveBeenCalledWith(1);
+
+    expect(advanceAscension(autopilotGame({ AscendTimer: 5 }), 'ascending', []).action).toBeNull();
+    expect(advanceAscension(autopilotGame({ OnAscend: 1 }), 'ascending', []).step).toBe('buying');
+  });
+
+  it('should buy heavenly upgrades one per step in priority order', () => {
+    const legacy = prestigeUpgrade('Legacy', 1);
+    const luck = prestigeUpgrade('Heavenly luck', 77, [legacy]);
+    const tin = prestigeUpgrade('Tin of butter cookies', 25);
+    const game = autopilotGame({
+      OnAscend: 1,
+      heavenlyChips: 200,
+      Upgrades: { Legacy: legacy, 'Heavenly luck': luck, 'Tin of butter cookies': tin },
+    });
+
+    const bought: unknown[] = [];
+    for (let i = 0; i < 3; i++) {
+      const result = advanceAscension(game, 'buying', []);
+      expect(result.step).toBe('buying');
+      bought.push(result.data.upgrade);
+      game.heavenlyChips -= result.data.cost as number;
+    }
+    expect(bought).toEqual(['Legacy', 'Heavenly luck', 'Tin of butter cookies']);
+    expect(advanceAscension(game, 'buying', []).step).toBe('reincarnating');
+  });
+
+  it('should skip upgrades the game refuses to sell', () => {
+    const legacy = createUpgradeMock('Legacy', 1);
+    legacy.pool = 'prestige';
+    const game = autopilotGame({ OnAscend: 1, heavenlyChips: 10, Upgrades: { Legacy: legacy } });
+    const skipped: string[] = [];
+
+    expect(advanceAscension(game, 'buying', skipped).action).toBeNull();
+    expect(skipped).toEqual(['Legacy']);
+    expect(advanceAscension(game, 'buying', skipped).step).toBe('reincarnating');
+  });
+
+  it('should reincarnate and resume once back in the game', () => {
+    const game = autopilotGame({ OnAscend: 1 });
+    expect(advanceAscension(game, 'reincarnating', []).action).toBe('REINCARNATE');
+    expect(game.Reincarnate).toHaveBeenCalledWith(1);
+
+    const animating = autopilotGame({ OnAscend: 1, ReincarnateTimer: 3 });
+    expect(advanceAscension(animating, 'reincarnating', []).action).toBeNull();
+    expect(advanceAscension(autopilotGame(), 'reincarnating', []).step).toBe('resuming');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for building-count breakpoints
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  getTierUpgradeCount,
+  findBuildingBreakpoint,
+  getBreakpointBonus,
+  scoreBreakpoint,
+} from '../core/breakpoints';
+import { getBuildingBreakpoint } from '../browser/breakpoints';
+import { createBuildingMock, createUpgradeMock } from './mocks/game';
+import type { BuildingBreakpoint } from '../types';
+
+describe('getTierUpgradeCount', () => {
+  it('should follow Game.Tiers unlock counts', () => {
+    expect(getTierUpgradeCount('Grandma', 1)).toBe(1);
+    expect(getTierUpgradeCount('Grandma', 2)).toBe(5);
+    expect(getTierUpgradeCount('Grandma', 3)).toBe(25);
+    expect(getTierUpgradeCount('Farm', 4)).toBe(50);
+    expect(getTierUpgradeCount('Farm', 7)).toBe(200);
+  });
+
+  it('should use the Cursor table for Cursors', () => {
+    expect(getTierUpgradeCount('Cursor', 3)).toBe(10);
+    expect(getTierUpgradeCount('Cursor', 4)).toBe(25);
+    expect(getTierUpgradeCount('Cursor', 99)).toBe(Infinity);
+  });
+});
+
+describe('findBuildingBreakpoint', () => {
+  const upgrades = [
+    { name: 'Forwards from grandma', tier: 1, unlocked: true, price: 1000 },
+    { name: 'Steel-plated rolling pins', tier: 2, unlocked: false, price: 5000 },
+    { name: 'Lubricated dentures', tier: 3, unlocked: false, price: 55000 },
+  ];
+  const achievements = [
+    { name: "Grandma's cookies", tier: 1, won: true },
+    { name: 'Sloppy kisses', tier: 2, won: false },
+  ];
+
+  it('should find the nearest upgrade unlock', () => {
+    expect(findBuildingBreakpoint('Grandma', 3, upgrades, achievements)).toEqual({
+      quantity: 2,
+      kind: 'upgrade',
+      target: 'Steel-plated rolling pins',
+      upgradePrice: 5000,
+    });
+    expect(findBuildingBreakpoint('Grandma', 18, upgrades, achievements)?.quantity).toBe(7);
+  });
+
+  it('should find an achievement threshold when it comes first', () => {
+    expect(findBuildingBreakpoint('Grandma', 30, upgrades, achievements)).toEqual({
+      quantity: 20,
+      kind: 'achievement',
+      target: 'Sloppy kisses',
+    });
+  });
+
+  it('should return null past every breakpoint', () => {
+    expect(findBuildingBreakpoint('Grandma', 60, upgrades, achievements)).toBeNull();
+  });
+});
+
+describe('scoreBreakpoint', () => {
+  it('should score an upgrade breakpoint with the upgrade bought too', () => {
+    const breakpoint: BuildingBreakpoint = { quantity: 7, kind: 'upgrade', target: 'X', upgradePrice: 3000 };
+    // 7 grandmas at 1 CpS each, then 25 grandmas doubled
+    expect(scoreBreakpoint(breakpoint, 18, 7000, 7, 1e9, 100)).toBeCloseTo(10000 / 32);
+  });
+
+  it('should score an achievement breakpoint as a plain bundle', () => {
+    const breakpoint: BuildingBreakpoint = { quantity: 20, kind: 'achievement', target: 'Y' };
+    expect(scoreBreakpoint(breakpoint, 30, 20000, 20, 1e9, 100)).toBe(1000);
+  });
+});
+
+describe('getBreakpointBonus', () => {
+  it('should add the unlocked upgrade and the doubled building', () => {
+    const breakpoint: BuildingBreakpoint = { quantity: 7, kind: 'upgrade', target: 'X', upgradePrice: 3000 };
+    expect(getBreakpointBonus(breakpoint, 18, 7)).toEqual({ cps: 25, price: 3000 });
+  });
+
+  it('should add nothing for an achievement breakpoint', () => {
+    const breakpoint: BuildingBreakpoint = { quantity: 20, kind: 'achievement', target: 'Y' };
+    expect(getBreakpointBonus(breakpoint, 30, 20)).toEqual({ cps: 0, price: 0 });
+  });
+});
+
+describe('getBuildingBreakpoint', () => {
+  it('should read tiered upgrades and achievements from the building', () => {
+    const pins = createUpgradeMock('Steel-plated rolling pins', 5000);
+    pins.unlocked = false;
+    const grandma = {
+      ...createBuildingMock('Grandma', 3),
+      tieredUpgrades: { 1: createUpgradeMock('Forwards from grandma', 1000, true), 2: pins },
+      tieredAchievs: { 1: { name: "Grandma's cookies", won: 1 } },
+    };
+    expect(getBuildingBreakpoint('Grandma', grandma)).toEqual({
+      quantity: 2,
+      kind: 'upgrade',
+      target: 'Steel-plated rolling pins',
+      upgradePrice: 5000,
+    });
+    expect(getBuildingBreakpoint('Farm', createBuildingMock('Farm', 3))).toBeNull();
+  });
+});
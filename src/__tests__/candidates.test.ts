@@ -3,7 +3,18 @@
  */
 
 import { describe, it, expect } from 'bun:test';
-import { filterAndSortCandidates, isGoldenCookieUpgrade, isBlockedGrandmapocalypseUpgrade, isToggleUpgrade } from '../core/candidates';
+import {
+  filterAndSortCandidates,
+  isGoldenCookieUpgrade,
+  isBlockedGrandmapocalypseUpgrade,
+  isToggleUpgrade,
+  getCandidateItem,
+  isPinnedCandidate,
+  getPurchaseOverride,
+  cyclePurchaseOverride,
+  clearPurchaseOverride,
+  releasePurchasedPin,
+} from '../core/candidates';
 import type { Candidate } from '../types';
 
 describe('filterAndSortCandidates', () => {
@@ -82,6 +93,78 @@ describe('filterAndSortCandidates', () => {
   it('should handle empty input', () => {
     expect(filterAndSortCandidates([])).toEqual([]);
   });
+
+  const overridden = [
+    { name: 'Farm x10', building: 'Farm', quantity: 10, pp: 50, price: 1000, type: 'Building', affordable: true },
+    { name: 'Bingo center', pp: 300, price: 5000, type: 'Upgrade', affordable: false },
+    { name: 'One mind', pp: 100, price: 2000, type: 'Upgrade', affordable: true },
+    { name: 'Chocolate egg', pp: Infinity, price: 9000, type: 'Upgrade', affordable: false },
+  ] as Candidate[];
+
+  it('should drop blocked items, matching buildings by building name', () => {
+    const result = filterAndSortCandidates(overridden, { blocked: ['One mind', 'Farm'], pinned: [] });
+    expect(result.map((c) => c.name)).toEqual(['Bingo center']);
+  });
+
+  it('should put pinned items first in pin order, even without a usable PP', () => {
+    const result = filterAndSortCandidates(overridden, { blocked: [], pinned: ['Chocolate egg', 'Bingo center'] });
+    expect(result.map((c) => c.name)).toEqual(['Chocolate egg', 'Bingo center', 'Farm x10', 'One mind']);
+    expect(isPinnedCandidate(result[0]!, { blocked: [], pinned: ['Chocolate egg'] })).toBe(true);
+    expect(isPinnedCandidate(result[2]!, { blocked: [], pinned: ['Chocolate egg'] })).toBe(false);
+  });
+});
+
+describe('getCandidateItem', () => {
+  it('should key buildings by building and upgrades by name', () => {
+    expect(getCandidateItem({ name: 'Farm x10', type: 'Building', building: 'Farm' })).toBe('Farm');
+    expect(getCandidateItem({ name: 'Cursor x50', type: 'Building' })).toBe('Cursor');
+    expect(getCandidateItem({ name: 'One mind', type: 'Upgrade' })).toBe('One mind');
+  });
+});
+
+describe('purchase overrides', () => {
+  const none = { blocked: [], pinned: [] };
+
+  it('should cycle none, pinned, blocked and back', () => {
+    const pinned = cyclePurchaseOverride(none, 'Farm');
+    expect(getPurchaseOverride(pinned, 'Farm')).toBe('pinned');
+    const blocked = cyclePurchaseOverride(pinned, 'Farm');
+    expect(blocked).toEqual({ blocked: ['Farm'], pinned: [] });
+    expect(getPurchaseOverride(cyclePurchaseOverride(blocked, 'Farm'), 'Farm')).toBeNull();
+  });
+
+  it('should add new pins last', () => {
+    const overrides = cyclePurchaseOverride(cyclePurchaseOverride(none, 'Farm'), 'Mine');
+    expect(overrides.pinned).toEqual(['Farm', 'Mine']);
+  });
+
+  it('should clear an override', () => {
+    expect(clearPurchaseOverride({ blocked: ['Farm'], pinned: ['Mine'] }, 'Farm')).toEqual({
+      blocked: [],
+      pinned: ['Mine'],
+    });
+  });
+
+  it('should use up a pin once the pinned item is bought', () => {
+    const store = [
+      { name: 'Farm', building: 'Farm', pp: 500, price: 1100, type: 'Building', affordable: true },
+      { name: 'Farm x10', building: 'Farm', pp: 600, price: 20000, type: 'Building', affordable: true },
+      { name: 'Mine', building: 'Mine', pp: 100, price: 12000, type: 'Building', affordable: true },
+    ] as Candidate[];
+    let overrides = { blocked: ['One mind'], pinned: ['Farm', 'Bingo center'] };
+
+    // Tick 1: the pinned building comes first and is bought
+    const first = filterAndSortCandidates(store, overrides)[0]!;
+    expect(first.name).toBe('Farm');
+    overrides = releasePurchasedPin(overrides, first);
+    expect(overrides).toEqual({ blocked: ['One mind'], pinned: ['Bingo center'] });
+
+    // Tick 2: no other Farm bundle is pinned any more, so PP ranks again
+    const second = filterAndSortCandidates(store, overrides);
+    expect(second.map((c) => c.name)).toEqual(['Mine', 'Farm', 'Farm x10']);
+    expect(second.some((c) => isPinnedCandidate(c, overrides))).toBe(false);
+    expect(releasePurchasedPin(overrides, second[0]!)).toBe(overrides);
+  });
 });
 
 describe('isGoldenCookieUpgrade', () => {
@@ -138,4 +221,9 @@ describe('isBlockedGrandmapocalypseUpgrade', () => {
     expect(isBlockedGrandmapocalypseUpgrade('Elder Pledge')).toBe(false);
     expect(isBlockedGrandmapocalypseUpgrade('Cursor')).toBe(false);
   });
+
+  it('should follow the policy', () => {
+    expect(isBlockedGrandmapocalypseUpgrade('One mind', 'peaceful')).toBe(true);
+    expect(isBlockedGrandmapocalypseUpgrade('Elder Pact', 'full')).toBe(false);
+  });
 });
@@ -0,0 +1,83 @@
+/**
+ * Tests for the big cookie autoclicker
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  hasClickBuff,
+  shouldAutoClick,
+  clampClickRate,
+  getEffectiveClickRate,
+  getAverageClickRate,
+  getUnbuffedMouseCps,
+} from '../core/clicker';
+import { CLICK_BUFF_UPTIME, MAX_CLICK_RATE } from '../core/constants';
+import type { Buff } from '../types';
+
+const clickFrenzy: Buff = { name: 'Click frenzy', time: 390, multClick: 777, type: { name: 'click frenzy' } };
+const cursedFinger: Buff = { name: 'Cursed finger', time: 300, multCpS: 0, type: { name: 'cursed finger' } };
+const frenzy: Buff = { name: 'Frenzy', time: 2310, multCpS: 7, type: { name: 'frenzy' } };
+
+describe('hasClickBuff', () => {
+  it('should detect click-multiplying buffs', () => {
+    expect(hasClickBuff([clickFrenzy])).toBe(true);
+    expect(hasClickBuff([cursedFinger])).toBe(true);
+    expect(hasClickBuff([{ name: 'Dragonflight', time: 300 }])).toBe(true);
+  });
+
+  it('should ignore CpS buffs', () => {
+    expect(hasClickBuff([frenzy])).toBe(false);
+    expect(hasClickBuff([])).toBe(false);
+  });
+});
+
+describe('shouldAutoClick', () => {
+  it('should only click during click buffs in buffs mode', () => {
+    expect(shouldAutoClick('buffs', [frenzy])).toBe(false);
+    expect(shouldAutoClick('buffs', [frenzy, clickFrenzy])).toBe(true);
+  });
+
+  it('should always click in always mode', () => {
+    expect(shouldAutoClick('always', [])).toBe(true);
+  });
+});
+
+describe('clampClickRate', () => {
+  it('should cap the rate', () => {
+    expect(clampClickRate(1000)).toBe(MAX_CLICK_RATE);
+    expect(clampClickRate(0)).toBe(1);
+    expect(clampClickRate(7)).toBe(7);
+    expect(clampClickRate(NaN)).toBe(MAX_CLICK_RATE);
+  });
+});
+
+describe('getEffectiveClickRate', () => {
+  it('should return 0 when disabled or idle', () => {
+    expect(getEffectiveClickRate(false, 'always', 10, [])).toBe(0);
+    expect(getEffectiveClickRate(true, 'buffs', 10, [])).toBe(0);
+  });
+
+  it('should return the capped rate while clicking', () => {
+    expect(getEffectiveClickRate(true, 'always', 10, [])).toBe(10);
+    expect(getEffectiveClickRate(true, 'buffs', 500, [clickFrenzy])).toBe(MAX_CLICK_RATE);
+  });
+});
+
+describe('getAverageClickRate', () => {
+  it('should return 0 when disabled', () => {
+    expect(getAverageClickRate(false, 'always', 10)).toBe(0);
+  });
+
+  it('should scale buffs mode by click buff uptime, buff or no buff', () => {
+    expect(getAverageClickRate(true, 'buffs', 10)).toBeCloseTo(10 * CLICK_BUFF_UPTIME);
+    expect(getAverageClickRate(true, 'always', 500)).toBe(MAX_CLICK_RATE);
+  });
+});
+
+describe('getUnbuffedMouseCps', () => {
+  it('should divide out click multipliers only', () => {
+    expect(getUnbuffedMouseCps(777000, [clickFrenzy, frenzy])).toBeCloseTo(1000);
+    expect(getUnbuffedMouseCps(1000, [cursedFinger])).toBe(1000);
+    expect(getUnbuffedMouseCps(1000, [])).toBe(1000);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for golden cookie combo detection
+ */
+
+import { describe, it, expect } from 'bun:test';
+import { classifyBuff, scoreCombo, decideShimmerPop } from '../core/combos';
+import { getComboState, getShimmerSecondsLeft } from '../browser/combos';
+import type { Buff, Shimmer } from '../types';
+
+const frenzy: Buff = { name: 'Frenzy', time: 77 * 30, multCpS: 7, type: { name: 'frenzy' } };
+const clickFrenzy: Buff = {
+  name: 'Click frenzy',
+  time: 13 * 30,
+  multClick: 777,
+  type: { name: 'click frenzy' },
+};
+const buildingSpecial: Buff = {
+  name: 'High-five',
+  time: 30 * 30,
+  multCpS: 3.5,
+  type: { name: 'building buff' },
+};
+
+describe('classifyBuff', () => {
+  it('should classify CpS and click buffs', () => {
+    expect(classifyBuff(frenzy)).toEqual({ name: 'Frenzy', kind: 'cps', multiplier: 7, secondsLeft: 77 });
+    expect(classifyBuff(clickFrenzy)?.kind).toBe('click');
+    expect(classifyBuff(buildingSpecial)?.multiplier).toBe(3.5);
+  });
+
+  it('should fall back to the buff name when the type is missing', () => {
+    expect(classifyBuff({ name: 'Elder frenzy', time: 300 })?.multiplier).toBe(666);
+  });
+
+  it('should ignore buffs that are not part of a combo', () => {
+    expect(classifyBuff({ name: 'Clot', time: 300, multCpS: 0.5, type: { name: 'clot' } })).toBeNull();
+  });
+});
+
+describe('scoreCombo', () => {
+  it('should return an empty combo without buffs', () => {
+    const combo = scoreCombo([]);
+    expect(combo.score).toBe(1);
+    expect(combo.active).toBe(false);
+    expect(combo.clickCombo).toBe(false);
+  });
+
+  it('should multiply the whole stack', () => {
+    const combo = scoreCombo([frenzy, buildingSpecial, clickFrenzy]);
+    expect(combo.cpsMultiplier).toBeCloseTo(24.5);
+    expect(combo.clickMultiplier).toBe(777);
+    expect(combo.score).toBeCloseTo(24.5 * 777);
+    expect(combo.active).toBe(true);
+    expect(combo.clickCombo).toBe(true);
+  });
+
+  it('should not treat an expiring buff as an active combo', () => {
+    const combo = scoreCombo([{ ...frenzy, time: 3 * 30 }]);
+    expect(combo.buffs).toHaveLength(1);
+    expect(combo.active).toBe(false);
+  });
+});
+
+describe('decideShimmerPop', () => {
+  const idle = scoreCombo([]);
+
+  it('should pop onto an active combo', () => {
+    expect(decideShimmerPop(10, scoreCombo([frenzy]), 5).shouldPop).toBe(true);
+  });
+
+  it('should pop when no buff is expected', () => {
+    expect(decideShimmerPop(10, idle, null).shouldPop).toBe(true);
+  });
+
+  it('should pop when the expected buff is ready', () => {
+    expect(decideShimmerPop(10, idle, 0).shouldPop).toBe(true);
+  });
+
+  it('should hold when the buff arrives before the cookie fades', () => {
+    const decision = decideShimmerPop(12, idle, 4);
+    expect(decision.shouldPop).toBe(false);
+    expect(decision.reason).toBe('Buff expected in 4s');
+  });
+
+  it('should pop when the cookie would fade first', () => {
+    expect(decideShimmerPop(6, idle, 4).shouldPop).toBe(true);
+  });
+});
+
+describe('getComboState', () => {
+  it('should read every buff in Game.buffs', () => {
+    const combo = getComboState({ Frenzy: frenzy, 'Click frenzy': clickFrenzy });
+    expect(combo.buffs.map((b) => b.name)).toEqual(['Frenzy', 'Click frenzy']);
+  });
+
+  it('should handle missing buffs', () => {
+    expect(getComboState(undefined).buffs).toEqual([]);
+  });
+});
+
+describe('getShimmerSecondsLeft', () => {
+  const shimmer: Shimmer = { type: 'golden', wrath: 0, pop: () => {} };
+
+  it('should convert frames to seconds', () => {
+    expect(getShimmerSecondsLeft({ ...shimmer, life: 300 })).toBe(10);
+  });
+
+  it('should return 0 when life is unknown', () => {
+    expect(getShimmerSecondsLeft(shimmer)).toBe(0);
+  });
+});
@@ -101,4 +101,19 @@ describe('clickShimmers', () => {
       expect(unknown.popped).toBe(false);
     });
   });
+
+  describe('with a golden cookie filter', () => {
+    it('should hold golden cookies the filter rejects', () => {
+      const golden = createMockShimmer('golden', 0);
+      const reindeer = createMockShimmer('reindeer');
+      const shouldPop = mock(() => false);
+
+      const clicked = clickShimmers([golden, reindeer], true, false, () => 1000, shouldPop);
+
+      expect(shouldPop).toHaveBeenCalledWith(golden);
+      expect(golden.popped).toBe(false);
+      expect(reindeer.popped).toBe(true); // reindeer are never held
+      expect(clicked).toBe(true);
+    });
+  });
 });
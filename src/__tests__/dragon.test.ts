@@ -9,6 +9,8 @@ import {
   countKittenUpgrades,
   getAuraName,
   getAuraIndex,
+  isDragonAura,
+  applyAuraPreferences,
   AURA_SWITCH_COOLDOWN,
   MIN_BUILDING_COUNT_FOR_SWITCH,
 } from '../core/dragon';
@@ -92,6 +94,37 @@ describe('getRecommendedAuras', () => {
   });
 });
 
+describe('applyAuraPreferences', () => {
+  const recommended = { aura1: 'Radiant Appetite', aura2: 'Breath of Milk' } as const;
+
+  it('should keep the recommendation without preferences', () => {
+    expect(applyAuraPreferences(recommended, { aura1: null, aura2: null }, false)).toEqual(recommended);
+  });
+
+  it('should use the preferred auras', () => {
+    expect(applyAuraPreferences(recommended, { aura1: 'Reaper of Fields', aura2: null }, false)).toEqual({
+      aura1: 'Reaper of Fields',
+      aura2: 'Breath of Milk',
+    });
+  });
+
+  it('should move the displaced pick to the other slot when a preference collides with it', () => {
+    expect(applyAuraPreferences(recommended, { aura1: 'Breath of Milk', aura2: null }, false)).toEqual({
+      aura1: 'Breath of Milk',
+      aura2: 'Radiant Appetite',
+    });
+    expect(applyAuraPreferences(recommended, { aura1: null, aura2: 'Radiant Appetite' }, false)).toEqual({
+      aura1: 'Breath of Milk',
+      aura2: 'Radiant Appetite',
+    });
+  });
+
+  it('should keep combo auras during a Frenzy', () => {
+    const preferences = { aura1: 'Reaper of Fields', aura2: null } as const;
+    expect(applyAuraPreferences(recommended, preferences, true)).toBe(recommended);
+  });
+});
+
 describe('shouldSwitchAuras', () => {
   const current = { aura1: 'Elder Battalion' as const, aura2: 'Radiant Appetite' as const };
   const recommended = { aura1: 'Breath of Milk' as const, aura2: 'Radiant Appetite' as const };
@@ -193,3 +226,12 @@ describe('getAuraIndex', () => {
     expect(getAuraIndex('Dragon Guts')).toBe(21);
   });
 });
+
+describe('isDragonAura', () => {
+  it('should only accept known aura names', () => {
+    expect(isDragonAura('Reaper of Fields')).toBe(true);
+    expect(isDragonAura('No aura')).toBe(true);
+    expect(isDragonAura('Bogus')).toBe(false);
+    expect(isDragonAura(3)).toBe(false);
+  });
+});
@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect, spyOn } from 'bun:test';
-import { formatNumber, logAction } from '../core/formatting';
+import { formatNumber, formatDuration, logAction, parseNumber } from '../core/formatting';
 
 describe('formatNumber', () => {
   describe('small numbers (< 1000)', () => {
@@ -89,6 +89,41 @@ describe('formatNumber', () => {
   });
 });
 
+describe('formatDuration', () => {
+  it('should format seconds', () => {
+    expect(formatDuration(0)).toBe('0s');
+    expect(formatDuration(44.2)).toBe('45s');
+  });
+
+  it('should format minutes and hours', () => {
+    expect(formatDuration(200)).toBe('3m 20s');
+    expect(formatDuration(7500)).toBe('2h 5m');
+  });
+
+  it('should format Infinity', () => {
+    expect(formatDuration(Infinity)).toBe('∞');
+  });
+});
+
+describe('parseNumber', () => {
+  it('should read plain, grouped and exponent numbers', () => {
+    expect(parseNumber('1500')).toBe(1500);
+    expect(parseNumber('1,500')).toBe(1500);
+    expect(parseNumber('2e12')).toBe(2e12);
+  });
+
+  it('should read suffixed numbers', () => {
+    expect(parseNumber('1.5 trillion')).toBe(1.5e12);
+    expect(parseNumber('3 Million')).toBe(3e6);
+  });
+
+  it('should return null for text and unknown suffixes', () => {
+    expect(parseNumber('Lucky day')).toBeNull();
+    expect(parseNumber('5 zillion')).toBeNull();
+    expect(parseNumber('')).toBeNull();
+  });
+});
+
 describe('logAction', () => {
   it('should log with timestamp and action', () => {
     const consoleSpy = spyOn(console, 'log').mockImplementation(() => {});
@@ -8,9 +8,9 @@ import { getTotalBuildings, executePurchaseItem, isCMDataReady } from '../browse
 describe('getTotalBuildings', () => {
   it('should sum all building amounts', () => {
     const gameObjects = {
-      Cursor: { amount: 50, name: 'Cursor', price: 100, locked: false, buy: () => {}, getSumPrice: () => 100 },
-      Grandma: { amount: 30, name: 'Grandma', price: 1000, locked: false, buy: () => {}, getSumPrice: () => 1000 },
-      Farm: { amount: 20, name: 'Farm', price: 10000, locked: false, buy: () => {}, getSumPrice: () => 10000 },
+      Cursor: { amount: 50, name: 'Cursor', price: 100, locked: false, buy: () => {}, sell: () => {}, levelUp: () => {}, getSumPrice: () => 100 },
+      Grandma: { amount: 30, name: 'Grandma', price: 1000, locked: false, buy: () => {}, sell: () => {}, levelUp: () => {}, getSumPrice: () => 1000 },
+      Farm: { amount: 20, name: 'Farm', price: 10000, locked: false, buy: () => {}, sell: () => {}, levelUp: () => {}, getSumPrice: () => 10000 },
     };
 
     expect(getTotalBuildings(gameObjects)).toBe(100);
@@ -44,6 +44,17 @@ describe('executePurchaseItem', () => {
     expect(boughtQty).toBe(10);
   });
 
+  it('should buy any quantity given on the candidate', () => {
+    let boughtQty = 0;
+    const gameObjects = {
+      Grandma: { buy: (qty: number) => { boughtQty = qty; } },
+    };
+
+    const item = { name: 'Grandma x7', type: 'Building', building: 'Grandma', quantity: 7 };
+    expect(executePurchaseItem(item, gameObjects as any, {})).toBe(true);
+    expect(boughtQty).toBe(7);
+  });
+
   it('should buy upgrade', () => {
     let bought = false;
     const gameUpgrades = {
@@ -55,6 +66,28 @@ describe('executePurchaseItem', () => {
     expect(bought).toBe(true);
   });
 
+  it('should refuse upgrades when they are not allowed', () => {
+    let bought = false;
+    const gameUpgrades = {
+      'Lucky day': { buy: () => { bought = true; } },
+    };
+
+    const result = executePurchaseItem({ name: 'Lucky day', type: 'Upgrade' }, {}, gameUpgrades as any, false);
+    expect(result).toBe(false);
+    expect(bought).toBe(false);
+  });
+
+  it('should refuse blocked buildings and upgrades', () => {
+    let bought = false;
+    const buy = () => { bought = true; };
+    const farms = { name: 'Farm x10', type: 'Building', building: 'Farm', quantity: 10 };
+    const oneMind = { name: 'One mind', type: 'Upgrade' };
+
+    expect(executePurchaseItem(farms, { Farm: { buy } } as any, {}, true, ['Farm'])).toBe(false);
+    expect(executePurchaseItem(oneMind, {}, { 'One mind': { buy } } as any, true, ['One mind'])).toBe(false);
+    expect(bought).toBe(false);
+  });
+
   it('should return false for null item', () => {
     expect(executePurchaseItem(null, {}, {})).toBe(false);
   });
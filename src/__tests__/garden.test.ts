@@ -0,0 +1,176 @@
+/**
+ * Tests for the garden manager
+ */
+
+import { describe, it, expect, mock } from 'bun:test';
+import {
+  GARDEN_LAYOUTS,
+  parseGardenLayout,
+  resolveGardenLayout,
+  getHarvestReason,
+  planGardenActions,
+  estimateTicksToHarvest,
+  estimateSecondsToNextHarvest,
+} from '../core/garden';
+import { getGarden, getGardenState, executeGardenAction } from '../browser/garden';
+import { createBuildingMock } from './mocks/game';
+import type { GardenLayout, GardenMinigame, GardenPlant, GardenSeed, GardenTile } from '../types';
+
+const layout: GardenLayout = {
+  name: 'Test',
+  harvest: 'mature',
+  plot: [['bakeberry', null]],
+};
+
+const seeds: Record<string, GardenSeed> = {
+  bakeberry: { key: 'bakeberry', unlocked: true, cost: 100 },
+  bakerWheat: { key: 'bakerWheat', unlocked: true, cost: 10 },
+  thumbcorn: { key: 'thumbcorn', unlocked: false, cost: 50 },
+};
+
+function tile(overrides: Partial<GardenTile> = {}): GardenTile {
+  return {
+    x: 0,
+    y: 0,
+    plant: 'bakeberry',
+    age: 10,
+    mature: 80,
+    immortal: false,
+    minAgePerTick: 1,
+    maxAgePerTick: 3,
+    ...overrides,
+  };
+}
+
+describe('parseGardenLayout', () => {
+  it('should accept a valid layout', () => {
+    const raw = { name: 'Mine', harvest: 'decay', plot: [['bakerWheat', null]] };
+    expect(parseGardenLayout(raw)).toEqual(raw as GardenLayout);
+  });
+
+  it('should reject invalid layouts', () => {
+    expect(parseGardenLayout(null)).toBeNull();
+    expect(parseGardenLayout({ name: 'x', harvest: 'sometimes', plot: [] })).toBeNull();
+    expect(parseGardenLayout({ name: 'x', harvest: 'mature', plot: [[1]] })).toBeNull();
+    expect(parseGardenLayout({ name: 'x', harvest: 'mature', plot: Array(7).fill([]) })).toBeNull();
+  });
+});
+
+describe('resolveGardenLayout', () => {
+  it('should resolve built-in names and JSON', () => {
+    expect(resolveGardenLayout('bakeberry')).toBe(GARDEN_LAYOUTS['bakeberry']!);
+    expect(resolveGardenLayout(JSON.stringify(layout))).toEqual(layout);
+    expect(resolveGardenLayout('nope')).toBeNull();
+  });
+});
+
+describe('getHarvestReason', () => {
+  it('should harvest layout plants at maturity in mature mode', () => {
+    expect(getHarvestReason(tile({ age: 80 }), layout, seeds['bakeberry'])).toBe('Mature');
+    expect(getHarvestReason(tile({ age: 79 }), layout, seeds['bakeberry'])).toBeNull();
+  });
+
+  it('should keep plants until just before decay in decay mode', () => {
+    const decayLayout = { ...layout, harvest: 'decay' as const };
+    expect(getHarvestReason(tile({ age: 90 }), decayLayout, seeds['bakeberry'])).toBeNull();
+    expect(getHarvestReason(tile({ age: 97 }), decayLayout, seeds['bakeberry'])).toBe('Before decay');
+  });
+
+  it('should harvest mature plants of locked seeds to unlock them', () => {
+    const mutation = tile({ x: 1, plant: 'thumbcorn', age: 80 });
+    expect(getHarvestReason(mutation, layout, seeds['thumbcorn'])).toBe('Unlock seed');
+  });
+
+  it('should clear mature plants outside the layout', () => {
+    const stray = tile({ x: 1, plant: 'bakerWheat', age: 80 });
+    expect(getHarvestReason(stray, layout, seeds['bakerWheat'])).toBe('Clear tile');
+  });
+});
+
+describe('planGardenActions', () => {
+  it('should replant empty layout tiles', () => {
+    const actions = planGardenActions([tile({ plant: null })], layout, seeds, 1000, 0);
+    expect(actions).toEqual([{ type: 'plant', x: 0, y: 0, plant: 'bakeberry', reason: 'Replant' }]);
+  });
+
+  it('should leave mutation tiles empty', () => {
+    expect(planGardenActions([tile({ x: 1, plant: null })], layout, seeds, 1000, 0)).toEqual([]);
+  });
+
+  it('should not plant into the Lucky bank', () => {
+    const empty = [tile({ plant: null }), tile({ x: 0, y: 1, plant: null })];
+    const wide = { ...layout, plot: [['bakeberry'], ['bakeberry']] };
+    expect(planGardenActions(empty, wide, seeds, 1000, 950)).toEqual([]);
+    expect(planGardenActions(empty, wide, seeds, 1000, 850)).toHaveLength(1);
+  });
+
+  it('should harvest mature plants', () => {
+    const actions = planGardenActions([tile({ age: 85 })], layout, seeds, 0, 0);
+    expect(actions[0]?.type).toBe('harvest');
+  });
+});
+
+describe('estimateTicksToHarvest', () => {
+  it('should estimate ticks from average growth', () => {
+    expect(estimateTicksToHarvest(tile({ age: 70 }), layout, seeds['bakeberry'])).toBe(5);
+    expect(estimateTicksToHarvest(tile({ age: 85 }), layout, seeds['bakeberry'])).toBe(0);
+    expect(estimateTicksToHarvest(tile({ plant: null }), layout, undefined)).toBe(Infinity);
+  });
+
+  it('should convert ticks to seconds', () => {
+    const tiles = [tile({ age: 70 })];
+    expect(estimateSecondsToNextHarvest(tiles, layout, seeds, 30, 180)).toBe(30 + 4 * 180);
+    expect(estimateSecondsToNextHarvest([], layout, seeds, 30, 180)).toBe(Infinity);
+  });
+});
+
+describe('garden browser functions', () => {
+  const plants: GardenPlant[] = [
+    { id: 0, key: 'bakerWheat', name: "Baker's wheat", unlocked: 1, mature: 35, ageTick: 7, ageTickR: 2 },
+    { id: 1, key: 'bakeberry', name: 'Bakeberry', unlocked: 1, mature: 80, ageTick: 1, ageTickR: 1 },
+  ];
+
+  function createGardenMock(): GardenMinigame {
+    return {
+      plot: [[[2, 40], [0, 0]]],
+      plantsById: plants,
+      plants: { bakerWheat: plants[0]!, bakeberry: plants[1]! },
+      plantsUnlockedN: 2,
+      plantsN: 34,
+      stepT: 180,
+      nextStep: 60_000,
+      isTileUnlocked: () => true,
+      getCost: () => 500,
+      useTool: mock(() => true),
+      harvest: mock(() => true),
+    };
+  }
+
+  it('should return null until the garden is loaded', () => {
+    expect(getGarden({ Farm: createBuildingMock('Farm') })).toBeNull();
+  });
+
+  it('should read tiles, seeds and timing', () => {
+    const garden = createGardenMock();
+    const farm = { ...createBuildingMock('Farm'), minigame: garden };
+    const state = getGardenState(getGarden({ Farm: farm }), 30_000);
+
+    expect(state?.tiles).toHaveLength(2);
+    expect(state?.tiles[0]).toMatchObject({ plant: 'bakeberry', age: 40, mature: 80, maxAgePerTick: 2 });
+    expect(state?.tiles[1]?.plant).toBeNull();
+    expect(state?.seeds['bakerWheat']).toEqual({ key: 'bakerWheat', unlocked: true, cost: 500 });
+    expect(state?.seedsUnlocked).toBe(2);
+    expect(state?.secondsToNextTick).toBe(30);
+  });
+
+  it('should plant by plant id and harvest by tile', () => {
+    const garden = createGardenMock();
+    executeGardenAction(garden, { type: 'plant', x: 1, y: 0, plant: 'bakeberry', reason: 'Replant' });
+    expect(garden.useTool).toHaveBeenCalledWith(1, 1, 0);
+
+    executeGardenAction(garden, { type: 'harvest', x: 0, y: 0, plant: 'bakeberry', reason: 'Mature' });
+    expect(garden.harvest).toHaveBeenCalledWith(0, 0, 1);
+
+    expect(executeGardenAction(garden, { type: 'plant', x: 1, y: 0, plant: 'bogus', reason: '' })).toBe(false);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for goal mode
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  parseGoal,
+  readStoredGoal,
+  getGoalLabel,
+  getGoalItemBlocker,
+  getGoalTarget,
+  getGoalEta,
+  getGoalPurchaseDelay,
+  isGoalPurchaseAllowed,
+  simulateGoalEta,
+  getGoalStatus,
+} from '../core/goals';
+import { getGoalItem } from '../browser/goals';
+import type { Candidate } from '../types';
+
+const candidate = (name: string, price: number, deltaCps: number, pp = 1): Candidate =>
+  ({ name, price, deltaCps, pp, type: 'Building', affordable: false }) as Candidate;
+
+describe('parseGoal', () => {
+  it('should read cookie amounts', () => {
+    expect(parseGoal('1.5 trillion')).toEqual({ kind: 'cookies', amount: 1.5e12 });
+    expect(parseGoal(' 2e9 ')).toEqual({ kind: 'cookies', amount: 2e9 });
+  });
+
+  it('should treat anything else as an item name', () => {
+    expect(parseGoal(' Lucky day ')).toEqual({ kind: 'item', name: 'Lucky day' });
+  });
+
+  it('should reject blanks and zero amounts', () => {
+    expect(parseGoal('  ')).toBeNull();
+    expect(parseGoal('0')).toBeNull();
+  });
+});
+
+describe('readStoredGoal', () => {
+  it('should keep valid goals only', () => {
+    expect(readStoredGoal({ kind: 'cookies', amount: 1e6 })).toEqual({ kind: 'cookies', amount: 1e6 });
+    expect(readStoredGoal({ kind: 'item', name: 'Farm' })).toEqual({ kind: 'item', name: 'Farm' });
+    expect(readStoredGoal({ kind: 'cookies', amount: -5 })).toBeNull();
+    expect(readStoredGoal({ kind: 'item', name: '' })).toBeNull();
+    expect(readStoredGoal('Farm')).toBeNull();
+    expect(readStoredGoal(null)).toBeNull();
+  });
+});
+
+describe('getGoalItemBlocker', () => {
+  const luckyDay = { name: 'Lucky day', type: 'Upgrade' };
+
+  it('should refuse blocked goal items', () => {
+    expect(getGoalItemBlocker(luckyDay, ['Lucky day'], true)).toBe('Item is blocked');
+    expect(getGoalItemBlocker({ name: 'Farm', type: 'Building' }, ['Farm'], true)).toBe('Item is blocked');
+  });
+
+  it('should refuse upgrade goals when the run forbids upgrades', () => {
+    expect(getGoalItemBlocker(luckyDay, [], false)).not.toBeNull();
+    expect(getGoalItemBlocker({ name: 'Farm', type: 'Building' }, [], false)).toBeNull();
+  });
+
+  it('should allow anything else', () => {
+    expect(getGoalItemBlocker(luckyDay, ['Farm'], true)).toBeNull();
+  });
+});
+
+describe('getGoalLabel', () => {
+  it('should describe the goal', () => {
+    expect(getGoalLabel({ kind: 'item', name: 'Farm' })).toBe('Farm');
+    expect(getGoalLabel({ kind: 'cookies', amount: 1.5e12 })).toContain('cookies');
+  });
+});
+
+describe('getGoalTarget', () => {
+  it('should save for an item on top of the Lucky bank', () => {
+    expect(getGoalTarget({ kind: 'item', name: 'Farm' }, { price: 1000 }, 3000)).toBe(4000);
+    expect(getGoalTarget({ kind: 'item', name: 'Farm' }, { price: 1000 }, 0)).toBe(1000);
+    expect(getGoalTarget({ kind: 'item', name: 'Farm' }, null, 3000)).toBeNull();
+  });
+
+  it('should take a cookie amount as it is', () => {
+    expect(getGoalTarget({ kind: 'cookies', amount: 5000 }, null, 3000)).toBe(5000);
+  });
+});
+
+describe('getGoalEta', () => {
+  it('should return seconds left to save', () => {
+    expect(getGoalEta(1000, 10000, 10)).toBe(900);
+    expect(getGoalEta(20000, 10000, 10)).toBe(0);
+    expect(getGoalEta(0, 10000, 0)).toBe(Infinity);
+  });
+});
+
+describe('isGoalPurchaseAllowed', () => {
+  it('should allow purchases that pay back before the goal', () => {
+    const quick = { price: 500, deltaCps: 10 };
+    expect(getGoalPurchaseDelay(quick, 1000, 10000, 10)).toBeLessThan(0);
+    expect(isGoalPurchaseAllowed(quick, 1000, 10000, 10, 0)).toBe(true);
+  });
+
+  it('should refuse purchases that delay the goal', () => {
+    const slow = { price: 500, deltaCps: 0.1 };
+    expect(getGoalPurchaseDelay(slow, 1000, 10000, 10)).toBeGreaterThan(0);
+    expect(isGoalPurchaseAllowed(slow, 1000, 10000, 10, 0)).toBe(false);
+    expect(isGoalPurchaseAllowed({ price: 500 }, 1000, 10000, 10, 0)).toBe(false);
+  });
+
+  it('should always allow spending above the goal', () => {
+    expect(isGoalPurchaseAllowed({ price: 1000 }, 12000, 10000, 10, 0)).toBe(true);
+    expect(isGoalPurchaseAllowed({ price: 3000 }, 12000, 10000, 10, 0)).toBe(false);
+  });
+
+  it('should keep the Lucky bank', () => {
+    expect(isGoalPurchaseAllowed({ price: 500, deltaCps: 10 }, 1000, 10000, 10, 800)).toBe(false);
+  });
+});
+
+describe('simulateGoalEta', () => {
+  it('should buy candidates that speed up the goal', () => {
+    expect(simulateGoalEta(0, 10000, 10, [candidate('Farm', 100, 10)])).toBe(510);
+  });
+
+  it('should skip candidates that delay it and buy each item once', () => {
+    const farm = candidate('Farm x10', 100, 10);
+    const slow = candidate('Mine', 5000, 1);
+    expect(simulateGoalEta(0, 10000, 10, [slow, farm, { ...farm, name: 'Farm' }])).toBe(510);
+  });
+
+  it('should match saving when nothing is worth buying', () => {
+    expect(simulateGoalEta(1000, 10000, 10, [])).toBe(900);
+  });
+});
+
+describe('getGoalStatus', () => {
+  it('should report both ETAs', () => {
+    const status = getGoalStatus('Farm', 10000, 0, 10, [candidate('Farm', 100, 10)]);
+    expect(status).toEqual({
+      label: 'Farm',
+      target: 10000,
+      eta: 1000,
+      etaWithPurchases: 510,
+      reached: false,
+    });
+    expect(getGoalStatus('Farm', 10000, 10000, 10, []).reached).toBe(true);
+  });
+});
+
+describe('getGoalItem', () => {
+  const objects = { Farm: { price: 1100, locked: 0 }, Portal: { price: 1e12, locked: 1 } };
+  const upgrades = {
+    'Lucky day': { bought: 0, unlocked: 1, getPrice: () => 777777 },
+    'Kitten helpers': { bought: 1, unlocked: 1, getPrice: () => 9e6 },
+  };
+
+  it('should find buildings and unbought upgrades', () => {
+    expect(getGoalItem(objects as any, upgrades as any, 'Farm')).toEqual({
+      name: 'Farm',
+      type: 'Building',
+      price: 1100,
+      available: true,
+    });
+    expect(getGoalItem(objects as any, upgrades as any, 'Portal')?.available).toBe(false);
+    expect(getGoalItem(objects as any, upgrades as any, 'Lucky day')?.price).toBe(777777);
+  });
+
+  it('should return null for bought or unknown items', () => {
+    expect(getGoalItem(objects as any, upgrades as any, 'Kitten helpers')).toBeNull();
+    expect(getGoalItem(objects as any, upgrades as any, 'Nope')).toBeNull();
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for the Grandmapocalypse policy and elder upgrade decisions
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  getResearchStage,
+  isResearchBlocked,
+  getStageName,
+  getWrinklerYield,
+  decideElderAction,
+} from '../core/grandmapocalypse';
+import { getGrandmapocalypseState, buyElderUpgrade } from '../browser/grandmapocalypse';
+import type { GrandmapocalypseGameContext } from '../browser/grandmapocalypse';
+import { createUpgradeMock } from './mocks/game';
+import type { GrandmapocalypseState } from '../types';
+
+function elderState(overrides: Partial<GrandmapocalypseState> = {}): GrandmapocalypseState {
+  return {
+    stage: 1,
+    pledgeSeconds: 0,
+    pledgeDuration: 1800,
+    covenant: false,
+    prices: { 'Elder Pledge': 1000, 'Elder Covenant': 1e6 },
+    wrinklerMax: 10,
+    wrinklerMultiplier: 1.1,
+    ...overrides,
+  };
+}
+
+function elderGame(overrides: Partial<GrandmapocalypseGameContext> = {}): GrandmapocalypseGameContext {
+  return {
+    elderWrath: 1,
+    pledgeT: 0,
+    Upgrades: { 'One mind': createUpgradeMock('One mind', 1000, true) },
+    UpgradesInStore: [],
+    Has: () => false,
+    ...overrides,
+  };
+}
+
+describe('research policy', () => {
+  it('should map research to the stage it leads to', () => {
+    expect(getResearchStage('One mind')).toBe(1);
+    expect(getResearchStage('Elder Pact')).toBe(3);
+    expect(getResearchStage('Lucky day')).toBeNull();
+  });
+
+  it('should block research past the policy stage', () => {
+    expect(isResearchBlocked('One mind', 'peaceful')).toBe(true);
+    expect(isResearchBlocked('One mind', 'oneMind')).toBe(false);
+    expect(isResearchBlocked('Communal brainsweep', 'oneMind')).toBe(true);
+    expect(isResearchBlocked('Elder Pact', 'full')).toBe(false);
+    expect(isResearchBlocked('Exotic nuts', 'peaceful')).toBe(false);
+  });
+
+  it('should name stages', () => {
+    expect(getStageName(0)).toBe('Appeased');
+    expect(getStageName(3)).toBe('Angered');
+  });
+});
+
+describe('getWrinklerYield', () => {
+  it('should reach about 6x with 10 wrinklers', () => {
+    expect(getWrinklerYield(10, 1.1)).toBeCloseTo(6);
+    expect(getWrinklerYield(0, 1.1)).toBe(1);
+  });
+});
+
+describe('decideElderAction', () => {
+  it('should pledge when pledging is cheaper than the covenant', () => {
+    expect(decideElderAction('peaceful', elderState(), 1e9, 100)).toEqual({
+      action: 'Elder Pledge',
+      reason: 'Peaceful policy',
+    });
+  });
+
+  it('should sign the covenant when its CpS penalty is cheaper', () => {
+    expect(decideElderAction('peaceful', elderState(), 1e9, 10).action).toBe('Elder Covenant');
+    expect(decideElderAction('peaceful', elderState(), 1e5, 10)).toEqual({
+      action: null,
+      reason: 'Waiting for cookies',
+    });
+  });
+
+  it('should do nothing while appeased, pledged or covenanted', () => {
+    expect(decideElderAction('peaceful', elderState({ stage: 0 }), 1e9, 100).reason).toBe('Elders appeased');
+    expect(decideElderAction('peaceful', elderState({ pledgeSeconds: 60 }), 1e9, 100).reason).toBe('Pledged');
+    expect(decideElderAction('peaceful', elderState({ covenant: true }), 1e9, 100).reason).toBe(
+      'Covenant active'
+    );
+  });
+
+  it('should revoke the covenant for wrinkler policies', () => {
+    const state = elderState({ covenant: true, prices: { 'Revoke Elder Covenant': 5000 } });
+    expect(decideElderAction('oneMind', state, 1e9, 100)).toEqual({
+      action: 'Revoke Elder Covenant',
+      reason: 'Wrinklers yield 6.0x',
+    });
+    expect(decideElderAction('full', state, 1000, 100).reason).toBe('Waiting for cookies');
+  });
+
+  it('should never pledge under wrinkler policies', () => {
+    expect(decideElderAction('full', elderState({ stage: 3 }), 1e9, 100)).toEqual({
+      action: null,
+      reason: 'Wrinklers yield 6.0x',
+    });
+  });
+});
+
+describe('getGrandmapocalypseState', () => {
+  it('should return null before One mind unlocks', () => {
+    expect(getGrandmapocalypseState(elderGame({ Upgrades: {} }))).toBeNull();
+  });
+
+  it('should read stage, pledge and elder upgrade prices', () => {
+    const pledge = createUpgradeMock('Elder Pledge', 666);
+    const state = getGrandmapocalypseState(
+      elderGame({
+        elderWrath: 0,
+        pledgeT: 300,
+        UpgradesInStore: [pledge, createUpgradeMock('Lucky day')],
+        Has: (name) => name === 'Sacrificial rolling pins' || name === 'Wrinklerspawn',
+        getWrinklersMax: () => 12,
+      })
+    );
+    expect(state).toEqual({
+      stage: 0,
+      pledgeSeconds: 10,
+      pledgeDuration: 3600,
+      covenant: false,
+      prices: { 'Elder Pledge': 666 },
+      wrinklerMax: 12,
+      wrinklerMultiplier: 1.1 * 1.05,
+    });
+  });
+});
+
+describe('buyElderUpgrade', () => {
+  it('should buy an elder upgrade in the store', () => {
+    const covenant = createUpgradeMock('Elder Covenant');
+    expect(buyElderUpgrade([covenant], 'Elder Covenant')).toBe(true);
+    expect(covenant.buy).toHaveBeenCalled();
+    expect(buyElderUpgrade([covenant], 'Elder Pledge')).toBe(false);
+  });
+
+  it('should not buy a blocked elder upgrade', () => {
+    const pledge = createUpgradeMock('Elder Pledge');
+    expect(buyElderUpgrade([pledge], 'Elder Pledge', ['Elder Pledge'])).toBe(false);
+    expect(pledge.buy).not.toHaveBeenCalled();
+  });
+});
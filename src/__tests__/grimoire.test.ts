@@ -0,0 +1,120 @@
+/**
+ * Tests for Grimoire spell automation
+ */
+
+import { describe, it, expect, mock } from 'bun:test';
+import {
+  SPELL_FORCE_HAND_OF_FATE,
+  SPELL_CONJURE_BAKED_GOODS,
+  calculateSpellCost,
+  estimateMagicRegenSeconds,
+  decideGrimoireCast,
+} from '../core/grimoire';
+import { getGrimoire, getGrimoireState, castGrimoireSpell } from '../browser/grimoire';
+import { createBuildingMock } from './mocks/game';
+import type { GrimoireMinigame } from '../types';
+
+function createGrimoireMock(magic: number, magicM: number): GrimoireMinigame {
+  return {
+    magic,
+    magicM,
+    spells: {
+      [SPELL_FORCE_HAND_OF_FATE]: { name: 'Force the Hand of Fate', costMin: 10, costPercent: 0.6 },
+      [SPELL_CONJURE_BAKED_GOODS]: { name: 'Conjure Baked Goods', costMin: 2, costPercent: 0.4 },
+    },
+    castSpell: mock(() => true),
+  };
+}
+
+describe('calculateSpellCost', () => {
+  it('should add the percentage of max magic to the minimum cost', () => {
+    expect(calculateSpellCost(10, 0.6, 100)).toBe(70);
+    expect(calculateSpellCost(2, 0.4, 55)).toBe(24);
+  });
+});
+
+describe('estimateMagicRegenSeconds', () => {
+  it('should return 0 when magic already covers the target', () => {
+    expect(estimateMagicRegenSeconds(80, 70, 100)).toBe(0);
+  });
+
+  it('should return Infinity when the target exceeds max magic', () => {
+    expect(estimateMagicRegenSeconds(10, 120, 100)).toBe(Infinity);
+  });
+
+  it('should regenerate faster when magic is higher', () => {
+    const fromLow = estimateMagicRegenSeconds(10, 20, 100);
+    const fromHigh = estimateMagicRegenSeconds(80, 90, 100);
+    expect(fromLow).toBeGreaterThan(fromHigh);
+    expect(fromHigh).toBeGreaterThan(0);
+  });
+});
+
+describe('decideGrimoireCast', () => {
+  const base = { magic: 100, magicMax: 100, fthofCost: 70, conjureCost: 42, comboActive: false };
+
+  it('should cast Force the Hand of Fate during a combo', () => {
+    const decision = decideGrimoireCast({ ...base, comboActive: true });
+    expect(decision.spell).toBe(SPELL_FORCE_HAND_OF_FATE);
+  });
+
+  it('should wait during a combo without enough magic', () => {
+    const decision = decideGrimoireCast({ ...base, magic: 50, comboActive: true });
+    expect(decision.spell).toBeNull();
+  });
+
+  it('should cast Conjure Baked Goods when idle with full magic', () => {
+    expect(decideGrimoireCast(base).spell).toBe(SPELL_CONJURE_BAKED_GOODS);
+  });
+
+  it('should hold magic when idle and not full', () => {
+    const decision = decideGrimoireCast({ ...base, magic: 90 });
+    expect(decision.spell).toBeNull();
+    expect(decision.reason).toBe('Waiting for combo');
+  });
+});
+
+describe('getGrimoire', () => {
+  it('should return null when the minigame is not loaded', () => {
+    expect(getGrimoire({ 'Wizard tower': createBuildingMock('Wizard tower') })).toBeNull();
+    expect(getGrimoire({})).toBeNull();
+  });
+
+  it('should return the Wizard tower minigame', () => {
+    const grimoire = createGrimoireMock(50, 100);
+    const tower = { ...createBuildingMock('Wizard tower'), minigame: grimoire };
+    expect(getGrimoire({ 'Wizard tower': tower })).toBe(grimoire);
+  });
+});
+
+describe('getGrimoireState', () => {
+  it('should return null without a grimoire', () => {
+    expect(getGrimoireState(null)).toBeNull();
+  });
+
+  it('should compute costs from the spell definitions', () => {
+    const state = getGrimoireState(createGrimoireMock(50, 100));
+    expect(state?.fthofCost).toBe(70);
+    expect(state?.conjureCost).toBe(42);
+    expect(state?.secondsToFthof).toBeGreaterThan(0);
+  });
+
+  it('should prefer the game spell cost function', () => {
+    const grimoire = { ...createGrimoireMock(100, 100), getSpellCost: () => 5 };
+    const state = getGrimoireState(grimoire);
+    expect(state?.fthofCost).toBe(5);
+    expect(state?.secondsToFthof).toBe(0);
+  });
+});
+
+describe('castGrimoireSpell', () => {
+  it('should cast a known spell', () => {
+    const grimoire = createGrimoireMock(100, 100);
+    expect(castGrimoireSpell(grimoire, SPELL_FORCE_HAND_OF_FATE)).toBe(true);
+    expect(grimoire.castSpell).toHaveBeenCalledWith(grimoire.spells[SPELL_FORCE_HAND_OF_FATE]);
+  });
+
+  it('should return false for an unknown spell', () => {
+    expect(castGrimoireSpell(createGrimoireMock(100, 100), 'bogus')).toBe(false);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for heavenly upgrade categories and buy order planning
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  getHeavenlyCategory,
+  getHeavenlyPath,
+  planHeavenlyPurchases,
+  getNextHeavenlyMilestone,
+  planHeavenlyUpgrades,
+} from '../core/heavenly';
+import { getHeavenlyPlan, getAscendTreeMarks } from '../browser/heavenly';
+import { createUpgradeMock } from './mocks/game';
+import type { HeavenlyUpgradeInfo, Upgrade } from '../types';
+
+function heavenly(name: string, cost: number, parents: string[] = []): HeavenlyUpgradeInfo {
+  return {
+    name,
+    cost,
+    costFormatted: String(cost),
+    canAfford: true,
+    parents,
+    category: getHeavenlyCategory(name),
+  };
+}
+
+function prestigeUpgrade(id: number, name: string, price: number, parents: Upgrade[] = []): Upgrade {
+  return { ...createUpgradeMock(name, price), id, pool: 'prestige', parents };
+}
+
+describe('getHeavenlyCategory', () => {
+  it('should categorize known upgrades', () => {
+    expect(getHeavenlyCategory('Heavenly cookies')).toBe('cps');
+    expect(getHeavenlyCategory('Lucky payout')).toBe('golden');
+    expect(getHeavenlyCategory('Permanent upgrade slot III')).toBe('slots');
+    expect(getHeavenlyCategory('Season switcher')).toBe('unlocks');
+  });
+
+  it('should treat cookie boxes and tins as unlocks', () => {
+    expect(getHeavenlyCategory('Box of macarons')).toBe('unlocks');
+    expect(getHeavenlyCategory('Tin of butter cookies')).toBe('unlocks');
+    expect(getHeavenlyCategory('Twin Gates of Transcendence')).toBe('other');
+  });
+});
+
+describe('getHeavenlyPath', () => {
+  it('should list unowned prerequisites before the upgrade', () => {
+    const unowned = new Map(
+      [
+        heavenly('Lasting fortune', 777, ['Heavenly luck']),
+        heavenly('Heavenly luck', 77, ['Legacy']),
+      ].map((u) => [u.name, u] as const)
+    );
+    expect(getHeavenlyPath('Lasting fortune', unowned).map((u) => u.name)).toEqual([
+      'Heavenly luck',
+      'Lasting fortune',
+    ]);
+  });
+
+  it('should visit shared parents once', () => {
+    const unowned = new Map(
+      [
+        heavenly('Synergies Vol. II', 2e9, ['Synergies Vol. I', 'Legacy']),
+        heavenly('Synergies Vol. I', 2222, ['Legacy']),
+        heavenly('Legacy', 1),
+      ].map((u) => [u.name, u] as const)
+    );
+    expect(getHeavenlyPath('Synergies Vol. II', unowned).map((u) => u.name)).toEqual([
+      'Legacy',
+      'Synergies Vol. I',
+      'Synergies Vol. II',
+    ]);
+  });
+});
+
+describe('planHeavenlyPurchases', () => {
+  it('should buy priority upgrades before cheaper ones', () => {
+    const plan = planHeavenlyPurchases(
+      [heavenly('Box of brand biscuits', 25), heavenly('Legacy', 1), heavenly('Heavenly luck', 77)],
+      80
+    );
+    expect(plan.map((u) => u.name)).toEqual(['Legacy', 'Heavenly luck']);
+  });
+
+  it('should rank unlisted upgrades by category', () => {
+    const plan = planHeavenlyPurchases(
+      [
+        heavenly('Twin Gates of Transcendence', 1),
+        heavenly('Box of macarons', 25),
+        heavenly('Residual luck', 300),
+      ],
+      1000
+    );
+    expect(plan.map((u) => u.name)).toEqual([
+      'Residual luck',
+      'Box of macarons',
+      'Twin Gates of Transcendence',
+    ]);
+  });
+
+  it('should wait for unowned parents', () => {
+    const plan = planHeavenlyPurchases(
+      [
+        heavenly('Legacy', 2000),
+        heavenly('Heavenly luck', 77, ['Legacy']),
+        heavenly('Tin of butter cookies', 25),
+      ],
+      1000
+    );
+    expect(plan.map((u) => u.name)).toEqual(['Tin of butter cookies']);
+  });
+
+  it('should treat owned parents as met and open their branches right away', () => {
+    const plan = planHeavenlyPurchases(
+      [heavenly('Lasting fortune', 777, ['Heavenly luck']), heavenly('Heavenly luck', 77)],
+      1000
+    );
+    expect(plan.map((u) => u.name)).toEqual(['Heavenly luck', 'Lasting fortune']);
+  });
+});
+
+describe('getNextHeavenlyMilestone', () => {
+  it('should price the next unreachable upgrade with its prerequisites', () => {
+    const upgrades = [
+      heavenly('Heavenly luck', 77),
+      heavenly('Lasting fortune', 777, ['Heavenly luck']),
+      heavenly('Permanent upgrade slot I', 100),
+    ];
+    expect(getNextHeavenlyMilestone(upgrades, [], 50, 1000)).toEqual({
+      name: 'Heavenly luck',
+      category: 'golden',
+      path: ['Heavenly luck'],
+      cost: 77,
+      chipsNeeded: 27,
+      prestigeNeeded: 1027,
+    });
+  });
+
+  it('should leave planned upgrades out of the path', () => {
+    const upgrades = [heavenly('Heavenly luck', 77), heavenly('Lasting fortune', 777, ['Heavenly luck'])];
+    const milestone = getNextHeavenlyMilestone(upgrades, [upgrades[0]!], 23, 1000);
+    expect(milestone?.path).toEqual(['Lasting fortune']);
+    expect(milestone?.chipsNeeded).toBe(754);
+  });
+
+  it('should return null once everything is planned', () => {
+    const upgrades = [heavenly('Legacy', 1)];
+    expect(getNextHeavenlyMilestone(upgrades, upgrades, 0, 1)).toBeNull();
+  });
+});
+
+describe('planHeavenlyUpgrades', () => {
+  it('should plan the buy order and the milestone after it', () => {
+    const plan = planHeavenlyUpgrades(
+      [heavenly('Legacy', 1), heavenly('Heavenly cookies', 3, ['Legacy']), heavenly('Heavenly luck', 77)],
+      10,
+      10
+    );
+    expect(plan.order.map((u) => u.name)).toEqual(['Legacy', 'Heavenly cookies']);
+    expect(plan.totalCost).toBe(4);
+    expect(plan.chipsLeft).toBe(6);
+    expect(plan.milestone?.name).toBe('Heavenly luck');
+    expect(plan.milestone?.prestigeNeeded).toBe(81);
+  });
+});
+
+describe('getHeavenlyPlan', () => {
+  it('should return null before the first ascension', () => {
+    expect(getHeavenlyPlan({ prestige: 0, heavenlyChips: 0, Upgrades: {} })).toBeNull();
+  });
+
+  it('should plan from the game upgrades', () => {
+    const legacy = prestigeUpgrade(363, 'Legacy', 1);
+    const plan = getHeavenlyPlan({
+      prestige: 5,
+      heavenlyChips: 5,
+      Upgrades: {
+        Legacy: legacy,
+        'Heavenly cookies': prestigeUpgrade(395, 'Heavenly cookies', 3, [legacy]),
+        'Lucky day': createUpgradeMock('Lucky day'),
+      },
+    });
+    expect(plan?.order.map((u) => u.name)).toEqual(['Legacy', 'Heavenly cookies']);
+    expect(plan?.order[1]?.parents).toEqual(['Legacy']);
+    expect(plan?.milestone).toBeNull();
+  });
+});
+
+describe('getAscendTreeMarks', () => {
+  it('should number the buy order and star the milestone path', () => {
+    const upgrades = {
+      Legacy: prestigeUpgrade(363, 'Legacy', 1),
+      'Heavenly luck': prestigeUpgrade(282, 'Heavenly luck', 77),
+      'Lasting fortune': createUpgradeMock('Lasting fortune', 777),
+    };
+    const plan = planHeavenlyUpgrades(
+      [heavenly('Legacy', 1), heavenly('Heavenly luck', 77), heavenly('Lasting fortune', 777, ['Heavenly luck'])],
+      1,
+      1
+    );
+    expect(getAscendTreeMarks(plan, upgrades)).toEqual([
+      { elementId: 'heavenlyUpgrade363', label: '1', milestone: false },
+      { elementId: 'heavenlyUpgrade282', label: '★', milestone: true },
+    ]);
+  });
+});
@@ -9,6 +9,7 @@ import {
   LUCKY_BANK_PRICE_MULTIPLIER,
   PHASE_THRESHOLDS,
 } from '../core/constants';
+import { DEFAULT_STRATEGY_PROFILE } from '../core/profiles';
 
 const MID_GAME_CPS = PHASE_THRESHOLDS.EARLY_TO_MID; // 1M CpS
 const EARLY_GAME_CPS = 1000; // 1K CpS
@@ -55,6 +56,16 @@ describe('getLuckyBank', () => {
     const expected = cps * LUCKY_BANK_CPS_CAP_MULTIPLIER;
     expect(getLuckyBank(price, cps)).toBe(expected);
   });
+
+  it('should read multipliers and the early game threshold from the profile', () => {
+    const profile = {
+      ...DEFAULT_STRATEGY_PROFILE,
+      luckyBankPriceMultiplier: 5,
+      phaseThresholds: { ...DEFAULT_STRATEGY_PROFILE.phaseThresholds, earlyToMid: 10_000_000 },
+    };
+    expect(getLuckyBank(1000, MID_GAME_CPS, profile)).toBe(0);
+    expect(getLuckyBank(1000, 10_000_000, profile)).toBe(5000);
+  });
 });
 
 describe('canAffordWithLuckyBank', () => {
@@ -26,6 +26,8 @@ export function createBuildingMock(
       return total;
     }),
     buy: mock(),
+    sell: mock(),
+    levelUp: mock(),
   };
 }
 
@@ -93,12 +95,20 @@ export function createGameMock(options: GameMockOptions = {}): Game {
   return {
     cookies,
     cookiesPs,
+    cookiesPsRawHighest: cookiesPs,
     unbuffedCps: cookiesPs,
     elderWrath: 0,
+    pledgeT: 0,
     Objects: defaultBuildings,
     Upgrades: defaultUpgrades,
     UpgradesInStore: upgradesInStore,
     UpgradesOwned: upgradesOwned,
+    cookieClicks: 0,
+    startDate: 0,
+    ascensionMode: 0,
+    Achievements: {},
+    milkProgress: 0,
+    bakeryName: 'Test',
     shimmers,
     wrinklers: [],
     mods: {},
@@ -109,17 +119,39 @@ export function createGameMock(options: GameMockOptions = {}): Game {
     dragonAura2: 0,
     UpgradeDragon: mock(),
     recalculateGains: 1,
+    CalculateGains: mock(),
+    ClickCookie: mock(),
+    computedMouseCps: 1,
     Has: mock(() => false),
     hasAura: mock(() => false),
     SelectDragonAura: mock(),
     SetDragonAura: mock(),
     LoadMod: mock(),
     specialTab: '',
+    santaLevel: 0,
+    UpgradeSanta: mock(),
+    reindeerClicked: 0,
+    season: '',
+    lumps: 0,
+    lumpT: 0,
+    lumpMatureAge: 20 * 60 * 60 * 1000,
+    lumpRipeAge: 23 * 60 * 60 * 1000,
+    lumpOverripeAge: 24 * 60 * 60 * 1000,
+    lumpCurrentType: 0,
+    canLumps: mock(() => false),
+    clickLump: mock(),
     prestige: 0,
     heavenlyChips: 0,
     heavenlyChipsSpent: 0,
     cookiesReset: 0,
     cookiesEarned: 0,
     HowMuchPrestige: mock((cookies: number) => Math.floor(Math.pow(cookies / 1e12, 0.5))),
+    HowManyCookiesReset: mock((prestige: number) => Math.pow(prestige, 2) * 1e12),
+    OnAscend: 0,
+    permanentUpgrades: [-1, -1, -1, -1, -1],
+    AscendTimer: 0,
+    ReincarnateTimer: 0,
+    Ascend: mock(),
+    Reincarnate: mock(),
   };
 }
@@ -0,0 +1,171 @@
+/**
+ * Tests for settings pane options
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  AUTO_AURA,
+  OPTION_FIELDS,
+  clampOptionNumber,
+  getOptionField,
+  getOptionChoices,
+  getOptionValue,
+  parseOptionNumber,
+  setOptionValue,
+} from '../core/options';
+import { createDefaultSettings } from '../core/settings';
+import { CUSTOM_PROFILE_NAME, DEFAULT_STRATEGY_PROFILE, resolveStrategyProfile } from '../core/profiles';
+import { MAX_CLICK_RATE, REFRESH_INTERVAL } from '../core/constants';
+import { GARDEN_LAYOUTS } from '../core/garden';
+
+describe('OPTION_FIELDS', () => {
+  it('should list each field once', () => {
+    const keys = OPTION_FIELDS.map((f) => f.key);
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+});
+
+describe('getOptionValue', () => {
+  it('should read the active profile and thresholds in the units the pane shows', () => {
+    const settings = createDefaultSettings();
+    expect(getOptionValue(settings, 'profile')).toBe(DEFAULT_STRATEGY_PROFILE.name);
+    const cooldownSeconds = DEFAULT_STRATEGY_PROFILE.auraSwitchCooldown / 1000;
+    expect(getOptionValue(settings, 'auraSwitchCooldown')).toBe(cooldownSeconds);
+    expect(getOptionValue(settings, 'goldenSaveMid')).toBe(DEFAULT_STRATEGY_PROFILE.goldenSaveHours.mid);
+    expect(getOptionValue(settings, 'refreshInterval')).toBe(REFRESH_INTERVAL / 1000);
+    expect(getOptionValue(settings, 'dragonAura1')).toBe(AUTO_AURA);
+    expect(getOptionValue(settings, 'popShinyWrinklers')).toBe(false);
+  });
+});
+
+describe('getOptionChoices', () => {
+  it('should offer profiles and auras', () => {
+    const settings = createDefaultSettings();
+    settings.customProfiles = [{ ...DEFAULT_STRATEGY_PROFILE, name: 'Mine' }];
+    expect(getOptionChoices(settings, 'profile').map((c) => c.value)).toContain('Mine');
+    const auras = getOptionChoices(settings, 'dragonAura2').map((c) => c.value);
+    expect(auras[0]).toBe(AUTO_AURA);
+    expect(auras).toContain('Reaper of Fields');
+    expect(getOptionChoices(settings, 'maxBatch')).toEqual([]);
+  });
+
+  it('should offer the built-in garden layouts plus an imported one', () => {
+    const settings = createDefaultSettings();
+    expect(getOptionChoices(settings, 'gardenLayout').map((c) => c.value)).toEqual(
+      Object.keys(GARDEN_LAYOUTS)
+    );
+    settings.gardenLayout = JSON.stringify({ name: 'Mine', harvest: 'mature', plot: [['bakeberry']] });
+    const choices = getOptionChoices(settings, 'gardenLayout');
+    expect(choices[choices.length - 1]).toEqual({
+      value: settings.gardenLayout,
+      label: 'Mine (imported)',
+    });
+  });
+});
+
+describe('parseOptionNumber', () => {
+  it('should convert to the stored unit', () => {
+    expect(parseOptionNumber(getOptionField('refreshInterval'), '0.5')).toBe(500);
+    expect(parseOptionNumber(getOptionField('maxBatch'), 10)).toBe(10);
+  });
+
+  it('should reject blanks, non-numbers, out-of-range and fractional counts', () => {
+    const maxBatch = getOptionField('maxBatch');
+    expect(parseOptionNumber(maxBatch, '')).toBeNull();
+    expect(parseOptionNumber(maxBatch, 'abc')).toBeNull();
+    expect(parseOptionNumber(maxBatch, '0')).toBeNull();
+    expect(parseOptionNumber(maxBatch, '101')).toBeNull();
+    expect(parseOptionNumber(maxBatch, '2.5')).toBeNull();
+    expect(parseOptionNumber(getOptionField('refreshInterval'), '0.1')).toBeNull();
+  });
+});
+
+describe('clampOptionNumber', () => {
+  it('should clamp to the range in the stored unit and round counts', () => {
+    expect(clampOptionNumber(getOptionField('refreshInterval'), 100000)).toBe(60000);
+    expect(clampOptionNumber(getOptionField('maxBatch'), 0)).toBe(1);
+    expect(clampOptionNumber(getOptionField('plannerDepth'), 2.4)).toBe(2);
+    expect(clampOptionNumber(getOptionField('ascendDoubleHours'), 1.25)).toBe(1.25);
+  });
+});
+
+describe('setOptionValue', () => {
+  it('should apply loop thresholds', () => {
+    const settings = createDefaultSettings();
+    expect(setOptionValue(settings, 'maxBatch', '25')).toBe(true);
+    expect(setOptionValue(settings, 'refreshInterval', '2')).toBe(true);
+    expect(settings.thresholds.maxBatch).toBe(25);
+    expect(settings.thresholds.refreshInterval).toBe(2000);
+  });
+
+  it('should keep the planner search small', () => {
+    const settings = createDefaultSettings();
+    expect(setOptionValue(settings, 'plannerDepth', '3')).toBe(true);
+    expect(setOptionValue(settings, 'plannerBreadth', '3')).toBe(true);
+    expect(setOptionValue(settings, 'plannerDepth', '7')).toBe(false);
+    expect(setOptionValue(settings, 'plannerBreadth', '1.5')).toBe(false);
+    expect(settings.thresholds).toMatchObject({ plannerDepth: 3, plannerBreadth: 3 });
+  });
+
+  it('should set the autoclicker rate within its cap', () => {
+    const settings = createDefaultSettings();
+    expect(setOptionValue(settings, 'clickRate', '15')).toBe(true);
+    expect(getOptionValue(settings, 'clickRate')).toBe(15);
+    expect(setOptionValue(settings, 'clickRate', String(MAX_CLICK_RATE + 1))).toBe(false);
+  });
+
+  it('should set the ascension autopilot triggers', () => {
+    const settings = createDefaultSettings();
+    expect(setOptionValue(settings, 'ascendGainPercent', '250')).toBe(true);
+    expect(setOptionValue(settings, 'ascendDoubleHours', '0')).toBe(true);
+    expect(setOptionValue(settings, 'ascendGainPercent', '0')).toBe(false);
+    expect(settings.thresholds).toMatchObject({ ascendGainPercent: 250, ascendDoubleHours: 0 });
+  });
+
+  it('should pick a garden layout by name or JSON', () => {
+    const settings = createDefaultSettings();
+    expect(setOptionValue(settings, 'gardenLayout', 'wheatMutations')).toBe(true);
+    expect(getOptionValue(settings, 'gardenLayout')).toBe('wheatMutations');
+    const json = JSON.stringify({ name: 'Mine', harvest: 'decay', plot: [[null]] });
+    expect(setOptionValue(settings, 'gardenLayout', json)).toBe(true);
+    expect(setOptionValue(settings, 'gardenLayout', 'nope')).toBe(false);
+    expect(setOptionValue(settings, 'gardenLayout', true)).toBe(false);
+    expect(settings.gardenLayout).toBe(json);
+  });
+
+  it('should leave settings alone for invalid values', () => {
+    const settings = createDefaultSettings();
+    expect(setOptionValue(settings, 'maxBatch', '-3')).toBe(false);
+    expect(setOptionValue(settings, 'popShinyWrinklers', 'yes')).toBe(false);
+    expect(setOptionValue(settings, 'profile', 'Gone')).toBe(false);
+    expect(settings).toEqual(createDefaultSettings());
+  });
+
+  it('should save profile edits to the Custom profile', () => {
+    const settings = createDefaultSettings();
+    expect(setOptionValue(settings, 'luckyBankPriceMultiplier', '3')).toBe(true);
+    expect(setOptionValue(settings, 'goldenSaveEndgame', '24')).toBe(true);
+    expect(settings.profile).toBe(CUSTOM_PROFILE_NAME);
+    const custom = resolveStrategyProfile(settings.profile, settings.customProfiles);
+    expect(custom.luckyBankPriceMultiplier).toBe(3);
+    expect(custom.goldenSaveHours).toEqual({ ...DEFAULT_STRATEGY_PROFILE.goldenSaveHours, endgame: 24 });
+  });
+
+  it('should set aura preferences, refusing the same aura in both slots', () => {
+    const settings = createDefaultSettings();
+    expect(setOptionValue(settings, 'dragonAura1', 'Reaper of Fields')).toBe(true);
+    expect(setOptionValue(settings, 'dragonAura2', 'Reaper of Fields')).toBe(false);
+    expect(setOptionValue(settings, 'dragonAura2', 'Bogus')).toBe(false);
+    expect(settings.dragonAuras).toEqual({ aura1: 'Reaper of Fields', aura2: null });
+    expect(setOptionValue(settings, 'dragonAura1', AUTO_AURA)).toBe(true);
+    expect(settings.dragonAuras.aura1).toBeNull();
+  });
+
+  it('should switch profiles and toggle checkboxes', () => {
+    const settings = createDefaultSettings();
+    expect(setOptionValue(settings, 'profile', 'Endgame')).toBe(true);
+    expect(setOptionValue(settings, 'applyPermanentSlots', true)).toBe(true);
+    expect(settings.profile).toBe('Endgame');
+    expect(settings.applyPermanentSlots).toBe(true);
+  });
+});
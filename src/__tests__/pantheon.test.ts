@@ -0,0 +1,222 @@
+/**
+ * Tests for the pantheon advisor and Godzamok sell combos
+ */
+
+import { describe, it, expect, mock } from 'bun:test';
+import {
+  GODZAMOK_SELL_BUILDINGS,
+  getGodName,
+  getRecommendedGods,
+  getSwapRechargeMs,
+  getSecondsToNextSwap,
+  decidePantheonSwap,
+  planGodzamokSell,
+} from '../core/pantheon';
+import type { GodzamokConfig } from '../core/pantheon';
+import {
+  getPantheon,
+  getPantheonState,
+  slotGod,
+  getGodzamokBuildings,
+  executeGodzamokSales,
+} from '../browser/pantheon';
+import { createBuildingMock } from './mocks/game';
+import type { PantheonMinigame, PantheonSpirit } from '../types';
+
+const HOUR = 60 * 60 * 1000;
+
+function createPantheonMock(slot: number[] = [-1, -1, -1], swaps = 3): PantheonMinigame {
+  const spirit = (id: number, name: string): PantheonSpirit => ({ id, name, slot: slot.indexOf(id) });
+  const gods = {
+    ruin: spirit(2, 'Godzamok, Spirit of Ruin'),
+    labor: spirit(6, 'Muridal, Spirit of Labor'),
+    mother: spirit(8, 'Mokalsium, Mother Spirit'),
+  };
+  const pantheon: PantheonMinigame = {
+    gods,
+    godsById: Object.values(gods),
+    slot,
+    swaps,
+    swapT: 0,
+    slotGod: mock((god: PantheonSpirit, index: number) => {
+      pantheon.slot[index] = god.id;
+      god.slot = index;
+    }),
+    useSwap: mock((n: number) => {
+      pantheon.swaps -= n;
+    }),
+  };
+  return pantheon;
+}
+
+function godzamokConfig(overrides: Partial<GodzamokConfig> = {}): GodzamokConfig {
+  return {
+    buildings: [{ name: 'Farm', amount: 100, price: 1e6 }],
+    godzamokSlot: 0,
+    clickIncome: 1e9,
+    clickBuffSeconds: 10,
+    spendable: 1e12,
+    sellMultiplier: 0.25,
+    highestTierBuildingCount: 50,
+    minBuildingCount: 2,
+    ...overrides,
+  };
+}
+
+describe('getGodName', () => {
+  it('should map game keys to spirit names', () => {
+    expect(getGodName('ruin')).toBe('Godzamok');
+    expect(getGodName('mother')).toBe('Mokalsium');
+    expect(getGodName('unknown')).toBeNull();
+    expect(getGodName(undefined)).toBeNull();
+  });
+});
+
+describe('getRecommendedGods', () => {
+  it('should recommend the Godzamok setup when clicking', () => {
+    expect(getRecommendedGods({ clicking: true, goldenCookies: true })).toEqual([
+      'Godzamok',
+      'Mokalsium',
+      'Muridal',
+    ]);
+  });
+
+  it('should avoid Holobore while golden cookies are clicked', () => {
+    expect(getRecommendedGods({ clicking: false, goldenCookies: true })).not.toContain('Holobore');
+  });
+
+  it('should use Holobore when fully idle', () => {
+    expect(getRecommendedGods({ clicking: false, goldenCookies: false })[0]).toBe('Holobore');
+  });
+});
+
+describe('worship swap recharge', () => {
+  it('should slow down as swaps run out', () => {
+    expect(getSwapRechargeMs(2)).toBe(HOUR);
+    expect(getSwapRechargeMs(1)).toBe(4 * HOUR);
+    expect(getSwapRechargeMs(0)).toBe(16 * HOUR);
+  });
+
+  it('should count down from the last swap', () => {
+    expect(getSecondsToNextSwap(2, 0, HOUR / 2)).toBe(1800);
+    expect(getSecondsToNextSwap(2, 0, 2 * HOUR)).toBe(0);
+    expect(getSecondsToNextSwap(3, 0, 0)).toBe(0);
+  });
+});
+
+describe('decidePantheonSwap', () => {
+  const recommended = ['Godzamok', 'Mokalsium', 'Muridal'] as const;
+
+  it('should fill the first mismatched slot', () => {
+    const decision = decidePantheonSwap(['Godzamok', null, 'Muridal'], recommended, 2, false);
+    expect(decision.god).toBe('Mokalsium');
+    expect(decision.slot).toBe(1);
+  });
+
+  it('should do nothing when already optimal', () => {
+    const decision = decidePantheonSwap([...recommended], recommended, 3, false);
+    expect(decision.god).toBeNull();
+    expect(decision.reason).toBe('Already optimal');
+  });
+
+  it('should hold during combos and without swaps', () => {
+    expect(decidePantheonSwap([null, null, null], recommended, 3, true).reason).toBe('Combo active');
+    expect(decidePantheonSwap([null, null, null], recommended, 0, false).reason).toBe('No swaps left');
+  });
+});
+
+describe('planGodzamokSell', () => {
+  it('should sell buildings when the click gain beats the rebuy loss', () => {
+    const plan = planGodzamokSell(godzamokConfig());
+    expect(plan.sales).toEqual([{ name: 'Farm', quantity: 100 }]);
+    expect(plan.gain).toBeGreaterThan(plan.cost);
+    expect(plan.reason).toBe('+100% click power');
+  });
+
+  it('should skip buildings that cost more to rebuy than they gain', () => {
+    const plan = planGodzamokSell(godzamokConfig({ clickIncome: 1 }));
+    expect(plan.sales).toEqual([]);
+    expect(plan.reason).toBe('Not worth the rebuy cost');
+  });
+
+  it('should require Godzamok and a click buff', () => {
+    expect(planGodzamokSell(godzamokConfig({ godzamokSlot: null })).sales).toEqual([]);
+    expect(planGodzamokSell(godzamokConfig({ clickBuffSeconds: 0 })).sales).toEqual([]);
+  });
+
+  it('should respect the top-tier building safeguard', () => {
+    const plan = planGodzamokSell(godzamokConfig({ highestTierBuildingCount: 1 }));
+    expect(plan.sales).toEqual([]);
+    expect(plan.reason).toBe('Need 2+ top buildings');
+  });
+
+  it('should keep the rebuy within spendable cookies', () => {
+    expect(planGodzamokSell(godzamokConfig({ spendable: 1000 })).sales).toEqual([]);
+  });
+});
+
+describe('getPantheon', () => {
+  it('should return null until the Temple minigame is loaded', () => {
+    expect(getPantheon({})).toBeNull();
+    expect(getPantheon({ Temple: createBuildingMock('Temple') })).toBeNull();
+  });
+
+  it('should return the loaded pantheon', () => {
+    const pantheon = createPantheonMock();
+    expect(getPantheon({ Temple: { ...createBuildingMock('Temple'), minigame: pantheon } })).toBe(pantheon);
+  });
+});
+
+describe('getPantheonState', () => {
+  it('should read slotted spirits and swaps', () => {
+    const state = getPantheonState(createPantheonMock([2, -1, 8], 2), HOUR / 2);
+    expect(state).toEqual({
+      slots: ['Godzamok', null, 'Mokalsium'],
+      swaps: 2,
+      secondsToNextSwap: 1800,
+    });
+  });
+
+  it('should return null without a pantheon', () => {
+    expect(getPantheonState(null)).toBeNull();
+  });
+});
+
+describe('slotGod', () => {
+  it('should spend a swap and slot the spirit', () => {
+    const pantheon = createPantheonMock();
+    expect(slotGod(pantheon, 'Godzamok', 0)).toBe(true);
+    expect(pantheon.useSwap).toHaveBeenCalledWith(1);
+    expect(pantheon.slot[0]).toBe(2);
+  });
+
+  it('should not slot without swaps or into the same slot', () => {
+    expect(slotGod(createPantheonMock([-1, -1, -1], 0), 'Godzamok', 0)).toBe(false);
+    expect(slotGod(createPantheonMock([2, -1, -1]), 'Godzamok', 0)).toBe(false);
+  });
+});
+
+describe('Godzamok sales', () => {
+  it('should read the sellable buildings', () => {
+    const objects = { Farm: createBuildingMock('Farm', 30, false, 1100) };
+    expect(getGodzamokBuildings(objects, GODZAMOK_SELL_BUILDINGS)).toEqual([
+      { name: 'Farm', amount: 30, price: 1100 },
+    ]);
+  });
+
+  it('should sell then rebuy each building', () => {
+    const farm = createBuildingMock('Farm', 30);
+    let cookies = 1000;
+    farm.sell = mock(() => {
+      cookies += 100;
+    });
+    farm.buy = mock(() => {
+      cookies -= 400;
+    });
+
+    const spent = executeGodzamokSales({ Farm: farm }, [{ name: 'Farm', quantity: 30 }], () => cookies);
+    expect(farm.sell).toHaveBeenCalledWith(30);
+    expect(farm.buy).toHaveBeenCalledWith(30);
+    expect(spent).toBe(300);
+  });
+});
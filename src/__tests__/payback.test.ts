@@ -0,0 +1,222 @@
+/**
+ * Tests for the native payback period engine
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  calculatePaybackPeriod,
+  simulateBuildingDeltaCps,
+  simulateUpgradeDeltaCps,
+  type CpsSimulator,
+} from '../core/payback';
+import {
+  collectNativeCandidates,
+  getCMPaybackLookup,
+  attachCMCrossCheck,
+} from '../browser/payback';
+import { createBuildingMock, createUpgradeMock } from './mocks/game';
+import type { Building, Candidate, Upgrade } from '../types';
+
+/**
+ * Minimal CpS engine: each building gives `cpsPerBuilding`, each bought upgrade
+ * doubles the CpS of its target building
+ */
+function createFakeEngine(
+  buildings: Record<string, Building>,
+  cpsPerBuilding: Record<string, number>,
+  upgradeTargets: Record<string, { upgrade: Upgrade; building: string }> = {}
+) {
+  let cps = 0;
+  const recalculate = () => {
+    cps = 0;
+    for (const name in buildings) {
+      let mult = 1;
+      for (const key in upgradeTargets) {
+        const target = upgradeTargets[key]!;
+        if (target.building === name && target.upgrade.bought) mult *= 2;
+      }
+      cps += (buildings[name]?.amount ?? 0) * (cpsPerBuilding[name] ?? 0) * mult;
+    }
+  };
+  recalculate();
+  const sim: CpsSimulator = { recalculate, readCps: () => cps };
+  return { sim, getCps: () => cps };
+}
+
+describe('calculatePaybackPeriod', () => {
+  it('should return price / deltaCps when affordable', () => {
+    expect(calculatePaybackPeriod(1000, 10, 5000, 100)).toBe(100);
+  });
+
+  it('should add time to afford when not affordable', () => {
+    // 500 missing at 100 CpS = 5s, plus 1000/10 = 100s
+    expect(calculatePaybackPeriod(1000, 10, 500, 100)).toBe(105);
+  });
+
+  it('should return Infinity for zero or negative delta', () => {
+    expect(calculatePaybackPeriod(1000, 0, 0, 100)).toBe(Infinity);
+    expect(calculatePaybackPeriod(1000, -5, 0, 100)).toBe(Infinity);
+  });
+
+  it('should ignore time to afford when CpS is zero (fresh save)', () => {
+    expect(calculatePaybackPeriod(15, 0.1, 0, 0)).toBe(150);
+  });
+});
+
+describe('simulateBuildingDeltaCps', () => {
+  it('should measure delta and restore amount', () => {
+    const buildings = { Cursor: createBuildingMock('Cursor', 10) };
+    const { sim, getCps } = createFakeEngine(buildings, { Cursor: 1 });
+    const baseline = getCps();
+
+    const delta = simulateBuildingDeltaCps(sim, baseline, buildings.Cursor, 10);
+
+    expect(delta).toBe(10);
+    expect(buildings.Cursor.amount).toBe(10);
+  });
+
+  it('should restore amount even if recalculation throws', () => {
+    const building = createBuildingMock('Cursor', 3);
+    const sim: CpsSimulator = {
+      recalculate: () => {
+        throw new Error('boom');
+      },
+      readCps: () => 0,
+    };
+
+    expect(() => simulateBuildingDeltaCps(sim, 0, building, 5)).toThrow('boom');
+    expect(building.amount).toBe(3);
+  });
+});
+
+describe('simulateUpgradeDeltaCps', () => {
+  it('should measure delta and restore bought flag', () => {
+    const buildings = { Grandma: createBuildingMock('Grandma', 5) };
+    const upgrade = createUpgradeMock('Forwards from grandma');
+    const { sim, getCps } = createFakeEngine(buildings, { Grandma: 2 }, {
+      fwd: { upgrade, building: 'Grandma' },
+    });
+
+    const delta = simulateUpgradeDeltaCps(sim, getCps(), upgrade);
+
+    expect(delta).toBe(10);
+    expect(upgrade.bought).toBe(false);
+  });
+
+  it('should return 0 for already bought upgrades', () => {
+    const upgrade = createUpgradeMock('Owned', 100, true);
+    const { sim } = createFakeEngine({}, {});
+    expect(simulateUpgradeDeltaCps(sim, 0, upgrade)).toBe(0);
+  });
+});
+
+describe('collectNativeCandidates', () => {
+  it('should collect building bundles and store upgrades with PP', () => {
+    const buildings = {
+      Cursor: createBuildingMock('Cursor', 10, false, 15),
+      Grandma: createBuildingMock('Grandma', 5, false, 100),
+    };
+    const upgrade = createUpgradeMock('Forwards from grandma', 1000);
+    const engine = createFakeEngine(buildings, { Cursor: 0.1, Grandma: 1 }, {
+      fwd: { upgrade, building: 'Grandma' },
+    });
+
+    const candidates = collectNativeCandidates({
+      cookies: 1e9,
+      Objects: buildings,
+      UpgradesInStore: [upgrade],
+      CalculateGains: engine.sim.recalculate,
+      readCps: engine.sim.readCps,
+    });
+
+    const names = candidates.map((c) => c.name);
+    expect(names).toContain('Cursor');
+    expect(names).toContain('Cursor x10');
+    expect(names).toContain('Grandma x100');
+    expect(names).toContain('Forwards from grandma');
+
+    const fwd = candidates.find((c) => c.name === 'Forwards from grandma');
+    expect(fwd?.deltaCps).toBe(5);
+    expect(fwd?.pp).toBe(1000 / 5);
+
+    // Game CpS restored after simulation
+    expect(engine.getCps()).toBeCloseTo(6, 6);
+  });
+
+  it('should add the exact bundle to the next breakpoint', () => {
+    const grandma = {
+      ...createBuildingMock('Grandma', 18, false, 100),
+      tieredUpgrades: { 3: createUpgradeMock('Steel-plated rolling pins', 55000) },
+    };
+    grandma.tieredUpgrades[3].unlocked = false;
+    const buildings = { Grandma: grandma };
+    const engine = createFakeEngine(buildings, { Grandma: 1 });
+
+    const candidates = collectNativeCandidates({
+      cookies: 1e9,
+      Objects: buildings,
+      UpgradesInStore: [],
+      CalculateGains: engine.sim.recalculate,
+      readCps: engine.sim.readCps,
+    });
+
+    const bundle = candidates.find((c) => c.quantity === 7);
+    expect(bundle).toMatchObject({
+      name: 'Grandma x7',
+      building: 'Grandma',
+      breakpoint: 'Steel-plated rolling pins',
+      deltaCps: 7,
+    });
+    // Scored with the upgrade: both prices over the bundle plus all 25 grandmas doubled
+    expect(bundle?.pp).toBeCloseTo((grandma.getSumPrice(7) + 55000) / (7 + 25));
+    // The planner gets the same unlock value
+    expect(bundle).toMatchObject({ bonusCps: 25, bonusPrice: 55000 });
+    expect(candidates.filter((c) => c.building === 'Grandma')).toHaveLength(4);
+  });
+
+  it('should skip locked buildings and excluded upgrades', () => {
+    const buildings = { Farm: createBuildingMock('Farm', 0, true) };
+    const engine = createFakeEngine(buildings, { Farm: 8 });
+
+    const candidates = collectNativeCandidates({
+      cookies: 0,
+      Objects: buildings,
+      UpgradesInStore: [createUpgradeMock('Elder Pledge'), createUpgradeMock('Elder Pact')],
+      CalculateGains: engine.sim.recalculate,
+      readCps: engine.sim.readCps,
+    });
+
+    expect(candidates).toHaveLength(0);
+  });
+});
+
+describe('Cookie Monster cross-check', () => {
+  it('should key CM data like native candidates', () => {
+    const lookup = getCMPaybackLookup({
+      Objects1: { Cursor: { pp: 10 } },
+      Objects10: { Cursor: { pp: 12 } },
+      Objects100: {},
+      Upgrades: { 'Lucky day': { pp: 50 } },
+    });
+
+    expect(lookup.get('Cursor')).toBe(10);
+    expect(lookup.get('Cursor x10')).toBe(12);
+    expect(lookup.get('Lucky day')).toBe(50);
+  });
+
+  it('should tolerate missing or malformed CM data', () => {
+    expect(getCMPaybackLookup(undefined).size).toBe(0);
+    expect(getCMPaybackLookup({ Objects1: { Cursor: { pp: NaN } } }).size).toBe(0);
+  });
+
+  it('should attach CM PP to matching candidates', () => {
+    const candidates: Candidate[] = [
+      { name: 'Cursor', type: 'Building', pp: 9, price: 15, affordable: false },
+      { name: 'Grandma', type: 'Building', pp: 20, price: 100, affordable: false },
+    ];
+    attachCMCrossCheck(candidates, new Map([['Cursor', 10]]));
+
+    expect(candidates[0]?.cmPp).toBe(10);
+    expect(candidates[1]?.cmPp).toBeUndefined();
+  });
+});
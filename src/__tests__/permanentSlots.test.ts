@@ -0,0 +1,119 @@
+/**
+ * Tests for permanent upgrade slot ranking and assignment
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  getPermanentSlotKind,
+  isPermanentSlotEligible,
+  rankPermanentSlotCandidates,
+  planPermanentSlots,
+} from '../core/permanentSlots';
+import { getPermanentSlotPlan, applyPermanentSlotChanges } from '../browser/permanentSlots';
+import type { PermanentSlotGameContext } from '../browser/permanentSlots';
+import { createUpgradeMock } from './mocks/game';
+import type { PermanentSlotCandidate, Upgrade } from '../types';
+
+function owned(id: number, name: string, price: number, extra: Partial<Upgrade> = {}): Upgrade {
+  return { ...createUpgradeMock(name, price, true), id, pool: '', ...extra };
+}
+
+function candidate(name: string, score: number, id = score): PermanentSlotCandidate {
+  return { name, id, kind: 'other', price: score, score };
+}
+
+function slotGame(overrides: Partial<PermanentSlotGameContext> = {}): PermanentSlotGameContext {
+  return {
+    permanentUpgrades: [-1, -1, -1, -1, -1],
+    Upgrades: {
+      'Kitten helpers': owned(31, 'Kitten helpers', 9e6),
+      'Million fingers': owned(3, 'Million fingers', 1e7),
+      'Forwards from grandma': owned(7, 'Forwards from grandma', 1e3, { buildingTie: { name: 'Grandma' } }),
+    },
+    Has: (name) => name === 'Permanent upgrade slot I' || name === 'Permanent upgrade slot II',
+    ...overrides,
+  };
+}
+
+describe('getPermanentSlotKind', () => {
+  it('should classify kittens, fingers, cookies and tiered upgrades', () => {
+    expect(getPermanentSlotKind({ name: 'Kitten workers' })).toBe('kitten');
+    expect(getPermanentSlotKind({ name: 'Octillion fingers' })).toBe('fingers');
+    expect(getPermanentSlotKind({ name: 'Plain cookies', pool: 'cookie' })).toBe('cookie');
+    expect(getPermanentSlotKind({ name: 'Steel-plated rolling pins', buildingTie: { name: 'Grandma' } })).toBe(
+      'tiered'
+    );
+    expect(getPermanentSlotKind({ name: 'Lucky day', buildingTie: 0 })).toBe('other');
+  });
+});
+
+describe('isPermanentSlotEligible', () => {
+  it('should allow owned regular and cookie upgrades only', () => {
+    expect(isPermanentSlotEligible({ bought: true, pool: '' })).toBe(true);
+    expect(isPermanentSlotEligible({ bought: true, pool: 'cookie' })).toBe(true);
+    expect(isPermanentSlotEligible({ bought: false, pool: '' })).toBe(false);
+    expect(isPermanentSlotEligible({ bought: true, pool: 'prestige' })).toBe(false);
+    expect(isPermanentSlotEligible({ bought: true, pool: 'toggle' })).toBe(false);
+    expect(isPermanentSlotEligible({ bought: true, noPerm: 1 })).toBe(false);
+  });
+});
+
+describe('rankPermanentSlotCandidates', () => {
+  it('should weigh price by kind', () => {
+    const ranked = rankPermanentSlotCandidates(Object.values(slotGame().Upgrades));
+    expect(ranked.map((c) => c.name)).toEqual([
+      'Kitten helpers',
+      'Million fingers',
+      'Forwards from grandma',
+    ]);
+    expect(ranked[0]!.score).toBe(2.7e7);
+  });
+});
+
+describe('planPermanentSlots', () => {
+  const ranked = [candidate('A', 30), candidate('B', 20), candidate('C', 10)];
+
+  it('should fill empty slots with the best upgrades', () => {
+    expect(planPermanentSlots([null, null], ranked)).toEqual({
+      slots: ['A', 'B'],
+      changes: [
+        { slot: 0, current: null, suggested: 'A', id: 30 },
+        { slot: 1, current: null, suggested: 'B', id: 20 },
+      ],
+    });
+  });
+
+  it('should keep slots that already hold a top upgrade', () => {
+    const plan = planPermanentSlots(['C', 'A'], ranked);
+    expect(plan.slots).toEqual(['B', 'A']);
+    expect(plan.changes).toEqual([{ slot: 0, current: 'C', suggested: 'B', id: 20 }]);
+  });
+
+  it('should leave slots alone when there are too few candidates', () => {
+    const plan = planPermanentSlots(['C', null, null], [candidate('A', 30)]);
+    expect(plan.slots).toEqual(['A', null, null]);
+    expect(plan.changes).toHaveLength(1);
+  });
+});
+
+describe('getPermanentSlotPlan', () => {
+  it('should return null without slots', () => {
+    expect(getPermanentSlotPlan(slotGame({ Has: () => false }))).toBeNull();
+  });
+
+  it('should plan the unlocked slots from owned upgrades', () => {
+    const plan = getPermanentSlotPlan(slotGame({ permanentUpgrades: [3, -1, -1, -1, -1] }));
+    expect(plan?.slots).toEqual(['Million fingers', 'Kitten helpers']);
+    expect(plan?.changes).toEqual([{ slot: 1, current: null, suggested: 'Kitten helpers', id: 31 }]);
+  });
+});
+
+describe('applyPermanentSlotChanges', () => {
+  it('should write upgrade ids into the slots', () => {
+    const game = slotGame();
+    const plan = getPermanentSlotPlan(game)!;
+    expect(applyPermanentSlotChanges(game, plan.changes)).toBe(2);
+    expect(game.permanentUpgrades).toEqual([31, 3, -1, -1, -1]);
+    expect(getPermanentSlotPlan(game)?.changes).toEqual([]);
+  });
+});
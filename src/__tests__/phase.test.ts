@@ -32,6 +32,12 @@ describe('calculatePhaseProgress', () => {
     const progress = calculatePhaseProgress(1_000_000_000);
     expect(progress).toBe(1.0);
   });
+
+  it("should use the profile's phase thresholds", () => {
+    const thresholds = { earlyToMid: 10_000_000, midToLate: 1_000_000_000, lateToEndgame: 10_000_000_000 };
+    expect(calculatePhaseProgress(10_000_000, thresholds)).toBeCloseTo(0.33, 2);
+    expect(calculatePhaseProgress(1_000_000_000, thresholds)).toBeCloseTo(0.66, 2);
+  });
 });
 
 describe('getMaxGoldenSaveHours', () => {
@@ -47,6 +53,13 @@ describe('getMaxGoldenSaveHours', () => {
   it('should return 12 hours at endgame', () => {
     expect(getMaxGoldenSaveHours(1.0)).toBe(12);
   });
+
+  it("should follow the profile's curve", () => {
+    const curve = { early: 1, mid: 8, endgame: 24 };
+    expect(getMaxGoldenSaveHours(0.1, curve)).toBe(1);
+    expect(getMaxGoldenSaveHours(0.66, curve)).toBe(8);
+    expect(getMaxGoldenSaveHours(1.0, curve)).toBe(24);
+  });
 });
 
 describe('evaluateGoldenUpgradePriority', () => {
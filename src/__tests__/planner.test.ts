@@ -0,0 +1,233 @@
+/**
+ * Tests for the purchase lookahead planner
+ */
+
+import { describe, it, expect } from 'bun:test';
+import { planPurchases, prioritizePlannedCandidates } from '../core/planner';
+import { planNextPurchases } from '../browser/planner';
+import { createBuildingMock, createUpgradeMock } from './mocks/game';
+import type { Candidate, PlanOption } from '../types';
+
+/**
+ * Three one-off upgrades: C is best on its own, but A becomes huge after B
+ */
+function synergyExpand(path: readonly PlanOption[]): PlanOption[] {
+  const bought = new Set(path.map((p) => p.name));
+  const options: PlanOption[] = [
+    { name: 'A', type: 'Upgrade', price: 100, deltaCps: bought.has('B') ? 20 : 1 },
+    { name: 'B', type: 'Upgrade', price: 100, deltaCps: 2 },
+    { name: 'C', type: 'Upgrade', price: 100, deltaCps: 3 },
+  ];
+  return options.filter((o) => !bought.has(o.name));
+}
+
+describe('planPurchases', () => {
+  it('should follow greedy PP order with breadth 1', () => {
+    const plan = planPurchases({ cookies: 0, cps: 10, expand: synergyExpand, depth: 3, breadth: 1 });
+    expect(plan.steps.map((s) => s.name)).toEqual(['C', 'B', 'A']);
+  });
+
+  it('should find a synergy sequence that beats greedy', () => {
+    const plan = planPurchases({ cookies: 0, cps: 10, expand: synergyExpand, depth: 3, breadth: 2 });
+
+    expect(plan.steps[0]?.name).toBe('B');
+    expect(plan.steps.map((s) => s.name)).toEqual(['B', 'A', 'C']);
+    expect(plan.targetCps).toBe(35);
+    // B (10s) + A (100/12s) + C (100/32s)
+    expect(plan.timeToTarget).toBeCloseTo(10 + 100 / 12 + 100 / 32, 6);
+  });
+
+  it('should return an empty plan when nothing is worth buying', () => {
+    const plan = planPurchases({ cookies: 0, cps: 10, expand: () => [] });
+    expect(plan.steps).toEqual([]);
+    expect(plan.timeToTarget).toBe(Infinity);
+  });
+
+  it('should pad the queue greedily to the requested depth', () => {
+    const expand = (): PlanOption[] => [{ name: 'Cursor', type: 'Building', price: 10, deltaCps: 1 }];
+    const plan = planPurchases({ cookies: 0, cps: 1, expand, depth: 4 });
+    expect(plan.steps).toHaveLength(4);
+  });
+
+  it('should fall back to greedy when there is no CpS yet', () => {
+    const plan = planPurchases({ cookies: 0, cps: 0, expand: synergyExpand, depth: 2 });
+    expect(plan.steps[0]?.name).toBe('C');
+  });
+});
+
+describe('prioritizePlannedCandidates', () => {
+  const candidates: Candidate[] = [
+    { name: 'C', type: 'Upgrade', pp: 1, price: 100, affordable: false },
+    { name: 'A', type: 'Upgrade', pp: 2, price: 100, affordable: false },
+    { name: 'B', type: 'Upgrade', pp: 3, price: 100, affordable: false },
+  ];
+
+  it('should move planned steps to the front in plan order', () => {
+    const steps: PlanOption[] = [
+      { name: 'B', type: 'Upgrade', price: 100, deltaCps: 2 },
+      { name: 'A', type: 'Upgrade', price: 100, deltaCps: 20 },
+    ];
+    const ordered = prioritizePlannedCandidates(candidates, { steps, targetCps: 0, timeToTarget: 0 });
+    expect(ordered.map((c) => c.name)).toEqual(['B', 'A', 'C']);
+  });
+
+  it('should keep PP order when the plan is empty', () => {
+    const ordered = prioritizePlannedCandidates(candidates, { steps: [], targetCps: 0, timeToTarget: Infinity });
+    expect(ordered.map((c) => c.name)).toEqual(['C', 'A', 'B']);
+  });
+});
+
+describe('planNextPurchases', () => {
+  it('should measure steps against the game engine and restore state', () => {
+    const grandma = createBuildingMock('Grandma', 10, false, 100);
+    const upgrade = createUpgradeMock('Forwards from grandma', 500);
+    let cps = 0;
+    const recalculate = () => {
+      cps = grandma.amount * (upgrade.bought ? 2 : 1);
+    };
+    recalculate();
+
+    const candidates: Candidate[] = [
+      { name: 'Grandma', type: 'Building', pp: 10, price: 100, affordable: false },
+      { name: 'Forwards from grandma', type: 'Upgrade', pp: 60, price: 500, affordable: false },
+    ];
+
+    const plan = planNextPurchases(candidates, {
+      cookies: 0,
+      Objects: { Grandma: grandma },
+      Upgrades: { 'Forwards from grandma': upgrade },
+      UpgradesInStore: [upgrade],
+      CalculateGains: recalculate,
+      readCps: () => cps,
+    });
+
+    expect(plan.steps.length).toBeGreaterThan(0);
+    expect(grandma.amount).toBe(10);
+    expect(upgrade.bought).toBe(false);
+    expect(cps).toBe(10);
+  });
+
+  it('should measure each set of purchases once per plan', () => {
+    const a = createUpgradeMock('A', 100);
+    const b = createUpgradeMock('B', 100);
+    let cps = 0;
+    let calls = 0;
+    const recalculate = () => {
+      calls++;
+      cps = 10 + (a.bought ? 1 : 0) + (b.bought ? 2 : 0);
+    };
+    recalculate();
+    calls = 0;
+
+    const candidates: Candidate[] = [
+      { name: 'B', type: 'Upgrade', pp: 1, price: 100, affordable: false },
+      { name: 'A', type: 'Upgrade', pp: 2, price: 100, affordable: false },
+    ];
+    planNextPurchases(candidates, {
+      cookies: 0,
+      Objects: {},
+      Upgrades: { A: a, B: b },
+      UpgradesInStore: [a, b],
+      CalculateGains: recalculate,
+      readCps: () => cps,
+    }, { depth: 2, breadth: 2 });
+
+    // Nothing bought (1 + 2), B bought (1 + 1), A bought (1 + 1), then the final restore
+    expect(calls).toBe(8);
+  });
+
+  it('should keep a synthetic top candidate first after planning', () => {
+    const grandma = createBuildingMock('Grandma', 10, false, 100);
+    const biscuit = createUpgradeMock('Ghostly biscuit', 100);
+    let cps = 0;
+    // The biscuit adds no CpS the engine can see; its value is the season's drops
+    const recalculate = () => {
+      cps = grandma.amount;
+    };
+    recalculate();
+
+    const candidates: Candidate[] = [
+      {
+        name: 'Ghostly biscuit',
+        type: 'Upgrade',
+        pp: 5,
+        price: 100,
+        deltaCps: 50,
+        bonusCps: 50,
+        affordable: false,
+      },
+      { name: 'Grandma', type: 'Building', pp: 10, price: 100, deltaCps: 1, affordable: false },
+    ];
+
+    const plan = planNextPurchases(candidates, {
+      cookies: 0,
+      Objects: { Grandma: grandma },
+      Upgrades: { 'Ghostly biscuit': biscuit },
+      UpgradesInStore: [biscuit],
+      CalculateGains: recalculate,
+      readCps: () => cps,
+    }, { depth: 3, breadth: 2 });
+
+    expect(plan.steps[0]?.name).toBe('Ghostly biscuit');
+    expect(plan.steps[0]?.deltaCps).toBe(50);
+    expect(prioritizePlannedCandidates(candidates, plan)[0]?.name).toBe('Ghostly biscuit');
+  });
+
+  it('should count a milestone bundle\'s milk only before its building is bought', () => {
+    const farm = createBuildingMock('Farm', 0, false, 100);
+    let cps = 0;
+    const recalculate = () => {
+      cps = 1 + farm.amount;
+    };
+    recalculate();
+
+    const candidates: Candidate[] = [
+      { name: 'Farm', type: 'Building', pp: 5, price: 100, deltaCps: 21, bonusCps: 20, affordable: false },
+    ];
+
+    const plan = planNextPurchases(candidates, {
+      cookies: 0,
+      Objects: { Farm: farm },
+      Upgrades: {},
+      UpgradesInStore: [],
+      CalculateGains: recalculate,
+      readCps: () => cps,
+    }, { depth: 2, breadth: 1 });
+
+    expect(plan.steps.map((s) => s.deltaCps)).toEqual([21, 1]);
+    expect(farm.amount).toBe(0);
+  });
+
+  it('should plan a breakpoint bundle with the upgrade it unlocks', () => {
+    const farm = createBuildingMock('Farm', 0, false, 100);
+    let cps = 0;
+    const recalculate = () => {
+      cps = 1 + farm.amount;
+    };
+    recalculate();
+
+    const candidates: Candidate[] = [
+      {
+        name: 'Farm',
+        type: 'Building',
+        pp: 5,
+        price: 100,
+        deltaCps: 1,
+        bonusCps: 1,
+        bonusPrice: 500,
+        affordable: false,
+      },
+    ];
+
+    const plan = planNextPurchases(candidates, {
+      cookies: 0,
+      Objects: { Farm: farm },
+      Upgrades: {},
+      UpgradesInStore: [],
+      CalculateGains: recalculate,
+      readCps: () => cps,
+    }, { depth: 1, breadth: 1 });
+
+    expect(plan.steps[0]).toMatchObject({ price: 600, deltaCps: 2 });
+  });
+});
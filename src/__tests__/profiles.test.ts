@@ -0,0 +1,131 @@
+/**
+ * Tests for strategy profiles
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  DEFAULT_STRATEGY_PROFILE,
+  STRATEGY_PROFILES,
+  parseStrategyProfile,
+  importStrategyProfile,
+  exportStrategyProfile,
+  resolveStrategyProfile,
+  getNextProfileName,
+  addCustomProfile,
+  updateActiveProfile,
+  CUSTOM_PROFILE_NAME,
+} from '../core/profiles';
+import { LUCKY_BANK_PRICE_MULTIPLIER, PHASE_THRESHOLDS, WRINKLER_RESPAWN_TIME } from '../core/constants';
+import { AURA_SWITCH_COOLDOWN } from '../core/dragon';
+import type { StrategyProfile } from '../types';
+
+describe('built-in profiles', () => {
+  it('should keep the long-standing constants in the default profile', () => {
+    expect(DEFAULT_STRATEGY_PROFILE).toMatchObject({
+      name: 'Idle',
+      luckyBankPriceMultiplier: LUCKY_BANK_PRICE_MULTIPLIER,
+      auraSwitchCooldown: AURA_SWITCH_COOLDOWN,
+      wrinklerRespawnTime: WRINKLER_RESPAWN_TIME,
+      goldenSaveHours: { early: 0.5, mid: 4, endgame: 12 },
+    });
+    expect(DEFAULT_STRATEGY_PROFILE.phaseThresholds.earlyToMid).toBe(PHASE_THRESHOLDS.EARLY_TO_MID);
+  });
+
+  it('should offer the four named strategies', () => {
+    expect(STRATEGY_PROFILES.map((p) => p.name)).toEqual(['Idle', 'Active combo', 'Early rush', 'Endgame']);
+  });
+});
+
+describe('parseStrategyProfile', () => {
+  it('should fill missing parameters from the default profile', () => {
+    const profile = parseStrategyProfile({
+      name: ' Mine ',
+      auraSwitchCooldown: 0,
+      goldenSaveHours: { mid: 6 },
+    });
+    expect(profile).toEqual({
+      ...DEFAULT_STRATEGY_PROFILE,
+      name: 'Mine',
+      auraSwitchCooldown: 0,
+      goldenSaveHours: { ...DEFAULT_STRATEGY_PROFILE.goldenSaveHours, mid: 6 },
+    });
+  });
+
+  it('should reject invalid parameters and missing or built-in names', () => {
+    expect(parseStrategyProfile({ name: 'Mine', luckyBankPriceMultiplier: -1 })).toBeNull();
+    expect(parseStrategyProfile({ name: 'Mine', phaseThresholds: 'fast' })).toBeNull();
+    expect(parseStrategyProfile({ luckyBankPriceMultiplier: 2 })).toBeNull();
+    expect(parseStrategyProfile({ name: '  ' })).toBeNull();
+    expect(parseStrategyProfile({ name: 'Endgame' })).toBeNull();
+  });
+
+  it('should reject phase thresholds out of order', () => {
+    const phaseThresholds = { earlyToMid: 1e9, midToLate: 1e8, lateToEndgame: 1e10 };
+    expect(parseStrategyProfile({ name: 'Mine', phaseThresholds })).toBeNull();
+  });
+});
+
+describe('importStrategyProfile / exportStrategyProfile', () => {
+  it('should round-trip a profile', () => {
+    const profile = { ...DEFAULT_STRATEGY_PROFILE, name: 'Mine', luckyBankPriceMultiplier: 4 };
+    expect(importStrategyProfile(exportStrategyProfile(profile))).toEqual(profile);
+  });
+
+  it('should reject corrupt JSON', () => {
+    expect(importStrategyProfile('{nope')).toBeNull();
+  });
+
+  it('should export a built-in profile as a copy that imports back', () => {
+    const endgame = resolveStrategyProfile('Endgame', []);
+    const imported = importStrategyProfile(exportStrategyProfile(endgame));
+    expect(imported).toEqual({ ...endgame, name: 'Endgame copy' });
+  });
+
+  it('should import a profile named after a built-in one as a copy', () => {
+    const json = JSON.stringify({ ...DEFAULT_STRATEGY_PROFILE, luckyBankPriceMultiplier: 2 });
+    expect(importStrategyProfile(json)?.name).toBe(`${DEFAULT_STRATEGY_PROFILE.name} copy`);
+  });
+});
+
+describe('profile lookup', () => {
+  const custom = [{ ...DEFAULT_STRATEGY_PROFILE, name: 'Mine' }];
+
+  it('should resolve built-in and custom profiles, falling back to the default', () => {
+    expect(resolveStrategyProfile('Endgame', custom).name).toBe('Endgame');
+    expect(resolveStrategyProfile('Mine', custom)).toBe(custom[0]!);
+    expect(resolveStrategyProfile('Gone', custom)).toBe(DEFAULT_STRATEGY_PROFILE);
+  });
+
+  it('should cycle through built-in then custom profiles', () => {
+    expect(getNextProfileName('Idle', custom)).toBe('Active combo');
+    expect(getNextProfileName('Endgame', custom)).toBe('Mine');
+    expect(getNextProfileName('Mine', custom)).toBe('Idle');
+    expect(getNextProfileName('Gone', [])).toBe('Idle');
+  });
+
+  it('should replace a custom profile of the same name', () => {
+    const updated = { ...custom[0]!, auraSwitchCooldown: 0 };
+    expect(addCustomProfile(custom, updated)).toEqual([updated]);
+    expect(addCustomProfile([], updated)).toEqual([updated]);
+  });
+});
+
+describe('updateActiveProfile', () => {
+  it('should save edits to a built-in profile as the Custom profile', () => {
+    const settings = { profile: 'Endgame', customProfiles: [] as StrategyProfile[] };
+    updateActiveProfile(settings, { auraSwitchCooldown: 5000 });
+    expect(settings.profile).toBe(CUSTOM_PROFILE_NAME);
+    expect(settings.customProfiles).toEqual([
+      { ...resolveStrategyProfile('Endgame', []), name: CUSTOM_PROFILE_NAME, auraSwitchCooldown: 5000 },
+    ]);
+    expect(resolveStrategyProfile('Endgame', []).auraSwitchCooldown).toBe(AURA_SWITCH_COOLDOWN);
+  });
+
+  it('should edit a custom profile in place', () => {
+    const mine = { ...DEFAULT_STRATEGY_PROFILE, name: 'Mine' };
+    const settings = { profile: 'Mine', customProfiles: [mine] };
+    updateActiveProfile(settings, { luckyBankPriceMultiplier: 2 });
+    expect(settings.profile).toBe('Mine');
+    expect(settings.customProfiles).toEqual([{ ...mine, luckyBankPriceMultiplier: 2 }]);
+  });
+});
@@ -4,13 +4,12 @@
 
 import { describe, it, expect, beforeEach } from 'bun:test';
 import { executePurchaseItem } from '../browser/game';
-import { collectUpgradeCandidates, findGoldenUpgradesInStore } from '../browser/purchases';
+import { findGoldenUpgradesInStore } from '../browser/purchases';
 import {
   createBuildingMock,
   createUpgradeMock,
 } from './mocks/game';
 import type { Building, Upgrade } from '../types/game';
-import type { CMUpgradeData } from '../types/cookieMonster';
 
 describe('executePurchaseItem', () => {
   let gameObjects: Record<string, Building>;
@@ -195,6 +194,14 @@ describe('findGoldenUpgradesInStore', () => {
     expect(result.length).toBe(0);
   });
 
+  it('should leave out blocked upgrades', () => {
+    const upgradesInStore = [createUpgradeMock('Lucky day', 777777777), createUpgradeMock('Get lucky', 7e9)];
+
+    const result = findGoldenUpgradesInStore(upgradesInStore, 1e15, 1e12, 0.9, undefined, ['Lucky day']);
+
+    expect(result.map((u) => u.name)).toEqual(['Get lucky']);
+  });
+
   it('should mark affordable upgrades correctly', () => {
     const upgradesInStore = [createUpgradeMock('Lucky day', 1000)];
 
@@ -248,114 +255,3 @@ describe('findGoldenUpgradesInStore', () => {
     expect(result[0]?.hoursToAfford).toBeGreaterThan(0);
   });
 });
-
-describe('collectUpgradeCandidates', () => {
-  let gameUpgrades: Record<string, Upgrade>;
-  let cmUpgrades: Record<string, CMUpgradeData>;
-
-  beforeEach(() => {
-    gameUpgrades = {
-      'Reinforced index finger': createUpgradeMock('Reinforced index finger', 100),
-      'One mind': createUpgradeMock('One mind', 1600000000),
-      'Communal brainsweep': createUpgradeMock('Communal brainsweep', 16000000000),
-      'Arcane sugar': createUpgradeMock('Arcane sugar', 160000000000),
-      'Elder Pact': createUpgradeMock('Elder Pact', 1600000000000),
-      'Elder Pledge': createUpgradeMock('Elder Pledge', 1000000),
-      'Lucky day': createUpgradeMock('Lucky day', 777777777),
-    };
-
-    cmUpgrades = {
-      'Reinforced index finger': { pp: 50 },
-      'One mind': { pp: 100 },
-      'Communal brainsweep': { pp: 150 },
-      'Arcane sugar': { pp: 200 },
-      'Elder Pact': { pp: 250 },
-      'Elder Pledge': { pp: 30 },
-      'Lucky day': { pp: 500 },
-    };
-  });
-
-  it('should include One mind (Stage 1) but exclude Stage 2+ grandmapocalypse upgrades', () => {
-    const upgradesInStore = [
-      gameUpgrades['Reinforced index finger']!,
-      gameUpgrades['One mind']!,
-      gameUpgrades['Communal brainsweep']!,
-      gameUpgrades['Arcane sugar']!,
-      gameUpgrades['Elder Pact']!,
-    ];
-
-    const result = collectUpgradeCandidates(
-      cmUpgrades,
-      gameUpgrades,
-      upgradesInStore,
-      1e15,
-      0,
-      false
-    );
-
-    expect(result).toHaveLength(2);
-    expect(result.find(c => c.name === 'Reinforced index finger')).toBeDefined();
-    expect(result.find(c => c.name === 'One mind')).toBeDefined(); // Stage 1 allowed
-    expect(result.find(c => c.name === 'Communal brainsweep')).toBeUndefined(); // Stage 2 blocked
-    expect(result.find(c => c.name === 'Arcane sugar')).toBeUndefined();
-    expect(result.find(c => c.name === 'Elder Pact')).toBeUndefined();
-  });
-
-  it('should exclude toggle upgrades', () => {
-    const upgradesInStore = [
-      gameUpgrades['Reinforced index finger']!,
-      gameUpgrades['Elder Pledge']!,
-    ];
-
-    const result = collectUpgradeCandidates(
-      cmUpgrades,
-      gameUpgrades,
-      upgradesInStore,
-      1e15,
-      0,
-      false
-    );
-
-    expect(result).toHaveLength(1);
-    expect(result[0]?.name).toBe('Reinforced index finger');
-    expect(result.find(c => c.name === 'Elder Pledge')).toBeUndefined();
-  });
-
-  it('should include regular upgrades', () => {
-    const upgradesInStore = [
-      gameUpgrades['Reinforced index finger']!,
-      gameUpgrades['Lucky day']!,
-    ];
-
-    const result = collectUpgradeCandidates(
-      cmUpgrades,
-      gameUpgrades,
-      upgradesInStore,
-      1e15,
-      0,
-      false
-    );
-
-    expect(result).toHaveLength(2);
-    expect(result.find(c => c.name === 'Reinforced index finger')).toBeDefined();
-    expect(result.find(c => c.name === 'Lucky day')).toBeDefined();
-  });
-
-  it('should only include upgrades in store', () => {
-    const upgradesInStore = [
-      gameUpgrades['Reinforced index finger']!,
-    ];
-
-    const result = collectUpgradeCandidates(
-      cmUpgrades,
-      gameUpgrades,
-      upgradesInStore,
-      1e15,
-      0,
-      false
-    );
-
-    expect(result).toHaveLength(1);
-    expect(result[0]?.name).toBe('Reinforced index finger');
-  });
-});
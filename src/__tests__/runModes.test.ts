@@ -0,0 +1,142 @@
+/**
+ * Tests for challenge-run modes
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  allowsClicking,
+  allowsUpgrades,
+  getTimeToTarget,
+  applyRunMode,
+  getRunModeStatus,
+} from '../core/runModes';
+import { getRunModeProgress } from '../browser/runModes';
+import type { Candidate, RunModeProgress } from '../types';
+
+function progress(overrides: Partial<RunModeProgress> = {}): RunModeProgress {
+  return {
+    cookieClicks: 0,
+    upgradesOwned: 0,
+    cookiesEarned: 5000,
+    runSeconds: 600,
+    bornAgain: true,
+    won: () => false,
+    ...overrides,
+  };
+}
+
+const candidates: Candidate[] = [
+  { name: 'Cursor', type: 'Building', pp: 20, price: 15, deltaCps: 0.1, affordable: true },
+  { name: 'Farm', type: 'Building', pp: 30, price: 1100, deltaCps: 8, affordable: false },
+  { name: 'Reinforced index finger', type: 'Upgrade', pp: 10, price: 100, deltaCps: 1, affordable: true },
+  { name: 'Heavenly chip secret', type: 'Upgrade', pp: 50, price: 11, deltaCps: 0, affordable: true },
+];
+
+describe('mode rules', () => {
+  it('should stop clicking only in True Neverclick', () => {
+    expect(allowsClicking('neverclick')).toBe(false);
+    expect(allowsClicking('hardcore')).toBe(true);
+    expect(allowsClicking(null)).toBe(true);
+  });
+
+  it('should stop upgrades only in Hardcore', () => {
+    expect(allowsUpgrades('hardcore')).toBe(false);
+    expect(allowsUpgrades('speedBaking')).toBe(true);
+  });
+});
+
+describe('getTimeToTarget', () => {
+  it('should count the wait to afford toward the target', () => {
+    // Wait 10s for the item (100 cookies baked), then 900 more at 20 CpS
+    expect(getTimeToTarget(100, 10, 0, 0, 10, 1000)).toBe(10 + 900 / 20);
+  });
+
+  it('should be Infinity without CpS', () => {
+    expect(getTimeToTarget(100, 10, 0, 0, 0, 1000)).toBe(Infinity);
+  });
+});
+
+describe('applyRunMode', () => {
+  const run = { cookies: 100, cookiesEarned: 1000, cps: 10 };
+
+  it('should keep buildings only in Hardcore', () => {
+    expect(applyRunMode(candidates, 'hardcore', run).map((c) => c.name)).toEqual(['Cursor', 'Farm']);
+  });
+
+  it('should drop prestige upgrades in Born again', () => {
+    expect(applyRunMode(candidates, 'bornAgain', run).map((c) => c.name)).not.toContain('Heavenly chip secret');
+  });
+
+  it('should rank by seconds to 1M cookies in Speed baking', () => {
+    const ranked = applyRunMode(candidates, 'speedBaking', run);
+    const baseline = (1e6 - 1000) / 10;
+    expect(ranked.map((c) => c.name)).toEqual(['Cursor', 'Farm', 'Reinforced index finger']);
+    expect(ranked.every((c) => c.pp < baseline)).toBe(true);
+    expect(ranked[1]!.pp).toBeCloseTo(getTimeToTarget(1100, 8, 100, 1000, 10, 1e6));
+  });
+
+  it('should fall back to PP once the Speed baking target is reached', () => {
+    const ranked = applyRunMode(candidates, 'speedBaking', { ...run, cookiesEarned: 2e6 });
+    expect(ranked.map((c) => c.pp)).toEqual([20, 30, 10, 50]);
+  });
+
+  it('should leave candidates alone without a mode', () => {
+    expect(applyRunMode(candidates, null, run)).toEqual(candidates);
+  });
+});
+
+describe('getRunModeStatus', () => {
+  it('should fail True Neverclick after a cookie click', () => {
+    expect(getRunModeStatus('neverclick', progress()).state).toBe('ok');
+    expect(getRunModeStatus('neverclick', progress({ cookieClicks: 3 }))).toEqual({
+      mode: 'neverclick',
+      state: 'failed',
+      text: '3 cookie clicks',
+    });
+  });
+
+  it('should pass once the achievement is won', () => {
+    const won = (name: string) => name === 'Hardcore';
+    expect(getRunModeStatus('hardcore', progress({ won })).state).toBe('passed');
+    expect(getRunModeStatus('hardcore', progress({ upgradesOwned: 1 })).text).toBe('1 upgrades owned');
+  });
+
+  it('should count down to the fastest Speed baking tier still in reach', () => {
+    expect(getRunModeStatus('speedBaking', progress({ runSeconds: 600 })).text).toBe(
+      '5m 0s left for Speed baking III'
+    );
+    expect(getRunModeStatus('speedBaking', progress({ runSeconds: 1200 })).text).toContain('Speed baking II');
+    expect(getRunModeStatus('speedBaking', progress({ runSeconds: 40 * 60 })).state).toBe('failed');
+  });
+
+  it('should report the best Speed baking tier won', () => {
+    const won = (name: string) => name === 'Speed baking II' || name === 'Speed baking I';
+    expect(getRunModeStatus('speedBaking', progress({ won, cookiesEarned: 2e6 })).text).toBe(
+      'Speed baking II won'
+    );
+  });
+
+  it('should check for a Born again run', () => {
+    expect(getRunModeStatus('bornAgain', progress()).state).toBe('ok');
+    expect(getRunModeStatus('bornAgain', progress({ bornAgain: false })).state).toBe('failed');
+  });
+});
+
+describe('getRunModeProgress', () => {
+  it('should read run progress from the game', () => {
+    const p = getRunModeProgress(
+      {
+        cookieClicks: 2,
+        UpgradesOwned: 4,
+        cookiesEarned: 1e6,
+        startDate: 1000,
+        ascensionMode: 1,
+        Achievements: { Hardcore: { name: 'Hardcore', won: 1 } },
+      },
+      61000
+    );
+    expect(p).toMatchObject({ cookieClicks: 2, upgradesOwned: 4, runSeconds: 60, bornAgain: true });
+    expect(p.won('Hardcore')).toBe(true);
+    expect(p.won('True Neverclick')).toBe(false);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for Santa evolution and Santa upgrade valuation
+ */
+
+import { describe, it, expect, mock } from 'bun:test';
+import {
+  SANTA_MAX_LEVEL,
+  getSantaLevelCost,
+  shouldLevelSanta,
+  valueSantaUpgrades,
+} from '../core/santa';
+import { getChristmasState, levelUpSanta } from '../browser/santa';
+import type { SantaGameContext } from '../browser/santa';
+import type { Candidate } from '../types';
+
+function santaGame(overrides: Partial<SantaGameContext> = {}): SantaGameContext {
+  return {
+    season: 'christmas',
+    santaLevel: 2,
+    santaLevels: ['Festive test tube', 'Festive ornament', 'Festive wreath'],
+    reindeerClicked: 12,
+    Has: (name) => name === 'A festive hat',
+    UpgradeSanta: () => {},
+    ...overrides,
+  };
+}
+
+describe('getSantaLevelCost', () => {
+  it('should cost (level + 1)^(level + 1)', () => {
+    expect(getSantaLevelCost(0)).toBe(1);
+    expect(getSantaLevelCost(2)).toBe(27);
+    expect(getSantaLevelCost(13)).toBe(Math.pow(14, 14));
+  });
+});
+
+describe('shouldLevelSanta', () => {
+  it('should level when cheap relative to CpS', () => {
+    expect(shouldLevelSanta(2, 1000, 10, 0)).toEqual({ shouldLevel: true, reason: 'Cheap' });
+  });
+
+  it('should wait while the level costs too much CpS time', () => {
+    const decision = shouldLevelSanta(5, 1e9, 10, 0);
+    expect(decision.shouldLevel).toBe(false);
+    expect(decision.reason).toBe('Costs over 60s of CpS');
+  });
+
+  it('should keep the Lucky bank', () => {
+    const decision = shouldLevelSanta(2, 1000, 10, 980);
+    expect(decision.shouldLevel).toBe(false);
+    expect(decision.reason).toBe('Waiting for cookies');
+  });
+
+  it('should stop at the final level', () => {
+    expect(shouldLevelSanta(SANTA_MAX_LEVEL, 1e30, 1e30, 0).reason).toBe('Santa maxed');
+  });
+});
+
+describe('valueSantaUpgrades', () => {
+  it('should value Santa upgrades without measurable CpS', () => {
+    const candidates: Candidate[] = [
+      { name: 'Toy workshop', type: 'Upgrade', pp: Infinity, price: 2000, deltaCps: 0, affordable: false },
+      { name: 'Increased merriness', type: 'Upgrade', pp: 30, price: 2000, deltaCps: 150, affordable: false },
+    ];
+    valueSantaUpgrades(candidates, 2000, 1000);
+    expect(candidates[0]!.deltaCps).toBeCloseTo(20);
+    expect(candidates[0]!.bonusCps).toBeCloseTo(20);
+    expect(candidates[0]!.pp).toBeCloseTo(100);
+    expect(candidates[1]!.pp).toBe(30);
+  });
+});
+
+describe('getChristmasState', () => {
+  it('should report Santa and session reindeer', () => {
+    expect(getChristmasState(santaGame(), 5)).toEqual({
+      active: true,
+      santaLevel: 2,
+      santaName: 'Festive wreath',
+      nextLevelCost: 27,
+      reindeerPopped: 7,
+    });
+  });
+
+  it('should show Santa outside Christmas once unlocked', () => {
+    expect(getChristmasState(santaGame({ season: '' }), 0)?.active).toBe(false);
+  });
+
+  it('should return null outside Christmas without Santa', () => {
+    expect(getChristmasState(santaGame({ season: '', Has: () => false }), 0)).toBeNull();
+  });
+
+  it('should mark a maxed Santa', () => {
+    expect(getChristmasState(santaGame({ santaLevel: SANTA_MAX_LEVEL }), 0)?.nextLevelCost).toBe(Infinity);
+  });
+});
+
+describe('levelUpSanta', () => {
+  it('should report a successful level', () => {
+    const game = santaGame();
+    game.UpgradeSanta = mock(() => {
+      game.santaLevel++;
+    });
+    expect(levelUpSanta(game)).toBe(true);
+    expect(game.santaLevel).toBe(3);
+  });
+
+  it('should not level without Santa or when maxed', () => {
+    const upgrade = mock();
+    expect(levelUpSanta(santaGame({ Has: () => false, UpgradeSanta: upgrade }))).toBe(false);
+    expect(levelUpSanta(santaGame({ santaLevel: SANTA_MAX_LEVEL, UpgradeSanta: upgrade }))).toBe(false);
+    expect(upgrade).not.toHaveBeenCalled();
+  });
+});
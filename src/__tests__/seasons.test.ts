@@ -0,0 +1,147 @@
+/**
+ * Tests for the season manager
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  SEASONS,
+  SEASON_ORDER,
+  getDropSeason,
+  isSeasonKey,
+  getSeasonProgress,
+  decideSeasonSwitch,
+  getSeasonSwitchDeltaCps,
+  createSeasonSwitchCandidate,
+  valueSeasonalDrops,
+} from '../core/seasons';
+import { getSeasonState, findSeasonBiscuit } from '../browser/seasons';
+import { createUpgradeMock } from './mocks/game';
+import type { Candidate, SeasonKey, SeasonProgress } from '../types';
+
+function progress(season: SeasonKey, found: number): SeasonProgress {
+  const total = SEASONS[season].drops.length;
+  return { season, found, total, missing: SEASONS[season].drops.slice(found) };
+}
+
+function allProgress(found: Partial<Record<SeasonKey, number>>): SeasonProgress[] {
+  return SEASON_ORDER.map((season) => progress(season, found[season] ?? SEASONS[season].drops.length));
+}
+
+describe('getDropSeason', () => {
+  it('should find the season of a drop', () => {
+    expect(getDropSeason('Skull cookies')).toBe('halloween');
+    expect(getDropSeason('Golden goose egg')).toBe('easter');
+    expect(getDropSeason('Pure heart biscuits')).toBe('valentines');
+    expect(getDropSeason('Lucky day')).toBeNull();
+  });
+
+  it('should recognize season ids', () => {
+    expect(isSeasonKey('christmas')).toBe(true);
+    expect(isSeasonKey('fools')).toBe(false);
+    expect(isSeasonKey('')).toBe(false);
+  });
+});
+
+describe('getSeasonProgress', () => {
+  it('should count found and missing drops', () => {
+    const found = new Set(['Skull cookies', 'Ghost cookies']);
+    const result = getSeasonProgress('halloween', (name) => found.has(name));
+    expect(result.found).toBe(2);
+    expect(result.total).toBe(7);
+    expect(result.missing).not.toContain('Skull cookies');
+    expect(result.missing).toHaveLength(5);
+  });
+});
+
+describe('decideSeasonSwitch', () => {
+  it('should stay while the current season has drops left', () => {
+    const decision = decideSeasonSwitch('christmas', allProgress({ christmas: 3, easter: 0 }), true);
+    expect(decision.target).toBeNull();
+    expect(decision.reason).toBe('Collecting Christmas');
+  });
+
+  it('should move to the next incomplete season once done', () => {
+    const decision = decideSeasonSwitch('christmas', allProgress({ easter: 5 }), true);
+    expect(decision.target).toBe('easter');
+    expect(decision.reason).toBe('15 Easter drops missing');
+  });
+
+  it('should start from no season', () => {
+    expect(decideSeasonSwitch('', allProgress({ valentines: 0, christmas: 0 }), true).target).toBe(
+      'valentines'
+    );
+  });
+
+  it('should skip Halloween without wrinklers', () => {
+    expect(decideSeasonSwitch('', allProgress({ halloween: 0, easter: 0 }), false).target).toBe('easter');
+    const stuck = decideSeasonSwitch('', allProgress({ halloween: 0 }), false);
+    expect(stuck.target).toBeNull();
+    expect(stuck.reason).toBe('Halloween needs wrinklers');
+  });
+
+  it('should stop once every drop is found', () => {
+    expect(decideSeasonSwitch('easter', allProgress({}), true)).toEqual({
+      target: null,
+      reason: 'All drops found',
+    });
+  });
+});
+
+describe('season switch valuation', () => {
+  it('should value a switch by its missing drops', () => {
+    expect(getSeasonSwitchDeltaCps(progress('christmas', 2), 1000)).toBeCloseTo(100);
+    expect(getSeasonSwitchDeltaCps(progress('easter', 10), 1000)).toBeCloseTo(100);
+  });
+
+  it('should create a ranked biscuit candidate', () => {
+    const candidate = createSeasonSwitchCandidate(progress('halloween', 0), 14000, 0, 1000);
+    expect(candidate.name).toBe('Ghostly biscuit');
+    expect(candidate.type).toBe('Upgrade');
+    expect(candidate.deltaCps).toBeCloseTo(140);
+    expect(candidate.bonusCps).toBe(candidate.deltaCps);
+    // 14s to afford + 100s to pay back
+    expect(candidate.pp).toBeCloseTo(114);
+  });
+
+  it('should value drops the CpS engine cannot measure', () => {
+    const candidates: Candidate[] = [
+      { name: 'Faberge egg', type: 'Upgrade', pp: Infinity, price: 1000, deltaCps: 0, affordable: false },
+      { name: 'Skull cookies', type: 'Upgrade', pp: 50, price: 1000, deltaCps: 20, affordable: false },
+      { name: 'Lucky day', type: 'Upgrade', pp: Infinity, price: 1000, deltaCps: 0, affordable: false },
+    ];
+    valueSeasonalDrops(candidates, 1000, 1000);
+    expect(candidates[0]!.deltaCps).toBeCloseTo(10);
+    expect(candidates[0]!.pp).toBeCloseTo(100);
+    expect(candidates[0]!.bonusCps).toBeCloseTo(10);
+    expect(candidates[1]!.pp).toBe(50);
+    expect(candidates[1]!.bonusCps).toBeUndefined();
+    expect(candidates[2]!.pp).toBe(Infinity);
+  });
+});
+
+describe('getSeasonState', () => {
+  it('should return null without the Season switcher or a season', () => {
+    expect(getSeasonState({ season: '', Upgrades: {}, Has: () => false })).toBeNull();
+  });
+
+  it('should count unlocked and bought drops as found', () => {
+    const skull = createUpgradeMock('Skull cookies', 1000, true);
+    const ghost = createUpgradeMock('Ghost cookies', 1000, false);
+    const bat = createUpgradeMock('Bat cookies', 1000, false);
+    bat.unlocked = false;
+    const state = getSeasonState({
+      season: 'halloween',
+      Upgrades: { 'Skull cookies': skull, 'Ghost cookies': ghost, 'Bat cookies': bat },
+      Has: () => false,
+    });
+    expect(state?.current).toBe('halloween');
+    expect(state?.progress.find((p) => p.season === 'halloween')?.found).toBe(2);
+    expect(state?.progress.map((p) => p.season)).toEqual([...SEASON_ORDER]);
+  });
+
+  it('should find a biscuit in the store', () => {
+    const biscuit = createUpgradeMock('Festive biscuit');
+    expect(findSeasonBiscuit([biscuit], 'Festive biscuit')).toBe(biscuit);
+    expect(findSeasonBiscuit([biscuit], 'Bunny biscuit')).toBeNull();
+  });
+});
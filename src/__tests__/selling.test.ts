@@ -0,0 +1,146 @@
+/**
+ * Tests for building selling
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  BUILDING_SELL_MULTIPLIER,
+  CHOCOLATE_EGG_BANK_SHARE,
+  getRebuyCost,
+  getSellMultiplier,
+  planBuildingSale,
+  planAscensionSellOff,
+} from '../core/selling';
+import {
+  getSellableBuildings,
+  executeBuildingSale,
+  findChocolateEgg,
+  rebuySacrificedBuilding,
+} from '../browser/selling';
+import { createBuildingMock, createUpgradeMock } from './mocks/game';
+
+describe('getRebuyCost', () => {
+  it('should sum the prices of the last buildings sold', () => {
+    // Next building costs 115: the last one cost 100
+    expect(getRebuyCost(115, 1)).toBeCloseTo(100);
+    expect(getRebuyCost(132.25, 2)).toBeCloseTo(215);
+    expect(getRebuyCost(100, 0)).toBe(0);
+  });
+});
+
+describe('getSellMultiplier', () => {
+  it('should double the refund with Earth Shatterer', () => {
+    expect(getSellMultiplier(false)).toBe(BUILDING_SELL_MULTIPLIER);
+    expect(getSellMultiplier(true)).toBe(BUILDING_SELL_MULTIPLIER * 2);
+  });
+});
+
+describe('planBuildingSale', () => {
+  const grandma = { name: 'Grandma', amount: 10, price: 115 };
+
+  it('should lose the sell/rebuy spread', () => {
+    const sale = planBuildingSale(grandma, 1, 'achievement', { rebuy: true, gain: 80, sellMultiplier: 0.25 });
+    expect(sale.refund).toBeCloseTo(25);
+    expect(sale.loss).toBeCloseTo(75);
+    expect(sale.allowed).toBe(true);
+  });
+
+  it('should refuse a sale whose gain does not cover the loss', () => {
+    const sale = planBuildingSale(grandma, 1, 'achievement', { rebuy: true, gain: 70, sellMultiplier: 0.25 });
+    expect(sale.allowed).toBe(false);
+  });
+
+  it('should cost nothing to sell for good before ascending', () => {
+    const sale = planBuildingSale(grandma, 1, 'ascension', { rebuy: false, gain: 0, sellMultiplier: 0.5 });
+    expect(sale.loss).toBe(0);
+    expect(sale.allowed).toBe(true);
+  });
+
+  it('should not sell more than is owned', () => {
+    const sale = planBuildingSale({ ...grandma, amount: 0 }, 1, 'ascension', {
+      rebuy: false,
+      gain: 0,
+      sellMultiplier: 0.5,
+    });
+    expect(sale.quantity).toBe(0);
+    expect(sale.allowed).toBe(false);
+  });
+});
+
+describe('planAscensionSellOff', () => {
+  const buildings = [
+    { name: 'Cursor', amount: 0, price: 15 },
+    { name: 'Grandma', amount: 2, price: 132.25 },
+  ];
+
+  it('should only sell when the Chocolate egg can turn the refund into prestige', () => {
+    expect(planAscensionSellOff(buildings, 0.5, false)).toEqual([]);
+  });
+
+  it('should sell every owned building for its share of the egg', () => {
+    const sales = planAscensionSellOff(buildings, 0.5, true);
+    expect(sales).toHaveLength(1);
+    expect(sales[0]).toMatchObject({ name: 'Grandma', quantity: 2, reason: 'ascension', loss: 0, allowed: true });
+    expect(sales[0]!.refund).toBeCloseTo(107.5);
+    expect(sales[0]!.gain).toBeCloseTo(107.5 * CHOCOLATE_EGG_BANK_SHARE);
+  });
+});
+
+describe('getSellableBuildings', () => {
+  it('should list owned buildings', () => {
+    const objects = {
+      Cursor: createBuildingMock('Cursor', 0),
+      Farm: createBuildingMock('Farm', 4, false, 1100),
+    };
+    expect(getSellableBuildings(objects)).toEqual([{ name: 'Farm', amount: 4, price: 1100 }]);
+  });
+});
+
+describe('executeBuildingSale', () => {
+  const sale = (overrides = {}) => ({
+    ...planBuildingSale({ name: 'Grandma', amount: 3, price: 115 }, 1, 'achievement', {
+      rebuy: true,
+      gain: 100,
+      sellMultiplier: 0.25,
+    }),
+    ...overrides,
+  });
+
+  it('should sell and buy back', () => {
+    const grandma = createBuildingMock('Grandma', 3);
+    expect(executeBuildingSale({ Grandma: grandma }, sale(), 1000)).toBe(true);
+    expect(grandma.sell).toHaveBeenCalledWith(1);
+    expect(grandma.buy).toHaveBeenCalledWith(1);
+  });
+
+  it('should sell for good without a rebuy', () => {
+    const grandma = createBuildingMock('Grandma', 3);
+    expect(executeBuildingSale({ Grandma: grandma }, sale({ rebuy: false }), 0)).toBe(true);
+    expect(grandma.buy).not.toHaveBeenCalled();
+  });
+
+  it('should skip sales that are not allowed or whose rebuy is unaffordable', () => {
+    const grandma = createBuildingMock('Grandma', 3);
+    expect(executeBuildingSale({ Grandma: grandma }, sale({ allowed: false }), 1000)).toBe(false);
+    expect(executeBuildingSale({ Grandma: grandma }, sale(), 10)).toBe(false);
+    expect(grandma.sell).not.toHaveBeenCalled();
+  });
+});
+
+describe('findChocolateEgg', () => {
+  it('should find the egg if it is still for sale', () => {
+    const egg = createUpgradeMock('Chocolate egg');
+    expect(findChocolateEgg([createUpgradeMock('Kitten helpers'), egg])).toBe(egg);
+    expect(findChocolateEgg([createUpgradeMock('Chocolate egg', 1000, true)])).toBeNull();
+  });
+});
+
+describe('rebuySacrificedBuilding', () => {
+  it('should buy the building back when it fits the spendable bank', () => {
+    const prism = createBuildingMock('Prism', 40, false, 5000);
+    expect(rebuySacrificedBuilding({ Prism: prism }, 'Prism', 4000)).toBeNull();
+    expect(prism.buy).not.toHaveBeenCalled();
+    expect(rebuySacrificedBuilding({ Prism: prism }, 'Prism', 6000)).toBe(5000);
+    expect(prism.buy).toHaveBeenCalledWith(1);
+  });
+});
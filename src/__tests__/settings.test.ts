@@ -0,0 +1,286 @@
+/**
+ * Tests for persisted settings
+ */
+
+import { describe, it, expect } from 'bun:test';
+import {
+  SETTINGS_STORAGE_KEY,
+  SETTINGS_VERSION,
+  createDefaultSettings,
+  migrateSettings,
+  parseSettings,
+  serializeSettings,
+} from '../core/settings';
+import { loadSettings, saveSettings, clearSettings, type SettingsStorage } from '../browser/settings';
+import { createDefaultState, applySettings, captureSettings } from '../state';
+import { LUCKY_BANK_PRICE_MULTIPLIER, REFRESH_INTERVAL } from '../core/constants';
+import { CUSTOM_PROFILE_NAME, DEFAULT_STRATEGY_PROFILE } from '../core/profiles';
+
+function createMemoryStorage(initial: Record<string, string> = {}): SettingsStorage & { data: Record<string, string> } {
+  const data = { ...initial };
+  return {
+    data,
+    getItem: (key) => data[key] ?? null,
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+    removeItem: (key) => {
+      delete data[key];
+    },
+  };
+}
+
+describe('createDefaultSettings', () => {
+  it('should default all toggles to OFF', () => {
+    const settings = createDefaultSettings();
+    expect(Object.values(settings.toggles).every((v) => v === false)).toBe(true);
+  });
+
+  it('should seed thresholds from constants', () => {
+    const settings = createDefaultSettings();
+    expect(settings.thresholds.refreshInterval).toBe(REFRESH_INTERVAL);
+    expect(settings.profile).toBe(DEFAULT_STRATEGY_PROFILE.name);
+    expect(settings.customProfiles).toEqual([]);
+    expect(settings.version).toBe(SETTINGS_VERSION);
+  });
+});
+
+describe('migrateSettings', () => {
+  it('should return defaults for non-object input', () => {
+    expect(migrateSettings(null)).toEqual(createDefaultSettings());
+    expect(migrateSettings('nope')).toEqual(createDefaultSettings());
+    expect(migrateSettings([1, 2])).toEqual(createDefaultSettings());
+  });
+
+  it('should keep valid values and fill missing ones with defaults', () => {
+    const settings = migrateSettings({
+      version: SETTINGS_VERSION,
+      toggles: { autoPurchase: true },
+      panel: { position: { left: 100, top: 50 }, collapsed: ['cc-opt-wrinklers'] },
+      thresholds: { maxBatch: 5 },
+    });
+
+    expect(settings.toggles.autoPurchase).toBe(true);
+    expect(settings.toggles.autoGolden).toBe(false);
+    expect(settings.panel.position).toEqual({ left: 100, top: 50 });
+    expect(settings.panel.collapsed).toEqual(['cc-opt-wrinklers']);
+    expect(settings.thresholds.maxBatch).toBe(5);
+    expect(settings.thresholds.refreshInterval).toBe(REFRESH_INTERVAL);
+  });
+
+  it('should reject invalid values', () => {
+    const settings = migrateSettings({
+      version: SETTINGS_VERSION,
+      toggles: { autoPurchase: 'yes' },
+      panel: { position: { left: 'x', top: 0 }, collapsed: [1, 'ok'] },
+      thresholds: { maxBatch: -1, refreshInterval: NaN },
+    });
+
+    expect(settings.toggles.autoPurchase).toBe(false);
+    expect(settings.panel.position).toBeNull();
+    expect(settings.panel.collapsed).toEqual(['ok']);
+    expect(settings.thresholds.maxBatch).toBe(createDefaultSettings().thresholds.maxBatch);
+    expect(settings.thresholds.refreshInterval).toBe(REFRESH_INTERVAL);
+  });
+
+  it('should clamp thresholds to the settings pane ranges', () => {
+    const settings = migrateSettings({
+      version: SETTINGS_VERSION,
+      thresholds: { maxBatch: 0, plannerDepth: 50, plannerBreadth: 2.6, refreshInterval: 0 },
+    });
+
+    expect(settings.thresholds.maxBatch).toBe(1);
+    expect(settings.thresholds.plannerDepth).toBe(6);
+    expect(settings.thresholds.plannerBreadth).toBe(3);
+    expect(settings.thresholds.refreshInterval).toBe(200);
+  });
+
+  it('should keep a valid click mode and reject unknown ones', () => {
+    expect(migrateSettings({ version: SETTINGS_VERSION, clickMode: 'always' }).clickMode).toBe('always');
+    expect(migrateSettings({ version: SETTINGS_VERSION, clickMode: 'turbo' }).clickMode).toBe('buffs');
+  });
+
+  it('should keep a valid run mode and reject unknown ones', () => {
+    expect(migrateSettings({ version: SETTINGS_VERSION, runMode: 'hardcore' }).runMode).toBe('hardcore');
+    expect(migrateSettings({ version: SETTINGS_VERSION, runMode: 'casual' }).runMode).toBe('bornAgain');
+  });
+
+  it('should keep a valid grandmapocalypse policy and reject unknown ones', () => {
+    const raw = { version: SETTINGS_VERSION, grandmapocalypsePolicy: 'full' };
+    expect(migrateSettings(raw).grandmapocalypsePolicy).toBe('full');
+    raw.grandmapocalypsePolicy = 'chaos';
+    expect(migrateSettings(raw).grandmapocalypsePolicy).toBe('oneMind');
+  });
+
+  it('should keep a valid wrinkler strategy and the shiny opt-in', () => {
+    const settings = migrateSettings({
+      version: SETTINGS_VERSION,
+      wrinklerStrategy: 'hold',
+      popShinyWrinklers: true,
+    });
+    expect(settings.wrinklerStrategy).toBe('hold');
+    expect(settings.popShinyWrinklers).toBe(true);
+    expect(migrateSettings({ wrinklerStrategy: 'all', popShinyWrinklers: 'yes' })).toMatchObject({
+      wrinklerStrategy: 'purchase',
+      popShinyWrinklers: false,
+    });
+  });
+
+  it('should keep the permanent slot setting', () => {
+    expect(migrateSettings({ version: SETTINGS_VERSION, applyPermanentSlots: true }).applyPermanentSlots).toBe(
+      true
+    );
+    expect(migrateSettings({ applyPermanentSlots: 1 }).applyPermanentSlots).toBe(false);
+  });
+
+  it('should keep a resolvable garden layout', () => {
+    const custom = JSON.stringify({ name: 'Custom', harvest: 'mature', plot: [['bakerWheat']] });
+    expect(migrateSettings({ version: SETTINGS_VERSION, gardenLayout: custom }).gardenLayout).toBe(custom);
+    expect(migrateSettings({ version: SETTINGS_VERSION, gardenLayout: '{bad' }).gardenLayout).toBe('bakeberry');
+  });
+
+  it('should drop unknown keys', () => {
+    const settings = migrateSettings({ version: SETTINGS_VERSION, toggles: { bogus: true } });
+    expect('bogus' in settings.toggles).toBe(false);
+  });
+
+  it('should keep valid custom profiles and the active profile', () => {
+    const custom = { ...DEFAULT_STRATEGY_PROFILE, name: 'Mine', auraSwitchCooldown: 0 };
+    const settings = migrateSettings({
+      version: SETTINGS_VERSION,
+      profile: 'Mine',
+      customProfiles: [custom, { name: 'Bad', luckyBankPriceMultiplier: -1 }, custom],
+    });
+    expect(settings.customProfiles).toEqual([custom]);
+    expect(settings.profile).toBe('Mine');
+    expect(migrateSettings({ version: SETTINGS_VERSION, profile: 'Gone' }).profile).toBe(
+      DEFAULT_STRATEGY_PROFILE.name
+    );
+  });
+
+  it('should move version 1 Lucky bank and aura overrides into a custom profile', () => {
+    const settings = migrateSettings({
+      version: 1,
+      thresholds: { luckyBankPriceMultiplier: 5, auraSwitchCooldown: 30000, maxBatch: 4 },
+    });
+    expect(settings.version).toBe(2);
+    expect(settings.thresholds.maxBatch).toBe(4);
+    expect('luckyBankPriceMultiplier' in settings.thresholds).toBe(false);
+    expect(settings.profile).toBe(CUSTOM_PROFILE_NAME);
+    expect(settings.customProfiles).toEqual([
+      {
+        ...DEFAULT_STRATEGY_PROFILE,
+        name: CUSTOM_PROFILE_NAME,
+        luckyBankPriceMultiplier: 5,
+        auraSwitchCooldown: 30000,
+      },
+    ]);
+  });
+
+  it('should keep the default profile for version 1 settings without overrides', () => {
+    const settings = migrateSettings({
+      version: 1,
+      thresholds: { luckyBankPriceMultiplier: LUCKY_BANK_PRICE_MULTIPLIER, maxBatch: 4 },
+    });
+    expect(settings.profile).toBe(DEFAULT_STRATEGY_PROFILE.name);
+    expect(settings.customProfiles).toEqual([]);
+  });
+
+  it('should keep known, distinct aura preferences', () => {
+    const auras = (dragonAuras: unknown) => migrateSettings({ version: SETTINGS_VERSION, dragonAuras }).dragonAuras;
+    const preferred = { aura1: 'Reaper of Fields', aura2: 'Radiant Appetite' } as const;
+    expect(auras(preferred)).toEqual(preferred);
+    expect(auras({ aura1: 'Bogus', aura2: 'Reaper of Fields' })).toEqual({ aura1: null, aura2: 'Reaper of Fields' });
+    expect(auras({ aura1: 'Reaper of Fields', aura2: 'Reaper of Fields' }).aura2).toBeNull();
+  });
+
+  it('should keep pinned and blocked items, pinning over blocking', () => {
+    const settings = migrateSettings({
+      version: SETTINGS_VERSION,
+      purchaseOverrides: { pinned: ['Farm', 'Farm', 3], blocked: ['One mind', 'Farm', ''] },
+    });
+    expect(settings.purchaseOverrides).toEqual({ pinned: ['Farm'], blocked: ['One mind'] });
+    expect(migrateSettings({ version: SETTINGS_VERSION }).purchaseOverrides).toEqual({ blocked: [], pinned: [] });
+  });
+
+  it('should keep a valid goal', () => {
+    const goal = (value: unknown) => migrateSettings({ version: SETTINGS_VERSION, goal: value }).goal;
+    expect(goal({ kind: 'item', name: 'Lucky day' })).toEqual({ kind: 'item', name: 'Lucky day' });
+    expect(goal({ kind: 'cookies', amount: 'lots' })).toBeNull();
+    expect(migrateSettings({ version: SETTINGS_VERSION }).goal).toBeNull();
+  });
+
+  it('should accept unversioned settings', () => {
+    const settings = migrateSettings({ toggles: { autoDragon: true } });
+    expect(settings.toggles.autoDragon).toBe(true);
+    expect(settings.version).toBe(SETTINGS_VERSION);
+  });
+});
+
+describe('parseSettings / serializeSettings', () => {
+  it('should round-trip', () => {
+    const settings = createDefaultSettings();
+    settings.toggles.autoGolden = true;
+    settings.panel.position = { left: 12, top: 34 };
+    expect(parseSettings(serializeSettings(settings))).toEqual(settings);
+  });
+
+  it('should return defaults for corrupt JSON', () => {
+    expect(parseSettings('{not json')).toEqual(createDefaultSettings());
+    expect(parseSettings(null)).toEqual(createDefaultSettings());
+  });
+});
+
+describe('settings storage', () => {
+  it('should save and load settings', () => {
+    const storage = createMemoryStorage();
+    const settings = createDefaultSettings();
+    settings.toggles.autoWrinklers = true;
+
+    expect(saveSettings(storage, settings)).toBe(true);
+    expect(storage.data[SETTINGS_STORAGE_KEY]).toBeDefined();
+    expect(loadSettings(storage).toggles.autoWrinklers).toBe(true);
+  });
+
+  it('should clear settings', () => {
+    const storage = createMemoryStorage({ [SETTINGS_STORAGE_KEY]: '{}' });
+    clearSettings(storage);
+    expect(storage.data[SETTINGS_STORAGE_KEY]).toBeUndefined();
+  });
+
+  it('should survive storage errors', () => {
+    const broken: SettingsStorage = {
+      getItem: () => {
+        throw new Error('denied');
+      },
+      setItem: () => {
+        throw new Error('quota');
+      },
+      removeItem: () => {
+        throw new Error('denied');
+      },
+    };
+    expect(loadSettings(broken)).toEqual(createDefaultSettings());
+    expect(saveSettings(broken, createDefaultSettings())).toBe(false);
+    expect(() => clearSettings(broken)).not.toThrow();
+  });
+
+  it('should handle missing storage', () => {
+    expect(loadSettings(null)).toEqual(createDefaultSettings());
+    expect(saveSettings(null, createDefaultSettings())).toBe(false);
+  });
+});
+
+describe('applySettings / captureSettings', () => {
+  it('should mirror toggles between settings and state', () => {
+    const state = createDefaultState();
+    const settings = createDefaultSettings();
+    settings.toggles.autoPurchase = true;
+
+    applySettings(state, settings);
+    expect(state.autoPurchase).toBe(true);
+
+    state.autoDragon = true;
+    expect(captureSettings(state).toggles.autoDragon).toBe(true);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for the stock market trading bot
+ */
+
+import { describe, it, expect, mock } from 'bun:test';
+import {
+  getRestingValue,
+  getBrokerOverhead,
+  getBuyCost,
+  getBuyQuantity,
+  shouldSellGood,
+  planStockTrades,
+  recordStockTrade,
+} from '../core/stockMarket';
+import { getMarket, getStockGoods, executeStockTrade } from '../browser/stockMarket';
+import { createBuildingMock } from './mocks/game';
+import type { MarketGood, MarketMinigame, StockGood, StockHolding } from '../types';
+
+function good(overrides: Partial<StockGood> = {}): StockGood {
+  return {
+    id: 0,
+    symbol: 'CRL',
+    value: 5,
+    restingValue: 20,
+    trend: 0.1,
+    stock: 0,
+    maxStock: 100,
+    ...overrides,
+  };
+}
+
+function createMarketMock(goods: Partial<MarketGood>[]): MarketMinigame {
+  return {
+    goodsById: goods.map((g, id) => ({ id, name: `Good ${id}`, symbol: `G${id}`, val: 10, d: 0, stock: 0, ...g })),
+    brokers: 0,
+    getGoodMaxStock: () => 50,
+    buyGood: mock(() => true),
+    sellGood: mock(() => true),
+  };
+}
+
+describe('getRestingValue', () => {
+  it('should rise by 10 per good and 1 per Bank level above 1', () => {
+    expect(getRestingValue(0, 1)).toBe(10);
+    expect(getRestingValue(3, 1)).toBe(40);
+    expect(getRestingValue(3, 5)).toBe(44);
+  });
+});
+
+describe('getBrokerOverhead', () => {
+  it('should start at 20% and shrink 5% per broker', () => {
+    expect(getBrokerOverhead(0)).toBeCloseTo(0.2);
+    expect(getBrokerOverhead(1)).toBeCloseTo(0.19);
+    expect(getBrokerOverhead(10)).toBeCloseTo(0.2 * Math.pow(0.95, 10));
+  });
+
+  it('should add overhead to the buy cost', () => {
+    expect(getBuyCost(10, 0.2)).toBeCloseTo(12);
+  });
+});
+
+describe('getBuyQuantity', () => {
+  it('should buy goods well below resting value', () => {
+    expect(getBuyQuantity(good(), 0.2, 1000)).toBe(100);
+  });
+
+  it('should not buy near resting value or while falling', () => {
+    expect(getBuyQuantity(good({ value: 15 }), 0.2, 1000)).toBe(0);
+    expect(getBuyQuantity(good({ trend: -0.5 }), 0.2, 1000)).toBe(0);
+  });
+
+  it('should respect warehouse room', () => {
+    expect(getBuyQuantity(good({ stock: 90 }), 0.2, 1000)).toBe(10);
+    expect(getBuyQuantity(good({ stock: 100 }), 0.2, 1000)).toBe(0);
+  });
+
+  it('should respect the budget including overhead', () => {
+    // $6 per unit with 20% overhead
+    expect(getBuyQuantity(good(), 0.2, 60)).toBe(10);
+    expect(getBuyQuantity(good(), 0.2, 5)).toBe(0);
+  });
+});
+
+describe('shouldSellGood', () => {
+  it('should sell above resting value once the price stops rising', () => {
+    expect(shouldSellGood(good({ value: 25, trend: -0.1, stock: 10 }), undefined)).toBe(true);
+    expect(shouldSellGood(good({ value: 25, trend: 0.3, stock: 10 }), undefined)).toBe(false);
+  });
+
+  it('should not sell below resting value or with nothing held', () => {
+    expect(shouldSellGood(good({ value: 15, trend: -0.1, stock: 10 }), undefined)).toBe(false);
+    expect(shouldSellGood(good({ value: 25, trend: -0.1, stock: 0 }), undefined)).toBe(false);
+  });
+
+  it('should never sell below the tracked average cost', () => {
+    const holding: StockHolding = { quantity: 10, totalCost: 300 };
+    expect(shouldSellGood(good({ value: 25, trend: -0.1, stock: 10 }), holding)).toBe(false);
+    expect(shouldSellGood(good({ value: 31, trend: -0.1, stock: 10 }), holding)).toBe(true);
+  });
+});
+
+describe('planStockTrades', () => {
+  it('should plan sells and buys across goods', () => {
+    const goods = [good({ id: 0, symbol: 'CRL' }), good({ id: 1, symbol: 'CHC', value: 25, trend: -0.1, stock: 5 })];
+    const trades = planStockTrades(goods, {}, 0.2, 1000);
+    expect(trades.map((t) => [t.symbol, t.type, t.quantity])).toEqual([
+      ['CRL', 'buy', 100],
+      ['CHC', 'sell', 5],
+    ]);
+  });
+
+  it('should share the budget between buys', () => {
+    const goods = [good({ id: 0 }), good({ id: 1 })];
+    const trades = planStockTrades(goods, {}, 0.2, 90);
+    expect(trades.map((t) => t.quantity)).toEqual([15]);
+  });
+});
+
+describe('recordStockTrade', () => {
+  it('should track cost basis and realize profit on sells', () => {
+    const holdings: Record<number, StockHolding> = {};
+    const buy = { goodId: 0, symbol: 'CRL', type: 'buy' as const, quantity: 10, price: 5, reason: '' };
+    expect(recordStockTrade(holdings, buy, 0.2)).toBe(0);
+    expect(holdings[0]).toEqual({ quantity: 10, totalCost: 60 });
+
+    const sell = { ...buy, type: 'sell' as const, price: 20 };
+    expect(recordStockTrade(holdings, sell, 0.2)).toBeCloseTo(140);
+    expect(holdings[0]!.quantity).toBe(0);
+  });
+
+  it('should count untracked units at zero profit', () => {
+    const holdings: Record<number, StockHolding> = { 0: { quantity: 2, totalCost: 20 } };
+    const sell = { goodId: 0, symbol: 'CRL', type: 'sell' as const, quantity: 5, price: 30, reason: '' };
+    expect(recordStockTrade(holdings, sell, 0.2)).toBeCloseTo(40);
+  });
+});
+
+describe('getMarket', () => {
+  it('should return null until the Bank minigame is loaded', () => {
+    expect(getMarket({})).toBeNull();
+    expect(getMarket({ Bank: createBuildingMock('Bank') })).toBeNull();
+  });
+
+  it('should return the loaded market', () => {
+    const market = createMarketMock([{}]);
+    const bank = { ...createBuildingMock('Bank'), minigame: market };
+    expect(getMarket({ Bank: bank })).toBe(market);
+  });
+});
+
+describe('getStockGoods', () => {
+  it('should skip hidden goods and fill in resting values', () => {
+    const market = createMarketMock([{ val: 4, d: 0.2, stock: 3 }, { hidden: true }, { val: 30 }]);
+    const goods = getStockGoods(market, 2);
+    expect(goods.map((g) => g.id)).toEqual([0, 2]);
+    expect(goods[0]).toEqual({
+      id: 0,
+      symbol: 'G0',
+      value: 4,
+      restingValue: 11,
+      trend: 0.2,
+      stock: 3,
+      maxStock: 50,
+    });
+  });
+});
+
+describe('executeStockTrade', () => {
+  it('should call buyGood or sellGood with the quantity', () => {
+    const market = createMarketMock([{}]);
+    const trade = { goodId: 0, symbol: 'G0', type: 'buy' as const, quantity: 7, price: 10, reason: '' };
+    expect(executeStockTrade(market, trade)).toBe(true);
+    expect(market.buyGood).toHaveBeenCalledWith(0, 7);
+
+    expect(executeStockTrade(market, { ...trade, type: 'sell' })).toBe(true);
+    expect(market.sellGood).toHaveBeenCalledWith(0, 7);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for the sugar lump manager
+ */
+
+import { describe, it, expect, mock } from 'bun:test';
+import {
+  getLumpTypeName,
+  getLevelUpCost,
+  getLumpTiming,
+  shouldHarvestLump,
+  planLumpSpending,
+} from '../core/sugarLumps';
+import { getLumpState, collectLumpOptions, levelUpBuilding } from '../browser/sugarLumps';
+import { createBuildingMock } from './mocks/game';
+import type { Building, LumpOption } from '../types';
+
+const HOUR = 60 * 60 * 1000;
+
+function option(overrides: Partial<LumpOption> = {}): LumpOption {
+  return {
+    name: 'Farm',
+    level: 0,
+    cost: 1,
+    deltaCps: 10,
+    unlocksMinigame: false,
+    ...overrides,
+  };
+}
+
+describe('getLumpTypeName', () => {
+  it('should name lump types', () => {
+    expect(getLumpTypeName(0)).toBe('Normal');
+    expect(getLumpTypeName(2)).toBe('Golden');
+    expect(getLumpTypeName(99)).toBe('Normal');
+  });
+});
+
+describe('getLevelUpCost', () => {
+  it('should cost one lump more than the current level', () => {
+    expect(getLevelUpCost(0)).toBe(1);
+    expect(getLevelUpCost(9)).toBe(10);
+  });
+});
+
+describe('getLumpTiming', () => {
+  it('should report a growing lump', () => {
+    const timing = getLumpTiming(0, 10 * HOUR, 20 * HOUR, 23 * HOUR);
+    expect(timing).toEqual({ stage: 'growing', secondsToMature: 36000, secondsToRipe: 46800 });
+    expect(shouldHarvestLump(timing)).toBe(false);
+  });
+
+  it('should not harvest a lump that is only mature', () => {
+    const timing = getLumpTiming(0, 21 * HOUR, 20 * HOUR, 23 * HOUR);
+    expect(timing.stage).toBe('mature');
+    expect(shouldHarvestLump(timing)).toBe(false);
+  });
+
+  it('should harvest a ripe lump', () => {
+    const timing = getLumpTiming(0, 23 * HOUR, 20 * HOUR, 23 * HOUR);
+    expect(timing.stage).toBe('ripe');
+    expect(timing.secondsToRipe).toBe(0);
+    expect(shouldHarvestLump(timing)).toBe(true);
+  });
+});
+
+describe('planLumpSpending', () => {
+  it('should unlock minigames first in priority order', () => {
+    const plan = planLumpSpending(5, [
+      option({ name: 'Cursor', deltaCps: 1000 }),
+      option({ name: 'Farm', unlocksMinigame: true }),
+      option({ name: 'Wizard tower', unlocksMinigame: true }),
+    ]);
+    expect(plan.ranked.map((o) => o.name)).toEqual(['Wizard tower', 'Farm', 'Cursor']);
+    expect(plan.reason).toBe('Unlock minigame');
+  });
+
+  it('should rank levels by CpS per lump', () => {
+    const plan = planLumpSpending(5, [
+      option({ name: 'Cursor', level: 4, cost: 5, deltaCps: 40 }),
+      option({ name: 'Grandma', level: 0, cost: 1, deltaCps: 10 }),
+      option({ name: 'Mine', deltaCps: 0 }),
+    ]);
+    expect(plan.ranked.map((o) => o.name)).toEqual(['Grandma', 'Cursor']);
+    expect(plan.next?.name).toBe('Grandma');
+    expect(plan.reason).toBe('Best CpS per lump');
+  });
+
+  it('should save up for the best option', () => {
+    const plan = planLumpSpending(2, [option({ level: 3, cost: 4 })]);
+    expect(plan.next?.name).toBe('Farm');
+    expect(plan.reason).toBe('Saving: 2/4 lumps');
+  });
+
+  it('should handle nothing to level', () => {
+    expect(planLumpSpending(3, [])).toEqual({ ranked: [], next: null, reason: 'Nothing to level' });
+  });
+});
+
+describe('getLumpState', () => {
+  const game = {
+    lumps: 7,
+    lumpT: 0,
+    lumpMatureAge: 20 * HOUR,
+    lumpRipeAge: 23 * HOUR,
+    lumpCurrentType: 1,
+    canLumps: () => true,
+  };
+
+  it('should read lump count, type and timing', () => {
+    const state = getLumpState(game, 23 * HOUR);
+    expect(state?.lumps).toBe(7);
+    expect(state?.type).toBe('Bifurcated');
+    expect(state?.timing.stage).toBe('ripe');
+  });
+
+  it('should return null before lumps unlock', () => {
+    expect(getLumpState({ ...game, canLumps: () => false })).toBeNull();
+  });
+});
+
+describe('collectLumpOptions', () => {
+  it('should measure each owned building one level up and restore it', () => {
+    const farm = { ...createBuildingMock('Farm', 10), level: 2 };
+    const temple = createBuildingMock('Temple', 3);
+    const objects: Record<string, Building> = {
+      Farm: farm,
+      Temple: temple,
+      Mine: createBuildingMock('Mine', 0),
+    };
+    // CpS reflects building levels, 10 per level
+    const readCps = () => 100 + 10 * ((farm.level ?? 0) + (temple.level ?? 0));
+    const calculateGains = mock();
+
+    const options = collectLumpOptions({ Objects: objects, CalculateGains: calculateGains, readCps });
+    expect(options).toEqual([
+      { name: 'Farm', level: 2, cost: 3, deltaCps: 10, unlocksMinigame: false },
+      { name: 'Temple', level: 0, cost: 1, deltaCps: 10, unlocksMinigame: true },
+    ]);
+    expect(farm.level).toBe(2);
+    expect(temple.level).toBeUndefined();
+    expect(calculateGains).toHaveBeenCalled();
+  });
+});
+
+describe('levelUpBuilding', () => {
+  it('should level up and confirm the prompt', () => {
+    const farm = { ...createBuildingMock('Farm', 10), level: 0 };
+    farm.levelUp = mock(() => {
+      farm.level++;
+    });
+    const confirm = mock();
+
+    expect(levelUpBuilding({ Farm: farm }, option(), 1, confirm)).toBe(true);
+    expect(farm.levelUp).toHaveBeenCalled();
+    expect(confirm).toHaveBeenCalled();
+  });
+
+  it('should not level without enough lumps', () => {
+    const farm = createBuildingMock('Farm', 10);
+    expect(levelUpBuilding({ Farm: farm }, option({ cost: 3 }), 2, mock())).toBe(false);
+    expect(farm.levelUp).not.toHaveBeenCalled();
+  });
+});
@@ -7,8 +7,21 @@ import {
   getWrinklerMultiplier,
   calculateNormalWrinklerReward,
   shouldPopForPurchase,
+  getWrinklerSuckRate,
+  getWrinklerSlotIncome,
+  getWrinklerSpawnChance,
+  getWrinklerRespawnSeconds,
+  getWrinklerReward,
+  rankPoppableWrinklers,
+  planWrinklerPops,
 } from '../core/wrinklers';
-import type { Wrinkler } from '../types';
+import { getWrinklerStats, popWrinklers } from '../browser/wrinklers';
+import { DEFAULT_STRATEGY_PROFILE } from '../core/profiles';
+import type { PoppableWrinkler, Wrinkler } from '../types';
+
+function poppable(index: number, reward: number): PoppableWrinkler {
+  return { index, reward, shiny: false };
+}
 
 describe('getWrinklerMultiplier', () => {
   it('should return base 1.1x with no upgrades', () => {
@@ -60,14 +73,16 @@ describe('calculateNormalWrinklerReward', () => {
 });
 
 describe('shouldPopForPurchase', () => {
+  const respawn = DEFAULT_STRATEGY_PROFILE.wrinklerRespawnTime;
+
   it('should not pop if already affordable', () => {
-    const result = shouldPopForPurchase(1000, 500, 600, 100, 5);
+    const result = shouldPopForPurchase(1000, 500, 600, 100, 5, respawn);
     expect(result.shouldPop).toBe(false);
     expect(result.reason).toBe('Already affordable');
   });
 
   it('should not pop if reward is insufficient', () => {
-    const result = shouldPopForPurchase(100, 1000, 500, 100, 5);
+    const result = shouldPopForPurchase(100, 1000, 500, 100, 5, respawn);
     expect(result.shouldPop).toBe(false);
     expect(result.reason).toBe('Pop reward insufficient');
   });
@@ -76,7 +91,7 @@ describe('shouldPopForPurchase', () => {
     // Need 500, CpS 1, time without pop = 500 seconds
     // Respawn time = 110 * 1 = 110 seconds
     // Saves 390 seconds
-    const result = shouldPopForPurchase(600, 1000, 500, 1, 1);
+    const result = shouldPopForPurchase(600, 1000, 500, 1, 1, respawn);
     expect(result.shouldPop).toBe(true);
     expect(result.reason).toContain('Saves');
   });
@@ -84,8 +99,124 @@ describe('shouldPopForPurchase', () => {
   it('should not pop if respawn cost is too high', () => {
     // Need 100, CpS 100, time without pop = 1 second
     // Respawn time = 110 * 5 = 550 seconds
-    const result = shouldPopForPurchase(200, 600, 500, 100, 5);
+    const result = shouldPopForPurchase(200, 600, 500, 100, 5, respawn);
     expect(result.shouldPop).toBe(false);
     expect(result.reason).toBe('Respawn cost too high');
   });
+
+  it('should use the given respawn time', () => {
+    // Need 500 at 1 CpS saves 500s; 600s respawn costs more
+    expect(shouldPopForPurchase(600, 1000, 500, 1, 1, 600).reason).toBe('Respawn cost too high');
+  });
+
+  it('should weigh respawn time by the income a slot loses', () => {
+    // 600s respawn losing 0.5 CpS a second costs only 300s of CpS
+    expect(shouldPopForPurchase(600, 1000, 500, 1, 1, 600, 0.5).reason).toBe('Saves 200s');
+    expect(shouldPopForPurchase(600, 1000, 500, 1, 1, 300, 2).shouldPop).toBe(false);
+  });
+
+  it('should not charge for slots that lose no income', () => {
+    expect(shouldPopForPurchase(600, 1000, 500, 1, 1, Infinity, 0).reason).toBe('Saves 500s');
+  });
+});
+
+describe('wrinkler model', () => {
+  it('should digest 5% of CpS per active wrinkler, capped at all of it', () => {
+    expect(getWrinklerSuckRate(1000, 10)).toBe(500);
+    expect(getWrinklerSuckRate(1000, 30)).toBe(1000);
+  });
+
+  it('should net a slot\'s digested income against the CpS it withers', () => {
+    // 10 wrinklers: each digests 500/s, returned at 1.1x, less the 50/s it withers
+    expect(getWrinklerSlotIncome(1000, 10, 1.1)).toBeCloseTo(500);
+    expect(getWrinklerSlotIncome(1000, 0, 1.1)).toBe(0);
+  });
+
+  it('should spawn faster with more elder wrath and Unholy bait', () => {
+    expect(getWrinklerSpawnChance(3)).toBeCloseTo(0.00003);
+    // 1 / (0.00001 * 30fps) per stage
+    expect(getWrinklerRespawnSeconds(1)).toBeCloseTo(3333.33, 1);
+    expect(getWrinklerRespawnSeconds(3, 5)).toBeCloseTo(222.22, 1);
+    expect(getWrinklerRespawnSeconds(0)).toBe(Infinity);
+  });
+
+  it('should triple shiny rewards', () => {
+    expect(getWrinklerReward({ phase: 2, type: 0, sucked: 100, hp: 1 }, 1.1)).toBeCloseTo(110);
+    expect(getWrinklerReward({ phase: 2, type: 1, sucked: 100, hp: 1 }, 1.1)).toBeCloseTo(330);
+  });
+});
+
+describe('rankPoppableWrinklers', () => {
+  const wrinklers: Wrinkler[] = [
+    { phase: 2, type: 0, sucked: 100, hp: 1 },
+    { phase: 2, type: 1, sucked: 500, hp: 1 },
+    { phase: 0, type: 0, sucked: 0, hp: 0 },
+    { phase: 2, type: 0, sucked: 300, hp: 1 },
+  ];
+
+  it('should rank fattest first and hold shiny wrinklers', () => {
+    expect(rankPoppableWrinklers(wrinklers, 1, false).map((w) => w.index)).toEqual([3, 0]);
+  });
+
+  it('should include shiny wrinklers when opted in', () => {
+    const ranked = rankPoppableWrinklers(wrinklers, 1, true);
+    expect(ranked[0]).toEqual({ index: 1, reward: 1500, shiny: true });
+  });
+});
+
+describe('planWrinklerPops', () => {
+  const ranked = [poppable(4, 300), poppable(1, 200), poppable(7, 100)];
+
+  it('should pop the fewest fattest wrinklers that afford the item', () => {
+    expect(planWrinklerPops('purchase', ranked, 1500, 1000, 1, 100)).toEqual({
+      indices: [4, 1],
+      reward: 500,
+      reason: 'Saves 300s',
+    });
+  });
+
+  it('should only pop the fattest under the fattest strategy', () => {
+    expect(planWrinklerPops('fattest', ranked, 1300, 1000, 1, 100).indices).toEqual([4]);
+    expect(planWrinklerPops('fattest', ranked, 1500, 1000, 1, 100).reason).toBe('Pop reward insufficient');
+  });
+
+  it('should hold until ascension', () => {
+    expect(planWrinklerPops('hold', ranked, 1500, 1000, 1, 100)).toEqual({
+      indices: [],
+      reward: 0,
+      reason: 'Holding until ascension',
+    });
+  });
+
+  it('should hold while respawning costs more than waiting', () => {
+    expect(planWrinklerPops('purchase', ranked, 1500, 1000, 1, 3000).indices).toEqual([]);
+  });
+
+  it('should pop when the slots lose little income while respawning', () => {
+    expect(planWrinklerPops('purchase', ranked, 1500, 1000, 1, 3000, 0.01).indices).toEqual([4, 1]);
+  });
+});
+
+describe('getWrinklerStats', () => {
+  it('should estimate respawn time from elder wrath', () => {
+    const stats = getWrinklerStats({
+      wrinklers: [{ phase: 2, type: 0, sucked: 100, hp: 1 }],
+      elderWrath: 3,
+      has: (name) => name === 'Unholy bait',
+    });
+    expect(stats?.respawnSeconds).toBeCloseTo(222.22, 1);
+    expect(stats?.popReward).toBeCloseTo(110);
+  });
+});
+
+describe('popWrinklers', () => {
+  it('should pop only the chosen active wrinklers', () => {
+    const wrinklers: Wrinkler[] = [
+      { phase: 2, type: 0, sucked: 100, hp: 1 },
+      { phase: 2, type: 1, sucked: 100, hp: 1 },
+      { phase: 0, type: 0, sucked: 0, hp: 1 },
+    ];
+    expect(popWrinklers(wrinklers, [0, 2, 9])).toBe(1);
+    expect(wrinklers.map((w) => w.hp)).toEqual([0, 1, 1]);
+  });
 });
@@ -0,0 +1,155 @@
+/**
+ * Achievement hunting browser functions
+ */
+
+import {
+  ACHIEVEMENT_ACTIONS,
+  KITTEN_MILK_FACTORS,
+  getNextBuildingMilestone,
+} from '../core/achievements';
+import { popWrinklers } from './wrinklers';
+import type {
+  Achievement,
+  AchievementAction,
+  AchievementState,
+  AchievementTarget,
+  Building,
+  MilkState,
+  Shimmer,
+  Wrinkler,
+} from '../types';
+
+export interface AchievementGameContext {
+  Objects: Record<string, Building>;
+  Achievements: Record<string, Achievement>;
+  milkProgress: number;
+  wrinklers: Wrinkler[];
+  shimmers: Shimmer[];
+  bakeryName: string;
+  bakeryNameSet?: (name: string) => void;
+  ClickTinyCookie?: () => void;
+  Win?: (name: string) => void;
+  Has: (name: string) => boolean;
+}
+
+/**
+ * Read milk and the owned kitten upgrades
+ */
+export function getMilkState(game: Pick<AchievementGameContext, 'milkProgress' | 'Has'>): MilkState {
+  return {
+    milk: game.milkProgress || 0,
+    multiplier: game.Has("Santa's milk and cookies") ? 1.05 : 1,
+    kittens: Object.entries(KITTEN_MILK_FACTORS)
+      .filter(([name]) => game.Has(name))
+      .map(([, factor]) => factor),
+  };
+}
+
+/**
+ * Check if an action achievement can be won right now
+ */
+function canPerformAction(game: AchievementGameContext, action: AchievementAction): boolean {
+  switch (action) {
+    case 'sellGrandma':
+      return (game.Objects['Grandma']?.amount ?? 0) > 0;
+    case 'popWrinkler':
+      return game.wrinklers.some((w) => w.phase === 2 && w.type === 0);
+    case 'clickGolden':
+      return game.shimmers.some((s) => s.type === 'golden' && s.wrath === 0);
+    case 'renameBakery':
+      return typeof game.bakeryNameSet === 'function' && typeof game.Win === 'function';
+    case 'tinyCookie':
+      return typeof game.ClickTinyCookie === 'function';
+  }
+}
+
+/**
+ * Find unwon achievements within reach: the next milestone for each building
+ * (with the price of the buildings still needed) and action achievements available now
+ */
+export function getAchievementTargets(game: AchievementGameContext): AchievementTarget[] {
+  const targets: AchievementTarget[] = [];
+
+  for (const name in game.Objects) {
+    const building = game.Objects[name];
+    if (!building || building.locked || !building.tieredAchievs) continue;
+
+    const milestone = getNextBuildingMilestone(
+      building.amount,
+      Object.entries(building.tieredAchievs).map(([tier, a]) => ({
+        name: a.name,
+        tier: Number(tier),
+        won: Boolean(a.won),
+      }))
+    );
+    if (!milestone) continue;
+
+    const needed = milestone.count - building.amount;
+    targets.push({
+      kind: 'building',
+      name: milestone.name,
+      building: name,
+      needed,
+      price: building.getSumPrice(needed),
+    });
+  }
+
+  for (const [name, action] of Object.entries(ACHIEVEMENT_ACTIONS)) {
+    const achievement = game.Achievements[name];
+    if (!achievement || achievement.won || !canPerformAction(game, action)) continue;
+    targets.push({ kind: 'action', name, action });
+  }
+
+  return targets;
+}
+
+/**
+ * Read milk and achievement targets together
+ */
+export function getAchievementState(game: AchievementGameContext): AchievementState {
+  return { milk: getMilkState(game), targets: getAchievementTargets(game) };
+}
+
+/**
+ * Perform the action that wins an achievement
+ * Selling buys the grandma straight back; popping goes for the least-fed normal wrinkler;
+ * renaming keeps the bakery's name and confirms it the way the rename prompt does.
+ * @returns true if the action was performed
+ */
+export function performAchievementAction(game: AchievementGameContext, action: AchievementAction): boolean {
+  switch (action) {
+    case 'sellGrandma': {
+      const grandma = game.Objects['Grandma'];
+      if (!grandma || grandma.amount <= 0) return false;
+      grandma.sell(1);
+      grandma.buy(1);
+      return true;
+    }
+    case 'popWrinkler': {
+      let index = -1;
+      let sucked = Infinity;
+      game.wrinklers.forEach((w, i) => {
+        if (w.phase === 2 && w.type === 0 && w.sucked < sucked) {
+          index = i;
+          sucked = w.sucked;
+        }
+      });
+      return popWrinklers(game.wrinklers, [index]) > 0;
+    }
+    case 'clickGolden': {
+      const golden = game.shimmers.find((s) => s.type === 'golden' && s.wrath === 0);
+      if (!golden) return false;
+      golden.pop();
+      return true;
+    }
+    case 'renameBakery':
+      if (!game.bakeryNameSet || !game.Win) return false;
+      game.bakeryNameSet(game.bakeryName);
+      game.Win("What's in a name");
+      return true;
+    case 'tinyCookie':
+      if (!game.ClickTinyCookie) return false;
+      game.ClickTinyCookie();
+      return true;
+  }
+}
@@ -7,7 +7,17 @@ import {
   calculateUnpurchasedHeavenlyCost,
   calculateHeavenlyUpgradeBreakdown,
 } from '../core/ascension';
-import type { AscensionStats, HeavenlyUpgradeBreakdown, Upgrade } from '../types';
+import { planHeavenlyPurchases } from '../core/heavenly';
+import { getWrinklerMultiplier, rankPoppableWrinklers } from '../core/wrinklers';
+import { popWrinklers } from './wrinklers';
+import type {
+  AscensionStats,
+  AscensionStep,
+  AscensionStepResult,
+  HeavenlyUpgradeBreakdown,
+  Upgrade,
+  Wrinkler,
+} from '../types';
 
 export interface AscensionGameContext {
   prestige: number;
@@ -50,3 +60,82 @@ export function getHeavenlyUpgradeBreakdown(
   const upgrades = Object.values(game.Upgrades);
   return calculateHeavenlyUpgradeBreakdown(upgrades, game.heavenlyChips);
 }
+
+export interface AscensionAutopilotContext {
+  prestige: number;
+  heavenlyChips: number;
+  Upgrades: Record<string, Upgrade>;
+  wrinklers: Wrinkler[];
+  OnAscend: number;
+  AscendTimer: number;
+  ReincarnateTimer: number;
+  Has: (name: string) => boolean;
+  Ascend: (bypass?: number) => void;
+  Reincarnate: (bypass?: number) => void;
+}
+
+/**
+ * Run one step of the ascension autopilot
+ * popping → ascending → buying → reincarnating → resuming. Steps that wait on a game
+ * animation return the same step with no action until the game is ready.
+ * @param skipped - Heavenly upgrades to leave alone; ones the game refuses to sell are added
+ */
+export function advanceAscension(
+  game: AscensionAutopilotContext,
+  step: AscensionStep,
+  skipped: string[]
+): AscensionStepResult {
+  const wait: AscensionStepResult = { step, action: null, data: {} };
+
+  switch (step) {
+    case 'popping': {
+      // Digested cookies count toward prestige once popped; shiny ones are lost on ascension anyway
+      const multiplier = getWrinklerMultiplier(
+        game.Has('Wrinklerspawn'),
+        game.Has('Sacrilegious corruption')
+      );
+      const ranked = rankPoppableWrinklers(game.wrinklers, multiplier, true);
+      const count = popWrinklers(game.wrinklers, ranked.map((w) => w.index));
+      const reward = ranked.reduce((sum, w) => sum + w.reward, 0);
+      return { step: 'ascending', action: 'ASCEND_WRINKLERS', data: { count, reward } };
+    }
+
+    case 'ascending':
+      if (game.OnAscend) return { step: 'buying', action: null, data: {} };
+      if (game.AscendTimer > 0) return wait;
+      game.Ascend(1);
+      return { step, action: 'ASCEND', data: { prestige_before: game.prestige } };
+
+    case 'buying': {
+      if (!game.OnAscend) return wait;
+      const { upgrades } = calculateHeavenlyUpgradeBreakdown(
+        Object.values(game.Upgrades),
+        game.heavenlyChips
+      );
+      const next = planHeavenlyPurchases(
+        upgrades.filter((u) => !skipped.includes(u.name)),
+        game.heavenlyChips
+      )[0];
+      if (!next) return { step: 'reincarnating', action: null, data: {} };
+
+      const upgrade = game.Upgrades[next.name];
+      upgrade?.buy();
+      if (!upgrade?.bought) {
+        skipped.push(next.name);
+        return wait;
+      }
+      return { step, action: 'HEAVENLY_BUY', data: { upgrade: next.name, cost: next.cost } };
+    }
+
+    case 'reincarnating':
+      if (!game.OnAscend && game.ReincarnateTimer === 0) {
+        return { step: 'resuming', action: null, data: {} };
+      }
+      if (!game.OnAscend || game.ReincarnateTimer > 0) return wait;
+      game.Reincarnate(1);
+      return { step, action: 'REINCARNATE', data: { prestige: game.prestige } };
+
+    default:
+      return wait;
+  }
+}
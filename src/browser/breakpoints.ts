@@ -0,0 +1,24 @@
+/**
+ * Building breakpoint browser functions
+ */
+
+import { findBuildingBreakpoint } from '../core/breakpoints';
+import type { Building, BuildingBreakpoint } from '../types';
+
+/**
+ * Find a building's next breakpoint from its tiered upgrades and achievements
+ */
+export function getBuildingBreakpoint(name: string, building: Building): BuildingBreakpoint | null {
+  const upgrades = Object.entries(building.tieredUpgrades ?? {}).map(([tier, u]) => ({
+    name: u.name,
+    tier: Number(tier),
+    unlocked: u.unlocked || u.bought,
+    price: u.getPrice(),
+  }));
+  const achievements = Object.entries(building.tieredAchievs ?? {}).map(([tier, a]) => ({
+    name: a.name,
+    tier: Number(tier),
+    won: Boolean(a.won),
+  }));
+  return findBuildingBreakpoint(name, building.amount, upgrades, achievements);
+}
@@ -0,0 +1,22 @@
+/**
+ * Combo browser functions
+ */
+
+import { GAME_FPS } from '../core/constants';
+import { scoreCombo } from '../core/combos';
+import type { Buff, ComboState, Shimmer } from '../types';
+
+/**
+ * Score every active buff in Game.buffs
+ */
+export function getComboState(buffs: Record<string, Buff> | undefined): ComboState {
+  return scoreCombo(buffs ? Object.values(buffs) : []);
+}
+
+/**
+ * Seconds before a shimmer fades
+ * Returns 0 when the game doesn't expose the shimmer's life, so it is never held
+ */
+export function getShimmerSecondsLeft(shimmer: Shimmer): number {
+  return typeof shimmer.life === 'number' ? shimmer.life / GAME_FPS : 0;
+}
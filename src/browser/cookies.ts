@@ -7,13 +7,15 @@ import type { Shimmer } from '../types';
 
 /**
  * Click shimmers (golden cookies, wrath cookies, reindeer) if enabled
+ * @param shouldPopGolden - Optional filter to hold golden/wrath cookies for a combo
  * @returns true if any shimmer was clicked
  */
 export function clickShimmers(
   shimmers: Shimmer[],
   autoGolden: boolean,
   autoWrath: boolean,
-  getCookies: () => number
+  getCookies: () => number,
+  shouldPopGolden: (shimmer: Shimmer) => boolean = () => true
 ): boolean {
   if (!autoGolden) return false;
 
@@ -22,7 +24,7 @@ export function clickShimmers(
   for (const shimmer of shimmers) {
     if (shimmer.type === 'golden') {
       // Click if it's a regular golden cookie, or if it's wrath and autoWrath is enabled
-      if (shimmer.wrath === 0 || autoWrath) {
+      if ((shimmer.wrath === 0 || autoWrath) && shouldPopGolden(shimmer)) {
         const shimmerType = shimmer.wrath === 0 ? 'golden' : 'wrath';
         const cookiesBefore = getCookies();
         shimmer.pop();
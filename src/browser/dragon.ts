@@ -3,7 +3,7 @@
  */
 
 import { getAuraName, getAuraIndex, DRAGON_LEVEL_AURAS, DRAGON_LEVEL_DUAL } from '../core/dragon';
-import type { DragonState, DragonConfig, Building, Buff } from '../types';
+import type { DragonState, DragonConfig, Building } from '../types';
 
 export interface DragonGameContext {
   dragonLevel: number;
@@ -11,7 +11,6 @@ export interface DragonGameContext {
   dragonAura2: number;
   SetDragonAura: (aura: number, slot: number) => void;
   ConfirmPrompt: () => void;
-  buffs: Record<string, Buff>;
   Objects: Record<string, Building>;
   Has: (name: string) => boolean;
   hasAura: (name: string) => boolean;
@@ -59,65 +58,54 @@ export function switchAuras(game: DragonGameContext, config: DragonConfig): bool
   return true;
 }
 
-/**
- * Check if Frenzy buff is active with sufficient time remaining
- * Frenzy must have >5 seconds remaining to be worth switching auras
- */
-export function hasActiveFrenzy(game: DragonGameContext): boolean {
-  if (!game.buffs) return false;
-
-  const frenzy = game.buffs['frenzy'] || game.buffs['Frenzy'];
-  if (!frenzy) return false;
-
-  // Game stores time in frames (30fps), so 5 seconds = 150 frames
-  // But some versions store in ms. Check both patterns.
-  // If time > 1000, assume ms; otherwise assume frames
-  const timeRemaining = frenzy.time;
-  if (timeRemaining > 1000) {
-    return timeRemaining > 5000; // ms
-  }
-  return timeRemaining > 150; // frames (5 seconds * 30fps)
-}
+/** Buildings from lowest to highest tier */
+const BUILDING_ORDER = [
+  'Cursor',
+  'Grandma',
+  'Farm',
+  'Mine',
+  'Factory',
+  'Bank',
+  'Temple',
+  'Wizard tower',
+  'Shipment',
+  'Alchemy lab',
+  'Portal',
+  'Time machine',
+  'Antimatter condenser',
+  'Prism',
+  'Chancemaker',
+  'Fractal engine',
+  'Javascript console',
+  'Idleverse',
+  'Cortex baker',
+  'You',
+];
 
 /**
- * Get the count of the highest tier building owned
- * Used as safeguard to prevent draining buildings from aura switches
+ * Get the highest tier building owned
+ * This is the building an aura switch sacrifices
  */
-export function getHighestTierBuildingCount(game: DragonGameContext): number {
-  const buildingOrder = [
-    'Cursor',
-    'Grandma',
-    'Farm',
-    'Mine',
-    'Factory',
-    'Bank',
-    'Temple',
-    'Wizard tower',
-    'Shipment',
-    'Alchemy lab',
-    'Portal',
-    'Time machine',
-    'Antimatter condenser',
-    'Prism',
-    'Chancemaker',
-    'Fractal engine',
-    'Javascript console',
-    'Idleverse',
-    'Cortex baker',
-    'You',
-  ];
-
+export function getHighestTierBuilding(game: Pick<DragonGameContext, 'Objects'>): Building | null {
   // Find highest tier with at least 1 building
-  for (let i = buildingOrder.length - 1; i >= 0; i--) {
-    const name = buildingOrder[i];
+  for (let i = BUILDING_ORDER.length - 1; i >= 0; i--) {
+    const name = BUILDING_ORDER[i];
     if (!name) continue;
     const building = game.Objects[name];
     if (building && building.amount > 0) {
-      return building.amount;
+      return building;
     }
   }
 
-  return 0;
+  return null;
+}
+
+/**
+ * Get the count of the highest tier building owned
+ * Used as safeguard to prevent draining buildings from aura switches
+ */
+export function getHighestTierBuildingCount(game: DragonGameContext): number {
+  return getHighestTierBuilding(game)?.amount ?? 0;
 }
 
 /**
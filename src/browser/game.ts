@@ -34,39 +34,55 @@ function clickPromptYes(): void {
   }
 }
 
+/**
+ * Split a building candidate name into building and quantity
+ * e.g. "Cursor x10" → { building: "Cursor", quantity: 10 }, "Cursor" → quantity 1
+ */
+export function parseBuildingCandidateName(name: string): { building: string; quantity: number } {
+  const match = name.match(/^(.+) x(\d+)$/);
+  if (match && match[1] && match[2]) {
+    return { building: match[1], quantity: parseInt(match[2], 10) };
+  }
+  return { building: name, quantity: 1 };
+}
+
+/**
+ * Get the building and quantity a building candidate buys
+ * Uses the candidate's own fields, falling back to its "Name xN" name.
+ */
+export function getBuildingPurchase(item: { name: string; building?: string; quantity?: number }): {
+  building: string;
+  quantity: number;
+} {
+  if (item.building !== undefined) {
+    return { building: item.building, quantity: item.quantity ?? 1 };
+  }
+  return parseBuildingCandidateName(item.name);
+}
+
 /**
  * Execute a purchase for the given item
+ * @param allowUpgrades - false refuses every upgrade (Hardcore runs)
+ * @param blockedItems - Buildings and upgrades the user has blocked (refused)
  */
 export function executePurchaseItem(
-  item: { name: string; type: string } | null,
+  item: { name: string; type: string; building?: string; quantity?: number } | null,
   gameObjects: Record<string, Building>,
-  gameUpgrades: Record<string, Upgrade>
+  gameUpgrades: Record<string, Upgrade>,
+  allowUpgrades = true,
+  blockedItems: readonly string[] = []
 ): boolean {
   if (!item) return false;
 
   if (item.type === 'Building') {
-    // Parse quantity from name (e.g., "Cursor x10" → building="Cursor", qty=10)
-    const match = item.name.match(/^(.+) x(\d+)$/);
-    if (match) {
-      const buildingName = match[1];
-      const quantityStr = match[2];
-      if (buildingName && quantityStr) {
-        const quantity = parseInt(quantityStr, 10);
-        const building = gameObjects[buildingName];
-        if (building) {
-          building.buy(quantity);
-          return true;
-        }
-      }
-    } else {
-      // Single building purchase (no " xN" suffix)
-      const building = gameObjects[item.name];
-      if (building) {
-        building.buy(1);
-        return true;
-      }
+    const { building: buildingName, quantity } = getBuildingPurchase(item);
+    if (blockedItems.includes(buildingName)) return false;
+    const building = gameObjects[buildingName];
+    if (building && quantity > 0) {
+      building.buy(quantity);
+      return true;
     }
-  } else if (item.type === 'Upgrade') {
+  } else if (item.type === 'Upgrade' && allowUpgrades && !blockedItems.includes(item.name)) {
     const upgrade = gameUpgrades[item.name];
     if (upgrade) {
       upgrade.buy();
@@ -0,0 +1,78 @@
+/**
+ * Garden browser functions
+ */
+
+import type { Building, GardenAction, GardenMinigame, GardenSeed, GardenState, GardenTile } from '../types';
+
+/**
+ * Get the Garden minigame from the Farm
+ * Returns null until the minigame is unlocked and loaded
+ */
+export function getGarden(objects: Record<string, Building>): GardenMinigame | null {
+  const minigame = objects['Farm']?.minigame as GardenMinigame | undefined;
+  if (!minigame || !Array.isArray(minigame.plot) || !minigame.plantsById) {
+    return null;
+  }
+  return minigame;
+}
+
+/**
+ * Read unlocked plot tiles
+ */
+function readTiles(garden: GardenMinigame): GardenTile[] {
+  const tiles: GardenTile[] = [];
+  garden.plot.forEach((row, y) => {
+    row.forEach(([id, age], x) => {
+      if (!garden.isTileUnlocked(x, y)) return;
+      const plant = id > 0 ? garden.plantsById[id - 1] : undefined;
+      // Soil and neighbouring plants scale how fast a tile ages
+      const ageMult = garden.plotBoost?.[y]?.[x]?.[0] ?? 1;
+      tiles.push({
+        x,
+        y,
+        plant: plant?.key ?? null,
+        age,
+        mature: plant?.mature ?? 0,
+        immortal: Boolean(plant?.immortal),
+        minAgePerTick: (plant?.ageTick ?? 0) * ageMult,
+        maxAgePerTick: ((plant?.ageTick ?? 0) + (plant?.ageTickR ?? 0)) * ageMult,
+      });
+    });
+  });
+  return tiles;
+}
+
+/**
+ * Get current garden state (tiles, seeds and tick timing)
+ * Returns null if the garden is not available
+ */
+export function getGardenState(garden: GardenMinigame | null, now: number = Date.now()): GardenState | null {
+  if (!garden) return null;
+
+  const seeds: Record<string, GardenSeed> = {};
+  for (const plant of garden.plantsById) {
+    seeds[plant.key] = { key: plant.key, unlocked: Boolean(plant.unlocked), cost: garden.getCost(plant) };
+  }
+
+  return {
+    tiles: readTiles(garden),
+    seeds,
+    seedsUnlocked: garden.plantsUnlockedN,
+    seedsTotal: garden.plantsN,
+    secondsToNextTick: Math.max(0, (garden.nextStep - now) / 1000),
+    secondsPerTick: garden.stepT,
+  };
+}
+
+/**
+ * Execute a planned garden action
+ * Returns true if the game accepted it
+ */
+export function executeGardenAction(garden: GardenMinigame, action: GardenAction): boolean {
+  if (action.type === 'harvest') {
+    return garden.harvest(action.x, action.y, 1) === true;
+  }
+  const plant = garden.plants[action.plant];
+  if (!plant) return false;
+  return garden.useTool(plant.id, action.x, action.y) === true;
+}
@@ -0,0 +1,24 @@
+/**
+ * Goal mode browser functions
+ */
+
+import type { Building, GoalItem, Upgrade } from '../types';
+
+/**
+ * Look up a goal item: a building (its next price) or an upgrade not yet bought
+ * Returns null if no such item is left to buy.
+ */
+export function getGoalItem(
+  objects: Record<string, Building>,
+  upgrades: Record<string, Upgrade>,
+  name: string
+): GoalItem | null {
+  const building = objects[name];
+  if (building) {
+    return { name, type: 'Building', price: building.price, available: !building.locked };
+  }
+
+  const upgrade = upgrades[name];
+  if (!upgrade || upgrade.bought) return null;
+  return { name, type: 'Upgrade', price: upgrade.getPrice(), available: upgrade.unlocked };
+}
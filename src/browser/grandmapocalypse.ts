@@ -0,0 +1,66 @@
+/**
+ * Grandmapocalypse browser functions
+ */
+
+import { GAME_FPS } from '../core/constants';
+import { ELDER_PLEDGE_MINUTES } from '../core/grandmapocalypse';
+import { getWrinklerCapacity } from './wrinklers';
+import type { ElderAction, GrandmapocalypseState, Upgrade } from '../types';
+
+export interface GrandmapocalypseGameContext {
+  elderWrath: number;
+  pledgeT: number;
+  Upgrades: Record<string, Upgrade>;
+  UpgradesInStore: Upgrade[];
+  Has: (name: string) => boolean;
+  getWrinklersMax?: () => number;
+}
+
+const ELDER_ACTIONS: readonly ElderAction[] = ['Elder Pledge', 'Elder Covenant', 'Revoke Elder Covenant'];
+
+/**
+ * Get current Grandmapocalypse state
+ * Returns null until the research chain reaches One mind
+ */
+export function getGrandmapocalypseState(game: GrandmapocalypseGameContext): GrandmapocalypseState | null {
+  if (!game.Upgrades['One mind']?.unlocked) return null;
+
+  const prices: GrandmapocalypseState['prices'] = {};
+  for (const upgrade of game.UpgradesInStore) {
+    if ((ELDER_ACTIONS as readonly string[]).includes(upgrade.name)) {
+      prices[upgrade.name as ElderAction] = upgrade.getPrice();
+    }
+  }
+
+  const { max, multiplier } = getWrinklerCapacity({
+    has: game.Has,
+    getWrinklersMax: game.getWrinklersMax,
+  });
+  const pledgeMinutes = ELDER_PLEDGE_MINUTES * (game.Has('Sacrificial rolling pins') ? 2 : 1);
+
+  return {
+    stage: game.elderWrath,
+    pledgeSeconds: Math.max(0, game.pledgeT / GAME_FPS),
+    pledgeDuration: pledgeMinutes * 60,
+    covenant: game.Has('Elder Covenant'),
+    prices,
+    wrinklerMax: max,
+    wrinklerMultiplier: multiplier,
+  };
+}
+
+/**
+ * Buy an elder upgrade from the store
+ * Returns false if it isn't in the store or is blocked
+ */
+export function buyElderUpgrade(
+  upgradesInStore: Upgrade[],
+  action: ElderAction,
+  blockedItems: readonly string[] = []
+): boolean {
+  if (blockedItems.includes(action)) return false;
+  const upgrade = upgradesInStore.find((u) => u.name === action);
+  if (!upgrade) return false;
+  upgrade.buy();
+  return true;
+}
@@ -0,0 +1,65 @@
+/**
+ * Grimoire browser functions
+ */
+
+import {
+  SPELL_FORCE_HAND_OF_FATE,
+  SPELL_CONJURE_BAKED_GOODS,
+  calculateSpellCost,
+  estimateMagicRegenSeconds,
+} from '../core/grimoire';
+import type { Building, GrimoireMinigame, GrimoireSpell, GrimoireState } from '../types';
+
+/**
+ * Get the Grimoire minigame from the Wizard tower
+ * Returns null until the minigame is unlocked and loaded
+ */
+export function getGrimoire(objects: Record<string, Building>): GrimoireMinigame | null {
+  const minigame = objects['Wizard tower']?.minigame as GrimoireMinigame | undefined;
+  if (!minigame || typeof minigame.magic !== 'number' || !minigame.spells) {
+    return null;
+  }
+  return minigame;
+}
+
+/**
+ * Get a spell's current magic cost
+ */
+function getSpellCost(grimoire: GrimoireMinigame, spell: GrimoireSpell): number {
+  if (grimoire.getSpellCost) {
+    return grimoire.getSpellCost(spell);
+  }
+  return calculateSpellCost(spell.costMin, spell.costPercent, grimoire.magicM);
+}
+
+/**
+ * Get current Grimoire state (magic and spell costs)
+ * Returns null if the Grimoire is not available
+ */
+export function getGrimoireState(grimoire: GrimoireMinigame | null): GrimoireState | null {
+  if (!grimoire) return null;
+
+  const fthof = grimoire.spells[SPELL_FORCE_HAND_OF_FATE];
+  const conjure = grimoire.spells[SPELL_CONJURE_BAKED_GOODS];
+  if (!fthof || !conjure) return null;
+
+  const fthofCost = getSpellCost(grimoire, fthof);
+
+  return {
+    magic: grimoire.magic,
+    magicMax: grimoire.magicM,
+    fthofCost,
+    conjureCost: getSpellCost(grimoire, conjure),
+    secondsToFthof: estimateMagicRegenSeconds(grimoire.magic, fthofCost, grimoire.magicM),
+  };
+}
+
+/**
+ * Cast a spell by key
+ * Returns true if the game accepted the cast
+ */
+export function castGrimoireSpell(grimoire: GrimoireMinigame, spellKey: string): boolean {
+  const spell = grimoire.spells[spellKey];
+  if (!spell) return false;
+  return grimoire.castSpell(spell) === true;
+}
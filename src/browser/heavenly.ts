@@ -0,0 +1,46 @@
+/**
+ * Heavenly upgrade plan browser functions
+ */
+
+import { calculateHeavenlyUpgradeBreakdown } from '../core/ascension';
+import { planHeavenlyUpgrades } from '../core/heavenly';
+import type { AscendTreeMark, HeavenlyPlan, Upgrade } from '../types';
+
+export interface HeavenlyGameContext {
+  prestige: number;
+  heavenlyChips: number;
+  Upgrades: Record<string, Upgrade>;
+}
+
+/**
+ * Plan heavenly upgrade purchases for the current chip balance
+ * Returns null if player hasn't ascended yet (prestige === 0)
+ */
+export function getHeavenlyPlan(game: HeavenlyGameContext): HeavenlyPlan | null {
+  if (game.prestige === 0) return null;
+
+  const { upgrades } = calculateHeavenlyUpgradeBreakdown(
+    Object.values(game.Upgrades),
+    game.heavenlyChips
+  );
+  return planHeavenlyUpgrades(upgrades, game.heavenlyChips, game.prestige);
+}
+
+/**
+ * Badges for the ascension screen: buy order numbers, then ★ on the milestone path
+ * Upgrades without a game id are left unmarked.
+ */
+export function getAscendTreeMarks(
+  plan: HeavenlyPlan,
+  upgrades: Record<string, Upgrade>
+): AscendTreeMark[] {
+  const marks: AscendTreeMark[] = [];
+  const mark = (name: string, label: string, milestone: boolean): void => {
+    const id = upgrades[name]?.id;
+    if (id !== undefined) marks.push({ elementId: `heavenlyUpgrade${id}`, label, milestone });
+  };
+
+  plan.order.forEach((u, i) => mark(u.name, String(i + 1), false));
+  for (const name of plan.milestone?.path ?? []) mark(name, '★', true);
+  return marks;
+}
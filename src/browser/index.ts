@@ -6,3 +6,22 @@ export * from './game';
 export * from './purchases';
 export * from './cookies';
 export * from './wrinklers';
+export * from './payback';
+export * from './planner';
+export * from './pantheon';
+export * from './grimoire';
+export * from './combos';
+export * from './garden';
+export * from './stockMarket';
+export * from './seasons';
+export * from './santa';
+export * from './grandmapocalypse';
+export * from './heavenly';
+export * from './permanentSlots';
+export * from './runModes';
+export * from './achievements';
+export * from './breakpoints';
+export * from './selling';
+export * from './sugarLumps';
+export * from './goals';
+export * from './settings';
@@ -0,0 +1,92 @@
+/**
+ * Pantheon browser functions
+ */
+
+import { GOD_KEYS, getGodName, getSecondsToNextSwap } from '../core/pantheon';
+import type {
+  Building,
+  GodzamokSale,
+  PantheonGod,
+  PantheonMinigame,
+  PantheonState,
+} from '../types';
+
+/**
+ * Get the Pantheon minigame from the Temple
+ * Returns null until the minigame is unlocked and loaded
+ */
+export function getPantheon(objects: Record<string, Building>): PantheonMinigame | null {
+  const minigame = objects['Temple']?.minigame as PantheonMinigame | undefined;
+  if (!minigame || !Array.isArray(minigame.slot) || !minigame.godsById) {
+    return null;
+  }
+  return minigame;
+}
+
+/**
+ * Get current pantheon state (slotted spirits and worship swaps)
+ * Returns null if the pantheon is not available
+ */
+export function getPantheonState(
+  pantheon: PantheonMinigame | null,
+  now: number = Date.now()
+): PantheonState | null {
+  if (!pantheon) return null;
+
+  const keyById = new Map<number, string>();
+  for (const key in pantheon.gods) {
+    const god = pantheon.gods[key];
+    if (god) keyById.set(god.id, key);
+  }
+
+  return {
+    slots: pantheon.slot.map((id) => getGodName(keyById.get(id))),
+    swaps: pantheon.swaps,
+    secondsToNextSwap: getSecondsToNextSwap(pantheon.swaps, pantheon.swapT, now),
+  };
+}
+
+/**
+ * Slot a spirit, spending a worship swap like dragging it in the game would
+ * Returns true if the spirit was slotted
+ */
+export function slotGod(pantheon: PantheonMinigame, god: PantheonGod, slot: number): boolean {
+  const spirit = pantheon.gods[GOD_KEYS[god]];
+  if (!spirit || pantheon.swaps <= 0 || spirit.slot === slot) return false;
+
+  pantheon.useSwap(1);
+  pantheon.slotGod(spirit, slot);
+  return true;
+}
+
+/**
+ * Read sellable buildings for a Godzamok combo
+ */
+export function getGodzamokBuildings(
+  objects: Record<string, Building>,
+  names: readonly string[]
+): { name: string; amount: number; price: number }[] {
+  return names
+    .map((name) => objects[name])
+    .filter((building): building is Building => Boolean(building))
+    .map((building) => ({ name: building.name, amount: building.amount, price: building.price }));
+}
+
+/**
+ * Sell and immediately rebuy buildings to trigger Godzamok's Devastation buff
+ * @returns cookies spent on the round trip
+ */
+export function executeGodzamokSales(
+  objects: Record<string, Building>,
+  sales: readonly GodzamokSale[],
+  getCookies: () => number
+): number {
+  const cookiesBefore = getCookies();
+  for (const sale of sales) {
+    const building = objects[sale.name];
+    if (!building) continue;
+    building.sell(sale.quantity);
+    building.buy(sale.quantity);
+  }
+  return cookiesBefore - getCookies();
+}
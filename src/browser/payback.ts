@@ -0,0 +1,167 @@
+/**
+ * Native candidate collection (no Cookie Monster required)
+ */
+
+import { getBreakpointBonus, scoreBreakpoint } from '../core/breakpoints';
+import { isBlockedGrandmapocalypseUpgrade, isToggleUpgrade } from '../core/candidates';
+import {
+  calculatePaybackPeriod,
+  simulateBuildingDeltaCps,
+  simulateUpgradeDeltaCps,
+  type CpsSimulator,
+} from '../core/payback';
+import { getBuildingBreakpoint } from './breakpoints';
+import type { Building, Candidate, CookieMonsterData, GrandmapocalypsePolicy, Upgrade } from '../types';
+
+/** Building bundle sizes evaluated for each building */
+export const BUILDING_BUY_AMOUNTS = [1, 10, 100] as const;
+
+export interface PaybackGameContext {
+  cookies: number;
+  Objects: Record<string, Building>;
+  UpgradesInStore: Upgrade[];
+  CalculateGains: () => void;
+  /** Returns the CpS used for deltas (unbuffed where available) */
+  readCps: () => number;
+  /** Decides which grandmapocalypse research is skipped (defaults to stopping at One mind) */
+  grandmapocalypsePolicy?: GrandmapocalypsePolicy;
+}
+
+/**
+ * Build a CpS simulator from the game context
+ */
+export function createCpsSimulator(
+  game: Pick<PaybackGameContext, 'CalculateGains' | 'readCps'>
+): CpsSimulator {
+  return {
+    recalculate: () => game.CalculateGains(),
+    readCps: () => game.readCps(),
+  };
+}
+
+/**
+ * Collect building and upgrade candidates with natively computed PP
+ * Each purchase is applied temporarily and measured with Game.CalculateGains(),
+ * then the game state is restored with a final recalculation. Buildings are offered
+ * in the fixed bundles plus the exact bundle that reaches their next breakpoint.
+ */
+export function collectNativeCandidates(game: PaybackGameContext): Candidate[] {
+  const sim = createCpsSimulator(game);
+  const baselineCps = game.readCps();
+  const candidates: Candidate[] = [];
+
+  try {
+    for (const name in game.Objects) {
+      if (!Object.prototype.hasOwnProperty.call(game.Objects, name)) continue;
+      const building = game.Objects[name];
+      if (!building || building.locked) continue;
+
+      // The exact bundle to the next upgrade unlock or achievement joins the fixed bundles
+      const breakpoint = getBuildingBreakpoint(name, building);
+      const amounts: number[] = [...BUILDING_BUY_AMOUNTS];
+      if (breakpoint && !amounts.includes(breakpoint.quantity)) amounts.push(breakpoint.quantity);
+
+      for (const amount of amounts) {
+        const price = building.getSumPrice(amount);
+        const deltaCps = simulateBuildingDeltaCps(sim, baselineCps, building, amount);
+        const candidate: Candidate = {
+          name: name + (amount > 1 ? ' x' + amount : ''),
+          type: 'Building',
+          pp: calculatePaybackPeriod(price, deltaCps, game.cookies, baselineCps),
+          price,
+          deltaCps,
+          affordable: false, // Set after lucky bank calculation
+          building: name,
+          quantity: amount,
+        };
+        if (breakpoint?.quantity === amount) {
+          candidate.pp = scoreBreakpoint(breakpoint, building.amount, price, deltaCps, game.cookies, baselineCps);
+          candidate.breakpoint = breakpoint.target;
+          // The planner measures the bundle alone, so the unlocked upgrade's value goes with it
+          const bonus = getBreakpointBonus(breakpoint, building.amount, deltaCps);
+          if (bonus.cps > 0) {
+            candidate.bonusCps = bonus.cps;
+            candidate.bonusPrice = bonus.price;
+          }
+        }
+        candidates.push(candidate);
+      }
+    }
+
+    for (const upgrade of game.UpgradesInStore) {
+      if (
+        isToggleUpgrade(upgrade.name) ||
+        isBlockedGrandmapocalypseUpgrade(upgrade.name, game.grandmapocalypsePolicy)
+      ) {
+        continue;
+      }
+
+      const price = upgrade.getPrice();
+      const deltaCps = simulateUpgradeDeltaCps(sim, baselineCps, upgrade);
+      candidates.push({
+        name: upgrade.name,
+        type: 'Upgrade',
+        pp: calculatePaybackPeriod(price, deltaCps, game.cookies, baselineCps),
+        price,
+        deltaCps,
+        affordable: false,
+      });
+    }
+  } finally {
+    // Restore the game's real CpS after all simulations
+    sim.recalculate();
+  }
+
+  return candidates;
+}
+
+/**
+ * Build a name → PP lookup from Cookie Monster data, keyed like native candidates
+ * Returns an empty map when CM is absent or its data shape is unrecognized.
+ */
+export function getCMPaybackLookup(cmData: Partial<CookieMonsterData> | undefined): Map<string, number> {
+  const lookup = new Map<string, number>();
+  if (!cmData) return lookup;
+
+  const buyAmounts = [
+    { key: 'Objects1' as const, amount: 1 },
+    { key: 'Objects10' as const, amount: 10 },
+    { key: 'Objects100' as const, amount: 100 },
+  ];
+
+  for (const { key, amount } of buyAmounts) {
+    const objects = cmData[key];
+    if (!objects || typeof objects !== 'object') continue;
+    for (const name in objects) {
+      const pp = objects[name]?.pp;
+      if (typeof pp === 'number' && Number.isFinite(pp)) {
+        lookup.set(name + (amount > 1 ? ' x' + amount : ''), pp);
+      }
+    }
+  }
+
+  const upgrades = cmData.Upgrades;
+  if (upgrades && typeof upgrades === 'object') {
+    for (const name in upgrades) {
+      const pp = upgrades[name]?.pp;
+      if (typeof pp === 'number' && Number.isFinite(pp)) {
+        lookup.set(name, pp);
+      }
+    }
+  }
+
+  return lookup;
+}
+
+/**
+ * Attach Cookie Monster PP values to native candidates for cross-checking
+ */
+export function attachCMCrossCheck(candidates: Candidate[], lookup: Map<string, number>): void {
+  if (lookup.size === 0) return;
+  for (const c of candidates) {
+    const cmPp = lookup.get(c.name);
+    if (cmPp !== undefined) {
+      c.cmPp = cmPp;
+    }
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Permanent upgrade slot browser functions
+ */
+
+import {
+  PERMANENT_SLOT_UPGRADES,
+  planPermanentSlots,
+  rankPermanentSlotCandidates,
+} from '../core/permanentSlots';
+import type { PermanentSlotChange, PermanentSlotPlan, Upgrade } from '../types';
+
+export interface PermanentSlotGameContext {
+  permanentUpgrades: number[];
+  Upgrades: Record<string, Upgrade>;
+  Has: (name: string) => boolean;
+}
+
+/**
+ * Plan permanent slot assignments from the upgrades owned this run
+ * Returns null until Permanent upgrade slot I is bought
+ */
+export function getPermanentSlotPlan(game: PermanentSlotGameContext): PermanentSlotPlan | null {
+  // Each slot requires the one before it, so unlocked slots are always a prefix
+  const unlocked = PERMANENT_SLOT_UPGRADES.filter((name) => game.Has(name)).length;
+  if (unlocked === 0) return null;
+
+  const upgrades = Object.values(game.Upgrades);
+  const namesById = new Map(upgrades.map((u) => [u.id, u.name] as const));
+  const current = game.permanentUpgrades
+    .slice(0, unlocked)
+    .map((id) => (id === -1 ? null : namesById.get(id) ?? null));
+
+  return planPermanentSlots(current, rankPermanentSlotCandidates(upgrades));
+}
+
+/**
+ * Put suggested upgrades in their slots
+ * Returns the number of slots changed
+ */
+export function applyPermanentSlotChanges(
+  game: PermanentSlotGameContext,
+  changes: readonly PermanentSlotChange[]
+): number {
+  for (const change of changes) {
+    game.permanentUpgrades[change.slot] = change.id;
+  }
+  return changes.length;
+}
@@ -0,0 +1,149 @@
+/**
+ * Purchase planner browser integration
+ */
+
+import { PLANNER_POOL_SIZE } from '../core/constants';
+import { simulateBuildingDeltaCps, simulateUpgradeDeltaCps } from '../core/payback';
+import { planPurchases } from '../core/planner';
+import { getBuildingPurchase } from './game';
+import { createCpsSimulator, type PaybackGameContext } from './payback';
+import type { Building, Candidate, PlanOption, PurchasePlan, Upgrade } from '../types';
+
+export interface PlannerGameContext extends PaybackGameContext {
+  Upgrades: Record<string, Upgrade>;
+}
+
+interface PoolEntry {
+  name: string;
+  type: 'Building' | 'Upgrade';
+  building?: Building;
+  quantity: number;
+  upgrade?: Upgrade;
+  /** Value the engine can't measure and its cost, counted the first time the purchase is planned */
+  bonusCps: number;
+  bonusPrice: number;
+}
+
+/**
+ * Resolve candidates to the game objects the planner mutates during simulation
+ */
+function buildPool(candidates: readonly Candidate[], game: PlannerGameContext): PoolEntry[] {
+  const pool: PoolEntry[] = [];
+  for (const c of candidates) {
+    const bonus = { bonusCps: c.bonusCps ?? 0, bonusPrice: c.bonusPrice ?? 0 };
+    if (c.type === 'Building') {
+      const { building: buildingName, quantity } = getBuildingPurchase(c);
+      const building = game.Objects[buildingName];
+      if (building) pool.push({ name: c.name, type: 'Building', building, quantity, ...bonus });
+    } else {
+      const upgrade = game.Upgrades[c.name];
+      if (upgrade) pool.push({ name: c.name, type: 'Upgrade', upgrade, quantity: 1, ...bonus });
+    }
+  }
+  return pool;
+}
+
+/**
+ * Temporarily apply a purchase path, returning a function that reverts it
+ */
+function applyPath(path: readonly PlanOption[], pool: readonly PoolEntry[]): () => void {
+  const reverts: Array<() => void> = [];
+  for (const step of path) {
+    const entry = pool.find((p) => p.name === step.name);
+    if (entry?.building) {
+      const building = entry.building;
+      const original = building.amount;
+      building.amount += entry.quantity;
+      reverts.push(() => {
+        building.amount = original;
+      });
+    } else if (entry?.upgrade) {
+      const upgrade = entry.upgrade;
+      const original = upgrade.bought;
+      upgrade.bought = true;
+      reverts.push(() => {
+        upgrade.bought = original;
+      });
+    }
+  }
+  return () => {
+    for (let i = reverts.length - 1; i >= 0; i--) reverts[i]!();
+  };
+}
+
+/**
+ * Plan the next purchases from the best-PP candidates
+ * Each step is re-measured with Game.CalculateGains() after the steps before it,
+ * so synergies between planned purchases are captured. A candidate's bonusCps (value the
+ * engine can't see) and bonusPrice are added to its measurement, so synthetic values keep
+ * their rank.
+ */
+export function planNextPurchases(
+  candidates: readonly Candidate[],
+  game: PlannerGameContext,
+  limits: { depth?: number; breadth?: number } = {}
+): PurchasePlan {
+  const pool = buildPool(candidates.slice(0, PLANNER_POOL_SIZE), game);
+  const sim = createCpsSimulator(game);
+
+  const measureOptions = (path: readonly PlanOption[]): PlanOption[] => {
+    const revertPath = applyPath(path, pool);
+    try {
+      sim.recalculate();
+      const baselineCps = sim.readCps();
+      const options: PlanOption[] = [];
+      for (const entry of pool) {
+        if (entry.upgrade) {
+          if (path.some((p) => p.name === entry.name)) continue;
+          options.push({
+            name: entry.name,
+            type: 'Upgrade',
+            price: entry.upgrade.getPrice() + entry.bonusPrice,
+            deltaCps: simulateUpgradeDeltaCps(sim, baselineCps, entry.upgrade) + entry.bonusCps,
+          });
+        } else if (entry.building) {
+          // A milestone or breakpoint is only reached by the first bundle of its building
+          const building = entry.building;
+          const reached = path.some((p) => pool.find((e) => e.name === p.name)?.building === building);
+          const deltaCps = simulateBuildingDeltaCps(sim, baselineCps, building, entry.quantity);
+          options.push({
+            name: entry.name,
+            type: 'Building',
+            price: building.getSumPrice(entry.quantity) + (reached ? 0 : entry.bonusPrice),
+            deltaCps: deltaCps + (reached ? 0 : entry.bonusCps),
+          });
+        }
+      }
+      return options;
+    } finally {
+      revertPath();
+    }
+  };
+
+  // The search reaches the same purchases in different orders; the game state (and so the
+  // options) only depends on which were bought, so each set is measured once per plan
+  const measured = new Map<string, PlanOption[]>();
+
+  const expand = (path: readonly PlanOption[]): PlanOption[] => {
+    const key = path.map((p) => p.name).sort().join('\n');
+    const cached = measured.get(key);
+    if (cached) return cached;
+
+    const options = measureOptions(path);
+    measured.set(key, options);
+    return options;
+  };
+
+  try {
+    return planPurchases({
+      cookies: game.cookies,
+      cps: game.readCps(),
+      expand,
+      depth: limits.depth,
+      breadth: limits.breadth,
+    });
+  } finally {
+    // Restore the game's real CpS after all simulations
+    sim.recalculate();
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Challenge-run mode browser functions
+ */
+
+import type { Achievement, RunModeProgress } from '../types';
+
+export interface RunModeGameContext {
+  cookieClicks: number;
+  UpgradesOwned: number;
+  cookiesEarned: number;
+  startDate: number;
+  ascensionMode: number;
+  Achievements: Record<string, Achievement>;
+}
+
+/**
+ * Read this run's progress against the challenge rules
+ * @param now - Current timestamp (ms)
+ */
+export function getRunModeProgress(game: RunModeGameContext, now: number = Date.now()): RunModeProgress {
+  return {
+    cookieClicks: game.cookieClicks,
+    upgradesOwned: game.UpgradesOwned,
+    cookiesEarned: game.cookiesEarned,
+    runSeconds: Math.max(0, (now - game.startDate) / 1000),
+    bornAgain: game.ascensionMode === 1,
+    won: (name) => Boolean(game.Achievements[name]?.won),
+  };
+}
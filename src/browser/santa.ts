@@ -0,0 +1,45 @@
+/**
+ * Santa browser functions
+ */
+
+import { SANTA_MAX_LEVEL, getSantaLevelCost } from '../core/santa';
+import type { ChristmasState } from '../types';
+
+export interface SantaGameContext {
+  season: string;
+  santaLevel: number;
+  santaLevels?: string[];
+  reindeerClicked: number;
+  Has: (name: string) => boolean;
+  UpgradeSanta: () => void;
+}
+
+/**
+ * Get current Christmas state (Santa and session reindeer)
+ * Returns null outside Christmas until Santa is unlocked (A festive hat)
+ * @param reindeerBaseline - Game.reindeerClicked when the session started
+ */
+export function getChristmasState(game: SantaGameContext, reindeerBaseline: number): ChristmasState | null {
+  const active = game.season === 'christmas';
+  if (!active && !game.Has('A festive hat')) return null;
+
+  const level = game.santaLevel;
+  return {
+    active,
+    santaLevel: level,
+    santaName: game.santaLevels?.[level] ?? `Level ${level}`,
+    nextLevelCost: level >= SANTA_MAX_LEVEL ? Infinity : getSantaLevelCost(level),
+    reindeerPopped: Math.max(0, game.reindeerClicked - reindeerBaseline),
+  };
+}
+
+/**
+ * Level Santa up
+ * Returns true if Santa gained a level
+ */
+export function levelUpSanta(game: SantaGameContext): boolean {
+  if (!game.Has('A festive hat') || game.santaLevel >= SANTA_MAX_LEVEL) return false;
+  const levelBefore = game.santaLevel;
+  game.UpgradeSanta();
+  return game.santaLevel > levelBefore;
+}
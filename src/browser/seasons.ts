@@ -0,0 +1,38 @@
+/**
+ * Season browser functions
+ */
+
+import { SEASON_ORDER, getSeasonProgress } from '../core/seasons';
+import type { SeasonState, Upgrade } from '../types';
+
+export interface SeasonGameContext {
+  season: string;
+  Upgrades: Record<string, Upgrade>;
+  Has: (name: string) => boolean;
+}
+
+/**
+ * Get current season and drop progress
+ * Returns null until seasons can be switched (Season switcher) and no season is running
+ */
+export function getSeasonState(game: SeasonGameContext): SeasonState | null {
+  if (!game.Has('Season switcher') && !game.season) return null;
+
+  // Drops stay unlocked once found, even if they haven't been bought yet
+  const isFound = (name: string): boolean => {
+    const upgrade = game.Upgrades[name];
+    return Boolean(upgrade && (upgrade.unlocked || upgrade.bought));
+  };
+
+  return {
+    current: game.season,
+    progress: SEASON_ORDER.map((season) => getSeasonProgress(season, isFound)),
+  };
+}
+
+/**
+ * Find a season switcher biscuit in the store
+ */
+export function findSeasonBiscuit(upgradesInStore: readonly Upgrade[], name: string): Upgrade | null {
+  return upgradesInStore.find((u) => u.name === name) ?? null;
+}
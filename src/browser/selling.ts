@@ -0,0 +1,64 @@
+/**
+ * Building selling browser functions
+ */
+
+import type { Building, BuildingSale, Upgrade } from '../types';
+
+/** Easter egg that pays out a share of the bank when bought */
+export const CHOCOLATE_EGG = 'Chocolate egg';
+
+/**
+ * Read every owned building for a sell-off
+ */
+export function getSellableBuildings(
+  objects: Record<string, Building>
+): { name: string; amount: number; price: number }[] {
+  return Object.values(objects)
+    .filter((building) => building.amount > 0)
+    .map((building) => ({ name: building.name, amount: building.amount, price: building.price }));
+}
+
+/**
+ * Carry out a planned sale, buying the buildings back when the plan says so
+ * A sale that isn't allowed, or whose rebuy the bank can't cover, is skipped.
+ * @param cookies - Cookies in the bank before selling
+ * @returns true if the buildings were sold
+ */
+export function executeBuildingSale(
+  objects: Record<string, Building>,
+  sale: BuildingSale,
+  cookies: number
+): boolean {
+  const building = objects[sale.name];
+  if (!sale.allowed || !building || building.amount < sale.quantity) return false;
+  if (sale.rebuy && cookies < sale.loss) return false;
+
+  building.sell(sale.quantity);
+  if (sale.rebuy) building.buy(sale.quantity);
+  return true;
+}
+
+/**
+ * Find the Chocolate egg in the store
+ */
+export function findChocolateEgg(upgradesInStore: readonly Upgrade[]): Upgrade | null {
+  return upgradesInStore.find((u) => u.name === CHOCOLATE_EGG && !u.bought) ?? null;
+}
+
+/**
+ * Buy back a building an aura switch sacrificed
+ * @param spendable - Cookies available above the Lucky bank
+ * @returns the price paid, or null if it wasn't bought
+ */
+export function rebuySacrificedBuilding(
+  objects: Record<string, Building>,
+  name: string,
+  spendable: number
+): number | null {
+  const building = objects[name];
+  if (!building || building.price > spendable) return null;
+
+  const price = building.price;
+  building.buy(1);
+  return price;
+}
@@ -0,0 +1,58 @@
+/**
+ * Settings persistence (localStorage)
+ */
+
+import { SETTINGS_STORAGE_KEY, parseSettings, serializeSettings } from '../core/settings';
+import type { OptimizerSettings } from '../types';
+
+export type SettingsStorage = Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>;
+
+/**
+ * Get the browser's localStorage, or null if unavailable (e.g. blocked by privacy settings)
+ */
+export function getSettingsStorage(): SettingsStorage | null {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load persisted settings, migrating older versions
+ */
+export function loadSettings(storage: SettingsStorage | null): OptimizerSettings {
+  if (!storage) return parseSettings(null);
+  try {
+    return parseSettings(storage.getItem(SETTINGS_STORAGE_KEY));
+  } catch {
+    return parseSettings(null);
+  }
+}
+
+/**
+ * Persist settings
+ * @returns true if the settings were written
+ */
+export function saveSettings(storage: SettingsStorage | null, settings: OptimizerSettings): boolean {
+  if (!storage) return false;
+  try {
+    storage.setItem(SETTINGS_STORAGE_KEY, serializeSettings(settings));
+    return true;
+  } catch {
+    // Quota exceeded or storage disabled - settings stay in memory only
+    return false;
+  }
+}
+
+/**
+ * Remove persisted settings
+ */
+export function clearSettings(storage: SettingsStorage | null): void {
+  if (!storage) return;
+  try {
+    storage.removeItem(SETTINGS_STORAGE_KEY);
+  } catch {
+    // Ignore - nothing to clear
+  }
+}
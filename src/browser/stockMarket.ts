@@ -0,0 +1,47 @@
+/**
+ * Stock market browser functions
+ */
+
+import { getRestingValue } from '../core/stockMarket';
+import type { Building, MarketMinigame, StockGood, StockTrade } from '../types';
+
+/**
+ * Get the stock market minigame from the Bank
+ * Returns null until the minigame is unlocked and loaded
+ */
+export function getMarket(objects: Record<string, Building>): MarketMinigame | null {
+  const minigame = objects['Bank']?.minigame as MarketMinigame | undefined;
+  if (!minigame || !Array.isArray(minigame.goodsById)) {
+    return null;
+  }
+  return minigame;
+}
+
+/**
+ * Read every tradable good
+ * Goods are hidden until their building is owned
+ */
+export function getStockGoods(market: MarketMinigame, bankLevel: number): StockGood[] {
+  return market.goodsById
+    .filter((good) => !good.hidden && good.active !== false)
+    .map((good) => ({
+      id: good.id,
+      symbol: good.symbol,
+      value: good.val,
+      restingValue: getRestingValue(good.id, bankLevel),
+      trend: good.d,
+      stock: good.stock,
+      maxStock: market.getGoodMaxStock(good),
+    }));
+}
+
+/**
+ * Execute a planned trade
+ * Returns true if the game accepted it
+ */
+export function executeStockTrade(market: MarketMinigame, trade: StockTrade): boolean {
+  if (trade.type === 'buy') {
+    return market.buyGood(trade.goodId, trade.quantity) === true;
+  }
+  return market.sellGood(trade.goodId, trade.quantity) === true;
+}
@@ -0,0 +1,88 @@
+/**
+ * Sugar lump browser functions
+ */
+
+import { simulateBuildingLevelDeltaCps } from '../core/payback';
+import { MINIGAME_BUILDINGS, getLevelUpCost, getLumpTiming, getLumpTypeName } from '../core/sugarLumps';
+import { createCpsSimulator } from './payback';
+import type { Building, LumpOption, LumpState } from '../types';
+
+export interface LumpGameContext {
+  lumps: number;
+  lumpT: number;
+  lumpMatureAge: number;
+  lumpRipeAge: number;
+  lumpCurrentType: number;
+  canLumps: () => boolean;
+}
+
+/**
+ * Get current sugar lump state
+ * Returns null until sugar lumps are unlocked
+ */
+export function getLumpState(game: LumpGameContext, now: number = Date.now()): LumpState | null {
+  if (!game.canLumps()) return null;
+
+  return {
+    lumps: game.lumps,
+    type: getLumpTypeName(game.lumpCurrentType),
+    timing: getLumpTiming(game.lumpT, now, game.lumpMatureAge, game.lumpRipeAge),
+  };
+}
+
+export interface LumpLevelContext {
+  Objects: Record<string, Building>;
+  CalculateGains: () => void;
+  readCps: () => number;
+}
+
+/**
+ * Collect the next level of every owned building with its natively measured CpS delta
+ * Each level is applied temporarily and measured with Game.CalculateGains(), like purchase candidates.
+ */
+export function collectLumpOptions(game: LumpLevelContext): LumpOption[] {
+  const sim = createCpsSimulator(game);
+  const baselineCps = game.readCps();
+  const options: LumpOption[] = [];
+
+  try {
+    for (const name in game.Objects) {
+      const building = game.Objects[name];
+      if (!building || building.amount <= 0) continue;
+
+      const level = building.level ?? 0;
+      options.push({
+        name,
+        level,
+        cost: getLevelUpCost(level),
+        deltaCps: simulateBuildingLevelDeltaCps(sim, baselineCps, building),
+        unlocksMinigame: level === 0 && MINIGAME_BUILDINGS.includes(name),
+      });
+    }
+  } finally {
+    // Restore the game's real CpS after all simulations
+    sim.recalculate();
+  }
+
+  return options;
+}
+
+/**
+ * Spend lumps on a building's next level
+ * Returns true if the level went up
+ */
+export function levelUpBuilding(
+  objects: Record<string, Building>,
+  option: LumpOption,
+  lumps: number,
+  confirm: () => void
+): boolean {
+  const building = objects[option.name];
+  if (!building || lumps < option.cost) return false;
+
+  const levelBefore = building.level ?? 0;
+  building.levelUp();
+  // Close the "spend lumps?" prompt shown when Game.prefs.askLumps is on
+  confirm();
+  return (building.level ?? 0) > levelBefore;
+}
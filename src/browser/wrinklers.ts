@@ -2,7 +2,11 @@
  * Wrinkler browser functions
  */
 
-import { getWrinklerMultiplier, calculateNormalWrinklerReward } from '../core/wrinklers';
+import {
+  getWrinklerMultiplier,
+  calculateNormalWrinklerReward,
+  getWrinklerRespawnSeconds,
+} from '../core/wrinklers';
 import type { Wrinkler, WrinklerStats } from '../types';
 
 interface WrinklerGameContext {
@@ -12,6 +16,23 @@ interface WrinklerGameContext {
   getWrinklersMax?: () => number;
 }
 
+/**
+ * Get wrinkler slots and pop multiplier (available outside the Grandmapocalypse too)
+ */
+export function getWrinklerCapacity(
+  game: Pick<WrinklerGameContext, 'has' | 'getWrinklersMax'>
+): { max: number; multiplier: number } {
+  // Get wrinkler upgrades
+  const hasWrinklerspawn = game.has('Wrinklerspawn');
+  const hasSacrilegious = game.has('Sacrilegious corruption');
+  const multiplier = getWrinklerMultiplier(hasWrinklerspawn, hasSacrilegious);
+
+  // Get max wrinklers (10 base + Elder Spice + Dragon Guts)
+  const max = game.getWrinklersMax ? game.getWrinklersMax() : 10;
+
+  return { max, multiplier };
+}
+
 /**
  * Get current wrinkler statistics from Game
  */
@@ -38,16 +59,13 @@ export function getWrinklerStats(game: WrinklerGameContext | null): WrinklerStat
     }
   }
 
-  // Get wrinkler upgrades
-  const hasWrinklerspawn = game.has('Wrinklerspawn');
-  const hasSacrilegious = game.has('Sacrilegious corruption');
-  const multiplier = getWrinklerMultiplier(hasWrinklerspawn, hasSacrilegious);
+  const { max, multiplier } = getWrinklerCapacity(game);
 
   // Calculate pop reward for normal wrinklers only
   const popReward = calculateNormalWrinklerReward(wrinklers, multiplier);
 
-  // Get max wrinklers (10 base + Elder Spice + Dragon Guts)
-  const max = game.getWrinklersMax ? game.getWrinklersMax() : 10;
+  // Unholy bait makes wrinklers spawn 5x as often
+  const respawnSeconds = getWrinklerRespawnSeconds(game.elderWrath, game.has('Unholy bait') ? 5 : 1);
 
   return {
     count: normalCount + shinyCount,
@@ -57,17 +75,19 @@ export function getWrinklerStats(game: WrinklerGameContext | null): WrinklerStat
     totalSucked,
     popReward,
     multiplier,
+    respawnSeconds,
   };
 }
 
 /**
- * Pop all normal wrinklers (preserves shiny)
+ * Pop the wrinklers at the given Game.wrinklers indices
+ * Returns how many were popped (inactive slots are skipped)
  */
-export function popNormalWrinklers(wrinklers: Wrinkler[]): number {
+export function popWrinklers(wrinklers: Wrinkler[], indices: readonly number[]): number {
   let popped = 0;
-  for (const w of wrinklers) {
-    // Only pop active normal wrinklers (phase 2, type 0)
-    if (w.phase === 2 && w.type === 0) {
+  for (const index of indices) {
+    const w = wrinklers[index];
+    if (w && w.phase === 2) {
       w.hp = 0; // Setting hp to 0 pops the wrinkler
       popped++;
     }
@@ -0,0 +1,147 @@
+/**
+ * Achievement hunting: milk/kitten value, building milestones and one-time action achievements
+ */
+
+import { calculatePaybackPeriod } from './payback';
+import type { AchievementAction, AchievementTarget, Candidate, MilkState } from '../types';
+
+/** Milk per achievement (Game.milkProgress goes up by 1 every 25 achievements) */
+export const MILK_PER_ACHIEVEMENT = 0.04;
+
+/** CpS multiplier per unit of milk for each kitten upgrade: (1 + milk × factor) */
+export const KITTEN_MILK_FACTORS: Record<string, number> = {
+  'Kitten helpers': 0.1,
+  'Kitten workers': 0.125,
+  'Kitten engineers': 0.15,
+  'Kitten overseers': 0.175,
+  'Kitten managers': 0.2,
+  'Kitten accountants': 0.2,
+  'Kitten specialists': 0.2,
+  'Kitten experts': 0.2,
+  'Kitten consultants': 0.2,
+  'Kitten assistants to the regional manager': 0.175,
+  'Kitten marketeers': 0.15,
+  'Kitten analysts': 0.125,
+  'Kitten executives': 0.115,
+  'Kitten admins': 0.11,
+  'Kitten angels': 0.1,
+};
+
+/** Achievements won by a one-time action instead of a purchase */
+export const ACHIEVEMENT_ACTIONS: Record<string, AchievementAction> = {
+  'Just wrong': 'sellGrandma',
+  Itchscratcher: 'popWrinkler',
+  'Golden cookie': 'clickGolden',
+  "What's in a name": 'renameBakery',
+  'Tiny cookie': 'tinyCookie',
+};
+
+/** Building milestones are only chased when the remaining buildings cost at most this much CpS time */
+export const ACHIEVEMENT_REACH_SECONDS = 3600;
+
+/** Selling a building for an achievement counts the milk's CpS over this many seconds as its gain */
+export const ACHIEVEMENT_SALE_PAYBACK_SECONDS = 3600;
+
+/**
+ * Buildings needed for a tiered building achievement (Game.Tiers[tier].achievUnlock)
+ * Tier 1 is the first building; every tier after that is 50 more.
+ */
+export function getTierAchievementCount(tier: number): number {
+  return tier <= 1 ? 1 : (tier - 1) * 50;
+}
+
+/**
+ * Find the next unwon building milestone above the current amount
+ * @param achievements - The building's tiered achievements with their tier
+ */
+export function getNextBuildingMilestone(
+  amount: number,
+  achievements: ReadonlyArray<{ name: string; tier: number; won: boolean }>
+): { name: string; count: number } | null {
+  let next: { name: string; count: number } | null = null;
+  for (const achievement of achievements) {
+    const count = getTierAchievementCount(achievement.tier);
+    if (achievement.won || count <= amount) continue;
+    if (!next || count < next.count) next = { name: achievement.name, count };
+  }
+  return next;
+}
+
+/**
+ * CpS gained, as a fraction of current CpS, from winning more achievements
+ * Each owned kitten multiplies CpS by (1 + milk × factor × multiplier), so the gain is
+ * the ratio of the kitten multipliers with and without the extra milk.
+ */
+export function getMilkCpsGain(milk: MilkState, achievements: number = 1): number {
+  const extra = achievements * MILK_PER_ACHIEVEMENT;
+  let ratio = 1;
+  for (const factor of milk.kittens) {
+    const before = 1 + milk.milk * factor * milk.multiplier;
+    const after = 1 + (milk.milk + extra) * factor * milk.multiplier;
+    ratio *= after / before;
+  }
+  return ratio - 1;
+}
+
+/**
+ * Check if a building milestone is cheap enough to chase
+ */
+export function isAchievementReachable(
+  price: number,
+  cps: number,
+  reachSeconds: number = ACHIEVEMENT_REACH_SECONDS
+): boolean {
+  return cps > 0 && price <= cps * reachSeconds;
+}
+
+/**
+ * Add reachable building milestones to the candidates with a synthetic PP
+ * The buildings still needed are valued at the single building's measured CpS each,
+ * plus the milk the achievement adds through owned kittens (bonusCps, which the planner adds
+ * to its own measurement). A bundle of the same
+ * building and quantity (usually the building's breakpoint bundle) is boosted in place;
+ * otherwise one is added.
+ * @returns The candidates that now carry an achievement
+ */
+export function valueAchievementTargets(
+  candidates: Candidate[],
+  targets: readonly AchievementTarget[],
+  milk: MilkState,
+  cookies: number,
+  cps: number
+): Candidate[] {
+  const milkCps = getMilkCpsGain(milk) * cps;
+  const valued: Candidate[] = [];
+
+  for (const target of targets) {
+    if (target.kind !== 'building' || !isAchievementReachable(target.price, cps)) continue;
+
+    const bundle = (quantity: number) =>
+      candidates.find(
+        (c) => c.type === 'Building' && c.building === target.building && (c.quantity ?? 1) === quantity
+      );
+    const single = bundle(1);
+    let candidate = bundle(target.needed);
+    if (!candidate) {
+      candidate = {
+        name: target.building + (target.needed > 1 ? ' x' + target.needed : ''),
+        type: 'Building',
+        pp: Infinity,
+        price: target.price,
+        deltaCps: (single?.deltaCps ?? 0) * target.needed,
+        affordable: false,
+        building: target.building,
+        quantity: target.needed,
+      };
+      candidates.push(candidate);
+    }
+
+    candidate.deltaCps = (candidate.deltaCps ?? 0) + milkCps;
+    candidate.bonusCps = (candidate.bonusCps ?? 0) + milkCps;
+    candidate.pp = calculatePaybackPeriod(candidate.price, candidate.deltaCps, cookies, cps);
+    candidate.achievement = target.name;
+    valued.push(candidate);
+  }
+
+  return valued;
+}
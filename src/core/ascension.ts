@@ -2,8 +2,27 @@
  * Ascension calculation logic
  */
 
-import type { AscensionInput, AscensionStats, HeavenlyUpgradeBreakdown } from '../types';
+import type {
+  AscendDecision,
+  AscensionInput,
+  AscensionStats,
+  HeavenlyUpgradeBreakdown,
+} from '../types';
 import { formatNumber } from './formatting';
+import { getHeavenlyCategory } from './heavenly';
+
+/** Prestige gain (% of current prestige) that triggers the ascension autopilot */
+export const ASCEND_GAIN_PERCENT = 100;
+
+/** The autopilot also ascends once doubling the pending gain would take this many hours (0 disables) */
+export const ASCEND_DOUBLE_HOURS = 12;
+
+/**
+ * Gain (% of current prestige) the time-to-double rule needs before it applies
+ * Prestige costs grow with the cube of the level, so on a big save even +1 prestige can take
+ * longer than ASCEND_DOUBLE_HOURS to double early in a run.
+ */
+export const ASCEND_DOUBLE_MIN_GAIN_PERCENT = 10;
 
 /**
  * Calculate ascension statistics
@@ -45,7 +64,13 @@ export function calculateUnpurchasedHeavenlyCost(
  * Calculate detailed breakdown of unpurchased heavenly upgrades
  */
 export function calculateHeavenlyUpgradeBreakdown(
-  upgrades: Array<{ name: string; pool?: string; basePrice: number; bought: boolean }>,
+  upgrades: Array<{
+    name: string;
+    pool?: string;
+    basePrice: number;
+    bought: boolean;
+    parents?: Array<{ name: string }>;
+  }>,
   heavenlyChips: number
 ): HeavenlyUpgradeBreakdown {
   const unpurchased = upgrades
@@ -55,6 +80,8 @@ export function calculateHeavenlyUpgradeBreakdown(
       cost: u.basePrice,
       costFormatted: formatNumber(u.basePrice),
       canAfford: heavenlyChips >= u.basePrice,
+      parents: (u.parents ?? []).map((p) => p.name),
+      category: getHeavenlyCategory(u.name),
     }))
     .sort((a, b) => a.cost - b.cost);
 
@@ -71,3 +98,45 @@ export function calculateHeavenlyUpgradeBreakdown(
     upgrades: unpurchased,
   };
 }
+
+/**
+ * Seconds until the pending prestige gain doubles at the current CpS
+ * @param cookiesForPrestige - All-time cookies needed for a prestige level (Game.HowManyCookiesReset)
+ */
+export function getSecondsToDoubleGain(
+  stats: AscensionStats,
+  totalCookies: number,
+  cookiesForPrestige: (prestige: number) => number,
+  cps: number
+): number {
+  if (stats.pendingPrestige <= 0 || cps <= 0) return Infinity;
+  const target = stats.currentPrestige + 2 * stats.pendingPrestige;
+  return Math.max(0, cookiesForPrestige(target) - totalCookies) / cps;
+}
+
+/**
+ * Decide whether the autopilot should ascend
+ * Ascends once the gain reaches the threshold, or once it grows so slowly that doubling it
+ * would take longer than doubleHours (only after it reaches ASCEND_DOUBLE_MIN_GAIN_PERCENT).
+ */
+export function shouldAscend(
+  stats: AscensionStats,
+  secondsToDouble: number,
+  gainPercent: number = ASCEND_GAIN_PERCENT,
+  doubleHours: number = ASCEND_DOUBLE_HOURS
+): AscendDecision {
+  if (stats.pendingPrestige < 1) {
+    return { shouldAscend: false, reason: 'No prestige to gain' };
+  }
+  if (stats.percentIncrease >= gainPercent) {
+    return { shouldAscend: true, reason: `Gain reached ${gainPercent}%` };
+  }
+  if (
+    doubleHours > 0 &&
+    stats.percentIncrease >= ASCEND_DOUBLE_MIN_GAIN_PERCENT &&
+    secondsToDouble >= doubleHours * 3600
+  ) {
+    return { shouldAscend: true, reason: `Gain doubles in over ${doubleHours}h` };
+  }
+  return { shouldAscend: false, reason: 'Gain still growing' };
+}
@@ -0,0 +1,104 @@
+/**
+ * Building-count breakpoints: the exact bundle that unlocks a tiered upgrade or wins an achievement
+ */
+
+import { getNextBuildingMilestone } from './achievements';
+import { calculatePaybackPeriod } from './payback';
+import type { BuildingBreakpoint } from '../types';
+
+/** Cursors needed for each tiered Cursor upgrade (Cursor upgrades don't follow Game.Tiers) */
+export const CURSOR_UPGRADE_COUNTS: Record<number, number> = {
+  1: 1,
+  2: 1,
+  3: 10,
+  4: 25,
+  5: 50,
+  6: 100,
+  7: 150,
+  8: 200,
+  9: 250,
+  10: 300,
+  11: 350,
+  12: 400,
+  13: 450,
+  14: 500,
+  15: 550,
+};
+
+/**
+ * Buildings needed to unlock a tiered upgrade (Game.Tiers[tier].unlock for everything but Cursors)
+ */
+export function getTierUpgradeCount(building: string, tier: number): number {
+  if (building === 'Cursor') return CURSOR_UPGRADE_COUNTS[tier] ?? Infinity;
+  if (tier <= 1) return 1;
+  if (tier === 2) return 5;
+  if (tier === 3) return 25;
+  return (tier - 3) * 50;
+}
+
+/**
+ * Find the nearest breakpoint above the current amount
+ * On a tie the upgrade wins, since it is also what the bundle is scored by.
+ * @param upgrades - The building's tiered upgrades with their tier
+ * @param achievements - The building's tiered achievements with their tier
+ */
+export function findBuildingBreakpoint(
+  building: string,
+  amount: number,
+  upgrades: ReadonlyArray<{ name: string; tier: number; unlocked: boolean; price: number }>,
+  achievements: ReadonlyArray<{ name: string; tier: number; won: boolean }>
+): BuildingBreakpoint | null {
+  let best: BuildingBreakpoint | null = null;
+
+  for (const upgrade of upgrades) {
+    const count = getTierUpgradeCount(building, upgrade.tier);
+    if (upgrade.unlocked || count <= amount || !Number.isFinite(count)) continue;
+    if (!best || count - amount < best.quantity) {
+      best = { quantity: count - amount, kind: 'upgrade', target: upgrade.name, upgradePrice: upgrade.price };
+    }
+  }
+
+  const milestone = getNextBuildingMilestone(amount, achievements);
+  if (milestone && (!best || milestone.count - amount < best.quantity)) {
+    best = { quantity: milestone.count - amount, kind: 'achievement', target: milestone.name };
+  }
+
+  return best;
+}
+
+/**
+ * CpS and cost a breakpoint bundle brings beyond its own buildings
+ * A tiered upgrade doubles its building, so an upgrade breakpoint adds the upgrade's price and
+ * the building's whole CpS after the bundle (its measured CpS per building × the new amount).
+ * Achievement breakpoints add nothing here; their milk is valued by achievement hunting.
+ * @param deltaCps - Measured CpS gain of the bundle
+ */
+export function getBreakpointBonus(
+  breakpoint: BuildingBreakpoint,
+  amount: number,
+  deltaCps: number
+): { cps: number; price: number } {
+  if (breakpoint.kind !== 'upgrade') return { cps: 0, price: 0 };
+  return {
+    cps: (deltaCps / breakpoint.quantity) * (amount + breakpoint.quantity),
+    price: breakpoint.upgradePrice ?? 0,
+  };
+}
+
+/**
+ * PP of a breakpoint bundle
+ * An upgrade breakpoint is scored as the bundle and the upgrade bought together;
+ * an achievement breakpoint as a plain bundle.
+ * @param deltaCps - Measured CpS gain of the bundle
+ */
+export function scoreBreakpoint(
+  breakpoint: BuildingBreakpoint,
+  amount: number,
+  price: number,
+  deltaCps: number,
+  cookies: number,
+  cps: number
+): number {
+  const bonus = getBreakpointBonus(breakpoint, amount, deltaCps);
+  return calculatePaybackPeriod(price + bonus.price, deltaCps + bonus.cps, cookies, cps);
+}
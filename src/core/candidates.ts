@@ -2,16 +2,91 @@
  * Candidate filtering and evaluation
  */
 
-import { GOLDEN_COOKIE_UPGRADES, GRANDMAPOCALYPSE_STAGE2_UPGRADES, SEASON_SWITCHER_UPGRADES, TOGGLE_UPGRADES } from './constants';
-import type { Candidate } from '../types';
+import { GOLDEN_COOKIE_UPGRADES, SEASON_SWITCHER_UPGRADES, TOGGLE_UPGRADES } from './constants';
+import { isResearchBlocked } from './grandmapocalypse';
+import type {
+  Candidate,
+  GrandmapocalypsePolicy,
+  PurchaseOverride,
+  PurchaseOverrides,
+} from '../types';
+
+const NO_OVERRIDES: PurchaseOverrides = { blocked: [], pinned: [] };
 
 /**
- * Filter out invalid candidates and sort by PP (lower is better)
+ * Name overrides are kept under: the building for building bundles, the upgrade otherwise
  */
-export function filterAndSortCandidates(candidates: readonly Candidate[]): Candidate[] {
-  return candidates
+export function getCandidateItem(candidate: { name: string; type: string; building?: string }): string {
+  if (candidate.type !== 'Building') return candidate.name;
+  return candidate.building ?? candidate.name.replace(/ x\d+$/, '');
+}
+
+/**
+ * Filter out invalid and blocked candidates and sort by PP (lower is better)
+ * Pinned items go first in pin order, even without a usable PP.
+ */
+export function filterAndSortCandidates(
+  candidates: readonly Candidate[],
+  overrides: PurchaseOverrides = NO_OVERRIDES
+): Candidate[] {
+  const pinRank = (c: Candidate): number => overrides.pinned.indexOf(getCandidateItem(c));
+
+  const pinned = candidates
+    .filter((c) => pinRank(c) !== -1)
+    .sort((a, b) => pinRank(a) - pinRank(b) || a.price - b.price);
+  const ranked = candidates
+    .filter((c) => pinRank(c) === -1 && !overrides.blocked.includes(getCandidateItem(c)))
     .filter((c) => Number.isFinite(c.pp) && c.pp > 0)
     .sort((a, b) => a.pp - b.pp);
+  return [...pinned, ...ranked];
+}
+
+/**
+ * Check if a candidate is pinned
+ */
+export function isPinnedCandidate(candidate: Candidate, overrides: PurchaseOverrides): boolean {
+  return overrides.pinned.includes(getCandidateItem(candidate));
+}
+
+/**
+ * Current override for an item
+ */
+export function getPurchaseOverride(overrides: PurchaseOverrides, item: string): PurchaseOverride | null {
+  if (overrides.pinned.includes(item)) return 'pinned';
+  return overrides.blocked.includes(item) ? 'blocked' : null;
+}
+
+/**
+ * Remove any override for an item
+ */
+export function clearPurchaseOverride(overrides: PurchaseOverrides, item: string): PurchaseOverrides {
+  return {
+    blocked: overrides.blocked.filter((name) => name !== item),
+    pinned: overrides.pinned.filter((name) => name !== item),
+  };
+}
+
+/**
+ * Use up the pin on a candidate that was just bought
+ * A pin is one-shot: otherwise a pinned building (which matches every bundle of it) would be
+ * bought forever. Other overrides are returned as they are.
+ */
+export function releasePurchasedPin(overrides: PurchaseOverrides, candidate: Candidate): PurchaseOverrides {
+  return isPinnedCandidate(candidate, overrides)
+    ? clearPurchaseOverride(overrides, getCandidateItem(candidate))
+    : overrides;
+}
+
+/**
+ * Move an item to its next override: none -> pinned -> blocked -> none
+ * Newly pinned items go to the end of the pin list.
+ */
+export function cyclePurchaseOverride(overrides: PurchaseOverrides, item: string): PurchaseOverrides {
+  const current = getPurchaseOverride(overrides, item);
+  const cleared = clearPurchaseOverride(overrides, item);
+  if (current === null) return { ...cleared, pinned: [...cleared.pinned, item] };
+  if (current === 'pinned') return { ...cleared, blocked: [...cleared.blocked, item] };
+  return cleared;
 }
 
 /**
@@ -29,9 +104,12 @@ export function isToggleUpgrade(upgradeName: string): boolean {
 }
 
 /**
- * Check if an upgrade is a Stage 2+ grandmapocalypse upgrade (excluded from optimization)
- * Stage 1 ("One mind") is allowed as it provides wrinklers with only 33% wrath cookies
+ * Check if a grandmapocalypse research upgrade is blocked by the policy (excluded from optimization)
+ * The default policy stops at Stage 1 ("One mind"): wrinklers with only 33% wrath cookies
  */
-export function isBlockedGrandmapocalypseUpgrade(upgradeName: string): boolean {
-  return GRANDMAPOCALYPSE_STAGE2_UPGRADES.has(upgradeName);
+export function isBlockedGrandmapocalypseUpgrade(
+  upgradeName: string,
+  policy: GrandmapocalypsePolicy = 'oneMind'
+): boolean {
+  return isResearchBlocked(upgradeName, policy);
 }
@@ -0,0 +1,75 @@
+/**
+ * Big cookie autoclicker logic
+ */
+
+import { CLICK_BUFF_UPTIME, MAX_CLICK_RATE } from './constants';
+import type { Buff, ClickerMode } from '../types';
+
+/** Clicker modes, in the order the panel button cycles through them */
+export const CLICKER_MODES: readonly ClickerMode[] = ['buffs', 'always'];
+
+/** Buff type names that make big cookie clicks worth more */
+const CLICK_BUFF_TYPES = new Set(['click frenzy', 'dragonflight', 'cursed finger']);
+
+/** Buff names used when the buff object has no type */
+const CLICK_BUFF_NAMES = new Set(['Click frenzy', 'Dragonflight', 'Cursed finger']);
+
+/**
+ * Check if any click-multiplying buff is active
+ */
+export function hasClickBuff(buffs: readonly Buff[]): boolean {
+  return buffs.some((buff) =>
+    buff.type ? CLICK_BUFF_TYPES.has(buff.type.name) : CLICK_BUFF_NAMES.has(buff.name)
+  );
+}
+
+/**
+ * Check if the autoclicker should be clicking right now
+ */
+export function shouldAutoClick(mode: ClickerMode, buffs: readonly Buff[]): boolean {
+  return mode === 'always' || hasClickBuff(buffs);
+}
+
+/**
+ * Clamp a configured click rate to the safe range (1 to MAX_CLICK_RATE clicks per second)
+ */
+export function clampClickRate(rate: number): number {
+  if (!Number.isFinite(rate)) return MAX_CLICK_RATE;
+  return Math.min(Math.max(rate, 1), MAX_CLICK_RATE);
+}
+
+/**
+ * Clicks per second the autoclicker is delivering right now (0 when idle)
+ * Used to value click income alongside CpS when ranking purchases.
+ */
+export function getEffectiveClickRate(
+  enabled: boolean,
+  mode: ClickerMode,
+  rate: number,
+  buffs: readonly Buff[]
+): number {
+  if (!enabled || !shouldAutoClick(mode, buffs)) return 0;
+  return clampClickRate(rate);
+}
+
+/**
+ * Clicks per second the autoclicker averages over a run (0 when off)
+ * Buffs mode only clicks while a click buff is up, so its rate is scaled by how often one is.
+ * Purchases are ranked on this rather than the current rate, which jumps with every buff.
+ */
+export function getAverageClickRate(enabled: boolean, mode: ClickerMode, rate: number): number {
+  if (!enabled) return 0;
+  const clamped = clampClickRate(rate);
+  return mode === 'always' ? clamped : clamped * CLICK_BUFF_UPTIME;
+}
+
+/**
+ * Cookies per click with click buff multipliers (Click frenzy, Dragonflight) divided out
+ */
+export function getUnbuffedMouseCps(mouseCps: number, buffs: readonly Buff[]): number {
+  let multiplier = 1;
+  for (const buff of buffs) {
+    if (buff.multClick && buff.multClick > 0) multiplier *= buff.multClick;
+  }
+  return mouseCps / multiplier;
+}
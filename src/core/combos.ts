@@ -0,0 +1,105 @@
+/**
+ * Golden cookie combo detection and hold/pop decisions
+ */
+
+import { COMBO_HOLD_MARGIN, COMBO_MIN_SECONDS, GAME_FPS } from './constants';
+import type { Buff, ComboBuff, ComboState, ShimmerDecision } from '../types';
+
+/**
+ * Buffs that make up a combo, keyed by the game's buff type name
+ * Multipliers are fallbacks for when the buff object doesn't carry its own.
+ */
+const COMBO_BUFF_TYPES: Record<string, { kind: ComboBuff['kind']; multiplier: number }> = {
+  frenzy: { kind: 'cps', multiplier: 7 },
+  'blood frenzy': { kind: 'cps', multiplier: 666 }, // Elder frenzy
+  'building buff': { kind: 'cps', multiplier: 1 }, // Building Special (scales with building count)
+  'click frenzy': { kind: 'click', multiplier: 777 },
+  dragonflight: { kind: 'click', multiplier: 1111 },
+};
+
+/** Buff names used when the buff object has no type (older saves/tests) */
+const COMBO_BUFF_NAMES: Record<string, string> = {
+  Frenzy: 'frenzy',
+  'Elder frenzy': 'blood frenzy',
+  'Click frenzy': 'click frenzy',
+  Dragonflight: 'dragonflight',
+};
+
+/**
+ * Classify a game buff as a combo component
+ * Returns null for buffs that don't contribute (e.g. Clot, Sugar blessing)
+ */
+export function classifyBuff(buff: Buff): ComboBuff | null {
+  const typeName = buff.type?.name ?? COMBO_BUFF_NAMES[buff.name];
+  const info = typeName ? COMBO_BUFF_TYPES[typeName] : undefined;
+  if (!info) return null;
+
+  const ownMultiplier = info.kind === 'click' ? buff.multClick : buff.multCpS;
+  const multiplier = ownMultiplier && ownMultiplier > 1 ? ownMultiplier : info.multiplier;
+  if (multiplier <= 1) return null;
+
+  return {
+    name: buff.name,
+    kind: info.kind,
+    multiplier,
+    // Game.buffs[].time counts down in frames
+    secondsLeft: buff.time / GAME_FPS,
+  };
+}
+
+/**
+ * Score the current buff stack
+ * The score is the combined CpS × click multiplier of every combo buff.
+ */
+export function scoreCombo(buffs: readonly Buff[]): ComboState {
+  const comboBuffs: ComboBuff[] = [];
+  let cpsMultiplier = 1;
+  let clickMultiplier = 1;
+
+  for (const buff of buffs) {
+    const comboBuff = classifyBuff(buff);
+    if (!comboBuff) continue;
+    comboBuffs.push(comboBuff);
+    if (comboBuff.kind === 'click') {
+      clickMultiplier *= comboBuff.multiplier;
+    } else {
+      cpsMultiplier *= comboBuff.multiplier;
+    }
+  }
+
+  return {
+    buffs: comboBuffs,
+    cpsMultiplier,
+    clickMultiplier,
+    score: cpsMultiplier * clickMultiplier,
+    active: comboBuffs.some((b) => b.secondsLeft > COMBO_MIN_SECONDS),
+    clickCombo: clickMultiplier > 1,
+  };
+}
+
+/**
+ * Decide whether to pop a golden cookie now or hold it for an upcoming buff
+ * @param shimmerSecondsLeft - Seconds before the golden cookie fades
+ * @param combo - Current buff stack
+ * @param secondsUntilBuff - Seconds until a buff we control becomes available
+ *   (e.g. Force the Hand of Fate magic), or null if none is expected
+ */
+export function decideShimmerPop(
+  shimmerSecondsLeft: number,
+  combo: ComboState,
+  secondsUntilBuff: number | null
+): ShimmerDecision {
+  if (combo.active) {
+    return { shouldPop: true, reason: 'Stacking on combo' };
+  }
+  if (secondsUntilBuff === null) {
+    return { shouldPop: true, reason: 'No buff expected' };
+  }
+  if (secondsUntilBuff <= 0) {
+    return { shouldPop: true, reason: 'Buff ready to follow' };
+  }
+  if (secondsUntilBuff + COMBO_HOLD_MARGIN < shimmerSecondsLeft) {
+    return { shouldPop: false, reason: `Buff expected in ${Math.ceil(secondsUntilBuff)}s` };
+  }
+  return { shouldPop: true, reason: 'Would fade before buff' };
+}
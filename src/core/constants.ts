@@ -2,10 +2,9 @@
  * Constants for the Cookie Clicker Optimizer
  */
 
-export const CM_URL = 'https://cookiemonsterteam.github.io/CookieMonster/dist/CookieMonster.js';
-export const MAX_WAIT_TIME = 30000; // 30 seconds max wait for CM to load
-export const POLL_INTERVAL = 500; // Check every 500ms
 export const REFRESH_INTERVAL = 2000; // Auto-refresh every 2 seconds
+export const MAX_BATCH = 10; // Max purchases per auto-purchase tick
+export const GAME_FPS = 30; // Game logic frames per second (buff/shimmer timers count frames)
 
 // Phase thresholds for game progression (based on CpS)
 export const PHASE_THRESHOLDS = {
@@ -14,9 +13,30 @@ export const PHASE_THRESHOLDS = {
   LATE_TO_ENDGAME: 1_000_000_000, // 1B CpS
 } as const;
 
-// Average time for a wrinkler to respawn (seconds)
+// Purchase planner search limits (sequences explored = breadth ^ depth)
+export const PLANNER_DEPTH = 5; // Steps per planned sequence ("next 5 buys")
+export const PLANNER_BREADTH = 2; // Best-PP options explored at each step
+export const PLANNER_POOL_SIZE = 8; // Top-PP candidates re-evaluated by the planner
+
+// Golden cookie combos
+export const COMBO_MIN_SECONDS = 5; // Buffs with less time left don't count as an active combo
+export const COMBO_HOLD_MARGIN = 3; // Seconds of shimmer life kept in reserve when holding a golden cookie
+
+// Big cookie autoclicker (the game ignores clicks less than 20ms apart)
+export const CLICK_RATE = 10; // Default clicks per second
+export const MAX_CLICK_RATE = 20; // Rate cap, also used for combo click bursts
+export const CLICK_BUFF_UPTIME = 0.02; // Rough share of a run with Click frenzy or Dragonflight up
+
+// Stock market: buy below this fraction of a good's resting value, sell at or above this fraction
+export const STOCK_BUY_RATIO = 0.5;
+export const STOCK_SELL_RATIO = 1;
+
+// Average time for a wrinkler to respawn (seconds), used when the spawn model has no elder wrath to go on
 export const WRINKLER_RESPAWN_TIME = 110;
 
+// Wrinkler spawn chance per empty slot per frame, per stage of elder wrath
+export const WRINKLER_SPAWN_CHANCE = 0.00001;
+
 // Lucky bank multiplier: keep this many times the best item's price in reserve
 export const LUCKY_BANK_PRICE_MULTIPLIER = 3;
 
@@ -59,10 +79,11 @@ export const SEASON_SWITCHER_UPGRADES = new Set([
   'Bunny biscuit',
 ]);
 
-// Grandmapocalypse Stage 2+ upgrades - excluded to keep Golden Cookies accessible
-// "One mind" (Stage 1) is allowed as it provides wrinklers with only 33% wrath cookies
-export const GRANDMAPOCALYPSE_STAGE2_UPGRADES = new Set([
-  'Communal brainsweep',
-  'Arcane sugar',
-  'Elder Pact',
-]);
+// Grandmapocalypse research by the stage (Game.elderWrath) it leads to
+// Research past a policy's allowed stage is excluded from optimization (see core/grandmapocalypse.ts)
+export const GRANDMAPOCALYPSE_RESEARCH_STAGES: Record<string, number> = {
+  'One mind': 1,
+  'Communal brainsweep': 2,
+  'Arcane sugar': 2, // Bought during Stage 2, unlocks Elder Pact
+  'Elder Pact': 3,
+};
@@ -2,7 +2,7 @@
  * Dragon aura recommendation and switching logic
  */
 
-import type { DragonAura, DragonConfig, SwitchDecision } from '../types';
+import type { AuraPreferences, DragonAura, DragonConfig, SwitchDecision } from '../types';
 
 /** Aura index to name mapping (from Game.dragonAuras) */
 export const DRAGON_AURAS: Record<number, DragonAura> = {
@@ -62,6 +62,13 @@ export const DRAGON_LEVEL_AURAS = 5;
 /** Dragon level required for dual auras */
 export const DRAGON_LEVEL_DUAL = 21;
 
+/**
+ * Check if a value is a known aura name (e.g. read from saved settings)
+ */
+export function isDragonAura(value: unknown): value is DragonAura {
+  return typeof value === 'string' && value in AURA_INDICES;
+}
+
 /**
  * Check if an aura is unlocked based on dragon level
  * Aura N is unlocked at dragon level (N + 4), e.g.:
@@ -137,6 +144,30 @@ export function getRecommendedAuras(config: AuraRecommendationConfig): DragonCon
   return { aura1: 'Elder Battalion', aura2: 'Radiant Appetite' };
 }
 
+/**
+ * Swap preferred auras in for the phase-based picks
+ * Combo auras are kept while a Frenzy is running. When a preference collides with the
+ * other slot's pick, that slot takes the pick the preference replaced.
+ */
+export function applyAuraPreferences(
+  recommended: DragonConfig,
+  preferences: AuraPreferences,
+  hasActiveFrenzy: boolean
+): DragonConfig {
+  if (hasActiveFrenzy) return recommended;
+
+  let aura1 = preferences.aura1 ?? recommended.aura1;
+  let aura2 = preferences.aura2 ?? recommended.aura2;
+  if (aura1 === aura2) {
+    if (preferences.aura1) {
+      aura2 = recommended.aura1;
+    } else {
+      aura1 = recommended.aura2;
+    }
+  }
+  return { aura1, aura2 };
+}
+
 /**
  * Determine if auras should be switched
  */
@@ -146,7 +177,9 @@ export function shouldSwitchAuras(
   lastSwitchTime: number,
   hasActiveFrenzy: boolean,
   highestTierBuildingCount: number,
-  hasAura: (name: string) => boolean
+  hasAura: (name: string) => boolean,
+  cooldown: number = AURA_SWITCH_COOLDOWN,
+  minBuildingCount: number = MIN_BUILDING_COUNT_FOR_SWITCH
 ): SwitchDecision {
   // Check aura availability
   if (!hasAura(recommended.aura1)) {
@@ -162,8 +195,8 @@ export function shouldSwitchAuras(
   }
 
   // Building safeguard
-  if (highestTierBuildingCount < MIN_BUILDING_COUNT_FOR_SWITCH) {
-    return { shouldSwitch: false, reason: `Need ${MIN_BUILDING_COUNT_FOR_SWITCH}+ top buildings` };
+  if (highestTierBuildingCount < minBuildingCount) {
+    return { shouldSwitch: false, reason: `Need ${minBuildingCount}+ top buildings` };
   }
 
   // Frenzy bypasses cooldown (time-sensitive)
@@ -173,8 +206,8 @@ export function shouldSwitchAuras(
 
   // Non-Frenzy: respect cooldown
   const now = Date.now();
-  if (now - lastSwitchTime < AURA_SWITCH_COOLDOWN) {
-    const remaining = Math.ceil((AURA_SWITCH_COOLDOWN - (now - lastSwitchTime)) / 1000);
+  if (now - lastSwitchTime < cooldown) {
+    const remaining = Math.ceil((cooldown - (now - lastSwitchTime)) / 1000);
     return { shouldSwitch: false, reason: `Cooldown: ${remaining}s` };
   }
 
@@ -39,6 +39,30 @@ export function formatNumber(num: number): string {
   return num.toFixed(0);
 }
 
+/**
+ * Read a number typed plainly or as formatNumber writes it (e.g. "2e12", "1,500", "1.5 trillion")
+ * Returns null for anything else.
+ */
+export function parseNumber(text: string): number | null {
+  const match = text.trim().toLowerCase().replace(/,/g, '').match(/^(\d+(?:\.\d+)?(?:e\d+)?)\s*([a-z]*)$/);
+  if (!match) return null;
+  const value = Number(match[1]);
+  if (!match[2]) return value;
+  const suffix = NUMBER_SUFFIXES.find((s) => s.suffix === match[2]);
+  return suffix ? value * suffix.threshold : null;
+}
+
+/**
+ * Format a duration in seconds as a short countdown (e.g. "45s", "3m 20s", "2h 5m")
+ */
+export function formatDuration(seconds: number): string {
+  if (!isFinite(seconds)) return '∞';
+  const total = Math.max(0, Math.ceil(seconds));
+  if (total < 60) return `${total}s`;
+  if (total < 3600) return `${Math.floor(total / 60)}m ${total % 60}s`;
+  return `${Math.floor(total / 3600)}h ${Math.floor((total % 3600) / 60)}m`;
+}
+
 /**
  * Log an action with timestamp and data
  */
@@ -0,0 +1,193 @@
+/**
+ * Garden (Farm minigame) layout, harvest and planting logic
+ */
+
+import type { GardenAction, GardenLayout, GardenSeed, GardenTile } from '../types';
+
+/** Plants die once their age reaches 100 (unless immortal) */
+export const PLANT_MAX_AGE = 100;
+
+/** Largest garden plot (fully upgraded Farm) */
+export const GARDEN_PLOT_SIZE = 6;
+
+const bakeberryRow = Array<string>(GARDEN_PLOT_SIZE).fill('bakeberry');
+const wheatRow = Array<string>(GARDEN_PLOT_SIZE).fill('bakerWheat');
+const emptyRow = Array<null>(GARDEN_PLOT_SIZE).fill(null);
+
+/**
+ * Built-in layouts, keyed by the name stored in settings
+ * - bakeberry: full plot of Bakeberries, harvested at maturity for cookies
+ * - wheatMutations: alternating Baker's wheat rows; the empty rows catch
+ *   Thumbcorn/Gildmillet mutations, which are harvested to unlock their seeds
+ */
+export const GARDEN_LAYOUTS: Record<string, GardenLayout> = {
+  bakeberry: {
+    name: 'Bakeberry',
+    harvest: 'mature',
+    plot: Array.from({ length: GARDEN_PLOT_SIZE }, () => [...bakeberryRow]),
+  },
+  wheatMutations: {
+    name: 'Wheat mutations',
+    harvest: 'decay',
+    plot: Array.from({ length: GARDEN_PLOT_SIZE }, (_, y) =>
+      y % 3 === 1 ? [...emptyRow] : [...wheatRow]
+    ),
+  },
+};
+
+/** Default layout name */
+export const DEFAULT_GARDEN_LAYOUT = 'bakeberry';
+
+/**
+ * Validate a layout object (e.g. parsed from user JSON)
+ * Format: { "name": string, "harvest": "mature" | "decay", "plot": (seedKey | null)[][] }
+ */
+export function parseGardenLayout(raw: unknown): GardenLayout | null {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) return null;
+  const { name, harvest, plot } = raw as Record<string, unknown>;
+
+  if (typeof name !== 'string' || (harvest !== 'mature' && harvest !== 'decay')) return null;
+  if (!Array.isArray(plot) || plot.length > GARDEN_PLOT_SIZE) return null;
+
+  const rows: (string | null)[][] = [];
+  for (const row of plot) {
+    if (!Array.isArray(row) || row.length > GARDEN_PLOT_SIZE) return null;
+    if (!row.every((cell) => cell === null || typeof cell === 'string')) return null;
+    rows.push([...(row as (string | null)[])]);
+  }
+
+  return { name, harvest, plot: rows };
+}
+
+/**
+ * Resolve the layout setting: a built-in layout name or a JSON layout
+ * Returns null if the value is neither.
+ */
+export function resolveGardenLayout(value: string): GardenLayout | null {
+  const builtIn = GARDEN_LAYOUTS[value];
+  if (builtIn) return builtIn;
+  try {
+    return parseGardenLayout(JSON.parse(value));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Seed the layout wants on a tile (null for empty/mutation tiles)
+ */
+export function getLayoutSeed(layout: GardenLayout, x: number, y: number): string | null {
+  return layout.plot[y]?.[x] ?? null;
+}
+
+/**
+ * Decide whether a planted tile should be harvested now
+ * Returns the reason, or null to leave the plant growing.
+ */
+export function getHarvestReason(
+  tile: GardenTile,
+  layout: GardenLayout,
+  seed: GardenSeed | undefined
+): string | null {
+  if (!tile.plant) return null;
+
+  const isMature = tile.age >= tile.mature;
+  const willDecay = !tile.immortal && tile.age + tile.maxAgePerTick >= PLANT_MAX_AGE;
+
+  // Harvesting a mature plant of a locked seed unlocks it
+  if (seed && !seed.unlocked) {
+    return isMature ? 'Unlock seed' : null;
+  }
+
+  // Plants that aren't part of the layout are cleared once they've paid out
+  if (getLayoutSeed(layout, tile.x, tile.y) !== tile.plant) {
+    return isMature ? 'Clear tile' : null;
+  }
+
+  if (layout.harvest === 'mature' && isMature) return 'Mature';
+  if (isMature && willDecay) return 'Before decay';
+  return null;
+}
+
+/**
+ * Plan this tick's garden actions
+ * Harvests come first; empty layout tiles are replanted while the plant cost
+ * stays out of the Lucky bank reserve.
+ */
+export function planGardenActions(
+  tiles: readonly GardenTile[],
+  layout: GardenLayout,
+  seeds: Readonly<Record<string, GardenSeed>>,
+  cookies: number,
+  luckyBank: number
+): GardenAction[] {
+  const actions: GardenAction[] = [];
+  let spendable = cookies - luckyBank;
+
+  for (const tile of tiles) {
+    if (tile.plant) {
+      const reason = getHarvestReason(tile, layout, seeds[tile.plant]);
+      if (reason) actions.push({ type: 'harvest', x: tile.x, y: tile.y, plant: tile.plant, reason });
+      continue;
+    }
+
+    const wanted = getLayoutSeed(layout, tile.x, tile.y);
+    const seed = wanted ? seeds[wanted] : undefined;
+    if (!wanted || !seed?.unlocked) continue;
+    if (seed.cost > spendable) continue;
+
+    spendable -= seed.cost;
+    actions.push({ type: 'plant', x: tile.x, y: tile.y, plant: wanted, reason: 'Replant' });
+  }
+
+  return actions;
+}
+
+/**
+ * Estimate garden ticks until a tile is harvested under the layout rules
+ * Returns Infinity for empty tiles and plants that are left alone.
+ */
+export function estimateTicksToHarvest(
+  tile: GardenTile,
+  layout: GardenLayout,
+  seed: GardenSeed | undefined
+): number {
+  if (!tile.plant) return Infinity;
+  if (getHarvestReason(tile, layout, seed)) return 0;
+
+  // Average growth per tick is half the random range above the minimum
+  const avgAgePerTick = (tile.minAgePerTick + tile.maxAgePerTick) / 2;
+  if (avgAgePerTick <= 0) return Infinity;
+
+  const keepsUntilDecay =
+    layout.harvest === 'decay' &&
+    getLayoutSeed(layout, tile.x, tile.y) === tile.plant &&
+    seed?.unlocked !== false;
+  if (keepsUntilDecay && tile.immortal) return Infinity;
+  const targetAge = keepsUntilDecay
+    ? Math.max(tile.mature, PLANT_MAX_AGE - tile.maxAgePerTick)
+    : tile.mature;
+
+  return Math.max(1, Math.ceil((targetAge - tile.age) / avgAgePerTick));
+}
+
+/**
+ * Estimate seconds until the next harvest anywhere in the garden
+ * Garden ticks are discrete: the first comes after secondsToNextTick, then every secondsPerTick.
+ */
+export function estimateSecondsToNextHarvest(
+  tiles: readonly GardenTile[],
+  layout: GardenLayout,
+  seeds: Readonly<Record<string, GardenSeed>>,
+  secondsToNextTick: number,
+  secondsPerTick: number
+): number {
+  let minTicks = Infinity;
+  for (const tile of tiles) {
+    const ticks = estimateTicksToHarvest(tile, layout, tile.plant ? seeds[tile.plant] : undefined);
+    minTicks = Math.min(minTicks, ticks);
+  }
+  if (minTicks === 0) return 0;
+  if (minTicks === Infinity) return Infinity;
+  return secondsToNextTick + (minTicks - 1) * secondsPerTick;
+}
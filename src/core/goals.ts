@@ -0,0 +1,168 @@
+/**
+ * Goal mode: saving toward a cookie amount or one item, with interim purchases that don't delay it
+ */
+
+import { formatNumber, parseNumber } from './formatting';
+import { canAffordWithLuckyBank } from './luckyBank';
+import { getCandidateItem } from './candidates';
+import type { Candidate, GoalStatus, PurchaseGoal } from '../types';
+
+/** Top-ranked candidates the "with purchases" ETA simulates buying */
+export const GOAL_SIMULATION_ITEMS = 10;
+
+/**
+ * Read a goal typed into the panel: a cookie amount, or otherwise an item name
+ */
+export function parseGoal(input: string): PurchaseGoal | null {
+  const text = input.trim();
+  if (!text) return null;
+  const amount = parseNumber(text);
+  if (amount !== null) return amount > 0 && Number.isFinite(amount) ? { kind: 'cookies', amount } : null;
+  return { kind: 'item', name: text };
+}
+
+/**
+ * Validate a goal read from saved settings
+ */
+export function readStoredGoal(raw: unknown): PurchaseGoal | null {
+  if (typeof raw !== 'object' || raw === null) return null;
+  const goal = raw as Record<string, unknown>;
+  if (goal.kind === 'cookies' && typeof goal.amount === 'number' && Number.isFinite(goal.amount)) {
+    return goal.amount > 0 ? { kind: 'cookies', amount: goal.amount } : null;
+  }
+  if (goal.kind === 'item' && typeof goal.name === 'string' && goal.name.trim()) {
+    return { kind: 'item', name: goal.name.trim() };
+  }
+  return null;
+}
+
+/**
+ * Why the optimizer can't buy a goal item (blocked, or upgrades are off for the run), or null
+ */
+export function getGoalItemBlocker(
+  item: { name: string; type: string },
+  blockedItems: readonly string[],
+  upgradesAllowed: boolean
+): string | null {
+  if (blockedItems.includes(item.name)) return 'Item is blocked';
+  if (item.type === 'Upgrade' && !upgradesAllowed) return 'Upgrades are not allowed in this run';
+  return null;
+}
+
+/**
+ * Cookies to save for a goal, or null for an item goal whose item can't be read
+ * An item goal keeps the Lucky bank like every other purchase, so it saves for the price plus the bank.
+ */
+export function getGoalTarget(
+  goal: PurchaseGoal,
+  item: { price: number } | null,
+  luckyBank: number
+): number | null {
+  if (goal.kind === 'cookies') return goal.amount;
+  return item ? item.price + luckyBank : null;
+}
+
+/**
+ * Short description of a goal for the panel and log
+ */
+export function getGoalLabel(goal: PurchaseGoal): string {
+  return goal.kind === 'cookies' ? `${formatNumber(goal.amount)} cookies` : goal.name;
+}
+
+/**
+ * Seconds until the bank reaches the target by saving
+ */
+export function getGoalEta(cookies: number, target: number, cps: number): number {
+  const shortfall = target - cookies;
+  if (shortfall <= 0) return 0;
+  return cps > 0 ? shortfall / cps : Infinity;
+}
+
+/**
+ * Seconds a purchase adds to the goal (negative when its CpS wins back more than its price)
+ * A purchase speeds the goal up exactly when its payback (price / CpS gained) is shorter
+ * than the time left to the goal.
+ */
+export function getGoalPurchaseDelay(
+  purchase: { price: number; deltaCps?: number },
+  cookies: number,
+  target: number,
+  cps: number
+): number {
+  const after = getGoalEta(cookies - purchase.price, target, cps + (purchase.deltaCps ?? 0));
+  return after - getGoalEta(cookies, target, cps);
+}
+
+/**
+ * Check if goal mode allows an interim purchase
+ * Cookies above the goal (and the Lucky bank) can always be spent; below it, only purchases
+ * that don't delay the goal are made.
+ */
+export function isGoalPurchaseAllowed(
+  purchase: { price: number; deltaCps?: number },
+  cookies: number,
+  target: number,
+  cps: number,
+  luckyBank: number
+): boolean {
+  if (canAffordWithLuckyBank(cookies, purchase.price, Math.max(luckyBank, target))) return true;
+  return (
+    canAffordWithLuckyBank(cookies, purchase.price, luckyBank) &&
+    getGoalPurchaseDelay(purchase, cookies, target, cps) <= 0
+  );
+}
+
+/**
+ * Seconds to the goal when the allowed interim purchases are made along the way
+ * Candidates are taken in rank order, once per building or upgrade: each is bought as soon as
+ * it's affordable if that still doesn't delay the goal.
+ */
+export function simulateGoalEta(
+  cookies: number,
+  target: number,
+  cps: number,
+  candidates: readonly Candidate[]
+): number {
+  let elapsed = 0;
+  let bank = cookies;
+  let rate = cps;
+  const bought = new Set<string>();
+
+  for (const candidate of candidates) {
+    const item = getCandidateItem(candidate);
+    if (bought.has(item) || !candidate.deltaCps || candidate.deltaCps <= 0) continue;
+
+    const remaining = getGoalEta(bank, target, rate);
+    const wait = candidate.price > bank ? getGoalEta(bank, candidate.price, rate) : 0;
+    if (wait >= remaining) continue;
+
+    const bankThen = bank + wait * rate;
+    if (getGoalPurchaseDelay(candidate, bankThen, target, rate) > 0) continue;
+
+    elapsed += wait;
+    bank = bankThen - candidate.price;
+    rate += candidate.deltaCps;
+    bought.add(item);
+  }
+
+  return elapsed + getGoalEta(bank, target, rate);
+}
+
+/**
+ * Goal progress for the panel
+ */
+export function getGoalStatus(
+  label: string,
+  target: number,
+  cookies: number,
+  cps: number,
+  candidates: readonly Candidate[]
+): GoalStatus {
+  return {
+    label,
+    target,
+    eta: getGoalEta(cookies, target, cps),
+    etaWithPurchases: simulateGoalEta(cookies, target, cps, candidates.slice(0, GOAL_SIMULATION_ITEMS)),
+    reached: cookies >= target,
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Grandmapocalypse stage policy and Elder Pledge/Covenant decisions
+ */
+
+import { GRANDMAPOCALYPSE_RESEARCH_STAGES } from './constants';
+import { WRINKLER_WITHER } from './wrinklers';
+import type { ElderDecision, GrandmapocalypsePolicy, GrandmapocalypseState } from '../types';
+
+/** Policies in the order the panel button cycles through them */
+export const GRANDMAPOCALYPSE_POLICIES: readonly GrandmapocalypsePolicy[] = ['peaceful', 'oneMind', 'full'];
+
+/** Highest stage each policy lets research reach */
+export const POLICY_MAX_STAGE: Record<GrandmapocalypsePolicy, number> = {
+  peaceful: 0,
+  oneMind: 1,
+  full: 3,
+};
+
+/** Policy names shown in the panel */
+export const POLICY_NAMES: Record<GrandmapocalypsePolicy, string> = {
+  peaceful: 'Stay peaceful',
+  oneMind: 'Stop at One mind',
+  full: 'Full apocalypse',
+};
+
+/** The game's names for each Game.elderWrath stage */
+export const STAGE_NAMES = ['Appeased', 'Awoken', 'Displeased', 'Angered'] as const;
+
+/** CpS lost for as long as the Elder Covenant is in place */
+export const COVENANT_CPS_PENALTY = 0.05;
+
+/** Elder Pledge duration in minutes (doubled by Sacrificial rolling pins) */
+export const ELDER_PLEDGE_MINUTES = 30;
+
+/**
+ * Get the stage a Grandmapocalypse research upgrade leads to (null for other upgrades)
+ */
+export function getResearchStage(upgradeName: string): number | null {
+  return GRANDMAPOCALYPSE_RESEARCH_STAGES[upgradeName] ?? null;
+}
+
+/**
+ * Check if a policy blocks a research upgrade (it leads past the policy's stage)
+ */
+export function isResearchBlocked(upgradeName: string, policy: GrandmapocalypsePolicy): boolean {
+  const stage = getResearchStage(upgradeName);
+  return stage !== null && stage > POLICY_MAX_STAGE[policy];
+}
+
+/**
+ * Name a stage for display (e.g. 'Awoken')
+ */
+export function getStageName(stage: number): string {
+  return STAGE_NAMES[stage] ?? `Stage ${stage}`;
+}
+
+/**
+ * CpS multiplier from a full set of wrinklers
+ * Each of n wrinklers withers 5% of CpS and digests 5% × n, returned × multiplier on pop:
+ * 1 - 0.05n + 0.05n² × multiplier (10 wrinklers at 1.1x ≈ 6x CpS).
+ */
+export function getWrinklerYield(max: number, multiplier: number): number {
+  return 1 - WRINKLER_WITHER * max + WRINKLER_WITHER * max * max * multiplier;
+}
+
+/**
+ * Decide whether to buy Elder Pledge, Elder Covenant or Revoke Elder Covenant
+ * "Stay peaceful" appeases the elders with whichever costs less per second: the pledge
+ * price over its duration, or the covenant's CpS penalty. Wrinkler policies revoke the
+ * covenant once a full set of wrinklers outearns the CpS they wither.
+ * @param cookies - Cookies available to spend (after any Lucky bank)
+ */
+export function decideElderAction(
+  policy: GrandmapocalypsePolicy,
+  state: GrandmapocalypseState,
+  cookies: number,
+  cps: number
+): ElderDecision {
+  const { prices } = state;
+
+  if (policy !== 'peaceful') {
+    const wrinklerYield = getWrinklerYield(state.wrinklerMax, state.wrinklerMultiplier);
+    const reason = `Wrinklers yield ${wrinklerYield.toFixed(1)}x`;
+    const revokePrice = prices['Revoke Elder Covenant'];
+    if (!state.covenant || revokePrice === undefined || wrinklerYield <= 1) {
+      return { action: null, reason };
+    }
+    if (cookies < revokePrice) return { action: null, reason: 'Waiting for cookies' };
+    return { action: 'Revoke Elder Covenant', reason };
+  }
+
+  if (state.covenant) return { action: null, reason: 'Covenant active' };
+  if (state.pledgeSeconds > 0) return { action: null, reason: 'Pledged' };
+  if (state.stage === 0) return { action: null, reason: 'Elders appeased' };
+
+  const pledgePrice = prices['Elder Pledge'];
+  const covenantPrice = prices['Elder Covenant'];
+  const pledgeCostPerSecond = pledgePrice === undefined ? Infinity : pledgePrice / state.pledgeDuration;
+  const covenantCostPerSecond = covenantPrice === undefined ? Infinity : COVENANT_CPS_PENALTY * cps;
+
+  if (covenantPrice !== undefined && covenantCostPerSecond <= pledgeCostPerSecond) {
+    if (cookies < covenantPrice) return { action: null, reason: 'Waiting for cookies' };
+    return { action: 'Elder Covenant', reason: 'Cheaper than pledging' };
+  }
+  if (pledgePrice !== undefined) {
+    if (cookies < pledgePrice) return { action: null, reason: 'Waiting for cookies' };
+    return { action: 'Elder Pledge', reason: 'Peaceful policy' };
+  }
+
+  return { action: null, reason: 'No pledge available' };
+}
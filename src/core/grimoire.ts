@@ -0,0 +1,71 @@
+/**
+ * Grimoire (Wizard tower minigame) spell logic
+ */
+
+import { GAME_FPS } from './constants';
+import type { GrimoireDecision } from '../types';
+
+/** Spell keys in Game.Objects['Wizard tower'].minigame.spells */
+export const SPELL_FORCE_HAND_OF_FATE = 'hand of fate';
+export const SPELL_CONJURE_BAKED_GOODS = 'conjure baked goods';
+
+/**
+ * Spell cost fallback when the minigame doesn't expose getSpellCost
+ * Mirrors the game: costMin + costPercent × max magic, floored
+ */
+export function calculateSpellCost(costMin: number, costPercent: number, magicMax: number): number {
+  return Math.floor(costMin + costPercent * magicMax);
+}
+
+/**
+ * Estimate seconds until magic reaches a target
+ * Regen per frame is max(0.002, sqrt(magic / max(magicMax, 100))) × 0.002, so it
+ * slows down as magic empties. Simulated one second at a time.
+ */
+export function estimateMagicRegenSeconds(magic: number, target: number, magicMax: number): number {
+  if (magic >= target) return 0;
+  if (target > magicMax) return Infinity;
+
+  let current = magic;
+  let seconds = 0;
+  // Full regen from empty takes well under a day; bail out rather than loop forever
+  while (current < target && seconds < 86400) {
+    const perFrame = Math.max(0.002, Math.pow(current / Math.max(magicMax, 100), 0.5)) * 0.002;
+    current = Math.min(magicMax, current + perFrame * GAME_FPS);
+    seconds++;
+  }
+  return current >= target ? seconds : Infinity;
+}
+
+export interface GrimoireCastInput {
+  magic: number;
+  magicMax: number;
+  fthofCost: number;
+  conjureCost: number;
+  /** Frenzy or Building Special is active with time to spare */
+  comboActive: boolean;
+}
+
+/**
+ * Decide which spell (if any) to cast now
+ * - Force the Hand of Fate is saved for Frenzy / Building Special combos
+ * - Conjure Baked Goods is cast when idle and magic is full, so regen isn't wasted
+ */
+export function decideGrimoireCast(input: GrimoireCastInput): GrimoireDecision {
+  const { magic, magicMax, fthofCost, conjureCost, comboActive } = input;
+
+  if (comboActive) {
+    if (magic >= fthofCost) {
+      return { spell: SPELL_FORCE_HAND_OF_FATE, reason: 'Stacking on combo' };
+    }
+    return { spell: null, reason: 'Combo active, not enough magic' };
+  }
+
+  // Allow for floating point drift: regen caps at magicMax exactly
+  const isFull = magic >= magicMax - 0.01;
+  if (isFull && magic >= conjureCost) {
+    return { spell: SPELL_CONJURE_BAKED_GOODS, reason: 'Magic full' };
+  }
+
+  return { spell: null, reason: magic >= fthofCost ? 'Waiting for combo' : 'Regenerating' };
+}
@@ -0,0 +1,234 @@
+/**
+ * Heavenly upgrade categories, prerequisite tree and buy order planning
+ */
+
+import type {
+  HeavenlyCategory,
+  HeavenlyMilestone,
+  HeavenlyPlan,
+  HeavenlyUpgradeInfo,
+} from '../types';
+
+/**
+ * Heavenly upgrades bought first, in order; anything else follows by category, then cheapest first
+ * CpS and golden cookie upgrades come before convenience and offline-production ones.
+ */
+export const HEAVENLY_PRIORITY: readonly string[] = [
+  'Legacy',
+  'Heavenly cookies',
+  'How to bake your dragon',
+  'Heavenly luck',
+  'Lasting fortune',
+  'Decisive fate',
+  'Permanent upgrade slot I',
+  'Starter kit',
+  'Starter kitchen',
+  'Halo gloves',
+  'Kitten angels',
+  'Synergies Vol. I',
+  'Synergies Vol. II',
+  'Season switcher',
+  'Divine discount',
+  'Divine sales',
+  'Divine bakeries',
+  'Lucky digit',
+  'Lucky number',
+  'Lucky payout',
+  'Permanent upgrade slot II',
+  'Permanent upgrade slot III',
+  'Permanent upgrade slot IV',
+  'Permanent upgrade slot V',
+  'Elder spice',
+  'Wrinkly cookies',
+  'Sacrilegious corruption',
+  'Sugar baking',
+  'Sugar craving',
+  'Sugar aging process',
+];
+
+/** What each heavenly upgrade is for (cookie boxes and tins are unlocks; the rest default to other) */
+export const HEAVENLY_CATEGORIES: Record<string, HeavenlyCategory> = {
+  'Heavenly cookies': 'cps',
+  'Starter kit': 'cps',
+  'Starter kitchen': 'cps',
+  'Halo gloves': 'cps',
+  'Kitten angels': 'cps',
+  'Synergies Vol. I': 'cps',
+  'Synergies Vol. II': 'cps',
+  'Divine discount': 'cps',
+  'Divine sales': 'cps',
+  'Divine bakeries': 'cps',
+  'Sugar baking': 'cps',
+  'Sugar aging process': 'cps',
+  'Aura gloves': 'cps',
+  'Luminous gloves': 'cps',
+  'Shimmering veil': 'cps',
+  'Heavenly luck': 'golden',
+  'Lasting fortune': 'golden',
+  'Decisive fate': 'golden',
+  'Lucky digit': 'golden',
+  'Lucky number': 'golden',
+  'Lucky payout': 'golden',
+  'Golden cookie alert sound': 'golden',
+  'Residual luck': 'golden',
+  'Distilled essence of redoubled luck': 'golden',
+  'Permanent upgrade slot I': 'slots',
+  'Permanent upgrade slot II': 'slots',
+  'Permanent upgrade slot III': 'slots',
+  'Permanent upgrade slot IV': 'slots',
+  'Permanent upgrade slot V': 'slots',
+  Legacy: 'unlocks',
+  'How to bake your dragon': 'unlocks',
+  'Season switcher': 'unlocks',
+  'Sugar craving': 'unlocks',
+  'Genius accounting': 'unlocks',
+  'Inspired checklist': 'unlocks',
+};
+
+/** Category order for upgrades outside HEAVENLY_PRIORITY */
+export const HEAVENLY_CATEGORY_ORDER: readonly HeavenlyCategory[] = [
+  'cps',
+  'golden',
+  'slots',
+  'unlocks',
+  'other',
+];
+
+/** Category names shown in the panel */
+export const HEAVENLY_CATEGORY_NAMES: Record<HeavenlyCategory, string> = {
+  cps: 'CpS',
+  golden: 'Golden cookies',
+  slots: 'Upgrade slots',
+  unlocks: 'Unlocks',
+  other: 'Other',
+};
+
+/**
+ * Get a heavenly upgrade's category
+ */
+export function getHeavenlyCategory(name: string): HeavenlyCategory {
+  return HEAVENLY_CATEGORIES[name] ?? (/^(Box|Tin) of /.test(name) ? 'unlocks' : 'other');
+}
+
+/**
+ * Rank heavenly upgrades: HEAVENLY_PRIORITY first, then by category, then cheapest first
+ */
+function compareHeavenlyPriority(a: HeavenlyUpgradeInfo, b: HeavenlyUpgradeInfo): number {
+  const rankA = HEAVENLY_PRIORITY.indexOf(a.name);
+  const rankB = HEAVENLY_PRIORITY.indexOf(b.name);
+  if (rankA !== rankB) {
+    if (rankA === -1) return 1;
+    if (rankB === -1) return -1;
+    return rankA - rankB;
+  }
+  const categoryA = HEAVENLY_CATEGORY_ORDER.indexOf(a.category);
+  const categoryB = HEAVENLY_CATEGORY_ORDER.indexOf(b.category);
+  if (categoryA !== categoryB) return categoryA - categoryB;
+  return a.cost - b.cost;
+}
+
+/**
+ * Get an upgrade and its unowned prerequisites, parents before children
+ * @param unowned - Unowned heavenly upgrades by name; parents missing from it are owned
+ */
+export function getHeavenlyPath(
+  name: string,
+  unowned: ReadonlyMap<string, HeavenlyUpgradeInfo>
+): HeavenlyUpgradeInfo[] {
+  const path: HeavenlyUpgradeInfo[] = [];
+  const visited = new Set<string>();
+
+  const visit = (current: string): void => {
+    const upgrade = unowned.get(current);
+    if (!upgrade || visited.has(current)) return;
+    visited.add(current);
+    for (const parent of upgrade.parents ?? []) visit(parent);
+    path.push(upgrade);
+  };
+
+  visit(name);
+  return path;
+}
+
+/**
+ * Plan which heavenly upgrades to buy with the chips available, in buying order
+ * After each pick the highest-priority upgrade whose parents are owned (or already
+ * planned) and affordable comes next, so newly opened branches are weighed right away.
+ */
+export function planHeavenlyPurchases(
+  upgrades: readonly HeavenlyUpgradeInfo[],
+  heavenlyChips: number
+): HeavenlyUpgradeInfo[] {
+  const ranked = [...upgrades].sort(compareHeavenlyPriority);
+  const unowned = new Set(upgrades.map((u) => u.name));
+  const planned: HeavenlyUpgradeInfo[] = [];
+  let chips = heavenlyChips;
+
+  for (;;) {
+    const next = ranked.find(
+      (u) =>
+        unowned.has(u.name) &&
+        u.cost <= chips &&
+        (u.parents ?? []).every((parent) => !unowned.has(parent))
+    );
+    if (!next) break;
+    planned.push(next);
+    unowned.delete(next.name);
+    chips -= next.cost;
+  }
+
+  return planned;
+}
+
+/**
+ * Find the next milestone: the highest-ranked upgrade the current chips can't reach
+ * Its cost includes unowned prerequisites outside the buy order. Chips are earned one per
+ * prestige level, so the prestige needed is the current level plus the chips short.
+ * @param chipsLeft - Chips left after buying the planned order
+ */
+export function getNextHeavenlyMilestone(
+  upgrades: readonly HeavenlyUpgradeInfo[],
+  planned: readonly HeavenlyUpgradeInfo[],
+  chipsLeft: number,
+  currentPrestige: number
+): HeavenlyMilestone | null {
+  const plannedNames = new Set(planned.map((u) => u.name));
+  const unowned = new Map(
+    upgrades.filter((u) => !plannedNames.has(u.name)).map((u) => [u.name, u] as const)
+  );
+  const target = [...unowned.values()].sort(compareHeavenlyPriority)[0];
+  if (!target) return null;
+
+  const path = getHeavenlyPath(target.name, unowned);
+  const cost = path.reduce((sum, u) => sum + u.cost, 0);
+  const chipsNeeded = Math.max(0, cost - chipsLeft);
+
+  return {
+    name: target.name,
+    category: target.category,
+    path: path.map((u) => u.name),
+    cost,
+    chipsNeeded,
+    prestigeNeeded: currentPrestige + chipsNeeded,
+  };
+}
+
+/**
+ * Plan the heavenly upgrade buy order for the chip balance and the milestone after it
+ */
+export function planHeavenlyUpgrades(
+  upgrades: readonly HeavenlyUpgradeInfo[],
+  heavenlyChips: number,
+  currentPrestige: number
+): HeavenlyPlan {
+  const order = planHeavenlyPurchases(upgrades, heavenlyChips);
+  const totalCost = order.reduce((sum, u) => sum + u.cost, 0);
+  const chipsLeft = heavenlyChips - totalCost;
+
+  return {
+    order,
+    totalCost,
+    chipsLeft,
+    milestone: getNextHeavenlyMilestone(upgrades, order, chipsLeft, currentPrestige),
+  };
+}
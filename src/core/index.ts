@@ -19,3 +19,69 @@ export * from './candidates';
 
 // Wrinklers
 export * from './wrinklers';
+
+// Grandmapocalypse
+export * from './grandmapocalypse';
+
+// Heavenly upgrades
+export * from './heavenly';
+
+// Permanent upgrade slots
+export * from './permanentSlots';
+
+// Challenge-run modes
+export * from './runModes';
+
+// Achievement hunting
+export * from './achievements';
+
+// Building breakpoints
+export * from './breakpoints';
+
+// Building selling
+export * from './selling';
+
+// Payback period
+export * from './payback';
+
+// Purchase planner
+export * from './planner';
+
+// Pantheon
+export * from './pantheon';
+
+// Grimoire
+export * from './grimoire';
+
+// Golden cookie combos
+export * from './combos';
+
+// Big cookie autoclicker
+export * from './clicker';
+
+// Garden
+export * from './garden';
+
+// Stock market
+export * from './stockMarket';
+
+// Seasons
+export * from './seasons';
+
+// Santa
+export * from './santa';
+
+// Sugar lumps
+export * from './sugarLumps';
+
+// Goal mode
+export * from './goals';
+
+// Strategy profiles
+export * from './profiles';
+
+// Settings pane options
+export * from './options';
+
+// Settings
+export * from './settings';
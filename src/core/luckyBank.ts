@@ -2,23 +2,28 @@
  * Lucky bank threshold calculations
  */
 
-import {
-  LUCKY_BANK_CPS_CAP_MULTIPLIER,
-  LUCKY_BANK_PRICE_MULTIPLIER,
-  PHASE_THRESHOLDS,
-} from './constants';
+import { DEFAULT_STRATEGY_PROFILE } from './profiles';
+import type { StrategyProfile } from '../types';
 
 /**
  * Get the Lucky bank threshold based on best item price
  * Returns min(price × 3, cps × 6000) to keep enough reserve for purchasing
  * Disabled in early game (< 1M CpS) where Lucky cookies aren't significant
+ * Multipliers and the early game threshold come from the strategy profile
  */
-export function getLuckyBank(bestItemPrice: number | undefined, cps: number): number {
+export function getLuckyBank(
+  bestItemPrice: number | undefined,
+  cps: number,
+  profile: Pick<
+    StrategyProfile,
+    'luckyBankPriceMultiplier' | 'luckyBankCpsCapMultiplier' | 'phaseThresholds'
+  > = DEFAULT_STRATEGY_PROFILE
+): number {
   if (!bestItemPrice || bestItemPrice <= 0) return 0;
   // Skip lucky bank in early game - Lucky cookies aren't significant yet
-  if (cps < PHASE_THRESHOLDS.EARLY_TO_MID) return 0;
-  const priceBasedBank = bestItemPrice * LUCKY_BANK_PRICE_MULTIPLIER;
-  const cpsCap = cps * LUCKY_BANK_CPS_CAP_MULTIPLIER;
+  if (cps < profile.phaseThresholds.earlyToMid) return 0;
+  const priceBasedBank = bestItemPrice * profile.luckyBankPriceMultiplier;
+  const cpsCap = cps * profile.luckyBankCpsCapMultiplier;
   return Math.floor(Math.min(priceBasedBank, cpsCap));
 }
 
@@ -0,0 +1,298 @@
+/**
+ * Settings pane fields: ranges, units and validation
+ * Every field reads and writes the settings object the optimizer loop reads each tick,
+ * so a change applies on the next tick.
+ */
+
+import { MAX_CLICK_RATE } from './constants';
+import { DRAGON_AURAS, isDragonAura } from './dragon';
+import { GARDEN_LAYOUTS, resolveGardenLayout } from './garden';
+import { listStrategyProfiles, resolveStrategyProfile, updateActiveProfile } from './profiles';
+import type {
+  OptimizerSettings,
+  OptionChoice,
+  OptionField,
+  OptionKey,
+  OptionValue,
+  StrategyProfile,
+  ThresholdSettings,
+} from '../types';
+
+/** Select value for "use the phase-based aura" */
+export const AUTO_AURA = 'auto';
+
+/** Golden upgrade save limits: up to a week of CpS */
+const SAVE_HOURS = { min: 0, max: 168, step: 0.25 };
+
+/** The planner measures up to breadth^depth sequences each tick, so both stay small */
+const PLANNER_LIMIT = { kind: 'number', step: 1, integer: true, min: 1 } as const;
+
+/** Fields in the order the pane shows them */
+export const OPTION_FIELDS: readonly OptionField[] = [
+  { key: 'profile', group: 'Strategy', label: 'Profile', kind: 'select' },
+  {
+    key: 'luckyBankPriceMultiplier',
+    group: 'Lucky bank',
+    label: 'Reserve (× best price)',
+    kind: 'number',
+    min: 0,
+    max: 20,
+    step: 0.5,
+  },
+  {
+    key: 'luckyBankCpsCapMultiplier',
+    group: 'Lucky bank',
+    label: 'Cap (seconds of CpS)',
+    kind: 'number',
+    min: 0,
+    max: 100000,
+    step: 100,
+  },
+  { key: 'goldenSaveEarly', group: 'Golden saves', label: 'Early (h)', kind: 'number', ...SAVE_HOURS },
+  { key: 'goldenSaveMid', group: 'Golden saves', label: 'Mid (h)', kind: 'number', ...SAVE_HOURS },
+  { key: 'goldenSaveEndgame', group: 'Golden saves', label: 'Endgame (h)', kind: 'number', ...SAVE_HOURS },
+  { key: 'dragonAura1', group: 'Dragon', label: 'Primary aura', kind: 'select' },
+  { key: 'dragonAura2', group: 'Dragon', label: 'Secondary aura', kind: 'select' },
+  {
+    key: 'auraSwitchCooldown',
+    group: 'Dragon',
+    label: 'Switch cooldown (s)',
+    kind: 'number',
+    min: 0,
+    max: 3600,
+    step: 1,
+    scale: 1000,
+  },
+  {
+    key: 'minBuildingCountForSwitch',
+    group: 'Dragon',
+    label: 'Min top buildings',
+    kind: 'number',
+    min: 0,
+    max: 1000,
+    step: 1,
+    integer: true,
+  },
+  {
+    key: 'maxBatch',
+    group: 'Loop',
+    label: 'Buys per tick',
+    kind: 'number',
+    min: 1,
+    max: 100,
+    step: 1,
+    integer: true,
+  },
+  {
+    key: 'refreshInterval',
+    group: 'Loop',
+    label: 'Refresh (s)',
+    kind: 'number',
+    min: 0.2,
+    max: 60,
+    step: 0.1,
+    scale: 1000,
+  },
+  { key: 'plannerDepth', group: 'Planner', label: 'Steps ahead', ...PLANNER_LIMIT, max: 6 },
+  { key: 'plannerBreadth', group: 'Planner', label: 'Options per step', ...PLANNER_LIMIT, max: 3 },
+  {
+    key: 'clickRate',
+    group: 'Autoclicker',
+    label: 'Clicks per second',
+    kind: 'number',
+    min: 1,
+    max: MAX_CLICK_RATE,
+    step: 1,
+  },
+  {
+    key: 'ascendGainPercent',
+    group: 'Ascension',
+    label: 'Ascend at gain (%)',
+    kind: 'number',
+    min: 1,
+    max: 100000,
+    step: 1,
+  },
+  {
+    key: 'ascendDoubleHours',
+    group: 'Ascension',
+    label: 'Or if doubling takes (h, 0 = off)',
+    kind: 'number',
+    min: 0,
+    max: 168,
+    step: 0.5,
+  },
+  { key: 'gardenLayout', group: 'Garden', label: 'Layout', kind: 'select' },
+  { key: 'popShinyWrinklers', group: 'Other', label: 'Pop shiny wrinklers', kind: 'checkbox' },
+  { key: 'applyPermanentSlots', group: 'Other', label: 'Fill permanent slots', kind: 'checkbox' },
+];
+
+type ProfileScalar = 'luckyBankPriceMultiplier' | 'luckyBankCpsCapMultiplier' | 'auraSwitchCooldown';
+
+/** Profile parameters edited by a number field */
+const PROFILE_SCALARS: Partial<Record<OptionKey, ProfileScalar>> = {
+  luckyBankPriceMultiplier: 'luckyBankPriceMultiplier',
+  luckyBankCpsCapMultiplier: 'luckyBankCpsCapMultiplier',
+  auraSwitchCooldown: 'auraSwitchCooldown',
+};
+
+/** Golden save curve points edited by a number field */
+const GOLDEN_SAVE_POINTS: Partial<Record<OptionKey, keyof StrategyProfile['goldenSaveHours']>> = {
+  goldenSaveEarly: 'early',
+  goldenSaveMid: 'mid',
+  goldenSaveEndgame: 'endgame',
+};
+
+type ThresholdOptionKey = keyof ThresholdSettings & OptionKey;
+
+/** Thresholds edited by a number field */
+const THRESHOLD_OPTIONS: ReadonlySet<OptionKey> = new Set<ThresholdOptionKey>([
+  'minBuildingCountForSwitch',
+  'maxBatch',
+  'refreshInterval',
+  'plannerDepth',
+  'plannerBreadth',
+  'clickRate',
+  'ascendGainPercent',
+  'ascendDoubleHours',
+]);
+
+function isThresholdOption(key: OptionKey): key is ThresholdOptionKey {
+  return THRESHOLD_OPTIONS.has(key);
+}
+
+/**
+ * Look up a field definition
+ */
+export function getOptionField(key: OptionKey): OptionField {
+  return OPTION_FIELDS.find((f) => f.key === key)!;
+}
+
+/**
+ * Choices for a select field
+ */
+export function getOptionChoices(settings: OptimizerSettings, key: OptionKey): OptionChoice[] {
+  if (key === 'profile') {
+    return listStrategyProfiles(settings.customProfiles).map((p) => ({ value: p.name, label: p.name }));
+  }
+  if (key === 'dragonAura1' || key === 'dragonAura2') {
+    return [
+      { value: AUTO_AURA, label: 'Auto (by phase)' },
+      ...Object.values(DRAGON_AURAS).map((aura) => ({ value: aura, label: aura })),
+    ];
+  }
+  if (key === 'gardenLayout') {
+    const choices = Object.entries(GARDEN_LAYOUTS).map(([value, layout]) => ({ value, label: layout.name }));
+    // An imported JSON layout stays selectable until another is chosen
+    const current = settings.gardenLayout;
+    const imported = GARDEN_LAYOUTS[current] ? null : resolveGardenLayout(current);
+    return imported ? [...choices, { value: current, label: `${imported.name} (imported)` }] : choices;
+  }
+  return [];
+}
+
+/**
+ * Current value of a field, in the unit the pane shows
+ */
+export function getOptionValue(settings: OptimizerSettings, key: OptionKey): OptionValue {
+  const profile = resolveStrategyProfile(settings.profile, settings.customProfiles);
+  const scale = getOptionField(key).scale ?? 1;
+
+  const scalar = PROFILE_SCALARS[key];
+  if (scalar) return profile[scalar] / scale;
+  const point = GOLDEN_SAVE_POINTS[key];
+  if (point) return profile.goldenSaveHours[point];
+  if (isThresholdOption(key)) return settings.thresholds[key] / scale;
+
+  switch (key) {
+    case 'profile':
+      return profile.name;
+    case 'dragonAura1':
+      return settings.dragonAuras.aura1 ?? AUTO_AURA;
+    case 'dragonAura2':
+      return settings.dragonAuras.aura2 ?? AUTO_AURA;
+    case 'gardenLayout':
+      return settings.gardenLayout;
+    case 'popShinyWrinklers':
+    case 'applyPermanentSlots':
+      return settings[key];
+    default:
+      return '';
+  }
+}
+
+/**
+ * Read a number typed into a field, in the field's stored unit
+ * Returns null if it is not a number, outside the field's range or not a whole number
+ * where one is needed.
+ */
+export function parseOptionNumber(field: OptionField, input: OptionValue): number | null {
+  if (typeof input === 'boolean' || (typeof input === 'string' && input.trim() === '')) return null;
+  const value = Number(input);
+  if (!Number.isFinite(value)) return null;
+  if (field.min !== undefined && value < field.min) return null;
+  if (field.max !== undefined && value > field.max) return null;
+  if (field.integer && !Number.isInteger(value)) return null;
+  return field.scale ? Math.round(value * field.scale) : value;
+}
+
+/**
+ * Bring a stored number (e.g. from saved settings) into a field's range, in the stored unit
+ */
+export function clampOptionNumber(field: OptionField, value: number): number {
+  const scale = field.scale ?? 1;
+  let clamped = value;
+  if (field.min !== undefined) clamped = Math.max(clamped, field.min * scale);
+  if (field.max !== undefined) clamped = Math.min(clamped, field.max * scale);
+  return field.integer ? Math.round(clamped) : clamped;
+}
+
+/**
+ * Validate a value from the pane and write it to the settings
+ * Profile parameters go through the active profile (a built-in profile's edits are saved to
+ * the Custom profile).
+ * @returns true if the value was valid and applied
+ */
+export function setOptionValue(settings: OptimizerSettings, key: OptionKey, input: OptionValue): boolean {
+  const field = getOptionField(key);
+
+  if (field.kind === 'checkbox') {
+    if (typeof input !== 'boolean') return false;
+    if (key === 'popShinyWrinklers' || key === 'applyPermanentSlots') settings[key] = input;
+    return true;
+  }
+
+  if (field.kind === 'select') {
+    if (key === 'profile') {
+      if (!listStrategyProfiles(settings.customProfiles).some((p) => p.name === input)) return false;
+      settings.profile = input as string;
+      return true;
+    }
+    if (key === 'gardenLayout') {
+      if (typeof input !== 'string' || !resolveGardenLayout(input)) return false;
+      settings.gardenLayout = input;
+      return true;
+    }
+    const aura = input === AUTO_AURA ? null : input;
+    if (aura !== null && !isDragonAura(aura)) return false;
+    const other = key === 'dragonAura1' ? settings.dragonAuras.aura2 : settings.dragonAuras.aura1;
+    if (aura !== null && aura === other) return false;
+    settings.dragonAuras[key === 'dragonAura1' ? 'aura1' : 'aura2'] = aura;
+    return true;
+  }
+
+  const value = parseOptionNumber(field, input);
+  if (value === null) return false;
+
+  const scalar = PROFILE_SCALARS[key];
+  const point = GOLDEN_SAVE_POINTS[key];
+  if (scalar) {
+    updateActiveProfile(settings, { [scalar]: value });
+  } else if (point) {
+    const current = resolveStrategyProfile(settings.profile, settings.customProfiles).goldenSaveHours;
+    updateActiveProfile(settings, { goldenSaveHours: { ...current, [point]: value } });
+  } else if (isThresholdOption(key)) {
+    settings.thresholds[key] = value;
+  }
+  return true;
+}
@@ -0,0 +1,190 @@
+/**
+ * Pantheon (Temple minigame) spirit recommendation, swap and Godzamok sell logic
+ */
+
+import { getRebuyCost } from './selling';
+import type {
+  GodzamokPlan,
+  GodzamokSale,
+  PantheonConfig,
+  PantheonGod,
+  PantheonSwapDecision,
+} from '../types';
+
+/** Spirit name to game key mapping (from the Temple minigame's gods) */
+export const GOD_KEYS: Record<PantheonGod, string> = {
+  Holobore: 'asceticism',
+  Vomitrax: 'decadence',
+  Godzamok: 'ruin',
+  Cyclius: 'ages',
+  Selebrak: 'seasons',
+  Dotjeiess: 'creation',
+  Muridal: 'labor',
+  Jeremy: 'industry',
+  Mokalsium: 'mother',
+  Skruuia: 'scorn',
+  Rigidel: 'order',
+};
+
+/** Slot names in slot index order */
+export const PANTHEON_SLOTS = ['Diamond', 'Ruby', 'Jade'] as const;
+
+/** Worship swaps held when fully recharged */
+export const MAX_WORSHIP_SWAPS = 3;
+
+/** Godzamok's click bonus per building sold, by slot (diamond, ruby, jade) */
+export const GODZAMOK_BONUS_PER_BUILDING = [0.01, 0.005, 0.0025];
+
+/** Seconds Godzamok's Devastation buff lasts */
+export const GODZAMOK_BUFF_SECONDS = 10;
+
+/** Buildings sold for Godzamok: cheap, numerous and not tied to a minigame's resources */
+export const GODZAMOK_SELL_BUILDINGS = ['Farm', 'Mine', 'Factory'];
+
+/** Spirit name by game key */
+const GOD_NAMES = Object.fromEntries(
+  Object.entries(GOD_KEYS).map(([name, key]) => [key, name])
+) as Record<string, PantheonGod>;
+
+/**
+ * Get a spirit name from its game key (null for empty slots or unknown keys)
+ */
+export function getGodName(key: string | null | undefined): PantheonGod | null {
+  return key ? (GOD_NAMES[key] ?? null) : null;
+}
+
+export interface PantheonRecommendationConfig {
+  /** Big cookie is being clicked (autoclicker on) */
+  clicking: boolean;
+  /** Golden cookies are being clicked */
+  goldenCookies: boolean;
+}
+
+/**
+ * Get recommended spirits for the diamond, ruby and jade slots
+ */
+export function getRecommendedGods(config: PantheonRecommendationConfig): PantheonConfig {
+  const { clicking, goldenCookies } = config;
+
+  // Active play: Godzamok sell combos, Muridal click power
+  if (clicking) {
+    return ['Godzamok', 'Mokalsium', 'Muridal'];
+  }
+
+  // Idle with golden cookies: Holobore would be unslotted on the first golden cookie
+  if (goldenCookies) {
+    return ['Mokalsium', 'Jeremy', 'Cyclius'];
+  }
+
+  // Fully idle: Holobore's CpS bonus is safe
+  return ['Holobore', 'Mokalsium', 'Jeremy'];
+}
+
+/**
+ * Milliseconds for the next worship swap to recharge
+ * Recharge slows as swaps run out: 1 hour with 2 left, 4 hours with 1, 16 hours with none
+ */
+export function getSwapRechargeMs(swaps: number): number {
+  if (swaps <= 0) return 16 * 60 * 60 * 1000;
+  if (swaps === 1) return 4 * 60 * 60 * 1000;
+  return 60 * 60 * 1000;
+}
+
+/**
+ * Seconds until the next worship swap recharges (0 when full)
+ * @param lastSwapTime - Timestamp of the last swap or recharge (the minigame's swapT)
+ */
+export function getSecondsToNextSwap(swaps: number, lastSwapTime: number, now: number): number {
+  if (swaps >= MAX_WORSHIP_SWAPS) return 0;
+  return Math.max(0, (lastSwapTime + getSwapRechargeMs(swaps) - now) / 1000);
+}
+
+/**
+ * Decide the next slot change toward the recommended spirits
+ * Fills one slot per call, diamond first, and holds during combos so Godzamok
+ * and Muridal aren't swapped out mid-burst.
+ */
+export function decidePantheonSwap(
+  current: readonly (PantheonGod | null)[],
+  recommended: PantheonConfig,
+  swaps: number,
+  comboActive: boolean
+): PantheonSwapDecision {
+  const slot = recommended.findIndex((god, i) => current[i] !== god);
+  if (slot === -1) {
+    return { god: null, slot: null, reason: 'Already optimal' };
+  }
+  if (comboActive) {
+    return { god: null, slot: null, reason: 'Combo active' };
+  }
+  if (swaps <= 0) {
+    return { god: null, slot: null, reason: 'No swaps left' };
+  }
+
+  const god = recommended[slot]!;
+  return { god, slot, reason: `${god} to ${PANTHEON_SLOTS[slot]}` };
+}
+
+export interface GodzamokConfig {
+  /** Sellable buildings with their owned amount and current price */
+  buildings: readonly { name: string; amount: number; price: number }[];
+  /** Godzamok's slot index, or null when not slotted */
+  godzamokSlot: number | null;
+  /** Cookies per second earned from clicking right now */
+  clickIncome: number;
+  /** Seconds left on the click buff the sale would boost */
+  clickBuffSeconds: number;
+  /** Cookies available above the Lucky bank for rebuying */
+  spendable: number;
+  sellMultiplier: number;
+  highestTierBuildingCount: number;
+  minBuildingCount: number;
+}
+
+/**
+ * Plan a Godzamok sell-and-rebuy combo for a click buff
+ * Each building type is sold (and immediately rebought) only if the extra click
+ * income over the Devastation buff beats the refund lost on rebuying it.
+ */
+export function planGodzamokSell(config: GodzamokConfig): GodzamokPlan {
+  const {
+    buildings,
+    godzamokSlot,
+    clickIncome,
+    clickBuffSeconds,
+    spendable,
+    sellMultiplier,
+    highestTierBuildingCount,
+    minBuildingCount,
+  } = config;
+
+  const none = (reason: string): GodzamokPlan => ({ sales: [], gain: 0, cost: 0, reason });
+
+  if (godzamokSlot === null) return none('Godzamok not slotted');
+  if (clickBuffSeconds <= 0 || clickIncome <= 0) return none('No click buff');
+  // Same safeguard as aura switching: never sell while the top tier is thin
+  if (highestTierBuildingCount < minBuildingCount) {
+    return none(`Need ${minBuildingCount}+ top buildings`);
+  }
+
+  const bonus = GODZAMOK_BONUS_PER_BUILDING[godzamokSlot] ?? 0;
+  const boostedSeconds = Math.min(GODZAMOK_BUFF_SECONDS, clickBuffSeconds);
+  const sales: GodzamokSale[] = [];
+  let gain = 0;
+  let cost = 0;
+
+  for (const building of buildings) {
+    if (building.amount <= 0) continue;
+    const saleGain = clickIncome * boostedSeconds * bonus * building.amount;
+    const saleCost = (1 - sellMultiplier) * getRebuyCost(building.price, building.amount);
+    if (saleGain <= saleCost || cost + saleCost > spendable) continue;
+
+    sales.push({ name: building.name, quantity: building.amount });
+    gain += saleGain;
+    cost += saleCost;
+  }
+
+  if (sales.length === 0) return none('Not worth the rebuy cost');
+  const sold = sales.reduce((sum, sale) => sum + sale.quantity, 0);
+  return { sales, gain, cost, reason: `+${Math.round(sold * bonus * 100)}% click power` };
+}
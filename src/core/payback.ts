@@ -0,0 +1,109 @@
+/**
+ * Native payback period (PP) calculations
+ *
+ * Measures the CpS delta of a purchase by temporarily applying it and letting
+ * the game recalculate its own gains, so synergies, achievements-in-waiting and
+ * modded upgrades are all accounted for without Cookie Monster.
+ */
+
+/**
+ * Hooks into the game's CpS engine used for purchase simulation
+ */
+export interface CpsSimulator {
+  /** Recalculate gains after a temporary change (Game.CalculateGains) */
+  recalculate: () => void;
+  /** Read the current CpS (after recalculate) */
+  readCps: () => number;
+}
+
+/**
+ * Calculate the payback period of a purchase
+ * Matches Cookie Monster's formula: time to afford + time for the purchase to pay for itself
+ * With no CpS yet (fresh save) only the payback term is used so the first purchase can be ranked
+ */
+export function calculatePaybackPeriod(
+  price: number,
+  deltaCps: number,
+  currentCookies: number,
+  cps: number
+): number {
+  if (!Number.isFinite(deltaCps) || deltaCps <= 0) return Infinity;
+
+  const timeToAfford = cps > 0 ? Math.max(0, price - currentCookies) / cps : 0;
+  return timeToAfford + price / deltaCps;
+}
+
+/**
+ * Measure the CpS change caused by a temporary mutation
+ * `apply` performs the change and returns a function that reverts it.
+ * The simulator is NOT recalculated after reverting, so callers measuring
+ * several purchases should call `sim.recalculate()` once when finished.
+ */
+export function measureCpsDelta(
+  sim: CpsSimulator,
+  baselineCps: number,
+  apply: () => () => void
+): number {
+  const revert = apply();
+  try {
+    sim.recalculate();
+    return sim.readCps() - baselineCps;
+  } finally {
+    revert();
+  }
+}
+
+/**
+ * Simulate buying `quantity` of a building and return the CpS delta
+ */
+export function simulateBuildingDeltaCps(
+  sim: CpsSimulator,
+  baselineCps: number,
+  building: { amount: number },
+  quantity: number
+): number {
+  return measureCpsDelta(sim, baselineCps, () => {
+    const originalAmount = building.amount;
+    building.amount += quantity;
+    return () => {
+      building.amount = originalAmount;
+    };
+  });
+}
+
+/**
+ * Simulate raising a building one level (sugar lumps) and return the CpS delta
+ */
+export function simulateBuildingLevelDeltaCps(
+  sim: CpsSimulator,
+  baselineCps: number,
+  building: { level?: number }
+): number {
+  return measureCpsDelta(sim, baselineCps, () => {
+    const originalLevel = building.level;
+    building.level = (originalLevel ?? 0) + 1;
+    return () => {
+      building.level = originalLevel;
+    };
+  });
+}
+
+/**
+ * Simulate buying an upgrade and return the CpS delta
+ * Already-bought upgrades are worth nothing
+ */
+export function simulateUpgradeDeltaCps(
+  sim: CpsSimulator,
+  baselineCps: number,
+  upgrade: { bought: boolean | number }
+): number {
+  if (upgrade.bought) return 0;
+
+  return measureCpsDelta(sim, baselineCps, () => {
+    const originalBought = upgrade.bought;
+    upgrade.bought = 1;
+    return () => {
+      upgrade.bought = originalBought;
+    };
+  });
+}
@@ -0,0 +1,123 @@
+/**
+ * Permanent upgrade slot ranking and assignment planning
+ */
+
+import type {
+  PermanentSlotCandidate,
+  PermanentSlotKind,
+  PermanentSlotPlan,
+} from '../types';
+
+/** Heavenly upgrades that unlock each slot, in slot order */
+export const PERMANENT_SLOT_UPGRADES = [
+  'Permanent upgrade slot I',
+  'Permanent upgrade slot II',
+  'Permanent upgrade slot III',
+  'Permanent upgrade slot IV',
+  'Permanent upgrade slot V',
+] as const;
+
+/** Slot names used in the panel and logs */
+export const PERMANENT_SLOT_NAMES = ['I', 'II', 'III', 'IV', 'V'] as const;
+
+/**
+ * Early-run value per cookie of price, by kind
+ * Kittens scale with milk, which achievements keep across ascensions; the cursor "fingers"
+ * line scales with every building bought; flavored cookies are flat CpS from the first second.
+ */
+export const PERMANENT_SLOT_WEIGHTS: Record<PermanentSlotKind, number> = {
+  kitten: 3,
+  fingers: 2,
+  cookie: 1.5,
+  tiered: 1,
+  other: 0.5,
+};
+
+/**
+ * Classify an upgrade for the slot weights
+ */
+export function getPermanentSlotKind(upgrade: {
+  name: string;
+  pool?: string;
+  buildingTie?: { name: string } | 0;
+}): PermanentSlotKind {
+  if (upgrade.name.startsWith('Kitten ')) return 'kitten';
+  if (/^\w+ fingers$/.test(upgrade.name)) return 'fingers';
+  if (upgrade.pool === 'cookie') return 'cookie';
+  if (upgrade.buildingTie) return 'tiered';
+  return 'other';
+}
+
+/**
+ * Check if an upgrade can go in a permanent slot: owned, a regular or cookie upgrade,
+ * and not flagged by the game as unslottable
+ */
+export function isPermanentSlotEligible(upgrade: {
+  bought: boolean;
+  pool?: string;
+  noPerm?: number | boolean;
+}): boolean {
+  const pool = upgrade.pool ?? '';
+  return upgrade.bought && !upgrade.noPerm && (pool === '' || pool === 'cookie');
+}
+
+/**
+ * Rank owned upgrades by early-run value, best first
+ * Price stands in for how long a new run would take to buy the upgrade back,
+ * scaled by what kind of boost it gives.
+ */
+export function rankPermanentSlotCandidates(
+  upgrades: ReadonlyArray<{
+    id?: number;
+    name: string;
+    basePrice: number;
+    bought: boolean;
+    pool?: string;
+    noPerm?: number | boolean;
+    buildingTie?: { name: string } | 0;
+  }>
+): PermanentSlotCandidate[] {
+  return upgrades
+    .filter((u) => u.id !== undefined && isPermanentSlotEligible(u))
+    .map((u) => {
+      const kind = getPermanentSlotKind(u);
+      return {
+        name: u.name,
+        id: u.id!,
+        kind,
+        price: u.basePrice,
+        score: u.basePrice * PERMANENT_SLOT_WEIGHTS[kind],
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Plan slot assignments: the top-ranked upgrades, one per unlocked slot
+ * Slots already holding a top-ranked upgrade are left alone so only real changes are suggested.
+ * @param current - Upgrade name in each unlocked slot (null when empty)
+ */
+export function planPermanentSlots(
+  current: readonly (string | null)[],
+  ranked: readonly PermanentSlotCandidate[]
+): PermanentSlotPlan {
+  const best = ranked.slice(0, current.length);
+  const bestNames = new Set(best.map((c) => c.name));
+  const kept = new Set(current.filter((name): name is string => name !== null && bestNames.has(name)));
+  const incoming = best.filter((c) => !kept.has(c.name));
+
+  const slots: (string | null)[] = [];
+  const changes: PermanentSlotPlan['changes'] = [];
+
+  current.forEach((name, slot) => {
+    if (name !== null && kept.has(name)) {
+      slots.push(name);
+      return;
+    }
+    const next = incoming.shift();
+    slots.push(next?.name ?? name);
+    if (next) changes.push({ slot, current: name, suggested: next.name, id: next.id });
+  });
+
+  return { slots, changes };
+}
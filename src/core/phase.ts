@@ -2,19 +2,22 @@
  * Game phase detection and scaling functions
  */
 
-import { PHASE_THRESHOLDS } from './constants';
-import type { GoldenUpgradeEvaluation } from '../types';
+import { DEFAULT_STRATEGY_PROFILE } from './profiles';
+import type { GoldenSaveHours, GoldenUpgradeEvaluation, PhaseThresholds } from '../types';
 
 /**
  * Calculate game phase progress from 0.0 (very early) to 1.0 (endgame)
  * Uses logarithmic scale for smooth progression through exponential CpS growth
  */
-export function calculatePhaseProgress(cps: number): number {
+export function calculatePhaseProgress(
+  cps: number,
+  thresholds: PhaseThresholds = DEFAULT_STRATEGY_PROFILE.phaseThresholds
+): number {
   if (cps <= 0) return 0;
 
-  const EARLY_THRESHOLD = PHASE_THRESHOLDS.EARLY_TO_MID;
-  const LATE_THRESHOLD = PHASE_THRESHOLDS.MID_TO_LATE;
-  const ENDGAME_THRESHOLD = PHASE_THRESHOLDS.LATE_TO_ENDGAME;
+  const EARLY_THRESHOLD = thresholds.earlyToMid;
+  const LATE_THRESHOLD = thresholds.midToLate;
+  const ENDGAME_THRESHOLD = thresholds.lateToEndgame;
 
   if (cps <= EARLY_THRESHOLD) {
     // Early game: 0.0 to 0.33
@@ -38,18 +41,23 @@ export function calculatePhaseProgress(cps: number): number {
 
 /**
  * Get maximum hours willing to save for golden upgrades based on phase
+ * The default curve is 30 minutes through early game, 0.5 → 4 hours through mid game
+ * and 4 → 12 hours through late game.
  */
-export function getMaxGoldenSaveHours(phaseProgress: number): number {
+export function getMaxGoldenSaveHours(
+  phaseProgress: number,
+  curve: GoldenSaveHours = DEFAULT_STRATEGY_PROFILE.goldenSaveHours
+): number {
   if (phaseProgress < 0.33) {
-    return 0.5; // Early game: 30 minutes max
+    return curve.early; // Early game: flat
   } else if (phaseProgress < 0.66) {
-    // Mid game: scale from 0.5 to 4 hours
+    // Mid game: scale from early to mid
     const t = (phaseProgress - 0.33) / 0.33;
-    return 0.5 + t * 3.5;
+    return curve.early + t * (curve.mid - curve.early);
   } else {
-    // Late game: scale from 4 to 12 hours
+    // Late game: scale from mid to endgame
     const t = (phaseProgress - 0.66) / 0.34;
-    return 4 + t * 8;
+    return curve.mid + t * (curve.endgame - curve.mid);
   }
 }
 
@@ -59,7 +67,8 @@ export function getMaxGoldenSaveHours(phaseProgress: number): number {
 export function evaluateGoldenUpgradePriority(
   phaseProgress: number,
   price: number,
-  currentCpS: number
+  currentCpS: number,
+  curve: GoldenSaveHours = DEFAULT_STRATEGY_PROFILE.goldenSaveHours
 ): GoldenUpgradeEvaluation {
   if (currentCpS <= 0) {
     return {
@@ -70,7 +79,7 @@ export function evaluateGoldenUpgradePriority(
   }
 
   const hoursToAfford = price / (currentCpS * 3600);
-  const maxHours = getMaxGoldenSaveHours(phaseProgress);
+  const maxHours = getMaxGoldenSaveHours(phaseProgress, curve);
 
   if (hoursToAfford > maxHours) {
     return {
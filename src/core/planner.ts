@@ -0,0 +1,138 @@
+/**
+ * Multi-step purchase lookahead planner
+ *
+ * Greedy PP ranking ignores how one purchase changes the value of the next
+ * (synergy upgrades, bundle pricing). The planner searches short purchase
+ * sequences and picks the one that reaches a target CpS soonest.
+ */
+
+import { PLANNER_BREADTH, PLANNER_DEPTH } from './constants';
+import { calculatePaybackPeriod } from './payback';
+import type { Candidate, PlanOption, PurchasePlan } from '../types';
+
+export interface PlannerInput {
+  cookies: number;
+  cps: number;
+  /** Options available after buying `path`, with prices and deltas reflecting that path */
+  expand: (path: readonly PlanOption[]) => PlanOption[];
+  depth?: number;
+  breadth?: number;
+  /** CpS to reach; defaults to the CpS after the greedy sequence */
+  targetCps?: number;
+}
+
+interface SimState {
+  cookies: number;
+  cps: number;
+  time: number;
+}
+
+/**
+ * Advance the economy by buying one option: wait until affordable, then pay
+ */
+function simulateStep(state: SimState, option: PlanOption): SimState {
+  const missing = Math.max(0, option.price - state.cookies);
+  let wait = 0;
+  if (missing > 0) {
+    wait = state.cps > 0 ? missing / state.cps : Infinity;
+  }
+  return {
+    cookies: state.cookies + wait * state.cps - option.price,
+    cps: state.cps + option.deltaCps,
+    time: state.time + wait,
+  };
+}
+
+/**
+ * Rank options by PP from the given economy state (lower is better)
+ */
+function rankOptions(options: PlanOption[], state: SimState): PlanOption[] {
+  return options
+    .map((o) => ({ o, pp: calculatePaybackPeriod(o.price, o.deltaCps, state.cookies, state.cps) }))
+    .filter((x) => Number.isFinite(x.pp) && x.pp > 0)
+    .sort((a, b) => a.pp - b.pp)
+    .map((x) => x.o);
+}
+
+/**
+ * Follow the best-PP option at each step
+ */
+function greedyPath(
+  expand: PlannerInput['expand'],
+  start: readonly PlanOption[],
+  state: SimState,
+  depth: number
+): { path: PlanOption[]; state: SimState } {
+  const path = [...start];
+  let current = state;
+  while (path.length < depth) {
+    const next = rankOptions(expand(path), current)[0];
+    if (!next) break;
+    path.push(next);
+    current = simulateStep(current, next);
+  }
+  return { path, state: current };
+}
+
+/**
+ * Plan a purchase sequence that reaches the target CpS soonest
+ * Beam search: at every level only the `breadth` best options by PP are explored.
+ * The returned steps are padded greedily to `depth` so the queue stays full.
+ */
+export function planPurchases(input: PlannerInput): PurchasePlan {
+  const depth = input.depth ?? PLANNER_DEPTH;
+  const breadth = input.breadth ?? PLANNER_BREADTH;
+  const start: SimState = { cookies: input.cookies, cps: input.cps, time: 0 };
+
+  const greedy = greedyPath(input.expand, [], start, depth);
+  if (greedy.path.length === 0) {
+    return { steps: [], targetCps: input.cps, timeToTarget: Infinity };
+  }
+
+  const targetCps = input.targetCps ?? greedy.state.cps;
+  let bestPath: PlanOption[] = greedy.path;
+  let bestTime = greedy.state.cps >= targetCps ? greedy.state.time : Infinity;
+
+  const search = (path: PlanOption[], state: SimState): void => {
+    if (state.time >= bestTime) return; // Can't beat the best sequence found so far
+    if (state.cps >= targetCps) {
+      bestTime = state.time;
+      bestPath = path;
+      return;
+    }
+    if (path.length >= depth) return;
+
+    for (const option of rankOptions(input.expand(path), state).slice(0, breadth)) {
+      search([...path, option], simulateStep(state, option));
+    }
+  };
+  search([], start);
+
+  // Keep the queue full: continue greedily after the target is reached
+  const padded = greedyPath(
+    input.expand,
+    bestPath,
+    bestPath.reduce(simulateStep, start),
+    depth
+  );
+
+  return { steps: padded.path, targetCps, timeToTarget: bestTime };
+}
+
+/**
+ * Move planned steps to the front of the candidate list, in plan order
+ * Candidates not in the plan keep their PP order behind them.
+ */
+export function prioritizePlannedCandidates(
+  candidates: readonly Candidate[],
+  plan: PurchasePlan
+): Candidate[] {
+  const planned: Candidate[] = [];
+  for (const step of plan.steps) {
+    const match = candidates.find((c) => c.name === step.name);
+    if (match && !planned.includes(match)) {
+      planned.push(match);
+    }
+  }
+  return [...planned, ...candidates.filter((c) => !planned.includes(c))];
+}
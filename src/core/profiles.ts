@@ -0,0 +1,204 @@
+/**
+ * Strategy profiles: named bundles of Lucky bank, phase, aura, golden upgrade and wrinkler parameters
+ */
+
+import {
+  LUCKY_BANK_CPS_CAP_MULTIPLIER,
+  LUCKY_BANK_PRICE_MULTIPLIER,
+  PHASE_THRESHOLDS,
+  WRINKLER_RESPAWN_TIME,
+} from './constants';
+import { AURA_SWITCH_COOLDOWN } from './dragon';
+import type { GoldenSaveHours, OptimizerSettings, PhaseThresholds, StrategyProfile } from '../types';
+
+/** Custom profile that edits to a built-in profile are saved to */
+export const CUSTOM_PROFILE_NAME = 'Custom';
+
+/** Lucky bank cap that covers a Lucky cookie during Frenzy (7 × 900s of CpS at 15% of the bank) */
+const LUCKY_FRENZY_CPS_CAP = 42000;
+
+/**
+ * Idle: the long-standing defaults. Golden cookies are clicked as they come and the bank
+ * covers a plain Lucky cookie.
+ */
+export const DEFAULT_STRATEGY_PROFILE: StrategyProfile = {
+  name: 'Idle',
+  luckyBankPriceMultiplier: LUCKY_BANK_PRICE_MULTIPLIER,
+  luckyBankCpsCapMultiplier: LUCKY_BANK_CPS_CAP_MULTIPLIER,
+  phaseThresholds: {
+    earlyToMid: PHASE_THRESHOLDS.EARLY_TO_MID,
+    midToLate: PHASE_THRESHOLDS.MID_TO_LATE,
+    lateToEndgame: PHASE_THRESHOLDS.LATE_TO_ENDGAME,
+  },
+  auraSwitchCooldown: AURA_SWITCH_COOLDOWN,
+  goldenSaveHours: { early: 0.5, mid: 4, endgame: 12 },
+  wrinklerRespawnTime: WRINKLER_RESPAWN_TIME,
+};
+
+/** Built-in profiles, in the order the panel cycles through them */
+export const STRATEGY_PROFILES: readonly StrategyProfile[] = [
+  DEFAULT_STRATEGY_PROFILE,
+  {
+    // Banks for Lucky during Frenzy and swaps auras as often as combos come up
+    ...DEFAULT_STRATEGY_PROFILE,
+    name: 'Active combo',
+    luckyBankCpsCapMultiplier: LUCKY_FRENZY_CPS_CAP,
+    auraSwitchCooldown: 10000,
+  },
+  {
+    // Keeps every cookie working: the Lucky bank starts later and golden upgrades wait less
+    ...DEFAULT_STRATEGY_PROFILE,
+    name: 'Early rush',
+    luckyBankPriceMultiplier: 1,
+    phaseThresholds: { earlyToMid: 10_000_000, midToLate: 1_000_000_000, lateToEndgame: 10_000_000_000 },
+    goldenSaveHours: { early: 0.25, mid: 2, endgame: 8 },
+  },
+  {
+    // Big banks and long saves: a late run has little left to buy but golden upgrades
+    ...DEFAULT_STRATEGY_PROFILE,
+    name: 'Endgame',
+    luckyBankPriceMultiplier: 5,
+    luckyBankCpsCapMultiplier: LUCKY_FRENZY_CPS_CAP,
+    goldenSaveHours: { early: 1, mid: 8, endgame: 24 },
+  },
+];
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isParameter(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Read numeric fields from a raw object, taking the fallback's value for missing ones
+ * Returns null if any present field is invalid.
+ */
+function readParameters<T extends object>(raw: unknown, fallback: T): T | null {
+  if (raw === undefined) return { ...fallback };
+  if (!isRecord(raw)) return null;
+
+  const result = { ...fallback };
+  for (const key of Object.keys(fallback) as (keyof T & string)[]) {
+    const value = raw[key];
+    if (value === undefined) continue;
+    if (!isParameter(value)) return null;
+    (result as Record<string, number>)[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Validate a raw profile (imported JSON or saved settings)
+ * Missing parameters are taken from the default profile; a profile with an invalid
+ * parameter, no name or a built-in profile's name is rejected.
+ */
+export function parseStrategyProfile(raw: unknown): StrategyProfile | null {
+  if (!isRecord(raw) || typeof raw.name !== 'string') return null;
+  const name = raw.name.trim();
+  if (!name || STRATEGY_PROFILES.some((p) => p.name === name)) return null;
+
+  const {
+    phaseThresholds: defaultThresholds,
+    goldenSaveHours: defaultSaveHours,
+    name: _name,
+    ...defaultScalars
+  } = DEFAULT_STRATEGY_PROFILE;
+  const scalars = readParameters(raw, defaultScalars);
+  const phaseThresholds = readParameters<PhaseThresholds>(raw.phaseThresholds, defaultThresholds);
+  const goldenSaveHours = readParameters<GoldenSaveHours>(raw.goldenSaveHours, defaultSaveHours);
+  if (!scalars || !phaseThresholds || !goldenSaveHours) return null;
+
+  // Phases must end in order, or phase progress runs backwards
+  if (
+    phaseThresholds.earlyToMid <= 1 ||
+    phaseThresholds.midToLate <= phaseThresholds.earlyToMid ||
+    phaseThresholds.lateToEndgame <= phaseThresholds.midToLate
+  ) {
+    return null;
+  }
+
+  return { name, ...scalars, phaseThresholds, goldenSaveHours };
+}
+
+/**
+ * Name a copy of a built-in profile is saved under (built-in names are reserved)
+ */
+export function getProfileCopyName(name: string): string {
+  return STRATEGY_PROFILES.some((p) => p.name === name) ? `${name} copy` : name;
+}
+
+/**
+ * Parse a profile from JSON (e.g. pasted into the import prompt)
+ * A profile named after a built-in one is imported as a copy.
+ */
+export function importStrategyProfile(json: string): StrategyProfile | null {
+  try {
+    const raw: unknown = JSON.parse(json);
+    if (isRecord(raw) && typeof raw.name === 'string') {
+      return parseStrategyProfile({ ...raw, name: getProfileCopyName(raw.name.trim()) });
+    }
+    return parseStrategyProfile(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Serialize a profile for export
+ * A built-in profile is exported as a copy so the JSON can be imported back.
+ */
+export function exportStrategyProfile(profile: StrategyProfile): string {
+  return JSON.stringify({ ...profile, name: getProfileCopyName(profile.name) });
+}
+
+/**
+ * Built-in profiles followed by custom ones
+ */
+export function listStrategyProfiles(custom: readonly StrategyProfile[]): StrategyProfile[] {
+  return [...STRATEGY_PROFILES, ...custom];
+}
+
+/**
+ * Look up a profile by name, falling back to the default profile
+ */
+export function resolveStrategyProfile(name: string, custom: readonly StrategyProfile[]): StrategyProfile {
+  return listStrategyProfiles(custom).find((p) => p.name === name) ?? DEFAULT_STRATEGY_PROFILE;
+}
+
+/**
+ * Name of the profile after the given one, wrapping around
+ */
+export function getNextProfileName(name: string, custom: readonly StrategyProfile[]): string {
+  const profiles = listStrategyProfiles(custom);
+  const index = profiles.findIndex((p) => p.name === name);
+  return profiles[(index + 1) % profiles.length]!.name;
+}
+
+/**
+ * Add a custom profile, replacing any custom profile of the same name
+ */
+export function addCustomProfile(
+  custom: readonly StrategyProfile[],
+  profile: StrategyProfile
+): StrategyProfile[] {
+  return [...custom.filter((p) => p.name !== profile.name), profile];
+}
+
+/**
+ * Change parameters of the active profile
+ * Built-in profiles stay as they are: the change goes to the Custom profile, copied from the
+ * active one, which becomes active.
+ */
+export function updateActiveProfile(
+  settings: Pick<OptimizerSettings, 'profile' | 'customProfiles'>,
+  changes: Partial<Omit<StrategyProfile, 'name'>>
+): void {
+  const active = resolveStrategyProfile(settings.profile, settings.customProfiles);
+  const isBuiltIn = STRATEGY_PROFILES.includes(active);
+  const updated = { ...active, ...changes, name: isBuiltIn ? CUSTOM_PROFILE_NAME : active.name };
+
+  settings.customProfiles = addCustomProfile(settings.customProfiles, updated);
+  settings.profile = updated.name;
+}
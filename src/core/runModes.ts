@@ -0,0 +1,161 @@
+/**
+ * Challenge-run modes: achievement rules, candidate adjustments and pass/fail status
+ */
+
+import { formatDuration, formatNumber } from './formatting';
+import type { Candidate, RunMode, RunModeProgress, RunModeStatus } from '../types';
+
+/** Modes in the order the panel button cycles through them */
+export const RUN_MODES: readonly RunMode[] = ['bornAgain', 'neverclick', 'hardcore', 'speedBaking'];
+
+/** Mode names shown in the panel */
+export const RUN_MODE_NAMES: Record<RunMode, string> = {
+  bornAgain: 'Born again',
+  neverclick: 'True Neverclick',
+  hardcore: 'Hardcore',
+  speedBaking: 'Speed baking',
+};
+
+/** Cookies baked this run for True Neverclick */
+export const NEVERCLICK_TARGET = 1e6;
+
+/** Cookies baked this run for Hardcore */
+export const HARDCORE_TARGET = 1e9;
+
+/** Cookies baked this run for the Speed baking achievements */
+export const SPEED_BAKING_TARGET = 1e6;
+
+/** Speed baking achievements and their time limits, fastest first */
+export const SPEED_BAKING_TIERS = [
+  { name: 'Speed baking III', minutes: 15 },
+  { name: 'Speed baking II', minutes: 25 },
+  { name: 'Speed baking I', minutes: 35 },
+] as const;
+
+/** Upgrades that only unlock prestige CpS, which a Born again run doesn't get */
+export const BORN_AGAIN_BLOCKED_UPGRADES = new Set([
+  'Heavenly chip secret',
+  'Heavenly cookie stand',
+  'Heavenly bakery',
+  'Heavenly confectionery',
+  'Heavenly key',
+]);
+
+/**
+ * Check if a mode allows clicking the big cookie (True Neverclick doesn't)
+ */
+export function allowsClicking(mode: RunMode | null): boolean {
+  return mode !== 'neverclick';
+}
+
+/**
+ * Check if a mode allows buying upgrades (Hardcore doesn't)
+ */
+export function allowsUpgrades(mode: RunMode | null): boolean {
+  return mode !== 'hardcore';
+}
+
+/**
+ * Seconds until a target of cookies baked this run, buying an item first
+ * Spending doesn't lower cookies baked, so the wait to afford the item still counts toward the target.
+ */
+export function getTimeToTarget(
+  price: number,
+  deltaCps: number,
+  cookies: number,
+  cookiesEarned: number,
+  cps: number,
+  target: number
+): number {
+  if (cps <= 0) return Infinity;
+  const wait = Math.max(0, price - cookies) / cps;
+  const remaining = Math.max(0, target - cookiesEarned - wait * cps);
+  return wait + remaining / (cps + deltaCps);
+}
+
+/**
+ * Adjust the candidate list for a run mode
+ * Hardcore keeps buildings only and Born again drops prestige upgrades. Until the target is
+ * reached, Speed baking ranks by seconds to 1M cookies instead of PP and drops anything
+ * that doesn't bring the target closer.
+ */
+export function applyRunMode(
+  candidates: readonly Candidate[],
+  mode: RunMode | null,
+  run: { cookies: number; cookiesEarned: number; cps: number }
+): Candidate[] {
+  if (mode === 'hardcore') {
+    return candidates.filter((c) => c.type === 'Building');
+  }
+  if (mode === 'bornAgain') {
+    return candidates.filter((c) => !BORN_AGAIN_BLOCKED_UPGRADES.has(c.name));
+  }
+  if (mode === 'speedBaking' && run.cookiesEarned < SPEED_BAKING_TARGET && run.cps > 0) {
+    const baseline = (SPEED_BAKING_TARGET - run.cookiesEarned) / run.cps;
+    return candidates
+      .map((c) => ({
+        ...c,
+        pp: getTimeToTarget(
+          c.price,
+          c.deltaCps ?? 0,
+          run.cookies,
+          run.cookiesEarned,
+          run.cps,
+          SPEED_BAKING_TARGET
+        ),
+      }))
+      .filter((c) => c.pp < baseline);
+  }
+  return [...candidates];
+}
+
+/**
+ * Progress toward a cookies-baked target
+ */
+function progressText(cookiesEarned: number, target: number): string {
+  return `${formatNumber(cookiesEarned)} of ${formatNumber(target)}`;
+}
+
+/**
+ * Check a run against its mode's rules
+ * Passed once the game has awarded the achievement; failed as soon as a rule is broken.
+ */
+export function getRunModeStatus(mode: RunMode, progress: RunModeProgress): RunModeStatus {
+  const { cookiesEarned, won } = progress;
+
+  switch (mode) {
+    case 'bornAgain':
+      return progress.bornAgain
+        ? { mode, state: 'ok', text: 'Born again run' }
+        : { mode, state: 'failed', text: 'Not a Born again run' };
+
+    case 'neverclick':
+      if (won('True Neverclick')) return { mode, state: 'passed', text: 'True Neverclick won' };
+      if (progress.cookieClicks > 0) {
+        return { mode, state: 'failed', text: `${progress.cookieClicks} cookie clicks` };
+      }
+      return { mode, state: 'ok', text: progressText(cookiesEarned, NEVERCLICK_TARGET) };
+
+    case 'hardcore':
+      if (won('Hardcore')) return { mode, state: 'passed', text: 'Hardcore won' };
+      if (progress.upgradesOwned > 0) {
+        return { mode, state: 'failed', text: `${progress.upgradesOwned} upgrades owned` };
+      }
+      return { mode, state: 'ok', text: progressText(cookiesEarned, HARDCORE_TARGET) };
+
+    case 'speedBaking': {
+      const best = SPEED_BAKING_TIERS.find((t) => won(t.name));
+      if (best) return { mode, state: 'passed', text: `${best.name} won` };
+      if (cookiesEarned >= SPEED_BAKING_TARGET) {
+        return { mode, state: 'failed', text: 'Not awarded this run' };
+      }
+      const tier = SPEED_BAKING_TIERS.find((t) => progress.runSeconds <= t.minutes * 60);
+      if (!tier) return { mode, state: 'failed', text: 'Over 35 minutes' };
+      return {
+        mode,
+        state: 'ok',
+        text: `${formatDuration(tier.minutes * 60 - progress.runSeconds)} left for ${tier.name}`,
+      };
+    }
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Santa evolution and Santa upgrade valuation
+ */
+
+import { calculatePaybackPeriod } from './payback';
+import type { Candidate, SantaDecision } from '../types';
+
+/** Santa's final level (Final Claus) */
+export const SANTA_MAX_LEVEL = 14;
+
+/** Santa is leveled when the next level costs at most this many seconds of CpS */
+export const SANTA_CHEAP_SECONDS = 60;
+
+/**
+ * Santa upgrades the CpS simulation can't measure, valued as an equivalent CpS bonus
+ * (CpS upgrades like Increased merriness or Santa's legacy are measured natively)
+ * The effects are the game's own upgrade descriptions. The values are estimates, not
+ * measurements: each is the share of income the effect is worth to an idle player, rounded
+ * down since reindeer only come during Christmas and idle play clicks little.
+ */
+export const SANTA_UPGRADE_BONUS: Record<string, number> = {
+  // Reindeer appear twice as often; reindeer are a minor, Christmas-only income
+  'Reindeer baking grounds': 0.01,
+  // Reindeer are twice as slow, so fewer escape before they are popped
+  'Weighted sleighs': 0.005,
+  // Reindeer give twice as much
+  'Ho ho ho-flavored frosting': 0.01,
+  // Buildings are 1% cheaper, worth the same as 1% more CpS spent on buildings
+  'Season savings': 0.01,
+  // Upgrades are 5% cheaper; upgrades take well under half of spending past the early game
+  'Toy workshop': 0.02,
+  // Random drops are 10% more common; drops are a small share of income
+  "Santa's bottomless bag": 0.005,
+  // Clicking is 10% more effective; clicks are about a tenth of idle income at most
+  "Santa's helpers": 0.01,
+};
+
+/**
+ * Cookies needed for Santa's next level: (level + 1)^(level + 1)
+ */
+export function getSantaLevelCost(level: number): number {
+  return Math.pow(level + 1, level + 1);
+}
+
+/**
+ * Decide whether to level Santa now
+ * Each level unlocks a random Santa upgrade, so levels are bought as soon as they are
+ * cheap relative to CpS and don't dip into the Lucky bank.
+ */
+export function shouldLevelSanta(
+  level: number,
+  cookies: number,
+  cps: number,
+  luckyBank: number,
+  cheapSeconds: number = SANTA_CHEAP_SECONDS
+): SantaDecision {
+  if (level >= SANTA_MAX_LEVEL) {
+    return { shouldLevel: false, reason: 'Santa maxed' };
+  }
+
+  const cost = getSantaLevelCost(level);
+  if (cost > cps * cheapSeconds) {
+    return { shouldLevel: false, reason: `Costs over ${cheapSeconds}s of CpS` };
+  }
+  // The game requires strictly more cookies than the cost
+  if (cookies - luckyBank <= cost) {
+    return { shouldLevel: false, reason: 'Waiting for cookies' };
+  }
+
+  return { shouldLevel: true, reason: 'Cheap' };
+}
+
+/**
+ * Give Santa upgrades with no measurable CpS their equivalent bonus
+ * so they are ranked instead of filtered out with an infinite PP
+ */
+export function valueSantaUpgrades(candidates: Candidate[], cookies: number, cps: number): void {
+  for (const c of candidates) {
+    const bonus = c.type === 'Upgrade' ? SANTA_UPGRADE_BONUS[c.name] : undefined;
+    if (bonus === undefined || (c.deltaCps ?? 0) > 0) continue;
+
+    c.deltaCps = bonus * cps;
+    c.bonusCps = c.deltaCps;
+    c.pp = calculatePaybackPeriod(c.price, c.deltaCps, cookies, cps);
+  }
+}
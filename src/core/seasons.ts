@@ -0,0 +1,191 @@
+/**
+ * Season drop tracking, season cycling and seasonal upgrade valuation
+ */
+
+import { calculatePaybackPeriod } from './payback';
+import type { Candidate, SeasonDecision, SeasonInfo, SeasonKey, SeasonProgress } from '../types';
+
+/** Seasons with collectible upgrades (Business Day has none) */
+export const SEASONS: Record<SeasonKey, SeasonInfo> = {
+  valentines: {
+    name: "Valentine's Day",
+    biscuit: 'Lovesick biscuit',
+    // Hearts unlock one at a time as the previous one is bought
+    dropBonus: 0.02,
+    drops: [
+      'Pure heart biscuits',
+      'Ardent heart biscuits',
+      'Sour heart biscuits',
+      'Weeping heart biscuits',
+      'Golden heart biscuits',
+      'Eternal heart biscuits',
+      'Prism heart biscuits',
+    ],
+  },
+  christmas: {
+    name: 'Christmas',
+    biscuit: 'Festive biscuit',
+    // Dropped by reindeer
+    dropBonus: 0.02,
+    drops: [
+      'Christmas tree biscuits',
+      'Snowflake biscuits',
+      'Snowman biscuits',
+      'Holly biscuits',
+      'Candy cane biscuits',
+      'Bell biscuits',
+      'Present biscuits',
+    ],
+  },
+  halloween: {
+    name: 'Halloween',
+    biscuit: 'Ghostly biscuit',
+    // Dropped by popped wrinklers
+    dropBonus: 0.02,
+    drops: [
+      'Skull cookies',
+      'Ghost cookies',
+      'Bat cookies',
+      'Slime cookies',
+      'Pumpkin cookies',
+      'Eyeball cookies',
+      'Spider cookies',
+    ],
+  },
+  easter: {
+    name: 'Easter',
+    biscuit: 'Bunny biscuit',
+    // Dropped by golden cookies, wrinklers and reindeer; most eggs aren't plain CpS boosts
+    dropBonus: 0.01,
+    drops: [
+      'Chicken egg',
+      'Duck egg',
+      'Turkey egg',
+      'Quail egg',
+      'Robin egg',
+      'Ostrich egg',
+      'Cassowary egg',
+      'Salmon roe',
+      'Frogspawn',
+      'Shark egg',
+      'Turtle egg',
+      'Ant larva',
+      'Golden goose egg',
+      'Faberge egg',
+      'Wrinklerspawn',
+      'Cookie egg',
+      'Omelette',
+      'Chocolate egg',
+      'Century egg',
+      '"egg"',
+    ],
+  },
+};
+
+/** Order seasons are cycled through */
+export const SEASON_ORDER: readonly SeasonKey[] = ['valentines', 'christmas', 'halloween', 'easter'];
+
+/** Season key by drop name */
+const DROP_SEASONS = new Map<string, SeasonKey>(
+  SEASON_ORDER.flatMap((key) => SEASONS[key].drops.map((drop) => [drop, key] as [string, SeasonKey]))
+);
+
+/**
+ * Get the season a drop belongs to (null for non-seasonal upgrades)
+ */
+export function getDropSeason(upgradeName: string): SeasonKey | null {
+  return DROP_SEASONS.get(upgradeName) ?? null;
+}
+
+/**
+ * Check if a game season id is one we collect drops in
+ */
+export function isSeasonKey(season: string): season is SeasonKey {
+  return season in SEASONS;
+}
+
+/**
+ * Count found and missing drops for a season
+ * @param isFound - True once a drop has been unlocked (bought or waiting in the store)
+ */
+export function getSeasonProgress(season: SeasonKey, isFound: (name: string) => boolean): SeasonProgress {
+  const drops = SEASONS[season].drops;
+  const missing = drops.filter((drop) => !isFound(drop));
+  return { season, found: drops.length - missing.length, total: drops.length, missing };
+}
+
+/**
+ * Decide which season to switch to
+ * Stays while the current season still has drops, then moves to the next season
+ * (in SEASON_ORDER) with missing drops. Halloween is skipped while no wrinklers
+ * can spawn, since only wrinklers drop its cookies.
+ */
+export function decideSeasonSwitch(
+  currentSeason: string,
+  progress: readonly SeasonProgress[],
+  wrinklersSpawn: boolean
+): SeasonDecision {
+  const current = progress.find((p) => p.season === currentSeason);
+  if (current && current.found < current.total) {
+    if (current.season !== 'halloween' || wrinklersSpawn) {
+      return { target: null, reason: `Collecting ${SEASONS[current.season].name}` };
+    }
+  }
+
+  const next = progress.find(
+    (p) =>
+      p.season !== currentSeason &&
+      p.found < p.total &&
+      (p.season !== 'halloween' || wrinklersSpawn)
+  );
+  if (!next) {
+    const anyMissing = progress.some((p) => p.found < p.total);
+    return { target: null, reason: anyMissing ? 'Halloween needs wrinklers' : 'All drops found' };
+  }
+
+  return { target: next.season, reason: `${next.total - next.found} ${SEASONS[next.season].name} drops missing` };
+}
+
+/**
+ * Estimate the CpS a season switch is worth: every missing drop at the season's bonus
+ */
+export function getSeasonSwitchDeltaCps(progress: SeasonProgress, cps: number): number {
+  return (progress.total - progress.found) * SEASONS[progress.season].dropBonus * cps;
+}
+
+/**
+ * Create a purchase candidate for a season switcher biscuit
+ * Its PP is synthetic: the biscuit itself adds no CpS, so it is valued by the drops it opens up.
+ */
+export function createSeasonSwitchCandidate(
+  progress: SeasonProgress,
+  price: number,
+  cookies: number,
+  cps: number
+): Candidate {
+  const deltaCps = getSeasonSwitchDeltaCps(progress, cps);
+  return {
+    name: SEASONS[progress.season].biscuit,
+    type: 'Upgrade',
+    pp: calculatePaybackPeriod(price, deltaCps, cookies, cps),
+    price,
+    deltaCps,
+    bonusCps: deltaCps,
+    affordable: false,
+  };
+}
+
+/**
+ * Give seasonal drops with no measurable CpS (e.g. most rare eggs) their season's bonus
+ * so they are ranked instead of filtered out with an infinite PP
+ */
+export function valueSeasonalDrops(candidates: Candidate[], cookies: number, cps: number): void {
+  for (const c of candidates) {
+    const season = c.type === 'Upgrade' ? getDropSeason(c.name) : null;
+    if (!season || (c.deltaCps ?? 0) > 0) continue;
+
+    c.deltaCps = SEASONS[season].dropBonus * cps;
+    c.bonusCps = c.deltaCps;
+    c.pp = calculatePaybackPeriod(c.price, c.deltaCps, cookies, cps);
+  }
+}
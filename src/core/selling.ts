@@ -0,0 +1,86 @@
+/**
+ * Building sale cost model: refunds, rebuy spread and when a sale is worth it
+ */
+
+import type { BuildingSale, SellReason } from '../types';
+
+/** Share of a building's price refunded when selling (doubled by Earth Shatterer) */
+export const BUILDING_SELL_MULTIPLIER = 0.25;
+
+/** Each building costs 15% more than the previous one */
+const BUILDING_PRICE_INCREASE = 1.15;
+
+/** Share of the bank the Chocolate egg pays out (as cookies baked, so it counts toward prestige) */
+export const CHOCOLATE_EGG_BANK_SHARE = 0.05;
+
+/**
+ * Cookies spent rebuying the last `quantity` buildings of a type
+ * @param price - Current price of the next building
+ */
+export function getRebuyCost(price: number, quantity: number): number {
+  if (quantity <= 0) return 0;
+  return (price * (1 - Math.pow(BUILDING_PRICE_INCREASE, -quantity))) / (BUILDING_PRICE_INCREASE - 1);
+}
+
+/**
+ * Share of a building's price refunded when selling
+ */
+export function getSellMultiplier(earthShatterer: boolean): number {
+  return BUILDING_SELL_MULTIPLIER * (earthShatterer ? 2 : 1);
+}
+
+/**
+ * Cost out a building sale
+ * The refund is the sell multiplier times what the buildings would cost to rebuy. Selling and
+ * rebuying loses the spread; selling for good loses the same spread in building value, except
+ * before ascending, when the buildings are lost anyway. A sale is only allowed when the gain
+ * covers the loss.
+ * @param gain - Cookies (or cookie-equivalent CpS) the sale is expected to bring in
+ */
+export function planBuildingSale(
+  building: { name: string; amount: number; price: number },
+  quantity: number,
+  reason: SellReason,
+  options: { rebuy: boolean; gain: number; sellMultiplier: number }
+): BuildingSale {
+  const sold = Math.min(quantity, building.amount);
+  const value = getRebuyCost(building.price, sold);
+  const refund = value * options.sellMultiplier;
+  const loss = reason === 'ascension' && !options.rebuy ? 0 : value - refund;
+
+  return {
+    name: building.name,
+    quantity: sold,
+    reason,
+    rebuy: options.rebuy,
+    refund,
+    loss,
+    gain: options.gain,
+    allowed: sold > 0 && options.gain >= loss,
+  };
+}
+
+/**
+ * Plan the pre-ascension sell-off
+ * Buildings are lost on ascending, so selling them all costs nothing; it only gains when the
+ * refund can be turned into prestige by buying the Chocolate egg afterwards.
+ * @param eggAvailable - Whether the Chocolate egg is in the store
+ */
+export function planAscensionSellOff(
+  buildings: readonly { name: string; amount: number; price: number }[],
+  sellMultiplier: number,
+  eggAvailable: boolean
+): BuildingSale[] {
+  if (!eggAvailable) return [];
+
+  return buildings
+    .filter((b) => b.amount > 0)
+    .map((b) => {
+      const refund = getRebuyCost(b.price, b.amount) * sellMultiplier;
+      return planBuildingSale(b, b.amount, 'ascension', {
+        rebuy: false,
+        gain: refund * CHOCOLATE_EGG_BANK_SHARE,
+        sellMultiplier,
+      });
+    });
+}
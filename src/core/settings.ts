@@ -0,0 +1,286 @@
+/**
+ * Versioned optimizer settings schema and migration
+ */
+
+import { CLICK_RATE, MAX_BATCH, PLANNER_BREADTH, PLANNER_DEPTH, REFRESH_INTERVAL } from './constants';
+import { CLICKER_MODES } from './clicker';
+import { ASCEND_DOUBLE_HOURS, ASCEND_GAIN_PERCENT } from './ascension';
+import { DEFAULT_GARDEN_LAYOUT, resolveGardenLayout } from './garden';
+import { GRANDMAPOCALYPSE_POLICIES } from './grandmapocalypse';
+import { WRINKLER_STRATEGIES } from './wrinklers';
+import { RUN_MODES } from './runModes';
+import {
+  CUSTOM_PROFILE_NAME,
+  DEFAULT_STRATEGY_PROFILE,
+  listStrategyProfiles,
+  parseStrategyProfile,
+} from './profiles';
+import { MIN_BUILDING_COUNT_FOR_SWITCH, isDragonAura } from './dragon';
+import { readStoredGoal } from './goals';
+import { clampOptionNumber, getOptionField } from './options';
+import type {
+  ClickerMode,
+  GrandmapocalypsePolicy,
+  OptimizerSettings,
+  PanelPosition,
+  RunMode,
+  StrategyProfile,
+  ThresholdSettings,
+  ToggleKey,
+  WrinklerStrategy,
+} from '../types';
+
+/** Current settings schema version (bump and add a migration when the shape changes) */
+export const SETTINGS_VERSION = 2;
+
+/** localStorage key for persisted settings */
+export const SETTINGS_STORAGE_KEY = 'CCOptimizer.settings';
+
+/** Toggle keys persisted in settings, in panel order */
+export const TOGGLE_KEYS: readonly ToggleKey[] = [
+  'autoPurchase',
+  'autoGolden',
+  'autoWrath',
+  'autoWrinklers',
+  'autoDragon',
+  'autoGrimoire',
+  'autoCombo',
+  'autoClick',
+  'autoGarden',
+  'autoStocks',
+  'autoPantheon',
+  'autoLumps',
+  'autoSeason',
+  'autoSanta',
+  'autoElder',
+  'autoAscend',
+  'challengeMode',
+  'autoAchievements',
+];
+
+type RawSettings = Record<string, unknown>;
+
+/**
+ * Migrations keyed by the version they upgrade FROM
+ * Each receives the raw object at that version and returns it at version + 1.
+ */
+const MIGRATIONS: Record<number, (raw: RawSettings) => RawSettings> = {
+  // v1 kept the Lucky bank multipliers and aura cooldown in thresholds; they now live in
+  // strategy profiles. Overridden values become a custom profile so nothing is lost.
+  1: (raw) => {
+    const { luckyBankPriceMultiplier, luckyBankCpsCapMultiplier, auraSwitchCooldown, ...thresholds } =
+      isRecord(raw.thresholds) ? raw.thresholds : {};
+    const overrides = { luckyBankPriceMultiplier, luckyBankCpsCapMultiplier, auraSwitchCooldown };
+    const custom = parseStrategyProfile({
+      ...DEFAULT_STRATEGY_PROFILE,
+      ...overrides,
+      name: CUSTOM_PROFILE_NAME,
+    });
+    const overridden =
+      custom !== null &&
+      (Object.keys(overrides) as (keyof typeof overrides)[]).some(
+        (key) => custom[key] !== DEFAULT_STRATEGY_PROFILE[key]
+      );
+
+    return {
+      ...raw,
+      version: 2,
+      thresholds,
+      profile: overridden ? CUSTOM_PROFILE_NAME : DEFAULT_STRATEGY_PROFILE.name,
+      customProfiles: overridden ? [custom] : [],
+    };
+  },
+};
+
+/**
+ * Create settings with every value at its default
+ */
+export function createDefaultSettings(): OptimizerSettings {
+  const toggles = {} as Record<ToggleKey, boolean>;
+  for (const key of TOGGLE_KEYS) toggles[key] = false;
+
+  return {
+    version: SETTINGS_VERSION,
+    toggles,
+    clickMode: 'buffs',
+    runMode: 'bornAgain',
+    grandmapocalypsePolicy: 'oneMind',
+    wrinklerStrategy: 'purchase',
+    popShinyWrinklers: false,
+    applyPermanentSlots: false,
+    gardenLayout: DEFAULT_GARDEN_LAYOUT,
+    panel: { position: null, collapsed: [] },
+    thresholds: {
+      minBuildingCountForSwitch: MIN_BUILDING_COUNT_FOR_SWITCH,
+      maxBatch: MAX_BATCH,
+      refreshInterval: REFRESH_INTERVAL,
+      plannerDepth: PLANNER_DEPTH,
+      plannerBreadth: PLANNER_BREADTH,
+      clickRate: CLICK_RATE,
+      ascendGainPercent: ASCEND_GAIN_PERCENT,
+      ascendDoubleHours: ASCEND_DOUBLE_HOURS,
+    },
+    profile: DEFAULT_STRATEGY_PROFILE.name,
+    customProfiles: [],
+    dragonAuras: { aura1: null, aura2: null },
+    purchaseOverrides: { blocked: [], pinned: [] },
+    goal: null,
+  };
+}
+
+function isRecord(value: unknown): value is RawSettings {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function readItemNames(value: unknown): string[] {
+  if (!Array.isArray(value)) return [];
+  return value.filter((item): item is string => typeof item === 'string' && item !== '');
+}
+
+function isValidPosition(value: unknown): value is PanelPosition {
+  return (
+    isRecord(value) &&
+    typeof value.left === 'number' &&
+    Number.isFinite(value.left) &&
+    typeof value.top === 'number' &&
+    Number.isFinite(value.top)
+  );
+}
+
+function hasProfile(name: string, custom: readonly StrategyProfile[]): boolean {
+  return listStrategyProfiles(custom).some((p) => p.name === name);
+}
+
+/**
+ * Overlay valid values from a raw (current-version) object onto defaults
+ * Unknown keys are dropped and invalid values fall back to their default.
+ */
+function mergeWithDefaults(raw: RawSettings): OptimizerSettings {
+  const settings = createDefaultSettings();
+
+  if (isRecord(raw.toggles)) {
+    for (const key of TOGGLE_KEYS) {
+      const value = raw.toggles[key];
+      if (typeof value === 'boolean') settings.toggles[key] = value;
+    }
+  }
+
+  if (CLICKER_MODES.includes(raw.clickMode as ClickerMode)) {
+    settings.clickMode = raw.clickMode as ClickerMode;
+  }
+
+  if (RUN_MODES.includes(raw.runMode as RunMode)) {
+    settings.runMode = raw.runMode as RunMode;
+  }
+
+  if (GRANDMAPOCALYPSE_POLICIES.includes(raw.grandmapocalypsePolicy as GrandmapocalypsePolicy)) {
+    settings.grandmapocalypsePolicy = raw.grandmapocalypsePolicy as GrandmapocalypsePolicy;
+  }
+
+  if (WRINKLER_STRATEGIES.includes(raw.wrinklerStrategy as WrinklerStrategy)) {
+    settings.wrinklerStrategy = raw.wrinklerStrategy as WrinklerStrategy;
+  }
+
+  if (typeof raw.popShinyWrinklers === 'boolean') {
+    settings.popShinyWrinklers = raw.popShinyWrinklers;
+  }
+
+  if (typeof raw.applyPermanentSlots === 'boolean') {
+    settings.applyPermanentSlots = raw.applyPermanentSlots;
+  }
+
+  if (typeof raw.gardenLayout === 'string' && resolveGardenLayout(raw.gardenLayout)) {
+    settings.gardenLayout = raw.gardenLayout;
+  }
+
+  if (isRecord(raw.panel)) {
+    if (isValidPosition(raw.panel.position)) {
+      settings.panel.position = { left: raw.panel.position.left, top: raw.panel.position.top };
+    }
+    if (Array.isArray(raw.panel.collapsed)) {
+      settings.panel.collapsed = raw.panel.collapsed.filter((id): id is string => typeof id === 'string');
+    }
+  }
+
+  // Thresholds are held to the settings pane's ranges, so a hand-edited save can't stall the loop
+  if (isRecord(raw.thresholds)) {
+    for (const key of Object.keys(settings.thresholds) as (keyof ThresholdSettings)[]) {
+      const value = raw.thresholds[key];
+      if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+        settings.thresholds[key] = clampOptionNumber(getOptionField(key), value);
+      }
+    }
+  }
+
+  if (Array.isArray(raw.customProfiles)) {
+    for (const entry of raw.customProfiles) {
+      const profile = parseStrategyProfile(entry);
+      if (profile && !settings.customProfiles.some((p) => p.name === profile.name)) {
+        settings.customProfiles.push(profile);
+      }
+    }
+  }
+
+  if (typeof raw.profile === 'string' && hasProfile(raw.profile, settings.customProfiles)) {
+    settings.profile = raw.profile;
+  }
+
+  if (isRecord(raw.dragonAuras)) {
+    const { aura1, aura2 } = raw.dragonAuras;
+    if (isDragonAura(aura1)) settings.dragonAuras.aura1 = aura1;
+    if (isDragonAura(aura2) && aura2 !== settings.dragonAuras.aura1) settings.dragonAuras.aura2 = aura2;
+  }
+
+  // An item is pinned or blocked, never both (pinning wins)
+  if (isRecord(raw.purchaseOverrides)) {
+    const { pinned, blocked } = settings.purchaseOverrides;
+    for (const item of readItemNames(raw.purchaseOverrides.pinned)) {
+      if (!pinned.includes(item)) pinned.push(item);
+    }
+    for (const item of readItemNames(raw.purchaseOverrides.blocked)) {
+      if (!pinned.includes(item) && !blocked.includes(item)) blocked.push(item);
+    }
+  }
+
+  settings.goal = readStoredGoal(raw.goal);
+
+  return settings;
+}
+
+/**
+ * Upgrade persisted settings of any version to the current schema
+ * Anything unreadable yields defaults; settings from a newer build keep the fields we know.
+ */
+export function migrateSettings(raw: unknown): OptimizerSettings {
+  if (!isRecord(raw)) return createDefaultSettings();
+
+  let current: RawSettings = raw;
+  let version = typeof raw.version === 'number' ? raw.version : 0;
+
+  while (version < SETTINGS_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (migrate) current = migrate(current);
+    version++;
+  }
+
+  return mergeWithDefaults(current);
+}
+
+/**
+ * Parse a stored settings string
+ */
+export function parseSettings(json: string | null): OptimizerSettings {
+  if (!json) return createDefaultSettings();
+  try {
+    return migrateSettings(JSON.parse(json));
+  } catch {
+    return createDefaultSettings();
+  }
+}
+
+/**
+ * Serialize settings for storage
+ */
+export function serializeSettings(settings: OptimizerSettings): string {
+  return JSON.stringify({ ...settings, version: SETTINGS_VERSION });
+}
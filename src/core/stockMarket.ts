@@ -0,0 +1,142 @@
+/**
+ * Stock market (Bank minigame) trading strategy
+ */
+
+import { STOCK_BUY_RATIO, STOCK_SELL_RATIO } from './constants';
+import type { StockGood, StockHolding, StockTrade } from '../types';
+
+/** Base broker overhead on purchases (20%) */
+const BASE_BROKER_OVERHEAD = 0.2;
+
+/**
+ * Get a good's resting value ($)
+ * Goods drift back toward 10 + 10 × index, raised by 1 per Bank level above 1
+ */
+export function getRestingValue(goodIndex: number, bankLevel: number): number {
+  return 10 + 10 * goodIndex + (bankLevel - 1);
+}
+
+/**
+ * Get the broker overhead applied to purchases
+ * Each broker cuts the 20% base overhead by 5% (multiplicatively)
+ */
+export function getBrokerOverhead(brokers: number): number {
+  return BASE_BROKER_OVERHEAD * Math.pow(0.95, brokers);
+}
+
+/**
+ * Cost of buying one unit including overhead ($)
+ */
+export function getBuyCost(value: number, overhead: number): number {
+  return value * (1 + overhead);
+}
+
+/**
+ * Decide whether to buy a good
+ * Buys when the price is well below resting value and no longer falling
+ * @returns units to buy (0 for none)
+ */
+export function getBuyQuantity(
+  good: StockGood,
+  overhead: number,
+  spendableDollars: number,
+  buyRatio: number = STOCK_BUY_RATIO
+): number {
+  if (good.value > good.restingValue * buyRatio) return 0;
+  if (good.trend < 0) return 0;
+
+  const room = good.maxStock - good.stock;
+  const unitCost = getBuyCost(good.value, overhead);
+  if (room <= 0 || unitCost <= 0) return 0;
+
+  return Math.max(0, Math.min(room, Math.floor(spendableDollars / unitCost)));
+}
+
+/**
+ * Decide whether to sell a holding
+ * Sells once the price is above resting value and has stopped rising, but never at a
+ * loss against the tracked cost basis
+ */
+export function shouldSellGood(
+  good: StockGood,
+  holding: StockHolding | undefined,
+  sellRatio: number = STOCK_SELL_RATIO
+): boolean {
+  if (good.stock <= 0) return false;
+  if (good.value < good.restingValue * sellRatio) return false;
+  if (good.trend > 0) return false;
+  if (holding && holding.quantity > 0 && good.value <= holding.totalCost / holding.quantity) return false;
+  return true;
+}
+
+/**
+ * Plan trades for every good
+ * @param spendableDollars - Cookies available above the Lucky bank, converted to $
+ */
+export function planStockTrades(
+  goods: readonly StockGood[],
+  holdings: Readonly<Record<number, StockHolding>>,
+  overhead: number,
+  spendableDollars: number
+): StockTrade[] {
+  const trades: StockTrade[] = [];
+  let budget = spendableDollars;
+
+  for (const good of goods) {
+    if (shouldSellGood(good, holdings[good.id])) {
+      trades.push({
+        goodId: good.id,
+        symbol: good.symbol,
+        type: 'sell',
+        quantity: good.stock,
+        price: good.value,
+        reason: `${good.value.toFixed(2)} >= resting ${good.restingValue}`,
+      });
+      continue;
+    }
+
+    const quantity = getBuyQuantity(good, overhead, budget);
+    if (quantity > 0) {
+      budget -= quantity * getBuyCost(good.value, overhead);
+      trades.push({
+        goodId: good.id,
+        symbol: good.symbol,
+        type: 'buy',
+        quantity,
+        price: good.value,
+        reason: `${good.value.toFixed(2)} < ${(good.restingValue * STOCK_BUY_RATIO).toFixed(2)}`,
+      });
+    }
+  }
+
+  return trades;
+}
+
+/**
+ * Record a trade against the session's holdings
+ * @returns realized profit in $ (0 for buys)
+ */
+export function recordStockTrade(
+  holdings: Record<number, StockHolding>,
+  trade: StockTrade,
+  overhead: number
+): number {
+  const holding = holdings[trade.goodId] ?? { quantity: 0, totalCost: 0 };
+
+  if (trade.type === 'buy') {
+    holding.quantity += trade.quantity;
+    holding.totalCost += trade.quantity * getBuyCost(trade.price, overhead);
+    holdings[trade.goodId] = holding;
+    return 0;
+  }
+
+  // Units bought before this session have no known cost; count them at zero profit
+  const tracked = Math.min(trade.quantity, holding.quantity);
+  const avgCost = holding.quantity > 0 ? holding.totalCost / holding.quantity : 0;
+  const profit = tracked * (trade.price - avgCost);
+
+  holding.quantity -= tracked;
+  holding.totalCost -= tracked * avgCost;
+  holdings[trade.goodId] = holding;
+  return profit;
+}
@@ -0,0 +1,82 @@
+/**
+ * Sugar lump timing and building level-up planning
+ */
+
+import type { LumpOption, LumpPlan, LumpStage, LumpTiming } from '../types';
+
+/** Lump type names by Game.lumpCurrentType */
+export const LUMP_TYPES = ['Normal', 'Bifurcated', 'Golden', 'Meaty', 'Caramelized'] as const;
+
+/** Buildings whose first level unlocks a minigame, in unlock priority order */
+export const MINIGAME_BUILDINGS = ['Wizard tower', 'Temple', 'Farm', 'Bank'];
+
+/**
+ * Get the lump type name (unknown types read as Normal)
+ */
+export function getLumpTypeName(type: number): string {
+  return LUMP_TYPES[type] ?? 'Normal';
+}
+
+/**
+ * Lumps needed to raise a building from `level` to `level + 1`
+ */
+export function getLevelUpCost(level: number): number {
+  return level + 1;
+}
+
+/**
+ * Get how far the current lump has grown
+ * Lumps can be harvested once mature (with a chance of getting nothing) and are
+ * safe to harvest once ripe; overripe lumps fall and are collected automatically.
+ * @param lumpT - Timestamp the current lump started growing (Game.lumpT)
+ */
+export function getLumpTiming(
+  lumpT: number,
+  now: number,
+  matureAge: number,
+  ripeAge: number
+): LumpTiming {
+  const age = Math.max(0, now - lumpT);
+  let stage: LumpStage = 'growing';
+  if (age >= ripeAge) stage = 'ripe';
+  else if (age >= matureAge) stage = 'mature';
+
+  return {
+    stage,
+    secondsToMature: Math.max(0, (matureAge - age) / 1000),
+    secondsToRipe: Math.max(0, (ripeAge - age) / 1000),
+  };
+}
+
+/**
+ * Check if the current lump can be harvested without risk
+ */
+export function shouldHarvestLump(timing: LumpTiming): boolean {
+  return timing.stage === 'ripe';
+}
+
+/**
+ * Rank where to spend sugar lumps
+ * Unlocking minigames always comes first (in MINIGAME_BUILDINGS order); the rest are
+ * ranked by CpS gained per lump spent, mirroring the purchase ranking.
+ */
+export function planLumpSpending(lumps: number, options: readonly LumpOption[]): LumpPlan {
+  const unlocks = options
+    .filter((o) => o.unlocksMinigame)
+    .sort((a, b) => MINIGAME_BUILDINGS.indexOf(a.name) - MINIGAME_BUILDINGS.indexOf(b.name));
+
+  const levels = options
+    .filter((o) => !o.unlocksMinigame && o.deltaCps > 0)
+    .sort((a, b) => b.deltaCps / b.cost - a.deltaCps / a.cost);
+
+  const ranked = [...unlocks, ...levels];
+  const next = ranked[0] ?? null;
+
+  if (!next) return { ranked, next: null, reason: 'Nothing to level' };
+
+  const reason = next.unlocksMinigame ? 'Unlock minigame' : 'Best CpS per lump';
+  if (lumps < next.cost) {
+    return { ranked, next, reason: `Saving: ${lumps}/${next.cost} lumps` };
+  }
+  return { ranked, next, reason };
+}
@@ -2,8 +2,17 @@
  * Wrinkler calculations
  */
 
-import { WRINKLER_RESPAWN_TIME } from './constants';
-import type { Wrinkler, PopDecision } from '../types';
+import { GAME_FPS, WRINKLER_SPAWN_CHANCE } from './constants';
+import type { PoppableWrinkler, Wrinkler, WrinklerPopPlan, WrinklerStrategy, PopDecision } from '../types';
+
+/** Strategies in the order the panel button cycles through them */
+export const WRINKLER_STRATEGIES: readonly WrinklerStrategy[] = ['purchase', 'fattest', 'hold'];
+
+/** Share of CpS each active wrinkler withers (and digests) */
+export const WRINKLER_WITHER = 0.05;
+
+/** Shiny wrinklers return this many times a normal wrinkler's reward */
+export const SHINY_WRINKLER_REWARD = 3;
 
 /**
  * Get the wrinkler pop multiplier based on upgrades owned
@@ -36,16 +45,126 @@ export function calculateNormalWrinklerReward(
   return total;
 }
 
+/**
+ * Cookies each active wrinkler digests per second
+ * Every wrinkler digests 5% of CpS per active wrinkler (all of CpS at 20)
+ */
+export function getWrinklerSuckRate(cps: number, activeCount: number): number {
+  return cps * Math.min(1, WRINKLER_WITHER * activeCount);
+}
+
+/**
+ * Net cookies per second one occupied wrinkler slot earns: what its wrinkler digests (returned
+ * with the pop multiplier) less the CpS share it withers
+ * This is the income lost for as long as a popped wrinkler's slot stays empty.
+ */
+export function getWrinklerSlotIncome(cps: number, activeCount: number, multiplier: number): number {
+  return Math.max(0, getWrinklerSuckRate(cps, activeCount) * multiplier - cps * WRINKLER_WITHER);
+}
+
+/**
+ * Chance per frame that an empty wrinkler slot spawns a wrinkler
+ * @param spawnMultiplier - Spawn rate bonuses (e.g. 5 with Unholy bait)
+ */
+export function getWrinklerSpawnChance(elderWrath: number, spawnMultiplier = 1): number {
+  return WRINKLER_SPAWN_CHANCE * elderWrath * spawnMultiplier;
+}
+
+/**
+ * Expected seconds for an empty slot to respawn its wrinkler (Infinity without elder wrath)
+ */
+export function getWrinklerRespawnSeconds(elderWrath: number, spawnMultiplier = 1): number {
+  const chance = getWrinklerSpawnChance(elderWrath, spawnMultiplier);
+  return chance > 0 ? 1 / (chance * GAME_FPS) : Infinity;
+}
+
+/**
+ * Cookies a wrinkler returns when popped
+ */
+export function getWrinklerReward(wrinkler: Wrinkler, multiplier: number): number {
+  const shinyBonus = wrinkler.type === 1 ? SHINY_WRINKLER_REWARD : 1;
+  return wrinkler.sucked * multiplier * shinyBonus;
+}
+
+/**
+ * List active wrinklers that may be popped, fattest first
+ * Shiny wrinklers are held unless includeShiny is set.
+ */
+export function rankPoppableWrinklers(
+  wrinklers: readonly Wrinkler[],
+  multiplier: number,
+  includeShiny: boolean
+): PoppableWrinkler[] {
+  const poppable: PoppableWrinkler[] = [];
+  wrinklers.forEach((w, index) => {
+    if (w.phase !== 2 || w.sucked <= 0) return;
+    if (w.type === 1 && !includeShiny) return;
+    poppable.push({ index, reward: getWrinklerReward(w, multiplier), shiny: w.type === 1 });
+  });
+  return poppable.sort((a, b) => b.reward - a.reward);
+}
+
+/**
+ * Choose which wrinklers to pop toward the best item
+ * - purchase: pop the fewest wrinklers (fattest first) that make the item affordable
+ * - fattest: only ever pop the single fattest wrinkler
+ * - hold: never pop; wrinklers keep digesting until ascension
+ * Pops only happen when they save more time than the popped slots' lost income is worth.
+ * @param slotIncome - Income each popped slot loses per second while empty (see getWrinklerSlotIncome)
+ */
+export function planWrinklerPops(
+  strategy: WrinklerStrategy,
+  ranked: readonly PoppableWrinkler[],
+  itemPrice: number,
+  currentCookies: number,
+  cps: number,
+  respawnSeconds: number,
+  slotIncome: number = cps
+): WrinklerPopPlan {
+  if (strategy === 'hold') {
+    return { indices: [], reward: 0, reason: 'Holding until ascension' };
+  }
+
+  const pool = strategy === 'fattest' ? ranked.slice(0, 1) : ranked;
+  const chosen: PoppableWrinkler[] = [];
+  let reward = 0;
+  for (const w of pool) {
+    if (currentCookies + reward >= itemPrice) break;
+    chosen.push(w);
+    reward += w.reward;
+  }
+
+  const decision = shouldPopForPurchase(
+    reward,
+    itemPrice,
+    currentCookies,
+    cps,
+    chosen.length,
+    respawnSeconds,
+    slotIncome
+  );
+  if (!decision.shouldPop) {
+    return { indices: [], reward: 0, reason: decision.reason };
+  }
+  return { indices: chosen.map((w) => w.index), reward, reason: decision.reason };
+}
+
 /**
  * Check if popping wrinklers enables a purchase faster than waiting
  * Factors in the opportunity cost of wrinklers being gone during respawn
+ * @param respawnSeconds - Expected respawn time per popped wrinkler (the profile's
+ *   wrinklerRespawnTime when the spawn model has nothing to go on)
+ * @param slotIncome - Income each popped slot loses per second while empty (defaults to CpS,
+ *   which costs the respawn time itself)
  */
 export function shouldPopForPurchase(
   popReward: number,
   itemPrice: number,
   currentCookies: number,
   cps: number,
-  wrinklerCount: number
+  wrinklerCount: number,
+  respawnSeconds: number,
+  slotIncome: number = cps
 ): PopDecision {
   // If we can already afford it, no need to pop
   if (currentCookies >= itemPrice) {
@@ -61,8 +180,9 @@ export function shouldPopForPurchase(
   const needed = itemPrice - currentCookies;
   const timeWithoutPop = needed / cps;
 
-  // Calculate opportunity cost: wrinklers won't be earning during respawn
-  const respawnTime = WRINKLER_RESPAWN_TIME * wrinklerCount;
+  // Calculate opportunity cost: wrinklers won't be earning during respawn (in seconds of CpS)
+  // A slot that loses no income costs nothing while empty, however long it stays empty
+  const respawnTime = cps > 0 && slotIncome > 0 ? (respawnSeconds * wrinklerCount * slotIncome) / cps : 0;
 
   // Only pop if we save more than the respawn time
   if (timeWithoutPop > respawnTime) {
@@ -2,7 +2,7 @@
  * Cookie Clicker Optimizer
  *
  * A bookmarklet that finds the most efficient purchase in Cookie Clicker
- * by leveraging Cookie Monster's payback period (PP) calculations.
+ * using natively measured payback period (PP) calculations.
  *
  * Usage: Run this script while playing Cookie Clicker at https://orteil.dashnet.org/cookieclicker/
  */
@@ -11,7 +11,7 @@
 export * from './core';
 export * from './browser';
 export * from './types';
-export { getState, createDefaultState } from './state';
+export { getState, createDefaultState, applySettings, captureSettings } from './state';
 
 // Main entry point
 export { run } from './main';
@@ -3,46 +3,201 @@
  */
 
 import styles from './ui/styles.css?inline';
-import { CM_URL, MAX_WAIT_TIME, POLL_INTERVAL, REFRESH_INTERVAL } from './core/constants';
 import { logAction } from './core/formatting';
 import { getLuckyBank, canAffordWithLuckyBank } from './core/luckyBank';
 import { calculatePhaseProgress } from './core/phase';
-import { filterAndSortCandidates } from './core/candidates';
-import { shouldPopForPurchase } from './core/wrinklers';
+import {
+  addCustomProfile,
+  exportStrategyProfile,
+  getNextProfileName,
+  importStrategyProfile,
+  resolveStrategyProfile,
+} from './core/profiles';
+import { getOptionValue } from './core/options';
+import {
+  getGoalItemBlocker,
+  getGoalTarget,
+  getGoalLabel,
+  getGoalStatus,
+  isGoalPurchaseAllowed,
+  parseGoal,
+} from './core/goals';
+import {
+  clearPurchaseOverride,
+  cyclePurchaseOverride,
+  filterAndSortCandidates,
+  getCandidateItem,
+  getPurchaseOverride,
+  isPinnedCandidate,
+  releasePurchasedPin,
+} from './core/candidates';
+import { prioritizePlannedCandidates } from './core/planner';
+import {
+  WRINKLER_STRATEGIES,
+  getWrinklerSlotIncome,
+  planWrinklerPops,
+  rankPoppableWrinklers,
+} from './core/wrinklers';
+import { decideGrimoireCast } from './core/grimoire';
+import { decideShimmerPop } from './core/combos';
+import { getAverageClickRate, getEffectiveClickRate, getUnbuffedMouseCps } from './core/clicker';
+import { getBrokerOverhead, planStockTrades, recordStockTrade } from './core/stockMarket';
+import { planLumpSpending, shouldHarvestLump } from './core/sugarLumps';
+import { shouldLevelSanta, valueSantaUpgrades } from './core/santa';
+import { GRANDMAPOCALYPSE_POLICIES, decideElderAction } from './core/grandmapocalypse';
+import { getSecondsToDoubleGain, shouldAscend } from './core/ascension';
+import {
+  RUN_MODES,
+  allowsClicking,
+  allowsUpgrades,
+  applyRunMode,
+  getRunModeStatus,
+} from './core/runModes';
+import {
+  ACHIEVEMENT_SALE_PAYBACK_SECONDS,
+  getMilkCpsGain,
+  valueAchievementTargets,
+} from './core/achievements';
+import {
+  SEASONS,
+  createSeasonSwitchCandidate,
+  decideSeasonSwitch,
+  valueSeasonalDrops,
+} from './core/seasons';
+import {
+  GODZAMOK_SELL_BUILDINGS,
+  PANTHEON_SLOTS,
+  decidePantheonSwap,
+  getRecommendedGods,
+  planGodzamokSell,
+} from './core/pantheon';
+import { getSellMultiplier, planAscensionSellOff, planBuildingSale } from './core/selling';
+import {
+  GARDEN_LAYOUTS,
+  DEFAULT_GARDEN_LAYOUT,
+  resolveGardenLayout,
+  parseGardenLayout,
+  planGardenActions,
+  estimateSecondsToNextHarvest,
+} from './core/garden';
+import { MAX_CLICK_RATE } from './core/constants';
 import {
   getRecommendedAuras,
+  applyAuraPreferences,
   shouldSwitchAuras,
   countKittenUpgrades,
   isAuraUnlocked,
 } from './core/dragon';
-import type { DragonAura } from './types';
+import type { ComboState, DragonAura, Shimmer, WrinklerPopPlan } from './types';
 import {
   getTotalBuildings,
   executePurchaseItem,
   isCMDataReady,
 } from './browser/game';
-import { collectUpgradeCandidates, findGoldenUpgradesInStore } from './browser/purchases';
+import { findGoldenUpgradesInStore } from './browser/purchases';
+import { collectNativeCandidates, getCMPaybackLookup, attachCMCrossCheck } from './browser/payback';
+import { planNextPurchases } from './browser/planner';
 import { clickShimmers } from './browser/cookies';
-import { getWrinklerStats, popNormalWrinklers } from './browser/wrinklers';
+import { getWrinklerStats, popWrinklers } from './browser/wrinklers';
+import { getGrimoire, getGrimoireState, castGrimoireSpell } from './browser/grimoire';
+import { getComboState, getShimmerSecondsLeft } from './browser/combos';
+import { getMarket, getStockGoods, executeStockTrade } from './browser/stockMarket';
+import { getLumpState, collectLumpOptions, levelUpBuilding } from './browser/sugarLumps';
+import { getSeasonState, findSeasonBiscuit } from './browser/seasons';
+import { getChristmasState, levelUpSanta } from './browser/santa';
+import { getGrandmapocalypseState, buyElderUpgrade } from './browser/grandmapocalypse';
+import {
+  getPantheon,
+  getPantheonState,
+  slotGod,
+  getGodzamokBuildings,
+  executeGodzamokSales,
+} from './browser/pantheon';
+import { getGarden, getGardenState, executeGardenAction } from './browser/garden';
 import {
   getDragonState,
   switchAuras,
-  hasActiveFrenzy,
+  getHighestTierBuilding,
   getHighestTierBuildingCount,
   getTotalBuildingCount,
 } from './browser/dragon';
-import { getDisplay, cleanupPanel } from './ui/panel';
+import type { DragonGameContext } from './browser/dragon';
+import { getDisplay, cleanupPanel, applyPanelLayout } from './ui/panel';
 import {
   updateAutoButton,
   updateGoldenButton,
   updateWrathButton,
   updateWrinklerButton,
   updateDragonButton,
+  updateGrimoireButton,
+  updateComboButton,
+  updateClickButton,
+  updateGardenButton,
+  updateStocksButton,
+  updatePantheonButton,
+  updateLumpsButton,
+  updateSeasonButton,
+  updateSantaButton,
+  updateElderButton,
+  updateAscendButton,
+  updateRunModeButton,
+  updateAchievementsButton,
+  updateProfileButton,
+  updateGoalButton,
 } from './ui/buttons';
-import { updateLuckyBankDisplay, updateWrinklerDisplay, updateDisplay, updateDragonDisplay, updateAscensionDisplay } from './ui/display';
-import { getAscensionStats, getHeavenlyUpgradeBreakdown } from './browser/ascension';
-import { getState } from './state';
-import type { Candidate, OptimizerState } from './types';
+import {
+  updateLuckyBankDisplay,
+  updateWrinklerDisplay,
+  updateDisplay,
+  updateDragonDisplay,
+  updateGrimoireDisplay,
+  updateComboDisplay,
+  updateGardenDisplay,
+  updateStockDisplay,
+  updatePantheonDisplay,
+  updateLumpDisplay,
+  updateSeasonDisplay,
+  updateChristmasDisplay,
+  updateGrandmapocalypseDisplay,
+  updateAscensionDisplay,
+  updateAutopilotDisplay,
+  updateHeavenlyPlanDisplay,
+  updateAscendTreeMarks,
+  updatePermanentSlotDisplay,
+  updateRunModeDisplay,
+  updateAchievementDisplay,
+  updatePurchaseOverridesDisplay,
+  updateGoalDisplay,
+  updateNoticeDisplay,
+} from './ui/display';
+import { syncSettingsPane } from './ui/settings';
+import { getAscensionStats, getHeavenlyUpgradeBreakdown, advanceAscension } from './browser/ascension';
+import { getHeavenlyPlan, getAscendTreeMarks } from './browser/heavenly';
+import { getPermanentSlotPlan, applyPermanentSlotChanges } from './browser/permanentSlots';
+import { getRunModeProgress } from './browser/runModes';
+import { getGoalItem } from './browser/goals';
+import { getAchievementState, performAchievementAction } from './browser/achievements';
+import {
+  getSellableBuildings,
+  executeBuildingSale,
+  findChocolateEgg,
+  rebuySacrificedBuilding,
+} from './browser/selling';
+import { PERMANENT_SLOT_NAMES } from './core/permanentSlots';
+import { getState, applySettings, captureSettings } from './state';
+import { createDefaultSettings } from './core/settings';
+import { getSettingsStorage, loadSettings, saveSettings, clearSettings } from './browser/settings';
+import type {
+  BuildingSale,
+  Candidate,
+  GardenLayout,
+  MilkState,
+  OptimizerState,
+  OptionKey,
+  ProfileAction,
+  PurchaseOverrideAction,
+  RunMode,
+} from './types';
 
 /**
  * Get unbuffed CpS (without Frenzy/buff multipliers)
@@ -55,11 +210,18 @@ function getUnbuffedCps(): number {
 }
 
 /**
- * Ensure the dragon menu is open for dragon operations
+ * Get the challenge-run mode in effect (null when playing normally)
+ */
+function getRunMode(state: OptimizerState): RunMode | null {
+  return state.challengeMode ? state.settings.runMode : null;
+}
+
+/**
+ * Ensure a special menu (dragon or Santa) is open for its operations
  */
-function ensureDragonMenuOpen(): void {
-  if (Game.specialTab !== 'dragon') {
-    Game.specialTab = 'dragon';
+function ensureSpecialMenuOpen(tab: 'dragon' | 'santa'): void {
+  if (Game.specialTab !== tab) {
+    Game.specialTab = tab;
     Game.ToggleSpecialMenu?.(1);
   }
 }
@@ -82,56 +244,26 @@ function checkForPurchase(state: OptimizerState): boolean {
 
 /**
  * Check if Cookie Monster data is ready (browser wrapper)
+ * CM is optional: when present its PP values are attached as a cross-check
  */
 function checkCMDataReady(): boolean {
   return isCMDataReady(typeof CookieMonsterData !== 'undefined' ? CookieMonsterData : undefined);
 }
 
 /**
- * Wait for Cookie Monster to fully initialize
- */
-function waitForCookieMonster(callback: () => void): void {
-  const startTime = Date.now();
-
-  function check(): void {
-    if (checkCMDataReady()) {
-      callback();
-    } else if (Date.now() - startTime > MAX_WAIT_TIME) {
-      console.error('[Optimizer] Timeout waiting for Cookie Monster. Try refreshing the page.');
-    } else {
-      setTimeout(check, POLL_INTERVAL);
-    }
-  }
-
-  check();
-}
-
-/**
- * Load Cookie Monster if not already loaded
+ * Read the Game fields the dragon functions need
  */
-function ensureCookieMonster(callback: () => void): void {
-  if (checkCMDataReady()) {
-    callback();
-    return;
-  }
-
-  if (
-    typeof CookieMonsterData !== 'undefined' ||
-    (typeof Game !== 'undefined' && Game.mods && Game.mods['Cookie Monster'])
-  ) {
-    console.log('[Optimizer] Waiting for Cookie Monster to initialize...');
-    waitForCookieMonster(callback);
-    return;
-  }
-
-  console.log('[Optimizer] Loading Cookie Monster...');
-
-  if (typeof Game !== 'undefined' && typeof Game.LoadMod === 'function') {
-    Game.LoadMod(CM_URL);
-    waitForCookieMonster(callback);
-  } else {
-    console.error('[Optimizer] Cannot load Cookie Monster. Game.LoadMod not available.');
-  }
+function getDragonGameContext(): DragonGameContext {
+  return {
+    dragonLevel: Game.dragonLevel,
+    dragonAura: Game.dragonAura,
+    dragonAura2: Game.dragonAura2,
+    SetDragonAura: Game.SetDragonAura.bind(Game),
+    ConfirmPrompt: Game.ConfirmPrompt?.bind(Game) ?? (() => {}),
+    Objects: Game.Objects,
+    Has: Game.Has.bind(Game),
+    hasAura: Game.hasAura.bind(Game),
+  };
 }
 
 /**
@@ -143,19 +275,17 @@ function findBestPurchase(state: OptimizerState): void {
     return;
   }
 
-  if (typeof CookieMonsterData === 'undefined') {
-    console.error('[Optimizer] CookieMonsterData not found. Cookie Monster may not be fully loaded.');
-    return;
-  }
-
   state.lastBuildingCount = getTotalBuildings(Game.Objects);
   state.lastUpgradeCount = Game.UpgradesOwned;
 
   // Cache unbuffed CpS for use throughout this function
   const unbuffedCps = getUnbuffedCps();
+  const { thresholds } = state.settings;
+  const profile = resolveStrategyProfile(state.settings.profile, state.settings.customProfiles);
+  const luckyBankFor = (price: number | undefined): number => getLuckyBank(price, unbuffedCps, profile);
 
   // Get phase progress for golden upgrade evaluation
-  const phaseProgress = calculatePhaseProgress(unbuffedCps);
+  const phaseProgress = calculatePhaseProgress(unbuffedCps, profile.phaseThresholds);
 
   // Get wrinkler stats
   const wrinklerStats = getWrinklerStats({
@@ -166,59 +296,118 @@ function findBestPurchase(state: OptimizerState): void {
   });
   let wrinklerActionText: string | null = null;
 
-  const candidates: Candidate[] = [];
-
-  // Collect building PP values
-  const buyAmounts = [
-    { key: 'Objects1' as const, amount: 1 },
-    { key: 'Objects10' as const, amount: 10 },
-    { key: 'Objects100' as const, amount: 100 },
-  ];
-
-  for (const { key, amount } of buyAmounts) {
-    const objects = CookieMonsterData[key];
-    if (!objects) continue;
-
-    for (const name in objects) {
-      if (!Object.prototype.hasOwnProperty.call(objects, name)) continue;
-      const building = objects[name];
-      const gameBuilding = Game.Objects[name];
-
-      if (building && gameBuilding && !gameBuilding.locked && building.pp !== undefined) {
-        const price = gameBuilding.getSumPrice(amount);
-        candidates.push({
-          name: name + (amount > 1 ? ' x' + amount : ''),
-          type: 'Building',
-          pp: building.pp,
-          price: price,
-          affordable: false, // Will be set after lucky bank calculation
-        });
+  // Challenge runs change what may be clicked and bought
+  const runMode = getRunMode(state);
+  const upgradesAllowed = allowsUpgrades(runMode);
+  updateRunModeDisplay(runMode ? getRunModeStatus(runMode, getRunModeProgress(Game)) : null);
+
+  // Autoclicker income counts toward payback, so cursor/mouse upgrades are valued by what they earn
+  // (unbuffed clicks at the average rate, so rankings don't swing with each click buff)
+  const clickRate = getAverageClickRate(
+    state.autoClick && allowsClicking(runMode),
+    state.settings.clickMode,
+    thresholds.clickRate
+  );
+  const readIncome = (): number => {
+    const mouseCps = getUnbuffedMouseCps(Game.computedMouseCps || 0, Object.values(Game.buffs ?? {}));
+    return getUnbuffedCps() + mouseCps * clickRate;
+  };
+
+  // Research is held back to the Grandmapocalypse policy (Stage 1 unless Eldr is on)
+  const elderPolicy = state.autoElder ? state.settings.grandmapocalypsePolicy : 'oneMind';
+
+  // Measure every building bundle and store upgrade with the game's own CpS engine
+  const candidates: Candidate[] = collectNativeCandidates({
+    cookies: Game.cookies,
+    Objects: Game.Objects,
+    UpgradesInStore: Game.UpgradesInStore,
+    CalculateGains: Game.CalculateGains.bind(Game),
+    readCps: readIncome,
+    grandmapocalypsePolicy: elderPolicy,
+  });
+
+  // Cross-check against Cookie Monster when it happens to be loaded
+  if (checkCMDataReady()) {
+    attachCMCrossCheck(candidates, getCMPaybackLookup(CookieMonsterData));
+  }
+
+  // Seasons: rank drops and Santa upgrades the CpS engine can't measure, and offer the next season switch
+  const incomeCps = readIncome();
+  valueSeasonalDrops(candidates, Game.cookies, incomeCps);
+  valueSantaUpgrades(candidates, Game.cookies, incomeCps);
+
+  // Achievements: cheap building milestones carry the milk they add; one-time actions are done right away
+  const achievementState = state.autoAchievements ? getAchievementState(Game) : null;
+  if (achievementState) {
+    valueAchievementTargets(
+      candidates,
+      achievementState.targets,
+      achievementState.milk,
+      Game.cookies,
+      incomeCps
+    );
+    for (const target of achievementState.targets) {
+      if (target.kind !== 'action') continue;
+      const performed = target.action === 'sellGrandma'
+        ? sellGrandmaForAchievement(achievementState.milk, incomeCps)
+        : performAchievementAction(Game, target.action);
+      if (performed) {
+        logAction('ACHIEVEMENT_ACTION', { achievement: target.name, action: target.action });
       }
     }
   }
 
-  // Collect upgrade PP values (without lucky bank for now)
-  const upgradeCandidates = collectUpgradeCandidates(
-    CookieMonsterData.Upgrades,
-    Game.Upgrades,
-    Game.UpgradesInStore,
-    Game.cookies,
-    0, // No lucky bank yet
-    false // Don't apply lucky bank yet
-  );
-  candidates.push(...upgradeCandidates);
+  const seasonState = getSeasonState(Game);
+  let seasonDecision = null;
+
+  if (seasonState) {
+    seasonDecision = decideSeasonSwitch(seasonState.current, seasonState.progress, Game.elderWrath > 0);
+    const target = seasonDecision.target;
+    const targetProgress = seasonState.progress.find((p) => p.season === target);
+    const biscuit = target ? findSeasonBiscuit(Game.UpgradesInStore, SEASONS[target].biscuit) : null;
+    if (state.autoSeason && targetProgress && biscuit) {
+      candidates.push(
+        createSeasonSwitchCandidate(targetProgress, biscuit.getPrice(), Game.cookies, incomeCps)
+      );
+    }
+  }
 
-  // Filter and sort candidates
-  const validCandidates = filterAndSortCandidates(candidates);
+  updateSeasonDisplay(seasonState, seasonDecision);
+
+  // Filter and sort candidates, then let the planner reorder the front of the queue
+  // (Speed baking ranks by time to its target instead, and a pinned item is bought first whatever
+  // the plan, so the CpS planner stays out of both)
+  const overrides = state.settings.purchaseOverrides;
+  const rankedCandidates = filterAndSortCandidates(
+    applyRunMode(candidates, runMode, {
+      cookies: Game.cookies,
+      cookiesEarned: Game.cookiesEarned,
+      cps: incomeCps,
+    }),
+    overrides
+  );
+  const hasPinned = rankedCandidates[0] ? isPinnedCandidate(rankedCandidates[0], overrides) : false;
+  const plan = runMode === 'speedBaking' || hasPinned
+    ? null
+    : planNextPurchases(rankedCandidates, {
+        cookies: Game.cookies,
+        Objects: Game.Objects,
+        Upgrades: Game.Upgrades,
+        UpgradesInStore: Game.UpgradesInStore,
+        CalculateGains: Game.CalculateGains.bind(Game),
+        readCps: readIncome,
+      }, { depth: thresholds.plannerDepth, breadth: thresholds.plannerBreadth });
+  const validCandidates = plan ? prioritizePlannedCandidates(rankedCandidates, plan) : rankedCandidates;
+  updateAchievementDisplay(achievementState, validCandidates.find((c) => c.achievement) ?? null);
 
   // Calculate Lucky bank based on best item price (disabled in early game)
   const bestPrice = validCandidates[0]?.price;
-  const luckyBankScaled = state.autoGolden ? getLuckyBank(bestPrice, unbuffedCps) : 0;
+  const luckyBankScaled = state.autoGolden ? luckyBankFor(bestPrice) : 0;
 
   // Update affordability based on per-item lucky bank
   for (const c of validCandidates) {
     if (state.autoGolden) {
-      const itemLuckyBank = getLuckyBank(c.price, unbuffedCps);
+      const itemLuckyBank = luckyBankFor(c.price);
       c.affordable = canAffordWithLuckyBank(Game.cookies, c.price, itemLuckyBank);
     } else {
       c.affordable = Game.cookies >= c.price;
@@ -226,15 +415,35 @@ function findBestPurchase(state: OptimizerState): void {
   }
 
   // Update lucky bank display
-  updateLuckyBankDisplay(luckyBankScaled, Game.cookies, state.autoGolden);
+  updateLuckyBankDisplay(luckyBankScaled, Game.cookies, state.autoGolden, profile.luckyBankPriceMultiplier);
+
+  // Goal mode: the target is a cookie amount or the goal item's current price
+  let goal = state.settings.goal;
+  let goalItem = goal?.kind === 'item' ? getGoalItem(Game.Objects, Game.Upgrades, goal.name) : null;
+  const goalBlocker = goalItem ? getGoalItemBlocker(goalItem, overrides.blocked, upgradesAllowed) : null;
+  if (goal?.kind === 'item' && (!goalItem || goalBlocker)) {
+    // Bought by hand, gone from the game, or something the optimizer may not buy: stop saving for it
+    logAction('GOAL_CLEARED', { goal: goal.name, reason: goalBlocker ?? 'No longer for sale' });
+    goal = clearGoal(state);
+    goalItem = null;
+  }
+  const goalItemBank = goalItem && state.autoGolden ? luckyBankFor(goalItem.price) : 0;
+  const goalTarget = goal ? getGoalTarget(goal, goalItem, goalItemBank) : null;
+  updateGoalDisplay(
+    goal && goalTarget !== null
+      ? getGoalStatus(getGoalLabel(goal), goalTarget, Game.cookies, incomeCps, validCandidates)
+      : null
+  );
 
   // Find Golden Cookie upgrades when Gold: ON
-  const goldenUpgrades = state.autoGolden
+  const goldenUpgrades = state.autoGolden && upgradesAllowed
     ? findGoldenUpgradesInStore(
         Game.UpgradesInStore,
         Game.cookies,
         getUnbuffedCps(),
-        phaseProgress
+        phaseProgress,
+        profile.goldenSaveHours,
+        overrides.blocked
       )
     : [];
 
@@ -244,7 +453,8 @@ function findBestPurchase(state: OptimizerState): void {
       null,
       goldenUpgrades,
       luckyBankScaled,
-      Game.cookies
+      Game.cookies,
+      plan
     );
     return;
   }
@@ -253,21 +463,66 @@ function findBestPurchase(state: OptimizerState): void {
   const best = validCandidates[0]!;
   const bestAffordable = validCandidates.find((c) => c.affordable) ?? null;
 
-  // Check if popping wrinklers would help buy the best item
-  if (wrinklerStats && wrinklerStats.normalCount > 0 && best && !best.affordable) {
-    const popResult = shouldPopForPurchase(
-      wrinklerStats.popReward,
+  // Plan wrinkler pops toward the best item under the chosen strategy
+  let wrinklerPlan: WrinklerPopPlan | null = null;
+  const wrinklerSlotIncome = wrinklerStats
+    ? getWrinklerSlotIncome(unbuffedCps, wrinklerStats.count, wrinklerStats.multiplier)
+    : 0;
+  if (wrinklerStats && best && !best.affordable) {
+    // The profile's respawn time stands in when the spawn model has no elder wrath to go on
+    const respawnSeconds = Number.isFinite(wrinklerStats.respawnSeconds)
+      ? wrinklerStats.respawnSeconds
+      : profile.wrinklerRespawnTime;
+    wrinklerPlan = planWrinklerPops(
+      state.settings.wrinklerStrategy,
+      rankPoppableWrinklers(Game.wrinklers, wrinklerStats.multiplier, state.settings.popShinyWrinklers),
       best.price,
       Game.cookies,
       getUnbuffedCps(),
-      wrinklerStats.normalCount
+      respawnSeconds,
+      wrinklerSlotIncome
+    );
+    if (wrinklerPlan.indices.length > 0) {
+      wrinklerActionText = `Pop ${wrinklerPlan.indices.length} for ${best.name}? (${wrinklerPlan.reason})`;
+    }
+  }
+
+  updateWrinklerDisplay(wrinklerStats, wrinklerActionText, wrinklerSlotIncome);
+
+  // Grandmapocalypse: pledge, covenant or revoke to hold the stage the policy wants
+  const elderState = getGrandmapocalypseState({
+    elderWrath: Game.elderWrath,
+    pledgeT: Game.pledgeT,
+    Upgrades: Game.Upgrades,
+    UpgradesInStore: Game.UpgradesInStore,
+    Has: Game.Has.bind(Game),
+    getWrinklersMax: Game.getWrinklersMax?.bind(Game),
+  });
+  let elderDecision = null;
+
+  if (elderState) {
+    elderDecision = decideElderAction(
+      elderPolicy,
+      elderState,
+      Game.cookies - luckyBankScaled,
+      unbuffedCps
     );
-    if (popResult.shouldPop) {
-      wrinklerActionText = `Pop for ${best.name}? (${popResult.reason})`;
+    if (
+      state.autoElder &&
+      upgradesAllowed &&
+      elderDecision.action &&
+      buyElderUpgrade(Game.UpgradesInStore, elderDecision.action, overrides.blocked)
+    ) {
+      logAction('ELDER_ACTION', {
+        action: elderDecision.action,
+        stage: elderState.stage,
+        policy: elderPolicy,
+        reason: elderDecision.reason,
+      });
     }
   }
 
-  updateWrinklerDisplay(wrinklerStats, wrinklerActionText);
+  updateGrandmapocalypseDisplay(elderState, elderPolicy, elderDecision);
 
   // Ascension stats display
   const ascensionStats = getAscensionStats({
@@ -279,19 +534,47 @@ function findBestPurchase(state: OptimizerState): void {
     Upgrades: Game.Upgrades,
   });
   updateAscensionDisplay(ascensionStats);
+  updateHeavenlyPlanDisplay(getHeavenlyPlan(Game));
+  updatePermanentSlotDisplay(getPermanentSlotPlan(Game), state.settings.applyPermanentSlots);
+
+  // Ascension autopilot: start a run once the gain is worth it (the refresh loop drives each step)
+  if (state.autoAscend && ascensionStats) {
+    const ascendDecision = shouldAscend(
+      ascensionStats,
+      getSecondsToDoubleGain(
+        ascensionStats,
+        Game.cookiesReset + Game.cookiesEarned,
+        Game.HowManyCookiesReset.bind(Game),
+        unbuffedCps
+      ),
+      thresholds.ascendGainPercent,
+      thresholds.ascendDoubleHours
+    );
+    state.ascension.reason = ascendDecision.reason;
+
+    if (ascendDecision.shouldAscend) {
+      // Save the toggles now so the run resumes with them after reincarnating
+      persistSettings(state);
+      stopClicker(state);
+      state.ascension = { step: 'popping', reason: ascendDecision.reason, skipped: [] };
+      logAction('ASCEND_START', {
+        reason: ascendDecision.reason,
+        prestige: ascensionStats.currentPrestige,
+        pending_prestige: ascensionStats.pendingPrestige,
+        percent_increase: ascensionStats.percentIncrease,
+      });
+      updateAutopilotDisplay(state.ascension, state.autoAscend);
+      return;
+    }
+  }
+
+  updateAutopilotDisplay(state.ascension, state.autoAscend);
 
   // Dragon aura automation
-  const dragonGameContext = {
-    dragonLevel: Game.dragonLevel,
-    dragonAura: Game.dragonAura,
-    dragonAura2: Game.dragonAura2,
-    SetDragonAura: Game.SetDragonAura.bind(Game),
-    ConfirmPrompt: Game.ConfirmPrompt?.bind(Game) ?? (() => {}),
-    buffs: Game.buffs,
-    Objects: Game.Objects,
-    Has: Game.Has.bind(Game),
-    hasAura: Game.hasAura.bind(Game),
-  };
+  const dragonGameContext = getDragonGameContext();
+
+  // Score the whole buff stack once; combos drive aura swaps and spell casts
+  const combo = getComboState(Game.buffs);
 
   // Check if dragon egg is purchased before any dragon automation
   const hasDragonEgg = Game.Has('A crumbly egg');
@@ -302,7 +585,7 @@ function findBestPurchase(state: OptimizerState): void {
     const currentLevel = Game.dragonLevels[Game.dragonLevel];
     if (Game.dragonLevel < maxLevel && currentLevel?.cost()) {
       // Open dragon menu before training - UpgradeDragon() expects it open
-      ensureDragonMenuOpen();
+      ensureSpecialMenuOpen('dragon');
       const fromLevel = Game.dragonLevel;
       Game.UpgradeDragon();
       logAction('DRAGON_TRAIN', {
@@ -317,16 +600,20 @@ function findBestPurchase(state: OptimizerState): void {
   let recommendedDragonConfig = null;
 
   if (dragonState) {
-    const isFrenzyActive = hasActiveFrenzy(dragonGameContext);
+    const isComboActive = combo.active;
     const kittenCount = countKittenUpgrades(Game.Has.bind(Game));
     const totalBuildings = getTotalBuildingCount(dragonGameContext);
 
-    recommendedDragonConfig = getRecommendedAuras({
-      phaseProgress,
-      kittenCount,
-      totalBuildings,
-      hasActiveFrenzy: isFrenzyActive,
-    });
+    recommendedDragonConfig = applyAuraPreferences(
+      getRecommendedAuras({
+        phaseProgress,
+        kittenCount,
+        totalBuildings,
+        hasActiveFrenzy: isComboActive,
+      }),
+      state.settings.dragonAuras,
+      isComboActive
+    );
 
     // Auto-switch auras if enabled
     if (state.autoDragon) {
@@ -340,36 +627,310 @@ function findBestPurchase(state: OptimizerState): void {
         currentConfig,
         recommendedDragonConfig,
         state.lastDragonSwitch,
-        isFrenzyActive,
+        isComboActive,
         highestTierCount,
-        (auraName) => isAuraUnlocked(auraName as DragonAura, Game.dragonLevel)
+        (auraName) => isAuraUnlocked(auraName as DragonAura, Game.dragonLevel),
+        profile.auraSwitchCooldown,
+        thresholds.minBuildingCountForSwitch
       );
 
       if (switchDecision.shouldSwitch) {
+        const topBuilding = getHighestTierBuilding(dragonGameContext);
+        const amountBefore = topBuilding?.amount ?? 0;
         switchAuras(dragonGameContext, recommendedDragonConfig);
         state.lastDragonSwitch = Date.now();
+        const sacrificed = topBuilding && topBuilding.amount < amountBefore ? topBuilding.name : null;
         logAction('DRAGON_SWITCH', {
           from: `${currentConfig.aura1} + ${currentConfig.aura2}`,
           to: `${recommendedDragonConfig.aura1} + ${recommendedDragonConfig.aura2}`,
           reason: switchDecision.reason,
+          sacrificed,
         });
+
+        // Buy back the building the switch cost when the bank above the Lucky reserve covers it
+        if (sacrificed) {
+          const price = rebuySacrificedBuilding(Game.Objects, sacrificed, Game.cookies - luckyBankScaled);
+          if (price !== null) logAction('AURA_REBUY', { building: sacrificed, price });
+        }
       }
     }
   }
 
   updateDragonDisplay(dragonState, recommendedDragonConfig);
-  updateDisplay(best, bestAffordable, goldenUpgrades, luckyBankScaled, Game.cookies);
+
+  // Pantheon spirit slotting and Godzamok sell combos
+  const pantheon = getPantheon(Game.Objects);
+  let pantheonState = getPantheonState(pantheon);
+  let recommendedGods = null;
+  let pantheonDecision = null;
+
+  if (pantheon && pantheonState) {
+    recommendedGods = getRecommendedGods({
+      clicking: state.autoClick && allowsClicking(runMode),
+      goldenCookies: state.autoGolden,
+    });
+    pantheonDecision = decidePantheonSwap(
+      pantheonState.slots,
+      recommendedGods,
+      pantheonState.swaps,
+      combo.active
+    );
+
+    const { god, slot } = pantheonDecision;
+    if (state.autoPantheon && god !== null && slot !== null) {
+      const replaced = pantheonState.slots[slot] ?? 'Empty';
+      if (slotGod(pantheon, god, slot)) {
+        logAction('PANTHEON_SLOT', {
+          god,
+          slot: PANTHEON_SLOTS[slot],
+          replaced,
+          reason: pantheonDecision.reason,
+          swaps_left: pantheon.swaps,
+        });
+        pantheonState = getPantheonState(pantheon);
+      }
+    }
+
+    // Sell and rebuy cheap buildings once per click buff while Godzamok is slotted
+    const godzamokSlot = pantheonState?.slots.indexOf('Godzamok') ?? -1;
+    if (state.autoPantheon && godzamokSlot !== -1 && combo.clickCombo && !Game.buffs['Devastation']) {
+      const clickBuffSeconds = Math.max(
+        0,
+        ...combo.buffs.filter((b) => b.kind === 'click').map((b) => b.secondsLeft)
+      );
+      const godzamokPlan = planGodzamokSell({
+        buildings: getGodzamokBuildings(Game.Objects, GODZAMOK_SELL_BUILDINGS),
+        godzamokSlot,
+        clickIncome: (Game.computedMouseCps || 0) * getTargetClickRate(state, combo).rate,
+        clickBuffSeconds,
+        spendable: Game.cookies - luckyBankScaled,
+        sellMultiplier: getSellMultiplier(Game.hasAura('Earth Shatterer')),
+        highestTierBuildingCount: getHighestTierBuildingCount(dragonGameContext),
+        minBuildingCount: thresholds.minBuildingCountForSwitch,
+      });
+
+      if (godzamokPlan.sales.length > 0) {
+        const spent = executeGodzamokSales(Game.Objects, godzamokPlan.sales, () => Game.cookies);
+        logAction('GODZAMOK_SELL', {
+          buildings: godzamokPlan.sales.map((s) => `${s.quantity} ${s.name}`).join(', '),
+          reason: godzamokPlan.reason,
+          estimated_gain: godzamokPlan.gain,
+          cookies_spent: spent,
+        });
+      }
+    }
+  }
+
+  updatePantheonDisplay(pantheonState, recommendedGods, pantheonDecision);
+
+  // Grimoire spell automation
+  const grimoire = getGrimoire(Game.Objects);
+  let grimoireState = getGrimoireState(grimoire);
+  let grimoireDecision = null;
+
+  if (grimoire && grimoireState) {
+    grimoireDecision = decideGrimoireCast({
+      magic: grimoireState.magic,
+      magicMax: grimoireState.magicMax,
+      fthofCost: grimoireState.fthofCost,
+      conjureCost: grimoireState.conjureCost,
+      comboActive: combo.active,
+    });
+
+    if (state.autoGrimoire && grimoireDecision.spell) {
+      const magicBefore = grimoireState.magic;
+      if (castGrimoireSpell(grimoire, grimoireDecision.spell)) {
+        logAction('GRIMOIRE_CAST', {
+          spell: grimoireDecision.spell,
+          reason: grimoireDecision.reason,
+          magic_before: magicBefore,
+          magic_after: grimoire.magic,
+        });
+        grimoireState = getGrimoireState(grimoire);
+        grimoireDecision = null;
+      }
+    }
+  }
+
+  updateGrimoireDisplay(grimoireState, grimoireDecision);
+
+  // Garden automation (plant costs stay out of the Lucky bank)
+  const garden = getGarden(Game.Objects);
+  let gardenState = getGardenState(garden);
+  const gardenLayout =
+    resolveGardenLayout(state.settings.gardenLayout) ?? GARDEN_LAYOUTS[DEFAULT_GARDEN_LAYOUT]!;
+
+  if (garden && gardenState && state.autoGarden) {
+    const actions = planGardenActions(
+      gardenState.tiles,
+      gardenLayout,
+      gardenState.seeds,
+      Game.cookies,
+      luckyBankScaled
+    );
+    for (const action of actions) {
+      const cookiesBefore = Game.cookies;
+      if (executeGardenAction(garden, action)) {
+        logAction(action.type === 'harvest' ? 'GARDEN_HARVEST' : 'GARDEN_PLANT', {
+          plant: action.plant,
+          x: action.x,
+          y: action.y,
+          reason: action.reason,
+          cookies_before: cookiesBefore,
+        });
+      }
+    }
+    if (actions.length > 0) gardenState = getGardenState(garden);
+  }
+
+  updateGardenDisplay(
+    gardenState,
+    gardenLayout,
+    gardenState
+      ? estimateSecondsToNextHarvest(
+          gardenState.tiles,
+          gardenLayout,
+          gardenState.seeds,
+          gardenState.secondsToNextTick,
+          gardenState.secondsPerTick
+        )
+      : Infinity
+  );
+
+  // Stock market trading (purchases stay out of the Lucky bank; $1 costs one second of highest raw CpS)
+  const market = getMarket(Game.Objects);
+  if (market && state.autoStocks && Game.cookiesPsRawHighest > 0) {
+    const overhead = getBrokerOverhead(market.brokers);
+    const goods = getStockGoods(market, Game.Objects['Bank']?.level ?? 1);
+    const spendableDollars = Math.max(0, Game.cookies - luckyBankScaled) / Game.cookiesPsRawHighest;
+    const session = state.stockSession;
+
+    for (const trade of planStockTrades(goods, session.holdings, overhead, spendableDollars)) {
+      if (!executeStockTrade(market, trade)) continue;
+      const profit = recordStockTrade(session.holdings, trade, overhead);
+      session.profit += profit;
+      session.trades++;
+      logAction('STOCK_TRADE', {
+        good: trade.symbol,
+        type: trade.type,
+        quantity: trade.quantity,
+        price: trade.price,
+        profit,
+        session_profit: session.profit,
+        reason: trade.reason,
+      });
+    }
+  }
+
+  updateStockDisplay(market ? state.stockSession : null);
+
+  // Sugar lumps: harvest when ripe, then unlock minigames and level the best building
+  const lumpState = getLumpState(Game);
+  let lumpPlan = null;
+
+  if (lumpState) {
+    if (state.autoLumps && shouldHarvestLump(lumpState.timing)) {
+      const lumpsBefore = Game.lumps;
+      Game.clickLump();
+      logAction('LUMP_HARVEST', {
+        type: lumpState.type,
+        lumps_before: lumpsBefore,
+        lumps_after: Game.lumps,
+      });
+    }
+
+    lumpPlan = planLumpSpending(
+      Game.lumps,
+      collectLumpOptions({
+        Objects: Game.Objects,
+        CalculateGains: Game.CalculateGains.bind(Game),
+        readCps: readIncome,
+      })
+    );
+
+    const next = lumpPlan.next;
+    if (state.autoLumps && next && Game.lumps >= next.cost) {
+      const confirm = Game.ConfirmPrompt?.bind(Game) ?? (() => {});
+      if (levelUpBuilding(Game.Objects, next, Game.lumps, confirm)) {
+        logAction('LUMP_LEVEL_UP', {
+          building: next.name,
+          level: next.level + 1,
+          lumps_spent: next.cost,
+          delta_cps: next.deltaCps,
+          reason: lumpPlan.reason,
+        });
+      }
+    }
+  }
+
+  updateLumpDisplay(getLumpState(Game), lumpPlan);
+
+  // Santa evolution (each level unlocks a random Santa upgrade for the candidate list)
+  if (state.autoSanta) {
+    const santaDecision = shouldLevelSanta(Game.santaLevel, Game.cookies, getUnbuffedCps(), luckyBankScaled);
+    if (santaDecision.shouldLevel && Game.Has('A festive hat')) {
+      // Open Santa menu before leveling, like dragon training
+      ensureSpecialMenuOpen('santa');
+      const fromLevel = Game.santaLevel;
+      const cookiesBefore = Game.cookies;
+      if (levelUpSanta(Game)) {
+        logAction('SANTA_LEVEL', {
+          fromLevel,
+          toLevel: Game.santaLevel,
+          name: Game.santaLevels?.[Game.santaLevel] ?? '',
+          cookies_before: cookiesBefore,
+        });
+      }
+    }
+  }
+
+  updateChristmasDisplay(getChristmasState(Game, state.reindeerBaseline ?? Game.reindeerClicked));
+  updateDisplay(best, bestAffordable, goldenUpgrades, luckyBankScaled, Game.cookies, plan, overrides);
 
   // Auto-purchase logic
   if (state.autoPurchase) {
     const affordablePrioritizedGolden = goldenUpgrades.find((u) => {
       if (!u.prioritized) return false;
-      const itemLuckyBank = getLuckyBank(u.price, unbuffedCps);
+      const itemLuckyBank = luckyBankFor(u.price);
       return canAffordWithLuckyBank(Game.cookies, u.price, itemLuckyBank);
     });
     const hasPendingPrioritizedGolden = goldenUpgrades.some((u) => u.prioritized);
 
-    if (state.autoGolden && affordablePrioritizedGolden) {
+    // Goal mode spends cookies above the goal freely, and below it only on purchases that don't delay it
+    const goalAllows = (item: { price: number; deltaCps?: number }): boolean =>
+      goalTarget === null ||
+      isGoalPurchaseAllowed(
+        item,
+        Game.cookies,
+        goalTarget,
+        incomeCps,
+        state.autoGolden ? luckyBankFor(item.price) : 0
+      );
+
+    const goalItemAffordable =
+      goalItem !== null && canAffordWithLuckyBank(Game.cookies, goalItem.price, goalItemBank);
+    if (goalItem && goalItem.available && goalItemAffordable) {
+      const cookiesBefore = Game.cookies;
+      if (executePurchaseItem(goalItem, Game.Objects, Game.Upgrades, upgradesAllowed, overrides.blocked)) {
+        logAction('PURCHASE', {
+          item: goalItem.name,
+          type: goalItem.type,
+          price: goalItem.price,
+          cookies_before: cookiesBefore,
+        });
+        logAction('GOAL_REACHED', { goal: goalItem.name });
+      } else {
+        // Never leave a refused goal in place: it would hold back every other purchase
+        logAction('GOAL_CLEARED', { goal: goalItem.name, reason: 'Purchase refused' });
+      }
+      clearGoal(state);
+    } else if (
+      state.autoGolden &&
+      affordablePrioritizedGolden &&
+      !hasPinned &&
+      goalAllows(affordablePrioritizedGolden)
+    ) {
+      // A pinned item goes before golden upgrades too
       const cookiesBefore = Game.cookies;
       affordablePrioritizedGolden.gameUpgrade.buy();
       logAction('PURCHASE', {
@@ -378,16 +939,16 @@ function findBestPurchase(state: OptimizerState): void {
         price: affordablePrioritizedGolden.price,
         cookies_before: cookiesBefore,
       });
-    } else if (state.autoGolden && hasPendingPrioritizedGolden) {
-      // Save up for the prioritized golden upgrade
-    } else if (best && best.affordable) {
+    } else if (state.autoGolden && hasPendingPrioritizedGolden && !hasPinned && goalTarget === null) {
+      // Save up for the prioritized golden upgrade (a goal takes its place)
+    } else if ((best && best.affordable) || (goalTarget !== null && !hasPinned)) {
       // Batch purchase: buy multiple items per tick while affordable
-      const MAX_BATCH = 10;
-      for (let i = 0; i < MAX_BATCH; i++) {
+      for (let i = 0; i < thresholds.maxBatch; i++) {
         // Find best affordable item from current candidates using per-item lucky bank
         const affordable = validCandidates.find((c) => {
+          if (!goalAllows(c) && !isPinnedCandidate(c, overrides)) return false;
           if (state.autoGolden) {
-            const itemLuckyBank = getLuckyBank(c.price, unbuffedCps);
+            const itemLuckyBank = luckyBankFor(c.price);
             return canAffordWithLuckyBank(Game.cookies, c.price, itemLuckyBank);
           }
           return Game.cookies >= c.price;
@@ -395,7 +956,13 @@ function findBestPurchase(state: OptimizerState): void {
         if (!affordable) break;
 
         const cookiesBefore = Game.cookies;
-        const purchased = executePurchaseItem(affordable, Game.Objects, Game.Upgrades);
+        const purchased = executePurchaseItem(
+          affordable,
+          Game.Objects,
+          Game.Upgrades,
+          upgradesAllowed,
+          overrides.blocked
+        );
         if (!purchased) break;
 
         logAction('PURCHASE', {
@@ -406,32 +973,27 @@ function findBestPurchase(state: OptimizerState): void {
           cookies_before: cookiesBefore,
           batch_index: i,
         });
+
+        // A pin is used up by its purchase; re-rank next tick without it
+        if (isPinnedCandidate(affordable, overrides)) {
+          state.settings.purchaseOverrides = releasePurchasedPin(overrides, affordable);
+          logAction('PIN_RELEASED', { item: getCandidateItem(affordable) });
+          updatePurchaseOverridesDisplay(state.settings.purchaseOverrides);
+          persistSettings(state);
+          break;
+        }
       }
-    } else if (
-      state.autoWrinklers &&
-      wrinklerStats &&
-      wrinklerStats.normalCount > 0 &&
-      best &&
-      !best.affordable
-    ) {
-      const popResult = shouldPopForPurchase(
-        wrinklerStats.popReward,
-        best.price,
-        Game.cookies,
-        getUnbuffedCps(),
-        wrinklerStats.normalCount
-      );
-      if (popResult.shouldPop) {
-        const cookiesBefore = Game.cookies;
-        const popped = popNormalWrinklers(Game.wrinklers);
-        logAction('WRINKLER_POP', {
-          count: popped,
-          reward: wrinklerStats.popReward,
-          target_item: best.name,
-          reason: popResult.reason,
-          cookies_before: cookiesBefore,
-        });
-      }
+    } else if (state.autoWrinklers && wrinklerPlan && wrinklerPlan.indices.length > 0) {
+      const cookiesBefore = Game.cookies;
+      const popped = popWrinklers(Game.wrinklers, wrinklerPlan.indices);
+      logAction('WRINKLER_POP', {
+        count: popped,
+        reward: wrinklerPlan.reward,
+        target_item: best.name,
+        strategy: state.settings.wrinklerStrategy,
+        reason: wrinklerPlan.reason,
+        cookies_before: cookiesBefore,
+      });
     }
   }
 }
@@ -450,12 +1012,468 @@ function handleToggle(state: OptimizerState, key: keyof OptimizerState): void {
     state.autoWrath = !state.autoWrath;
     updateWrathButton(state.autoWrath);
   } else if (key === 'autoWrinklers') {
-    state.autoWrinklers = !state.autoWrinklers;
-    updateWrinklerButton(state.autoWrinklers);
+    // Cycle OFF -> pop for purchase -> fattest only -> hold -> OFF
+    const next = WRINKLER_STRATEGIES.indexOf(state.settings.wrinklerStrategy) + 1;
+    if (!state.autoWrinklers) {
+      state.autoWrinklers = true;
+      state.settings.wrinklerStrategy = WRINKLER_STRATEGIES[0]!;
+    } else if (next < WRINKLER_STRATEGIES.length) {
+      state.settings.wrinklerStrategy = WRINKLER_STRATEGIES[next]!;
+    } else {
+      state.autoWrinklers = false;
+    }
+    updateWrinklerButton(state.autoWrinklers, state.settings.wrinklerStrategy);
   } else if (key === 'autoDragon') {
     state.autoDragon = !state.autoDragon;
     updateDragonButton(state.autoDragon);
+  } else if (key === 'autoGrimoire') {
+    state.autoGrimoire = !state.autoGrimoire;
+    updateGrimoireButton(state.autoGrimoire);
+  } else if (key === 'autoCombo') {
+    state.autoCombo = !state.autoCombo;
+    updateComboButton(state.autoCombo);
+  } else if (key === 'autoClick') {
+    // Cycle OFF -> buffs only -> always -> OFF
+    if (!state.autoClick) {
+      state.autoClick = true;
+      state.settings.clickMode = 'buffs';
+    } else if (state.settings.clickMode === 'buffs') {
+      state.settings.clickMode = 'always';
+    } else {
+      state.autoClick = false;
+    }
+    updateClickButton(state.autoClick, state.settings.clickMode);
+  } else if (key === 'autoGarden') {
+    state.autoGarden = !state.autoGarden;
+    updateGardenButton(state.autoGarden);
+  } else if (key === 'autoPantheon') {
+    state.autoPantheon = !state.autoPantheon;
+    updatePantheonButton(state.autoPantheon);
+  } else if (key === 'autoLumps') {
+    state.autoLumps = !state.autoLumps;
+    updateLumpsButton(state.autoLumps);
+  } else if (key === 'autoSeason') {
+    state.autoSeason = !state.autoSeason;
+    updateSeasonButton(state.autoSeason);
+  } else if (key === 'autoSanta') {
+    state.autoSanta = !state.autoSanta;
+    updateSantaButton(state.autoSanta);
+  } else if (key === 'autoElder') {
+    // Cycle OFF -> stay peaceful -> stop at One mind -> full apocalypse -> OFF
+    const next = GRANDMAPOCALYPSE_POLICIES.indexOf(state.settings.grandmapocalypsePolicy) + 1;
+    if (!state.autoElder) {
+      state.autoElder = true;
+      state.settings.grandmapocalypsePolicy = GRANDMAPOCALYPSE_POLICIES[0]!;
+    } else if (next < GRANDMAPOCALYPSE_POLICIES.length) {
+      state.settings.grandmapocalypsePolicy = GRANDMAPOCALYPSE_POLICIES[next]!;
+    } else {
+      state.autoElder = false;
+    }
+    updateElderButton(state.autoElder, state.settings.grandmapocalypsePolicy);
+  } else if (key === 'challengeMode') {
+    // Cycle OFF -> Born again -> True Neverclick -> Hardcore -> Speed baking -> OFF
+    const next = RUN_MODES.indexOf(state.settings.runMode) + 1;
+    if (!state.challengeMode) {
+      state.challengeMode = true;
+      state.settings.runMode = RUN_MODES[0]!;
+    } else if (next < RUN_MODES.length) {
+      state.settings.runMode = RUN_MODES[next]!;
+    } else {
+      state.challengeMode = false;
+    }
+    updateRunModeButton(state.challengeMode, state.settings.runMode);
+  } else if (key === 'autoAchievements') {
+    state.autoAchievements = !state.autoAchievements;
+    updateAchievementsButton(state.autoAchievements);
+  } else if (key === 'autoAscend') {
+    state.autoAscend = !state.autoAscend;
+    // Turning the autopilot off cancels a run in progress
+    if (!state.autoAscend) cancelAscension(state);
+    updateAscendButton(state.autoAscend);
+    updateAutopilotDisplay(state.ascension, state.autoAscend);
+  } else if (key === 'autoStocks') {
+    state.autoStocks = !state.autoStocks;
+    updateStocksButton(state.autoStocks);
   }
+  persistSettings(state);
+}
+
+/**
+ * Switch to the next strategy profile, or import/export one as JSON
+ * Import and export go through the browser's prompt: export shows the JSON ready to copy.
+ */
+function handleProfileAction(state: OptimizerState, action: ProfileAction): void {
+  const { settings } = state;
+
+  if (action === 'switch') {
+    settings.profile = getNextProfileName(settings.profile, settings.customProfiles);
+    logAction('PROFILE_SWITCH', { profile: settings.profile });
+  } else if (action === 'import') {
+    const json = window.prompt('Paste a strategy profile (JSON):');
+    if (!json) return;
+    const profile = importStrategyProfile(json);
+    if (!profile) {
+      const reason = 'Not a valid strategy profile';
+      logAction('PROFILE_IMPORT_FAILED', { reason });
+      updateNoticeDisplay(`Profile import failed: ${reason}`);
+      return;
+    }
+    settings.customProfiles = addCustomProfile(settings.customProfiles, profile);
+    settings.profile = profile.name;
+    logAction('PROFILE_IMPORT', { profile: profile.name });
+  } else {
+    const profile = resolveStrategyProfile(settings.profile, settings.customProfiles);
+    window.prompt('Copy the strategy profile (JSON):', exportStrategyProfile(profile));
+    return;
+  }
+
+  updateNoticeDisplay(null);
+  updateProfileButton(settings.profile);
+  syncSettingsPane(settings);
+  persistSettings(state);
+}
+
+/**
+ * Import a garden layout from the browser's prompt and make it the active layout
+ */
+function handleGardenImport(state: OptimizerState): void {
+  const json = window.prompt('Paste a garden layout (JSON):');
+  if (!json) return;
+
+  let layout: GardenLayout | null;
+  try {
+    layout = parseGardenLayout(JSON.parse(json));
+  } catch {
+    layout = null;
+  }
+  if (!layout) {
+    const reason = 'Not a valid garden layout';
+    logAction('GARDEN_LAYOUT_IMPORT_FAILED', { reason });
+    updateNoticeDisplay(`Garden layout import failed: ${reason}`);
+    return;
+  }
+
+  state.settings.gardenLayout = JSON.stringify(layout);
+  logAction('GARDEN_LAYOUT_IMPORT', { layout: layout.name });
+  updateNoticeDisplay(null);
+  syncSettingsPane(state.settings);
+  persistSettings(state);
+}
+
+/**
+ * Save a value changed in the settings pane (the pane has already applied it)
+ */
+function handleOptionChange(state: OptimizerState, key: OptionKey): void {
+  updateProfileButton(state.settings.profile);
+  persistSettings(state);
+  logAction('OPTION_CHANGE', { option: key, value: getOptionValue(state.settings, key) });
+}
+
+/**
+ * Pin, block or clear an item from the panel, then refresh so the queue reflects it
+ */
+function handlePurchaseOverride(state: OptimizerState, item: string, action: PurchaseOverrideAction): void {
+  const { settings } = state;
+  settings.purchaseOverrides = action === 'cycle'
+    ? cyclePurchaseOverride(settings.purchaseOverrides, item)
+    : clearPurchaseOverride(settings.purchaseOverrides, item);
+  logAction('PURCHASE_OVERRIDE', { item, override: getPurchaseOverride(settings.purchaseOverrides, item) });
+
+  updatePurchaseOverridesDisplay(settings.purchaseOverrides);
+  persistSettings(state);
+  findBestPurchase(state);
+}
+
+/**
+ * Set a goal from the browser's prompt, or clear the current one
+ */
+function handleGoal(state: OptimizerState): void {
+  const { settings } = state;
+
+  if (settings.goal) {
+    logAction('GOAL_CLEARED', { goal: getGoalLabel(settings.goal), reason: 'Cleared' });
+    clearGoal(state);
+  } else {
+    const input = window.prompt('Save for a cookie amount (e.g. 1.5 trillion) or a building/upgrade name:');
+    if (!input) return;
+    const goal = parseGoal(input);
+    const item = goal?.kind === 'item' ? getGoalItem(Game.Objects, Game.Upgrades, goal.name) : null;
+    if (!goal || (goal.kind === 'item' && !item)) {
+      logAction('GOAL_FAILED', { input, reason: 'Not a cookie amount or an item left to buy' });
+      return;
+    }
+    const blocker = item
+      ? getGoalItemBlocker(item, settings.purchaseOverrides.blocked, allowsUpgrades(getRunMode(state)))
+      : null;
+    if (blocker) {
+      logAction('GOAL_FAILED', { input, reason: blocker });
+      return;
+    }
+    settings.goal = goal;
+    updateGoalButton(true);
+    persistSettings(state);
+    logAction('GOAL_SET', { goal: getGoalLabel(goal) });
+  }
+
+  findBestPurchase(state);
+}
+
+/**
+ * Turn goal mode off
+ * @returns the new (null) goal
+ */
+function clearGoal(state: OptimizerState): null {
+  state.settings.goal = null;
+  updateGoalButton(false);
+  persistSettings(state);
+  return null;
+}
+
+/**
+ * Save the current toggles, panel layout and thresholds
+ */
+function persistSettings(state: OptimizerState): void {
+  saveSettings(getSettingsStorage(), captureSettings(state));
+}
+
+/**
+ * Reset all settings to defaults (toggles OFF, panel back to its default position)
+ */
+function resetSettings(state: OptimizerState): void {
+  clearSettings(getSettingsStorage());
+  applySettings(state, createDefaultSettings());
+  cancelAscension(state);
+
+  updateToggleButtons(state);
+  if (state.displayElement) {
+    applyPanelLayout(state.displayElement, state.settings.panel);
+  }
+  logAction('SETTINGS_RESET', {});
+}
+
+/**
+ * Sync every toggle button with the state flags
+ */
+function updateToggleButtons(state: OptimizerState): void {
+  updateAutoButton(state.autoPurchase);
+  updateGoldenButton(state.autoGolden);
+  updateWrathButton(state.autoWrath);
+  updateWrinklerButton(state.autoWrinklers, state.settings.wrinklerStrategy);
+  updateDragonButton(state.autoDragon);
+  updateGrimoireButton(state.autoGrimoire);
+  updateComboButton(state.autoCombo);
+  updateClickButton(state.autoClick, state.settings.clickMode);
+  updateGardenButton(state.autoGarden);
+  updateStocksButton(state.autoStocks);
+  updatePantheonButton(state.autoPantheon);
+  updateLumpsButton(state.autoLumps);
+  updateSeasonButton(state.autoSeason);
+  updateSantaButton(state.autoSanta);
+  updateElderButton(state.autoElder, state.settings.grandmapocalypsePolicy);
+  updateAscendButton(state.autoAscend);
+  updateRunModeButton(state.challengeMode, state.settings.runMode);
+  updateAchievementsButton(state.autoAchievements);
+  updateGoalButton(state.settings.goal !== null);
+  updateProfileButton(state.settings.profile);
+  syncSettingsPane(state.settings);
+  updatePurchaseOverridesDisplay(state.settings.purchaseOverrides);
+  updateAutopilotDisplay(state.ascension, state.autoAscend);
+}
+
+/**
+ * Run one step of the ascension autopilot (browser wrapper)
+ * Once reincarnated, the saved toggles are reloaded and the optimizer picks up the new run.
+ */
+function runAscensionAutopilot(state: OptimizerState): void {
+  if (state.ascension.step === 'ascending' && !Game.OnAscend && Game.AscendTimer === 0) {
+    preparePermanentSlots(state, 'autopilot');
+    sellOffBeforeAscending();
+  }
+
+  const result = advanceAscension(Game, state.ascension.step, state.ascension.skipped);
+  state.ascension.step = result.step;
+  if (result.action) {
+    logAction(result.action, result.data);
+  }
+  if (Game.OnAscend) updateAscendScreen();
+
+  if (result.step === 'resuming') {
+    applySettings(state, loadSettings(getSettingsStorage()));
+    state.ascension = { step: 'idle', reason: '', skipped: [] };
+    state.reindeerBaseline = Game.reindeerClicked;
+    state.lastDragonSwitch = 0;
+    updateToggleButtons(state);
+    logAction('ASCEND_RESUME', { prestige: Game.prestige, heavenly_chips: Game.heavenlyChips });
+    findBestPurchase(state);
+    return;
+  }
+
+  updateAutopilotDisplay(state.ascension, state.autoAscend);
+}
+
+/**
+ * Fill (or suggest) permanent upgrade slots while this run's upgrades are still owned
+ * Runs right before the autopilot ascends and as a manual ascension starts.
+ */
+function preparePermanentSlots(state: OptimizerState, trigger: 'autopilot' | 'manual'): void {
+  const plan = getPermanentSlotPlan(Game);
+  if (!plan || plan.changes.length === 0) return;
+
+  const changes = plan.changes
+    .map((c) => `${PERMANENT_SLOT_NAMES[c.slot]}: ${c.current ?? 'Empty'} -> ${c.suggested}`)
+    .join(', ');
+  if (state.settings.applyPermanentSlots) {
+    applyPermanentSlotChanges(Game, plan.changes);
+    logAction('PERMANENT_SLOT_SET', { changes, trigger });
+  } else {
+    logAction('PERMANENT_SLOT_ADVICE', { changes, trigger });
+  }
+}
+
+/**
+ * Sell every building right before ascending and turn the refund into prestige
+ * Only happens when the Chocolate egg is in the store: it pays out a share of the bank, so the
+ * refund is worth something. Earth Shatterer is slotted first to double the refund; the building
+ * the switch sacrifices would be lost on ascending anyway.
+ */
+function sellOffBeforeAscending(): void {
+  const egg = findChocolateEgg(Game.UpgradesInStore);
+  if (!egg) return;
+
+  if (!Game.hasAura('Earth Shatterer') && isAuraUnlocked('Earth Shatterer', Game.dragonLevel)) {
+    const dragonGameContext = getDragonGameContext();
+    const current = getDragonState(dragonGameContext);
+    switchAuras(dragonGameContext, { aura1: 'Earth Shatterer', aura2: current?.currentAura2 ?? 'No aura' });
+    logAction('DRAGON_SWITCH', {
+      from: `${current?.currentAura1} + ${current?.currentAura2}`,
+      to: `Earth Shatterer + ${current?.currentAura2}`,
+      reason: 'Selling off before ascending',
+    });
+  }
+
+  const sales = planAscensionSellOff(
+    getSellableBuildings(Game.Objects),
+    getSellMultiplier(Game.hasAura('Earth Shatterer')),
+    true
+  );
+  for (const sale of sales) {
+    if (executeBuildingSale(Game.Objects, sale, Game.cookies)) logBuildingSale(sale);
+  }
+
+  const price = egg.getPrice();
+  if (Game.cookies >= price) {
+    egg.buy();
+    logAction('ASCEND_EGG', { upgrade: egg.name, price, bank: Game.cookies });
+  }
+}
+
+/**
+ * Sell one grandma for "Just wrong" and buy it back, if the milk is worth the spread
+ */
+function sellGrandmaForAchievement(milk: MilkState, cps: number): boolean {
+  const grandma = Game.Objects['Grandma'];
+  if (!grandma) return false;
+
+  const sale = planBuildingSale(grandma, 1, 'achievement', {
+    rebuy: true,
+    gain: getMilkCpsGain(milk) * cps * ACHIEVEMENT_SALE_PAYBACK_SECONDS,
+    sellMultiplier: getSellMultiplier(Game.hasAura('Earth Shatterer')),
+  });
+  if (!executeBuildingSale(Game.Objects, sale, Game.cookies)) return false;
+  logBuildingSale(sale);
+  return true;
+}
+
+/**
+ * Log a building sale with its cost model
+ */
+function logBuildingSale(sale: BuildingSale): void {
+  logAction('BUILDING_SELL', {
+    building: sale.name,
+    quantity: sale.quantity,
+    reason: sale.reason,
+    refund: sale.refund,
+    loss: sale.loss,
+    gain: sale.gain,
+    rebuy: sale.rebuy,
+  });
+}
+
+/**
+ * Show the heavenly upgrade plan on the ascension screen and in the panel
+ */
+function updateAscendScreen(): void {
+  const plan = getHeavenlyPlan(Game);
+  updateHeavenlyPlanDisplay(plan);
+  updateAscendTreeMarks(plan ? getAscendTreeMarks(plan, Game.Upgrades) : []);
+}
+
+/**
+ * Stop an ascension autopilot run between steps
+ * Anything already done stays done; a cancelled run left on the ascension screen
+ * is reincarnated by hand.
+ */
+function cancelAscension(state: OptimizerState): void {
+  if (state.ascension.step === 'idle') return;
+  logAction('ASCEND_CANCEL', { step: state.ascension.step });
+  state.ascension = { step: 'idle', reason: 'Cancelled', skipped: [] };
+}
+
+/**
+ * Seconds until Force the Hand of Fate can be cast (the buff a held golden cookie waits for)
+ * Returns null when the optimizer won't cast it
+ */
+function getSecondsUntilSpellBuff(state: OptimizerState): number | null {
+  if (!state.autoGrimoire) return null;
+  return getGrimoireState(getGrimoire(Game.Objects))?.secondsToFthof ?? null;
+}
+
+/**
+ * Clicks per second the big cookie should get right now
+ * Click combos burst at the rate cap; otherwise the autoclicker runs at its configured rate
+ */
+function getTargetClickRate(state: OptimizerState, combo: ComboState): { rate: number; reason: string } {
+  if (!allowsClicking(getRunMode(state))) {
+    return { rate: 0, reason: 'neverclick' };
+  }
+  if (state.autoCombo && combo.clickCombo) {
+    return { rate: MAX_CLICK_RATE, reason: 'combo' };
+  }
+  const rate = getEffectiveClickRate(
+    state.autoClick,
+    state.settings.clickMode,
+    state.settings.thresholds.clickRate,
+    Object.values(Game.buffs ?? {})
+  );
+  return { rate, reason: state.settings.clickMode };
+}
+
+/**
+ * Start, restart or stop the big cookie click timer to match the target rate
+ */
+function updateClicker(state: OptimizerState, combo: ComboState): void {
+  const { rate, reason } = getTargetClickRate(state, combo);
+  if (rate === state.clickTimerRate) return;
+
+  stopClicker(state);
+  if (rate > 0) {
+    state.clickTimer = setInterval(() => Game.ClickCookie(), 1000 / rate);
+    state.clickTimerRate = rate;
+    logAction('CLICKER_START', { rate, reason });
+  } else {
+    logAction('CLICKER_STOP', {});
+  }
+}
+
+/**
+ * Stop the big cookie click timer
+ */
+function stopClicker(state: OptimizerState): void {
+  if (state.clickTimer) {
+    clearInterval(state.clickTimer);
+    state.clickTimer = null;
+  }
+  state.clickTimerRate = 0;
 }
 
 /**
@@ -466,6 +1484,7 @@ function stopAutoRefresh(state: OptimizerState): void {
     clearInterval(state.refreshTimer);
     state.refreshTimer = null;
   }
+  stopClicker(state);
   state.isRunning = false;
   if (state.displayElement && document.body.contains(state.displayElement)) {
     state.displayElement.remove();
@@ -493,29 +1512,92 @@ function startAutoRefresh(state: OptimizerState): void {
     state,
     styles,
     () => stopAutoRefresh(state),
-    (key) => handleToggle(state, key)
+    (key) => handleToggle(state, key),
+    () => persistSettings(state),
+    () => resetSettings(state),
+    () => {
+      if (state.autoAscend) handleToggle(state, 'autoAscend');
+    },
+    (action) => handleProfileAction(state, action),
+    (key) => handleOptionChange(state, key),
+    (item, action) => handlePurchaseOverride(state, item, action),
+    () => handleGoal(state),
+    () => handleGardenImport(state)
   );
+  updatePurchaseOverridesDisplay(state.settings.purchaseOverrides);
+
+  // Reindeer are counted from here for the session
+  state.reindeerBaseline = Game.reindeerClicked;
 
   // Run immediately
   findBestPurchase(state);
 
   // Set up refresh loop
   let lastCheck = Date.now();
+  // Golden cookies already logged as held, so each hold is logged once
+  const heldShimmers = new WeakSet<Shimmer>();
+  // Whether the ascension animation in progress already had its slots prepared
+  let ascendPrepared = false;
 
   state.refreshTimer = setInterval(() => {
     const now = Date.now();
     const timeSinceLastCheck = now - lastCheck;
 
+    // The ascension autopilot has the loop to itself until the new run resumes
+    if (state.ascension.step !== 'idle') {
+      runAscensionAutopilot(state);
+      lastCheck = now;
+      return;
+    }
+
+    // A manual ascension is starting: last chance to fill the permanent upgrade slots
+    if (Game.AscendTimer > 0 && !Game.OnAscend) {
+      if (!ascendPrepared) preparePermanentSlots(state, 'manual');
+      ascendPrepared = true;
+    } else {
+      ascendPrepared = false;
+    }
+
+    // Nothing to buy or click on the ascension screen; just keep the heavenly plan current
+    if (Game.OnAscend) {
+      updateAscendScreen();
+      return;
+    }
+
+    // Combo state changes quickly, so it is re-scored every tick
+    const combo = getComboState(Game.buffs);
+    let holdReason: string | null = null;
+    const shouldPopGolden = (shimmer: Shimmer): boolean => {
+      if (!state.autoCombo) return true;
+      const decision = decideShimmerPop(
+        getShimmerSecondsLeft(shimmer),
+        combo,
+        getSecondsUntilSpellBuff(state)
+      );
+      if (!decision.shouldPop) {
+        holdReason = decision.reason;
+        if (!heldShimmers.has(shimmer)) {
+          heldShimmers.add(shimmer);
+          logAction('GOLDEN_HOLD', { reason: decision.reason });
+        }
+      }
+      return decision.shouldPop;
+    };
+
     // Always check for shimmers: golden cookies, wrath cookies, reindeer (runs every 200ms)
     const shimmerClicked = clickShimmers(
       Game.shimmers,
       state.autoGolden,
       state.autoWrath,
-      () => Game.cookies
+      () => Game.cookies,
+      shouldPopGolden
     );
+    updateClicker(state, combo);
+    updateComboDisplay(combo, holdReason);
 
     // Recalc immediately if shimmer clicked (golden cookie burst), purchase detected, or time elapsed
-    if (shimmerClicked || checkForPurchase(state) || timeSinceLastCheck >= REFRESH_INTERVAL) {
+    const refreshInterval = state.settings.thresholds.refreshInterval;
+    if (shimmerClicked || checkForPurchase(state) || timeSinceLastCheck >= refreshInterval) {
       findBestPurchase(state);
       lastCheck = now;
     }
@@ -557,7 +1639,14 @@ export function run(): void {
     configurable: true,
   });
 
-  ensureCookieMonster(() => startAutoRefresh(state));
+  // Expose the heavenly upgrade buy order and next milestone the same way
+  Object.defineProperty(state, 'heavenlyPlan', {
+    get: () => getHeavenlyPlan(Game),
+    enumerable: true,
+    configurable: true,
+  });
+
+  startAutoRefresh(state);
 }
 
 // Auto-run when loaded in browser
@@ -2,7 +2,9 @@
  * Global state management for the optimizer
  */
 
-import type { OptimizerState } from './types';
+import { TOGGLE_KEYS, createDefaultSettings } from './core/settings';
+import { getSettingsStorage, loadSettings } from './browser/settings';
+import type { OptimizerSettings, OptimizerState } from './types';
 
 declare global {
   interface Window {
@@ -12,6 +14,7 @@ declare global {
 
 /**
  * Get or create the global optimizer state
+ * A newly created browser state is restored from persisted settings
  */
 export function getState(): OptimizerState {
   if (typeof window === 'undefined') {
@@ -19,7 +22,11 @@ export function getState(): OptimizerState {
     return createDefaultState();
   }
 
-  window.CCOptimizer = window.CCOptimizer || createDefaultState();
+  if (!window.CCOptimizer) {
+    const state = createDefaultState();
+    applySettings(state, loadSettings(getSettingsStorage()));
+    window.CCOptimizer = state;
+  }
   return window.CCOptimizer;
 }
 
@@ -38,8 +45,48 @@ export function createDefaultState(): OptimizerState {
     autoWrath: false,
     autoWrinklers: false,
     autoDragon: false,
+    autoGrimoire: false,
+    autoCombo: false,
+    autoClick: false,
+    autoGarden: false,
+    autoStocks: false,
+    autoPantheon: false,
+    autoLumps: false,
+    autoSeason: false,
+    autoSanta: false,
+    autoElder: false,
+    autoAscend: false,
+    challengeMode: false,
+    autoAchievements: false,
     lastDragonSwitch: 0,
+    clickTimer: null,
+    clickTimerRate: 0,
+    settings: createDefaultSettings(),
+    stockSession: { profit: 0, trades: 0, holdings: {} },
+    reindeerBaseline: null,
+    ascension: { step: 'idle', reason: '', skipped: [] },
     heavenlyUpgradeBreakdown: null,
+    heavenlyPlan: null,
     stop: () => {},
   };
 }
+
+/**
+ * Apply loaded settings to the state (toggles are mirrored onto the state flags)
+ */
+export function applySettings(state: OptimizerState, settings: OptimizerSettings): void {
+  state.settings = settings;
+  for (const key of TOGGLE_KEYS) {
+    state[key] = settings.toggles[key];
+  }
+}
+
+/**
+ * Copy the current toggle flags back into the settings object
+ */
+export function captureSettings(state: OptimizerState): OptimizerSettings {
+  for (const key of TOGGLE_KEYS) {
+    state.settings.toggles[key] = state[key];
+  }
+  return state.settings;
+}
@@ -8,22 +8,50 @@ export interface Building {
   price: number;
   locked: boolean;
   buy: (quantity: number) => void;
+  sell: (quantity: number) => void;
+  /** Spend sugar lumps on the next level (asks for confirmation if Game.prefs.askLumps) */
+  levelUp: () => void;
   getSumPrice: (quantity: number) => number;
+  /** Minigame object once the building's minigame is unlocked (e.g. Grimoire on Wizard tower) */
+  minigame?: unknown;
+  /** Building level (raised with sugar lumps) */
+  level?: number;
+  /** Tiered "have N buildings" achievements, keyed by tier */
+  tieredAchievs?: Record<string, Achievement>;
+  /** Tiered upgrades that double the building, keyed by tier */
+  tieredUpgrades?: Record<string, Upgrade>;
 }
 
 export interface Upgrade {
+  /** Game id (the ascension screen draws heavenly upgrades as #heavenlyUpgrade<id>) */
+  id?: number;
   name: string;
   basePrice: number;
   bought: boolean;
   unlocked: boolean;
   pool?: string;
+  /** Heavenly upgrades that must be owned before this one can be bought */
+  parents?: Upgrade[];
+  /** Building a tiered upgrade belongs to (0 for other upgrades) */
+  buildingTie?: { name: string } | 0;
+  /** Set on upgrades that can't go in a permanent slot */
+  noPerm?: number;
   buy: () => void;
   getPrice: () => number;
 }
 
+export interface Achievement {
+  name: string;
+  /** 1 once won */
+  won: number;
+  pool?: string;
+}
+
 export interface Shimmer {
   type: string; // 'golden' | 'reindeer' - golden includes wrath cookies (wrath=1)
   wrath: number;
+  /** Frames left before the shimmer fades */
+  life?: number;
   pop: () => void;
 }
 
@@ -38,6 +66,93 @@ export interface Buff {
   name: string;
   time: number;
   multCpS?: number;
+  multClick?: number;
+  /** Buff type; Building Specials share the 'building buff' type */
+  type?: { name: string };
+}
+
+export interface GrimoireSpell {
+  name: string;
+  costMin: number;
+  costPercent: number;
+}
+
+export interface GrimoireMinigame {
+  magic: number;
+  magicM: number;
+  spells: Record<string, GrimoireSpell>;
+  getSpellCost?: (spell: GrimoireSpell) => number;
+  castSpell: (spell: GrimoireSpell) => boolean;
+}
+
+export interface GardenPlant {
+  id: number;
+  key: string;
+  name: string;
+  unlocked: number;
+  mature: number;
+  ageTick: number;
+  ageTickR: number;
+  immortal?: number;
+}
+
+export interface GardenMinigame {
+  /** plot[y][x] = [plant id + 1 (0 = empty), age] */
+  plot: [number, number][][];
+  /** plotBoost[y][x] = [age multiplier, effect multiplier, weed multiplier] */
+  plotBoost?: [number, number, number][][];
+  plantsById: GardenPlant[];
+  plants: Record<string, GardenPlant>;
+  plantsUnlockedN: number;
+  plantsN: number;
+  /** Seconds per garden tick for the current soil */
+  stepT: number;
+  /** Timestamp (ms) of the next garden tick */
+  nextStep: number;
+  isTileUnlocked: (x: number, y: number) => boolean;
+  getCost: (plant: GardenPlant) => number;
+  useTool: (what: number, x: number, y: number) => boolean;
+  harvest: (x: number, y: number, manual?: number) => boolean;
+}
+
+export interface MarketGood {
+  id: number;
+  name: string;
+  symbol: string;
+  /** Current value ($) */
+  val: number;
+  /** Per-tick change */
+  d: number;
+  stock: number;
+  hidden?: boolean;
+  active?: boolean;
+}
+
+export interface MarketMinigame {
+  goodsById: MarketGood[];
+  brokers: number;
+  getGoodMaxStock: (good: MarketGood) => number;
+  buyGood: (id: number, n: number) => boolean;
+  sellGood: (id: number, n: number) => boolean;
+}
+
+export interface PantheonSpirit {
+  id: number;
+  name: string;
+  /** Slot index, or -1 when not slotted */
+  slot: number;
+}
+
+export interface PantheonMinigame {
+  gods: Record<string, PantheonSpirit>;
+  godsById: PantheonSpirit[];
+  /** God id per slot (diamond, ruby, jade), -1 for empty */
+  slot: number[];
+  swaps: number;
+  /** Timestamp of the last swap or recharge */
+  swapT: number;
+  slotGod: (god: PantheonSpirit, slot: number) => void;
+  useSwap: (n: number) => void;
 }
 
 export interface DragonLevel {
@@ -49,9 +164,28 @@ export interface DragonLevel {
 export interface Game {
   cookies: number;
   cookiesPs: number;
+  /** Highest raw CpS this ascension; $1 on the stock market costs this many cookies */
+  cookiesPsRawHighest: number;
   unbuffedCps: number;
   elderWrath: number;
+  /** Frames left on an active Elder Pledge */
+  pledgeT: number;
   UpgradesOwned: number;
+  /** Big cookie clicks this run */
+  cookieClicks: number;
+  /** Timestamp (ms) the current run started */
+  startDate: number;
+  /** 1 during a Born again run */
+  ascensionMode: number;
+  Achievements: Record<string, Achievement>;
+  /** Milk from achievements (1 per 25 won) */
+  milkProgress: number;
+  bakeryName: string;
+  bakeryNameSet?: (name: string) => void;
+  /** Clicking the tiny cookie in the stats menu */
+  ClickTinyCookie?: () => void;
+  /** Award an achievement */
+  Win?: (name: string) => void;
   Objects: Record<string, Building>;
   Upgrades: Record<string, Upgrade>;
   UpgradesInStore: Upgrade[];
@@ -65,6 +199,10 @@ export interface Game {
   dragonAura2: number;
   UpgradeDragon: () => void;
   recalculateGains: number;
+  CalculateGains: () => void;
+  ClickCookie: () => void;
+  /** Cookies per big cookie click (recomputed by CalculateGains) */
+  computedMouseCps: number;
   Has: (name: string) => boolean;
   hasAura: (name: string) => boolean;
   SelectDragonAura: (slot: number, aura: number) => void;
@@ -75,12 +213,42 @@ export interface Game {
   getWrinklersMax?: () => number;
   ClosePrompt?: () => void;
   ConfirmPrompt?: () => void;
+  santaLevel: number;
+  /** Santa level names, indexed by level */
+  santaLevels?: string[];
+  UpgradeSanta: () => void;
+  /** Reindeer popped this ascension */
+  reindeerClicked: number;
+  /** Current season id ('' when none, e.g. 'christmas', 'halloween') */
+  season: string;
+  lumps: number;
+  /** Timestamp the current lump started growing */
+  lumpT: number;
+  /** Lump ages (ms) at which it becomes harvestable / safe to harvest / falls */
+  lumpMatureAge: number;
+  lumpRipeAge: number;
+  lumpOverripeAge: number;
+  lumpCurrentType: number;
+  canLumps: () => boolean;
+  clickLump: () => void;
   prestige: number;
   heavenlyChips: number;
   heavenlyChipsSpent: number;
   cookiesReset: number;
   cookiesEarned: number;
   HowMuchPrestige: (cookies: number) => number;
+  /** All-time cookies needed for a prestige level (inverse of HowMuchPrestige) */
+  HowManyCookiesReset: (prestige: number) => number;
+  /** 1 while on the ascension (heavenly upgrade) screen */
+  OnAscend: number;
+  /** Frames into the ascend / reincarnate animations (0 when not animating) */
+  AscendTimer: number;
+  ReincarnateTimer: number;
+  /** Pass 1 to skip the confirmation prompt */
+  Ascend: (bypass?: number) => void;
+  Reincarnate: (bypass?: number) => void;
+  /** Upgrade id in each permanent upgrade slot (-1 when empty) */
+  permanentUpgrades: number[];
 }
 
 declare global {
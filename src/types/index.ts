@@ -8,6 +8,82 @@ export interface Candidate {
   pp: number;
   price: number;
   affordable: boolean;
+  /** CpS gained by the purchase (native PP engine) */
+  deltaCps?: number;
+  /** CpS Game.CalculateGains() can't measure (e.g. season drops); the planner adds it */
+  bonusCps?: number;
+  /** Cost that comes with bonusCps (the tiered upgrade a breakpoint bundle unlocks) */
+  bonusPrice?: number;
+  /** Cookie Monster's PP for the same item, when CM is loaded (cross-check only) */
+  cmPp?: number;
+  /** Achievement the purchase wins (its milk is included in deltaCps) */
+  achievement?: string;
+  /** Building and how many to buy (building candidates) */
+  building?: string;
+  quantity?: number;
+  /** Upgrade unlocked or achievement won by this exact bundle */
+  breakpoint?: string;
+}
+
+/** User overrides for the purchase queue, by building or upgrade name */
+export interface PurchaseOverrides {
+  /** Never bought by the optimizer */
+  blocked: string[];
+  /** Bought ahead of everything else, in list order */
+  pinned: string[];
+}
+
+export type PurchaseOverride = 'pinned' | 'blocked';
+
+/** Clicking an item cycles its override; clicking an override in the list clears it */
+export type PurchaseOverrideAction = 'cycle' | 'clear';
+
+/** Savings target: a cookie amount, or a building or upgrade bought once affordable */
+export type PurchaseGoal = { kind: 'cookies'; amount: number } | { kind: 'item'; name: string };
+
+/** Goal item as read from the game */
+export interface GoalItem {
+  name: string;
+  type: 'Building' | 'Upgrade';
+  price: number;
+  /** Can be bought now (unlocked upgrade, unlocked building) */
+  available: boolean;
+}
+
+export interface GoalStatus {
+  label: string;
+  target: number;
+  /** Seconds to the target by saving only */
+  eta: number;
+  /** Seconds to the target with the interim purchases goal mode allows */
+  etaWithPurchases: number;
+  reached: boolean;
+}
+
+export interface BuildingBreakpoint {
+  /** Buildings to buy to reach it */
+  quantity: number;
+  kind: 'upgrade' | 'achievement';
+  /** Upgrade unlocked or achievement won */
+  target: string;
+  /** Price of the unlocked upgrade (upgrade breakpoints) */
+  upgradePrice?: number;
+}
+
+export interface PlanOption {
+  name: string;
+  type: 'Building' | 'Upgrade';
+  price: number;
+  deltaCps: number;
+}
+
+export interface PurchasePlan {
+  /** Planned purchases in order (first step is bought next) */
+  steps: PlanOption[];
+  /** CpS the plan was optimized to reach */
+  targetCps: number;
+  /** Seconds until the target CpS is reached (Infinity if unreachable) */
+  timeToTarget: number;
 }
 
 export interface GoldenUpgrade {
@@ -35,6 +111,8 @@ export interface WrinklerStats {
   totalSucked: number;
   popReward: number;
   multiplier: number;
+  /** Expected seconds for a popped wrinkler's slot to refill */
+  respawnSeconds: number;
 }
 
 export interface PopDecision {
@@ -42,6 +120,23 @@ export interface PopDecision {
   reason: string;
 }
 
+/** When wrinklers are popped: to afford purchases, fattest one only, or never (until ascension) */
+export type WrinklerStrategy = 'purchase' | 'fattest' | 'hold';
+
+export interface PoppableWrinkler {
+  /** Index in Game.wrinklers */
+  index: number;
+  reward: number;
+  shiny: boolean;
+}
+
+export interface WrinklerPopPlan {
+  /** Game.wrinklers indices to pop (empty to hold) */
+  indices: number[];
+  reward: number;
+  reason: string;
+}
+
 export type DragonAura =
   | 'No aura'
   | 'Breath of Milk'
@@ -71,6 +166,11 @@ export interface DragonConfig {
   aura2: DragonAura;
 }
 
+export interface AuraPreferences {
+  aura1: DragonAura | null;
+  aura2: DragonAura | null;
+}
+
 export interface DragonState {
   level: number;
   currentAura1: DragonAura;
@@ -83,6 +183,512 @@ export interface SwitchDecision {
   reason: string;
 }
 
+export interface ComboBuff {
+  name: string;
+  /** 'cps' buffs multiply production, 'click' buffs multiply big cookie clicks */
+  kind: 'cps' | 'click';
+  multiplier: number;
+  secondsLeft: number;
+}
+
+export interface ComboState {
+  buffs: ComboBuff[];
+  cpsMultiplier: number;
+  clickMultiplier: number;
+  /** Combined multiplier of the whole stack */
+  score: number;
+  /** At least one combo buff has enough time left to build on */
+  active: boolean;
+  /** A click multiplier is running (big cookie clicks are worth bursting) */
+  clickCombo: boolean;
+}
+
+export interface ShimmerDecision {
+  shouldPop: boolean;
+  reason: string;
+}
+
+export interface GrimoireState {
+  magic: number;
+  magicMax: number;
+  fthofCost: number;
+  conjureCost: number;
+  /** Seconds until magic covers Force the Hand of Fate (0 if castable now) */
+  secondsToFthof: number;
+}
+
+export interface GrimoireDecision {
+  /** Spell key to cast, or null to wait */
+  spell: string | null;
+  reason: string;
+}
+
+export interface GardenLayout {
+  name: string;
+  /** 'mature' harvests as soon as plants mature; 'decay' keeps them until just before they die */
+  harvest: 'mature' | 'decay';
+  /** Rows of seed keys (e.g. 'bakeberry'); null tiles are left empty for mutations */
+  plot: (string | null)[][];
+}
+
+export interface GardenSeed {
+  key: string;
+  unlocked: boolean;
+  /** Cookies to plant one */
+  cost: number;
+}
+
+export interface GardenTile {
+  x: number;
+  y: number;
+  /** Seed key of the plant on the tile, or null if empty */
+  plant: string | null;
+  age: number;
+  /** Age at which the plant matures */
+  mature: number;
+  immortal: boolean;
+  minAgePerTick: number;
+  maxAgePerTick: number;
+}
+
+export interface GardenAction {
+  type: 'plant' | 'harvest';
+  x: number;
+  y: number;
+  plant: string;
+  reason: string;
+}
+
+export interface GardenState {
+  tiles: GardenTile[];
+  seeds: Record<string, GardenSeed>;
+  seedsUnlocked: number;
+  seedsTotal: number;
+  /** Seconds until the next garden tick */
+  secondsToNextTick: number;
+  secondsPerTick: number;
+}
+
+export interface StockGood {
+  id: number;
+  symbol: string;
+  /** Current value ($) */
+  value: number;
+  /** Value the good drifts back toward ($) */
+  restingValue: number;
+  /** Current per-tick change (positive = rising) */
+  trend: number;
+  stock: number;
+  /** Warehouse limit */
+  maxStock: number;
+}
+
+export interface StockHolding {
+  quantity: number;
+  /** Total $ paid for the held units, including broker overhead */
+  totalCost: number;
+}
+
+export interface StockTrade {
+  goodId: number;
+  symbol: string;
+  type: 'buy' | 'sell';
+  quantity: number;
+  /** Value per unit at trade time ($) */
+  price: number;
+  reason: string;
+}
+
+export interface StockSession {
+  /** Realized profit this session ($) */
+  profit: number;
+  trades: number;
+  /** Units bought this session, keyed by good id */
+  holdings: Record<number, StockHolding>;
+}
+
+export type PantheonGod =
+  | 'Holobore'
+  | 'Vomitrax'
+  | 'Godzamok'
+  | 'Cyclius'
+  | 'Selebrak'
+  | 'Dotjeiess'
+  | 'Muridal'
+  | 'Jeremy'
+  | 'Mokalsium'
+  | 'Skruuia'
+  | 'Rigidel';
+
+/** Spirits for the diamond, ruby and jade slots */
+export type PantheonConfig = readonly [PantheonGod, PantheonGod, PantheonGod];
+
+export interface PantheonState {
+  /** Slotted spirits in slot order (null for empty slots) */
+  slots: (PantheonGod | null)[];
+  swaps: number;
+  /** Seconds until the next worship swap recharges (0 when full) */
+  secondsToNextSwap: number;
+}
+
+export interface PantheonSwapDecision {
+  /** Spirit to slot, or null to leave the pantheon alone */
+  god: PantheonGod | null;
+  slot: number | null;
+  reason: string;
+}
+
+export interface GodzamokSale {
+  name: string;
+  quantity: number;
+}
+
+export interface GodzamokPlan {
+  /** Buildings to sell and immediately rebuy (empty for no combo) */
+  sales: GodzamokSale[];
+  /** Estimated extra click cookies over the Devastation buff */
+  gain: number;
+  /** Estimated cookies lost to the sell/rebuy spread */
+  cost: number;
+  reason: string;
+}
+
+/** Why buildings are sold on purpose */
+export type SellReason = 'ascension' | 'achievement';
+
+export interface BuildingSale {
+  name: string;
+  quantity: number;
+  reason: SellReason;
+  /** Buy the buildings back right after selling */
+  rebuy: boolean;
+  /** Cookies refunded */
+  refund: number;
+  /** Cookies lost to the sell/rebuy spread (0 before ascending, when the buildings are lost anyway) */
+  loss: number;
+  /** Cookies the sale is expected to bring in */
+  gain: number;
+  /** Whether the gain covers the loss */
+  allowed: boolean;
+}
+
+/** Sugar lump growth: harvesting while only mature may yield nothing */
+export type LumpStage = 'growing' | 'mature' | 'ripe';
+
+export interface LumpTiming {
+  stage: LumpStage;
+  secondsToMature: number;
+  secondsToRipe: number;
+}
+
+export interface LumpState {
+  lumps: number;
+  /** Current lump type name (e.g. 'Golden') */
+  type: string;
+  timing: LumpTiming;
+}
+
+export interface LumpOption {
+  /** Building name */
+  name: string;
+  level: number;
+  /** Lumps needed for the next level */
+  cost: number;
+  /** CpS gained from the next level */
+  deltaCps: number;
+  /** Next level unlocks the building's minigame */
+  unlocksMinigame: boolean;
+}
+
+export interface LumpPlan {
+  /** Level-ups in spending order */
+  ranked: LumpOption[];
+  next: LumpOption | null;
+  reason: string;
+}
+
+/** Game.season ids of seasons with collectible drops */
+export type SeasonKey = 'valentines' | 'christmas' | 'halloween' | 'easter';
+
+export interface SeasonInfo {
+  name: string;
+  /** Season switcher upgrade that starts the season */
+  biscuit: string;
+  /** CpS multiplier bonus assumed per drop when valuing the season */
+  dropBonus: number;
+  drops: readonly string[];
+}
+
+export interface SeasonProgress {
+  season: SeasonKey;
+  found: number;
+  total: number;
+  missing: string[];
+}
+
+export interface SeasonState {
+  /** Current Game.season ('' when no season is active) */
+  current: string;
+  progress: SeasonProgress[];
+}
+
+export interface SeasonDecision {
+  /** Season to switch to, or null to stay */
+  target: SeasonKey | null;
+  reason: string;
+}
+
+export interface ChristmasState {
+  /** Christmas season is running */
+  active: boolean;
+  santaLevel: number;
+  /** Name of Santa's current level (e.g. 'Festive test tube') */
+  santaName: string;
+  /** Cookies for the next Santa level (Infinity when maxed) */
+  nextLevelCost: number;
+  /** Reindeer popped since the optimizer started */
+  reindeerPopped: number;
+}
+
+export interface SantaDecision {
+  shouldLevel: boolean;
+  reason: string;
+}
+
+/** How far the Grandmapocalypse may progress: no wrath, Stage 1 wrinklers, or every stage */
+export type GrandmapocalypsePolicy = 'peaceful' | 'oneMind' | 'full';
+
+/** Elder upgrades the policy buys to appease (or stop appeasing) the grandmas */
+export type ElderAction = 'Elder Pledge' | 'Elder Covenant' | 'Revoke Elder Covenant';
+
+export interface GrandmapocalypseState {
+  /** Game.elderWrath (0 appeased, 3 angered) */
+  stage: number;
+  /** Seconds left on an active Elder Pledge (0 when none) */
+  pledgeSeconds: number;
+  /** Seconds an Elder Pledge bought now would last */
+  pledgeDuration: number;
+  covenant: boolean;
+  /** Prices of elder upgrades currently in the store */
+  prices: Partial<Record<ElderAction, number>>;
+  /** Wrinkler slots and pop multiplier (as in WrinklerStats) */
+  wrinklerMax: number;
+  wrinklerMultiplier: number;
+}
+
+export interface ElderDecision {
+  /** Elder upgrade to buy, or null to leave things as they are */
+  action: ElderAction | null;
+  reason: string;
+}
+
+/** Optimizer toggles persisted across reloads (keys match OptimizerState) */
+export type ToggleKey =
+  | 'autoPurchase'
+  | 'autoGolden'
+  | 'autoWrath'
+  | 'autoWrinklers'
+  | 'autoDragon'
+  | 'autoGrimoire'
+  | 'autoCombo'
+  | 'autoClick'
+  | 'autoGarden'
+  | 'autoStocks'
+  | 'autoPantheon'
+  | 'autoLumps'
+  | 'autoSeason'
+  | 'autoSanta'
+  | 'autoElder'
+  | 'autoAscend'
+  | 'challengeMode'
+  | 'autoAchievements';
+
+/** Challenge-run rules the optimizer plays by */
+export type RunMode = 'bornAgain' | 'neverclick' | 'hardcore' | 'speedBaking';
+
+export interface RunModeProgress {
+  cookieClicks: number;
+  upgradesOwned: number;
+  cookiesEarned: number;
+  /** Seconds since the run started */
+  runSeconds: number;
+  /** Whether this is a Born again run */
+  bornAgain: boolean;
+  /** Whether an achievement has been won */
+  won: (name: string) => boolean;
+}
+
+export interface RunModeStatus {
+  mode: RunMode;
+  /** ok while the rules hold, passed once the achievement is won, failed once a rule is broken */
+  state: 'ok' | 'passed' | 'failed';
+  text: string;
+}
+
+/** One-time actions that win an achievement */
+export type AchievementAction = 'sellGrandma' | 'popWrinkler' | 'clickGolden' | 'renameBakery' | 'tinyCookie';
+
+/** An unwon achievement within reach: a building milestone, or an action available right now */
+export type AchievementTarget =
+  | {
+      kind: 'building';
+      name: string;
+      building: string;
+      /** Buildings still to buy */
+      needed: number;
+      /** Cookies to buy them */
+      price: number;
+    }
+  | { kind: 'action'; name: string; action: AchievementAction };
+
+export interface MilkState {
+  /** Game.milkProgress (1.0 = 25 achievements) */
+  milk: number;
+  /** Kitten effect multiplier (e.g. Santa's milk and cookies) */
+  multiplier: number;
+  /** Milk factor of each owned kitten upgrade */
+  kittens: number[];
+}
+
+export interface AchievementState {
+  milk: MilkState;
+  targets: AchievementTarget[];
+}
+
+/** When the big cookie autoclicker runs: only during click buffs, or all the time */
+export type ClickerMode = 'buffs' | 'always';
+
+export interface PanelPosition {
+  left: number;
+  top: number;
+}
+
+export interface PanelSettings {
+  /** Last dragged position, or null for the stylesheet default */
+  position: PanelPosition | null;
+  /** Element IDs of collapsed panel sections */
+  collapsed: string[];
+}
+
+/** CpS where each game phase ends */
+export interface PhaseThresholds {
+  earlyToMid: number;
+  midToLate: number;
+  lateToEndgame: number;
+}
+
+/**
+ * Hours willing to save for a golden upgrade
+ * Flat through early game, rising to `mid` by the end of mid game and to `endgame` at endgame
+ */
+export interface GoldenSaveHours {
+  early: number;
+  mid: number;
+  endgame: number;
+}
+
+/** Named bundle of strategy parameters the core functions read at runtime */
+export interface StrategyProfile {
+  name: string;
+  /** Lucky bank: keep this many times the best item's price in reserve */
+  luckyBankPriceMultiplier: number;
+  /** Lucky bank: never keep more than this many seconds of CpS */
+  luckyBankCpsCapMultiplier: number;
+  phaseThresholds: PhaseThresholds;
+  /** Milliseconds between non-combo aura switches */
+  auraSwitchCooldown: number;
+  goldenSaveHours: GoldenSaveHours;
+  /** Seconds a popped wrinkler takes to respawn when the spawn model has nothing to go on */
+  wrinklerRespawnTime: number;
+}
+
+/** Strategy profile panel buttons */
+export type ProfileAction = 'switch' | 'import' | 'export';
+
+/** Settings pane fields */
+export type OptionKey =
+  | 'profile'
+  | 'luckyBankPriceMultiplier'
+  | 'luckyBankCpsCapMultiplier'
+  | 'goldenSaveEarly'
+  | 'goldenSaveMid'
+  | 'goldenSaveEndgame'
+  | 'dragonAura1'
+  | 'dragonAura2'
+  | 'auraSwitchCooldown'
+  | 'minBuildingCountForSwitch'
+  | 'maxBatch'
+  | 'refreshInterval'
+  | 'plannerDepth'
+  | 'plannerBreadth'
+  | 'clickRate'
+  | 'ascendGainPercent'
+  | 'ascendDoubleHours'
+  | 'gardenLayout'
+  | 'popShinyWrinklers'
+  | 'applyPermanentSlots';
+
+export type OptionValue = string | number | boolean;
+
+export interface OptionChoice {
+  value: string;
+  label: string;
+}
+
+export interface OptionField {
+  key: OptionKey;
+  /** Heading the field is listed under */
+  group: string;
+  label: string;
+  kind: 'number' | 'select' | 'checkbox';
+  min?: number;
+  max?: number;
+  step?: number;
+  /** Stored value = shown value × scale (e.g. 1000 for seconds stored as ms) */
+  scale?: number;
+  integer?: boolean;
+}
+
+export interface ThresholdSettings {
+  minBuildingCountForSwitch: number;
+  maxBatch: number;
+  refreshInterval: number;
+  plannerDepth: number;
+  plannerBreadth: number;
+  /** Autoclicker clicks per second (capped at MAX_CLICK_RATE) */
+  clickRate: number;
+  /** Ascension autopilot: prestige gain % that triggers an ascension */
+  ascendGainPercent: number;
+  /** Ascension autopilot: ascend once doubling the gain would take this many hours (0 disables) */
+  ascendDoubleHours: number;
+}
+
+export interface OptimizerSettings {
+  version: number;
+  toggles: Record<ToggleKey, boolean>;
+  clickMode: ClickerMode;
+  runMode: RunMode;
+  grandmapocalypsePolicy: GrandmapocalypsePolicy;
+  wrinklerStrategy: WrinklerStrategy;
+  /** Shiny wrinklers are only popped when opted in */
+  popShinyWrinklers: boolean;
+  /** Fill permanent upgrade slots before ascending (otherwise only suggest) */
+  applyPermanentSlots: boolean;
+  /** Built-in garden layout name, or a layout as JSON */
+  gardenLayout: string;
+  panel: PanelSettings;
+  thresholds: ThresholdSettings;
+  /** Name of the active strategy profile (built-in or custom) */
+  profile: string;
+  /** Profiles imported by the user */
+  customProfiles: StrategyProfile[];
+  /** Auras to use instead of the phase-based picks (null keeps the pick) */
+  dragonAuras: AuraPreferences;
+  purchaseOverrides: PurchaseOverrides;
+  /** Savings target (null when goal mode is off) */
+  goal: PurchaseGoal | null;
+}
+
 export interface OptimizerState {
   lastBuildingCount: number;
   lastUpgradeCount: number;
@@ -94,8 +700,30 @@ export interface OptimizerState {
   autoWrath: boolean;
   autoWrinklers: boolean;
   autoDragon: boolean;
+  autoGrimoire: boolean;
+  autoCombo: boolean;
+  autoClick: boolean;
+  autoGarden: boolean;
+  autoStocks: boolean;
+  autoPantheon: boolean;
+  autoLumps: boolean;
+  autoSeason: boolean;
+  autoSanta: boolean;
+  autoElder: boolean;
+  autoAscend: boolean;
+  challengeMode: boolean;
+  autoAchievements: boolean;
   lastDragonSwitch: number;
+  clickTimer: ReturnType<typeof setInterval> | null;
+  /** Clicks per second of the running click timer (0 when stopped) */
+  clickTimerRate: number;
+  settings: OptimizerSettings;
+  stockSession: StockSession;
+  /** Game.reindeerClicked when the optimizer started (null before the first run) */
+  reindeerBaseline: number | null;
+  ascension: AscensionAutopilot;
   readonly heavenlyUpgradeBreakdown: HeavenlyUpgradeBreakdown | null;
+  readonly heavenlyPlan: HeavenlyPlan | null;
   stop: () => void;
 }
 
@@ -117,11 +745,95 @@ export interface AscensionStats {
   isGoodToAscend: boolean;
 }
 
+export interface AscendDecision {
+  shouldAscend: boolean;
+  reason: string;
+}
+
 export interface HeavenlyUpgradeInfo {
   name: string;
   cost: number;
   costFormatted: string;
   canAfford: boolean;
+  /** Heavenly upgrades that must be owned first */
+  parents?: string[];
+  category: HeavenlyCategory;
+}
+
+/** What a heavenly upgrade is for: CpS, golden cookies, permanent upgrade slots, unlocks or other */
+export type HeavenlyCategory = 'cps' | 'golden' | 'slots' | 'unlocks' | 'other';
+
+export interface HeavenlyMilestone {
+  name: string;
+  category: HeavenlyCategory;
+  /** The milestone and its unowned prerequisites, in buying order */
+  path: string[];
+  cost: number;
+  /** Chips short after the planned buy order */
+  chipsNeeded: number;
+  /** Prestige level that earns the chips for the whole path */
+  prestigeNeeded: number;
+}
+
+/** What an upgrade boosts, for permanent slot ranking */
+export type PermanentSlotKind = 'kitten' | 'fingers' | 'cookie' | 'tiered' | 'other';
+
+export interface PermanentSlotCandidate {
+  name: string;
+  id: number;
+  kind: PermanentSlotKind;
+  price: number;
+  /** Early-run value (price × kind weight) */
+  score: number;
+}
+
+export interface PermanentSlotChange {
+  /** Slot index (0 = Permanent upgrade slot I) */
+  slot: number;
+  current: string | null;
+  suggested: string;
+  /** Game id of the suggested upgrade */
+  id: number;
+}
+
+export interface PermanentSlotPlan {
+  /** Suggested upgrade per unlocked slot */
+  slots: (string | null)[];
+  changes: PermanentSlotChange[];
+}
+
+/** A badge on a heavenly upgrade in the game's ascension screen */
+export interface AscendTreeMark {
+  elementId: string;
+  /** Buy order position, or ★ for the milestone path */
+  label: string;
+  milestone: boolean;
+}
+
+export interface HeavenlyPlan {
+  /** Upgrades to buy now, in order */
+  order: HeavenlyUpgradeInfo[];
+  totalCost: number;
+  chipsLeft: number;
+  milestone: HeavenlyMilestone | null;
+}
+
+/** Ascension autopilot progress, one step per tick */
+export type AscensionStep = 'idle' | 'popping' | 'ascending' | 'buying' | 'reincarnating' | 'resuming';
+
+export interface AscensionAutopilot {
+  step: AscensionStep;
+  /** Why the autopilot started (or last decided not to) */
+  reason: string;
+  /** Heavenly upgrades the game refused to sell this run */
+  skipped: string[];
+}
+
+export interface AscensionStepResult {
+  step: AscensionStep;
+  /** logAction name for what was done this tick (null when only waiting) */
+  action: string | null;
+  data: Record<string, unknown>;
 }
 
 export interface HeavenlyUpgradeBreakdown {
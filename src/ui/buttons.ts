@@ -2,7 +2,14 @@
  * Toggle button handlers
  */
 
-import { updateToggleButton } from './panel';
+import {
+  updateToggleButton,
+  getClickModeText,
+  getElderPolicyText,
+  getRunModeText,
+  getWrinklerStrategyText,
+} from './panel';
+import type { ClickerMode, GrandmapocalypsePolicy, RunMode, WrinklerStrategy } from '../types';
 
 /**
  * Update the auto-purchase button display
@@ -32,10 +39,10 @@ export function updateWrathButton(isActive: boolean): void {
 }
 
 /**
- * Update the wrinkler button display
+ * Update the wrinkler button display (shows the strategy while active)
  */
-export function updateWrinklerButton(isActive: boolean): void {
-  updateToggleButton(document.getElementById('cc-opt-wrinkler'), isActive);
+export function updateWrinklerButton(isActive: boolean, strategy: WrinklerStrategy): void {
+  updateToggleButton(document.getElementById('cc-opt-wrinkler'), isActive, getWrinklerStrategyText(strategy));
 }
 
 /**
@@ -44,3 +51,109 @@ export function updateWrinklerButton(isActive: boolean): void {
 export function updateDragonButton(isActive: boolean): void {
   updateToggleButton(document.getElementById('cc-opt-dragon-btn'), isActive);
 }
+
+/**
+ * Update the pantheon button display
+ */
+export function updatePantheonButton(isActive: boolean): void {
+  updateToggleButton(document.getElementById('cc-opt-pantheon-btn'), isActive);
+}
+
+/**
+ * Update the grimoire button display
+ */
+export function updateGrimoireButton(isActive: boolean): void {
+  updateToggleButton(document.getElementById('cc-opt-grimoire-btn'), isActive);
+}
+
+/**
+ * Update the combo button display
+ */
+export function updateComboButton(isActive: boolean): void {
+  updateToggleButton(document.getElementById('cc-opt-combo-btn'), isActive);
+}
+
+/**
+ * Update the garden button display
+ */
+export function updateGardenButton(isActive: boolean): void {
+  updateToggleButton(document.getElementById('cc-opt-garden-btn'), isActive);
+}
+
+/**
+ * Update the stock market button display
+ */
+export function updateStocksButton(isActive: boolean): void {
+  updateToggleButton(document.getElementById('cc-opt-stocks-btn'), isActive);
+}
+
+/**
+ * Update the season button display
+ */
+export function updateSeasonButton(isActive: boolean): void {
+  updateToggleButton(document.getElementById('cc-opt-season-btn'), isActive);
+}
+
+/**
+ * Update the Santa button display
+ */
+export function updateSantaButton(isActive: boolean): void {
+  updateToggleButton(document.getElementById('cc-opt-santa-btn'), isActive);
+}
+
+/**
+ * Update the Grandmapocalypse button display (shows the policy while active)
+ */
+export function updateElderButton(isActive: boolean, policy: GrandmapocalypsePolicy): void {
+  updateToggleButton(document.getElementById('cc-opt-elder-btn'), isActive, getElderPolicyText(policy));
+}
+
+/**
+ * Update the challenge-run mode button display (shows the mode while active)
+ */
+export function updateRunModeButton(isActive: boolean, mode: RunMode): void {
+  updateToggleButton(document.getElementById('cc-opt-mode-btn'), isActive, getRunModeText(mode));
+}
+
+/**
+ * Update the achievement hunting button display
+ */
+export function updateAchievementsButton(isActive: boolean): void {
+  updateToggleButton(document.getElementById('cc-opt-achieve-btn'), isActive);
+}
+
+/**
+ * Update the goal mode button display
+ */
+export function updateGoalButton(isActive: boolean): void {
+  updateToggleButton(document.getElementById('cc-opt-goal-btn'), isActive);
+}
+
+/**
+ * Update the ascension autopilot button display
+ */
+export function updateAscendButton(isActive: boolean): void {
+  updateToggleButton(document.getElementById('cc-opt-ascend-btn'), isActive);
+}
+
+/**
+ * Update the sugar lump button display
+ */
+export function updateLumpsButton(isActive: boolean): void {
+  updateToggleButton(document.getElementById('cc-opt-lumps-btn'), isActive);
+}
+
+/**
+ * Update the autoclicker button display (shows the mode while active)
+ */
+export function updateClickButton(isActive: boolean, mode: ClickerMode): void {
+  updateToggleButton(document.getElementById('cc-opt-click-btn'), isActive, getClickModeText(mode));
+}
+
+/**
+ * Update the strategy profile button with the active profile's name
+ */
+export function updateProfileButton(name: string): void {
+  const btn = document.getElementById('cc-opt-profile-btn');
+  if (btn) btn.textContent = name;
+}
@@ -2,9 +2,53 @@
  * Display update functions
  */
 
-import { formatNumber } from '../core/formatting';
+import { formatNumber, formatDuration } from '../core/formatting';
+import { SPELL_FORCE_HAND_OF_FATE } from '../core/grimoire';
+import { MAX_WORSHIP_SWAPS, PANTHEON_SLOTS } from '../core/pantheon';
+import { SEASONS, isSeasonKey } from '../core/seasons';
+import { POLICY_NAMES, getStageName } from '../core/grandmapocalypse';
+import { HEAVENLY_CATEGORY_NAMES } from '../core/heavenly';
+import { PERMANENT_SLOT_NAMES } from '../core/permanentSlots';
+import { RUN_MODE_NAMES } from '../core/runModes';
+import { getMilkCpsGain } from '../core/achievements';
 import { canAffordWithLuckyBank } from '../core/luckyBank';
-import type { Candidate, GoldenUpgrade, WrinklerStats, DragonState, DragonConfig, AscensionStats } from '../types';
+import { getCandidateItem, getPurchaseOverride } from '../core/candidates';
+import type {
+  AchievementState,
+  Candidate,
+  GoldenUpgrade,
+  GoalStatus,
+  WrinklerStats,
+  DragonState,
+  DragonConfig,
+  AscendTreeMark,
+  AscensionAutopilot,
+  AscensionStats,
+  AscensionStep,
+  PurchasePlan,
+  PurchaseOverrides,
+  GrimoireState,
+  GrimoireDecision,
+  ComboState,
+  GardenLayout,
+  GardenState,
+  StockSession,
+  PantheonState,
+  PantheonConfig,
+  PantheonSwapDecision,
+  LumpState,
+  LumpPlan,
+  SeasonState,
+  SeasonDecision,
+  SeasonKey,
+  ChristmasState,
+  GrandmapocalypseState,
+  GrandmapocalypsePolicy,
+  ElderDecision,
+  HeavenlyPlan,
+  PermanentSlotPlan,
+  RunModeStatus,
+} from '../types';
 
 /**
  * Update the ascension display section
@@ -14,16 +58,19 @@ export function updateAscensionDisplay(stats: AscensionStats | null): void {
   const currentEl = document.getElementById('cc-opt-ascension-current');
   const labelEl = document.getElementById('cc-opt-ascension-label');
   const pendingEl = document.getElementById('cc-opt-ascension-pending');
+  const ascendBtn = document.getElementById('cc-opt-ascend-btn');
 
   if (!sectionEl) return;
 
-  // Hide section if no stats (player hasn't ascended)
+  // Hide section and button if no stats (player hasn't ascended)
   if (!stats) {
     sectionEl.style.display = 'none';
+    if (ascendBtn) ascendBtn.style.display = 'none';
     return;
   }
 
   sectionEl.style.display = 'flex';
+  if (ascendBtn) ascendBtn.style.display = 'flex';
 
   // Update current prestige
   if (currentEl) {
@@ -53,13 +100,221 @@ export function updateAscensionDisplay(stats: AscensionStats | null): void {
   }
 }
 
+/** Status prefix for each run mode state */
+const RUN_MODE_STATE_TEXT: Record<RunModeStatus['state'], string> = {
+  ok: 'On track',
+  passed: 'Passed',
+  failed: 'Failed',
+};
+
+/**
+ * Update the challenge-run section
+ * Hidden while no challenge mode is active.
+ */
+export function updateRunModeDisplay(status: RunModeStatus | null): void {
+  const sectionEl = document.getElementById('cc-opt-mode-section');
+  const nameEl = document.getElementById('cc-opt-mode-name');
+  const statusEl = document.getElementById('cc-opt-mode-status');
+
+  if (!sectionEl) return;
+
+  if (!status) {
+    sectionEl.style.display = 'none';
+    return;
+  }
+
+  sectionEl.style.display = 'flex';
+  if (nameEl) nameEl.textContent = RUN_MODE_NAMES[status.mode];
+  if (statusEl) {
+    statusEl.textContent = `${RUN_MODE_STATE_TEXT[status.state]}: ${status.text}`;
+    statusEl.classList.toggle('cc-opt-mode-passed', status.state === 'passed');
+    statusEl.classList.toggle('cc-opt-mode-failed', status.state === 'failed');
+  }
+}
+
+/**
+ * Show a message under the profile row, or hide it
+ */
+export function updateNoticeDisplay(message: string | null): void {
+  const noticeEl = document.getElementById('cc-opt-notice');
+  if (!noticeEl) return;
+  noticeEl.textContent = message ?? '';
+  noticeEl.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Update the goal mode section
+ * Hidden while goal mode is off.
+ */
+export function updateGoalDisplay(status: GoalStatus | null): void {
+  const sectionEl = document.getElementById('cc-opt-goal-section');
+  const nameEl = document.getElementById('cc-opt-goal-name');
+  const etaEl = document.getElementById('cc-opt-goal-eta');
+  const etaBuysEl = document.getElementById('cc-opt-goal-eta-buys');
+
+  if (!sectionEl) return;
+
+  if (!status) {
+    sectionEl.style.display = 'none';
+    return;
+  }
+
+  sectionEl.style.display = 'flex';
+  if (nameEl) {
+    nameEl.textContent = `${status.label} (${formatNumber(status.target)})`;
+    nameEl.classList.toggle('cc-opt-goal-reached', status.reached);
+  }
+  if (etaEl) etaEl.textContent = status.reached ? 'Reached' : formatDuration(status.eta);
+  if (etaBuysEl) etaBuysEl.textContent = status.reached ? 'Reached' : formatDuration(status.etaWithPurchases);
+}
+
+/**
+ * Update the achievement hunting section
+ * Hidden while achievement hunting is off.
+ * @param next - Best-ranked candidate that wins an achievement
+ */
+export function updateAchievementDisplay(achievements: AchievementState | null, next: Candidate | null): void {
+  const sectionEl = document.getElementById('cc-opt-achievement-section');
+  const nextEl = document.getElementById('cc-opt-achievement-next');
+  const milkEl = document.getElementById('cc-opt-achievement-milk');
+
+  if (!sectionEl) return;
+
+  if (!achievements) {
+    sectionEl.style.display = 'none';
+    return;
+  }
+
+  sectionEl.style.display = 'flex';
+  if (nextEl) {
+    nextEl.textContent = next?.achievement ? `${next.achievement} (${next.name})` : 'None in reach';
+  }
+  if (milkEl) {
+    const gain = getMilkCpsGain(achievements.milk) * 100;
+    milkEl.textContent = `${Math.round(achievements.milk.milk * 100)}%, +${gain.toFixed(2)}% CpS each`;
+  }
+}
+
+/**
+ * Update the heavenly upgrade plan rows in the ascension section
+ */
+export function updateHeavenlyPlanDisplay(plan: HeavenlyPlan | null): void {
+  const nextEl = document.getElementById('cc-opt-heavenly-next');
+  const milestoneEl = document.getElementById('cc-opt-heavenly-milestone');
+
+  if (!plan) return;
+
+  if (nextEl) {
+    const [first] = plan.order;
+    const more = plan.order.length > 1 ? ` +${plan.order.length - 1}` : '';
+    nextEl.textContent = first ? `${first.name}${more}` : 'Nothing affordable';
+    nextEl.title = first
+      ? `${plan.order.map((u) => u.name).join(' → ')} (${formatNumber(plan.totalCost)} chips)`
+      : '';
+  }
+  if (milestoneEl) {
+    const { milestone } = plan;
+    milestoneEl.textContent = milestone
+      ? `${milestone.name} @ ${formatNumber(milestone.prestigeNeeded)}`
+      : 'All bought';
+    milestoneEl.title = milestone
+      ? `${HEAVENLY_CATEGORY_NAMES[milestone.category]}: ${milestone.path.join(' → ')} ` +
+        `(${formatNumber(milestone.cost)} chips, prestige ${formatNumber(milestone.prestigeNeeded)})`
+      : '';
+  }
+}
+
+/**
+ * Update the permanent upgrade slot row in the ascension section
+ * @param apply - Whether the changes are made before ascending (otherwise only suggested)
+ */
+export function updatePermanentSlotDisplay(plan: PermanentSlotPlan | null, apply: boolean): void {
+  const rowEl = document.getElementById('cc-opt-slots-row');
+  const slotsEl = document.getElementById('cc-opt-slots');
+
+  if (!rowEl) return;
+
+  // Hide row until Permanent upgrade slot I is bought
+  if (!plan) {
+    rowEl.style.display = 'none';
+    return;
+  }
+
+  rowEl.style.display = 'flex';
+  if (slotsEl) {
+    const count = plan.changes.length;
+    slotsEl.textContent =
+      count === 0 ? 'Best set' : `${count} change${count === 1 ? '' : 's'}${apply ? ' on ascend' : ''}`;
+    slotsEl.title =
+      count === 0
+        ? plan.slots.map((name, i) => `${PERMANENT_SLOT_NAMES[i]}: ${name ?? 'Empty'}`).join('\n')
+        : plan.changes
+            .map((c) => `${PERMANENT_SLOT_NAMES[c.slot]}: ${c.current ?? 'Empty'} → ${c.suggested}`)
+            .join('\n');
+  }
+}
+
+/**
+ * Badge the planned upgrades on the game's ascension screen
+ * The game rebuilds the tree as it is scrolled and bought from, so marks are reapplied every tick.
+ */
+export function updateAscendTreeMarks(marks: readonly AscendTreeMark[]): void {
+  for (const el of document.querySelectorAll('[data-cc-opt-order]')) {
+    el.removeAttribute('data-cc-opt-order');
+    el.classList.remove('cc-opt-milestone');
+  }
+  for (const mark of marks) {
+    const el = document.getElementById(mark.elementId);
+    if (!el) continue;
+    el.setAttribute('data-cc-opt-order', mark.label);
+    if (mark.milestone) el.classList.add('cc-opt-milestone');
+  }
+}
+
+/** Autopilot status text for each running step */
+const AUTOPILOT_STEP_TEXT: Record<AscensionStep, string> = {
+  idle: '',
+  popping: 'Popping wrinklers',
+  ascending: 'Ascending',
+  buying: 'Buying heavenly upgrades',
+  reincarnating: 'Reincarnating',
+  resuming: 'Resuming',
+};
+
+/**
+ * Update the ascension autopilot row
+ * While enabled and idle it shows why it isn't ascending yet; the cancel button
+ * only appears while a run is in progress.
+ */
+export function updateAutopilotDisplay(autopilot: AscensionAutopilot, enabled: boolean): void {
+  const rowEl = document.getElementById('cc-opt-autopilot');
+  const statusEl = document.getElementById('cc-opt-autopilot-status');
+  const cancelBtn = document.getElementById('cc-opt-ascend-cancel');
+
+  if (!rowEl) return;
+
+  const running = autopilot.step !== 'idle';
+  if (!enabled && !running) {
+    rowEl.style.display = 'none';
+    return;
+  }
+
+  rowEl.style.display = 'flex';
+  if (statusEl) {
+    statusEl.textContent = running ? AUTOPILOT_STEP_TEXT[autopilot.step] : autopilot.reason;
+    statusEl.title = autopilot.reason;
+  }
+  if (cancelBtn) cancelBtn.style.display = running ? 'inline-block' : 'none';
+}
+
 /**
  * Update the Lucky bank display in the UI
  */
 export function updateLuckyBankDisplay(
   luckyBank: number,
   currentCookies: number,
-  autoGolden: boolean
+  autoGolden: boolean,
+  priceMultiplier: number
 ): void {
   const bankEl = document.getElementById('cc-opt-lucky-bank');
   if (!bankEl) return;
@@ -90,9 +345,9 @@ export function updateLuckyBankDisplay(
   contentEl.innerHTML = `
     <div class="cc-opt-bank-header">
       <span class="cc-opt-bank-label">Lucky Bank</span>
-      <span class="cc-opt-bank-phase">3x best</span>
+      <span class="cc-opt-bank-phase">${priceMultiplier}x best</span>
     </div>
-    <div class="cc-opt-bank-values">
+    <div class="cc-opt-bank-values cc-opt-detail">
       <span class="cc-opt-bank-threshold">${thresholdText}</span>
       <span class="cc-opt-bank-diff${isBelow ? ' below-threshold' : ''}">${diffText}</span>
     </div>
@@ -104,11 +359,14 @@ export function updateLuckyBankDisplay(
  */
 export function updateWrinklerDisplay(
   stats: WrinklerStats | null,
-  actionText: string | null = null
+  actionText: string | null = null,
+  slotIncome = 0
 ): void {
   const sectionEl = document.getElementById('cc-opt-wrinklers');
   const countEl = document.getElementById('cc-opt-wrinkler-count');
   const rewardEl = document.getElementById('cc-opt-wrinkler-reward');
+  const respawnEl = document.getElementById('cc-opt-wrinkler-respawn');
+  const incomeEl = document.getElementById('cc-opt-wrinkler-income');
   const actionEl = document.getElementById('cc-opt-wrinkler-action');
   const wrinklerBtn = document.getElementById('cc-opt-wrinkler');
 
@@ -134,6 +392,8 @@ export function updateWrinklerDisplay(
 
   // Update reward
   if (rewardEl) rewardEl.textContent = formatNumber(stats.popReward);
+  if (respawnEl) respawnEl.textContent = `~${formatDuration(stats.respawnSeconds)}`;
+  if (incomeEl) incomeEl.textContent = `${formatNumber(slotIncome)}/s each`;
 
   // Update action text
   if (actionEl) {
@@ -154,7 +414,9 @@ export function updateDisplay(
   bestAffordable: Candidate | null | undefined,
   goldenUpgrades: GoldenUpgrade[] = [],
   luckyBankScaled: number = 0,
-  currentCookies: number
+  currentCookies: number,
+  plan: PurchasePlan | null = null,
+  overrides: PurchaseOverrides = { blocked: [], pinned: [] }
 ): void {
   const content = document.getElementById('cc-opt-content');
   if (!content) return;
@@ -176,7 +438,8 @@ export function updateDisplay(
     const isAffordable = canAffordWithLuckyBank(currentCookies, firstGolden.price, luckyBankScaled);
     html += `<div class="cc-opt-item cc-opt-golden-section">`;
     html += `<div class="cc-opt-label cc-opt-golden-label">Golden Priority</div>`;
-    html += `<div class="cc-opt-name cc-opt-golden-name">${firstGolden.name}</div>`;
+    html += `<div class="cc-opt-name cc-opt-golden-name" ${formatItemAttribute(firstGolden)}>`;
+    html += `${firstGolden.name}</div>`;
     html += `<div class="cc-opt-stats">`;
     html += formatNumber(firstGolden.price);
     if (isAffordable) {
@@ -193,29 +456,46 @@ export function updateDisplay(
   if (firstDeferred) {
     html += `<div class="cc-opt-item cc-opt-golden-section cc-opt-golden-deferred">`;
     html += `<div class="cc-opt-label cc-opt-golden-label">Golden (Deferred)</div>`;
-    html += `<div class="cc-opt-name cc-opt-golden-name">${firstDeferred.name}</div>`;
+    html += `<div class="cc-opt-name cc-opt-golden-name" ${formatItemAttribute(firstDeferred)}>`;
+    html += `${firstDeferred.name}</div>`;
     html += `<div class="cc-opt-stats">`;
     html += `${formatNumber(firstDeferred.price)} <span class="cc-opt-saving">(${firstDeferred.deferReason})</span>`;
     html += `</div></div>`;
   }
 
-  // Best overall
+  // Best overall (first step of the planned queue when a plan is available)
   if (best && typeof best.pp === 'number') {
+    const queue = plan && plan.steps[0]?.name === best.name ? plan.steps.slice(1) : [];
+    const pinned = getPurchaseOverride(overrides, getCandidateItem(best)) === 'pinned';
+    const label = pinned ? 'Pinned' : queue.length > 0 ? `Next ${queue.length + 1} Buys` : 'Best Overall';
     html += `<div class="cc-opt-item">`;
-    html += `<div class="cc-opt-label">Best Overall</div>`;
-    html += `<div class="cc-opt-name">${best.name}</div>`;
+    html += `<div class="cc-opt-label">${label}</div>`;
+    html += `<div class="cc-opt-name" ${formatItemAttribute(best)}>${best.name}</div>`;
     html += `<div class="cc-opt-stats">`;
-    html += `PP: ${best.pp.toFixed(1)} · ${formatNumber(best.price)}`;
+    html += `PP: ${best.pp.toFixed(1)}${formatCMCrossCheck(best)} · ${formatNumber(best.price)}`;
     if (best.affordable) {
       html += ` <span class="cc-opt-affordable">[BUY]</span>`;
     }
-    html += `</div></div>`;
+    html += `</div>`;
+    if (best.breakpoint) {
+      html += `<div class="cc-opt-breakpoint">Reaches ${best.breakpoint}</div>`;
+    }
+    if (queue.length > 0) {
+      html += `<ol class="cc-opt-plan" start="2">`;
+      for (const step of queue) {
+        html += `<li><span ${formatItemAttribute(step)}>${step.name}</span>`;
+        html += `<span>${formatNumber(step.price)}</span></li>`;
+      }
+      html += `</ol>`;
+    }
+    html += `</div>`;
 
     // Best affordable (if different)
     if (bestAffordable && bestAffordable !== best && typeof bestAffordable.pp === 'number') {
       html += `<div class="cc-opt-item">`;
       html += `<div class="cc-opt-label">Best Affordable</div>`;
-      html += `<div class="cc-opt-name cc-opt-affordable">${bestAffordable.name}</div>`;
+      html += `<div class="cc-opt-name cc-opt-affordable" ${formatItemAttribute(bestAffordable)}>`;
+      html += `${bestAffordable.name}</div>`;
       html += `<div class="cc-opt-stats">`;
       html += `PP: ${bestAffordable.pp.toFixed(1)} · ${formatNumber(bestAffordable.price)}`;
       html += `</div></div>`;
@@ -232,6 +512,46 @@ export function updateDisplay(
   content.innerHTML = html;
 }
 
+/**
+ * Mark an item name as clickable to pin or block it
+ */
+function formatItemAttribute(item: { name: string; type: string; building?: string }): string {
+  const name = getCandidateItem(item).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  return `data-item="${name}" title="Click to pin, block or clear ${name}"`;
+}
+
+/**
+ * Update the list of pinned and blocked items (hidden when there are none)
+ */
+export function updatePurchaseOverridesDisplay(overrides: PurchaseOverrides): void {
+  const section = document.getElementById('cc-opt-overrides');
+  if (!section) return;
+
+  const chips = [
+    ...overrides.pinned.map((item) => ({ item, kind: 'pinned' })),
+    ...overrides.blocked.map((item) => ({ item, kind: 'blocked' })),
+  ].map(({ item, kind }) => {
+    const chip = document.createElement('button');
+    chip.className = `cc-opt-override cc-opt-override-${kind}`;
+    chip.dataset.override = item;
+    chip.title = `${kind === 'pinned' ? 'Pinned' : 'Blocked'}: click to clear`;
+    chip.textContent = item;
+    return chip;
+  });
+  section.replaceChildren(...chips);
+  section.style.display = chips.length > 0 ? '' : 'none';
+}
+
+/**
+ * Format Cookie Monster's PP next to ours when CM is loaded and disagrees
+ */
+function formatCMCrossCheck(candidate: Candidate): string {
+  if (candidate.cmPp === undefined) return '';
+  // Only worth showing when the two engines differ noticeably (>5%)
+  if (Math.abs(candidate.cmPp - candidate.pp) <= candidate.pp * 0.05) return '';
+  return ` <span class="cc-opt-cm-pp">(CM ${candidate.cmPp.toFixed(1)})</span>`;
+}
+
 /**
  * Update the dragon display section
  */
@@ -290,6 +610,371 @@ export function updateDragonDisplay(
   }
 }
 
+/**
+ * Update the pantheon display section
+ */
+export function updatePantheonDisplay(
+  state: PantheonState | null,
+  recommended: PantheonConfig | null,
+  decision: PantheonSwapDecision | null
+): void {
+  const sectionEl = document.getElementById('cc-opt-pantheon-section');
+  const swapsEl = document.getElementById('cc-opt-pantheon-swaps');
+  const slotsEl = document.getElementById('cc-opt-pantheon-slots');
+  const recommendEl = document.getElementById('cc-opt-pantheon-recommend');
+  const recommendGodEl = document.getElementById('cc-opt-pantheon-recommend-god');
+  const pantheonBtn = document.getElementById('cc-opt-pantheon-btn');
+
+  if (!sectionEl) return;
+
+  // Hide section and button until the Pantheon is unlocked
+  if (!state) {
+    sectionEl.style.display = 'none';
+    if (pantheonBtn) pantheonBtn.style.display = 'none';
+    return;
+  }
+
+  sectionEl.style.display = 'flex';
+  if (pantheonBtn) pantheonBtn.style.display = 'flex';
+
+  if (swapsEl) {
+    swapsEl.textContent =
+      state.secondsToNextSwap > 0
+        ? `${state.swaps}/${MAX_WORSHIP_SWAPS} (+1 in ${formatDuration(state.secondsToNextSwap)})`
+        : `${state.swaps}/${MAX_WORSHIP_SWAPS} swaps`;
+  }
+
+  if (slotsEl) {
+    slotsEl.textContent = state.slots.map((god) => god ?? '-').join(' / ');
+  }
+
+  // Show the next slot change while the pantheon differs from the recommendation
+  if (recommendEl && recommendGodEl && recommended) {
+    const slot = recommended.findIndex((god, i) => state.slots[i] !== god);
+    if (slot !== -1) {
+      recommendEl.style.display = 'flex';
+      recommendGodEl.textContent = `${recommended[slot]} (${PANTHEON_SLOTS[slot]})`;
+      recommendGodEl.title = decision?.reason ?? '';
+    } else {
+      recommendEl.style.display = 'none';
+    }
+  }
+}
+
+/**
+ * Update the grimoire display section
+ */
+export function updateGrimoireDisplay(
+  state: GrimoireState | null,
+  decision: GrimoireDecision | null
+): void {
+  const sectionEl = document.getElementById('cc-opt-grimoire-section');
+  const magicEl = document.getElementById('cc-opt-grimoire-magic');
+  const nextEl = document.getElementById('cc-opt-grimoire-next');
+  const grimoireBtn = document.getElementById('cc-opt-grimoire-btn');
+
+  if (!sectionEl) return;
+
+  // Hide section and button until the Grimoire is unlocked
+  if (!state) {
+    sectionEl.style.display = 'none';
+    if (grimoireBtn) grimoireBtn.style.display = 'none';
+    return;
+  }
+
+  sectionEl.style.display = 'flex';
+  if (grimoireBtn) grimoireBtn.style.display = 'flex';
+
+  if (magicEl) {
+    magicEl.textContent = `${Math.floor(state.magic)}/${Math.floor(state.magicMax)}`;
+  }
+
+  if (nextEl) {
+    let nextText: string;
+    if (decision?.spell) {
+      nextText = `${decision.spell === SPELL_FORCE_HAND_OF_FATE ? 'FtHoF' : 'Conjure'} now`;
+    } else if (state.secondsToFthof === 0) {
+      nextText = 'FtHoF ready';
+    } else {
+      nextText = `FtHoF in ${formatDuration(state.secondsToFthof)}`;
+    }
+    nextEl.textContent = nextText;
+    nextEl.title = decision?.reason ?? '';
+    nextEl.classList.toggle('cc-opt-grimoire-ready', state.secondsToFthof === 0);
+  }
+}
+
+/**
+ * Update the garden display section
+ * @param secondsToHarvest - Estimated seconds until the next harvest (Infinity if none planned)
+ */
+export function updateGardenDisplay(
+  state: GardenState | null,
+  layout: GardenLayout,
+  secondsToHarvest: number
+): void {
+  const sectionEl = document.getElementById('cc-opt-garden-section');
+  const seedsEl = document.getElementById('cc-opt-garden-seeds');
+  const layoutEl = document.getElementById('cc-opt-garden-layout');
+  const nextEl = document.getElementById('cc-opt-garden-next');
+  const gardenBtn = document.getElementById('cc-opt-garden-btn');
+
+  if (!sectionEl) return;
+
+  // Hide section and button until the Garden is unlocked
+  if (!state) {
+    sectionEl.style.display = 'none';
+    if (gardenBtn) gardenBtn.style.display = 'none';
+    return;
+  }
+
+  sectionEl.style.display = 'flex';
+  if (gardenBtn) gardenBtn.style.display = 'flex';
+
+  if (seedsEl) seedsEl.textContent = `${state.seedsUnlocked}/${state.seedsTotal}`;
+  if (layoutEl) layoutEl.textContent = layout.name;
+  if (nextEl) {
+    if (secondsToHarvest === 0) {
+      nextEl.textContent = 'Harvest now';
+    } else if (secondsToHarvest === Infinity) {
+      nextEl.textContent = 'Nothing growing';
+    } else {
+      nextEl.textContent = `Harvest in ${formatDuration(secondsToHarvest)}`;
+    }
+  }
+}
+
+/**
+ * Update the stock market display section
+ */
+export function updateStockDisplay(session: StockSession | null): void {
+  const sectionEl = document.getElementById('cc-opt-stocks-section');
+  const profitEl = document.getElementById('cc-opt-stocks-profit');
+  const tradesEl = document.getElementById('cc-opt-stocks-trades');
+  const stocksBtn = document.getElementById('cc-opt-stocks-btn');
+
+  if (!sectionEl) return;
+
+  // Hide section and button until the stock market is unlocked
+  if (!session) {
+    sectionEl.style.display = 'none';
+    if (stocksBtn) stocksBtn.style.display = 'none';
+    return;
+  }
+
+  sectionEl.style.display = 'flex';
+  if (stocksBtn) stocksBtn.style.display = 'flex';
+
+  if (profitEl) {
+    const sign = session.profit < 0 ? '-' : '';
+    profitEl.textContent = `${sign}$${formatNumber(Math.abs(session.profit))}`;
+    profitEl.classList.toggle('cc-opt-stocks-loss', session.profit < 0);
+  }
+  if (tradesEl) tradesEl.textContent = String(session.trades);
+}
+
+/** Short season names for the drop progress row */
+const SEASON_SHORT_NAMES: Record<SeasonKey, string> = {
+  valentines: 'Val',
+  christmas: 'Xmas',
+  halloween: 'Hween',
+  easter: 'Egg',
+};
+
+/**
+ * Update the season display section
+ */
+export function updateSeasonDisplay(state: SeasonState | null, decision: SeasonDecision | null): void {
+  const sectionEl = document.getElementById('cc-opt-season-section');
+  const currentEl = document.getElementById('cc-opt-season-current');
+  const dropsEl = document.getElementById('cc-opt-season-drops');
+  const nextEl = document.getElementById('cc-opt-season-next');
+  const seasonBtn = document.getElementById('cc-opt-season-btn');
+
+  if (!sectionEl) return;
+
+  // Hide section and button until seasons can be switched
+  if (!state) {
+    sectionEl.style.display = 'none';
+    if (seasonBtn) seasonBtn.style.display = 'none';
+    return;
+  }
+
+  sectionEl.style.display = 'flex';
+  if (seasonBtn) seasonBtn.style.display = 'flex';
+
+  if (currentEl) {
+    currentEl.textContent = isSeasonKey(state.current)
+      ? SEASONS[state.current].name
+      : state.current || 'None';
+  }
+
+  if (dropsEl) {
+    dropsEl.textContent = state.progress
+      .map((p) => `${SEASON_SHORT_NAMES[p.season]} ${p.found}/${p.total}`)
+      .join(' · ');
+    dropsEl.title = state.progress.flatMap((p) => p.missing).join(', ');
+  }
+
+  if (nextEl) {
+    nextEl.textContent = decision?.target ? SEASONS[decision.target].name : (decision?.reason ?? '');
+    nextEl.title = decision?.reason ?? '';
+  }
+}
+
+/**
+ * Update the Grandmapocalypse display section
+ */
+export function updateGrandmapocalypseDisplay(
+  state: GrandmapocalypseState | null,
+  policy: GrandmapocalypsePolicy,
+  decision: ElderDecision | null
+): void {
+  const sectionEl = document.getElementById('cc-opt-elder-section');
+  const stageEl = document.getElementById('cc-opt-elder-stage');
+  const policyEl = document.getElementById('cc-opt-elder-policy');
+  const nextEl = document.getElementById('cc-opt-elder-next');
+  const elderBtn = document.getElementById('cc-opt-elder-btn');
+
+  if (!sectionEl) return;
+
+  // Hide section and button until One mind is researchable
+  if (!state) {
+    sectionEl.style.display = 'none';
+    if (elderBtn) elderBtn.style.display = 'none';
+    return;
+  }
+
+  sectionEl.style.display = 'flex';
+  if (elderBtn) elderBtn.style.display = 'flex';
+
+  if (stageEl) {
+    let stageText = getStageName(state.stage);
+    if (state.covenant) stageText += ' (Covenant)';
+    else if (state.pledgeSeconds > 0) stageText += ` (Pledge ${formatDuration(state.pledgeSeconds)})`;
+    stageEl.textContent = stageText;
+  }
+  if (policyEl) policyEl.textContent = POLICY_NAMES[policy];
+  if (nextEl) {
+    nextEl.textContent = decision?.action ?? decision?.reason ?? '';
+    nextEl.title = decision?.reason ?? '';
+  }
+}
+
+/**
+ * Update the Christmas display section
+ */
+export function updateChristmasDisplay(state: ChristmasState | null): void {
+  const sectionEl = document.getElementById('cc-opt-christmas-section');
+  const levelEl = document.getElementById('cc-opt-christmas-level');
+  const nextEl = document.getElementById('cc-opt-christmas-next');
+  const reindeerEl = document.getElementById('cc-opt-christmas-reindeer');
+  const santaBtn = document.getElementById('cc-opt-santa-btn');
+
+  if (!sectionEl) return;
+
+  // Hide section and button outside Christmas until Santa is unlocked
+  if (!state) {
+    sectionEl.style.display = 'none';
+    if (santaBtn) santaBtn.style.display = 'none';
+    return;
+  }
+
+  sectionEl.style.display = 'flex';
+  if (santaBtn) santaBtn.style.display = 'flex';
+
+  if (levelEl) {
+    levelEl.textContent = `Lvl ${state.santaLevel}`;
+    levelEl.title = state.santaName;
+  }
+  if (nextEl) {
+    nextEl.textContent = Number.isFinite(state.nextLevelCost) ? formatNumber(state.nextLevelCost) : 'Maxed';
+  }
+  if (reindeerEl) reindeerEl.textContent = String(state.reindeerPopped);
+}
+
+/**
+ * Update the sugar lump display section
+ */
+export function updateLumpDisplay(state: LumpState | null, plan: LumpPlan | null): void {
+  const sectionEl = document.getElementById('cc-opt-lumps-section');
+  const countEl = document.getElementById('cc-opt-lumps-count');
+  const typeEl = document.getElementById('cc-opt-lumps-type');
+  const ripeEl = document.getElementById('cc-opt-lumps-ripe');
+  const planRowEl = document.getElementById('cc-opt-lumps-plan-row');
+  const planEl = document.getElementById('cc-opt-lumps-plan');
+  const lumpsBtn = document.getElementById('cc-opt-lumps-btn');
+
+  if (!sectionEl) return;
+
+  // Hide section and button until sugar lumps are unlocked
+  if (!state) {
+    sectionEl.style.display = 'none';
+    if (lumpsBtn) lumpsBtn.style.display = 'none';
+    return;
+  }
+
+  sectionEl.style.display = 'flex';
+  if (lumpsBtn) lumpsBtn.style.display = 'flex';
+
+  if (countEl) countEl.textContent = String(state.lumps);
+  if (typeEl) typeEl.textContent = `${state.type} lump`;
+
+  if (ripeEl) {
+    const { stage, secondsToRipe } = state.timing;
+    ripeEl.textContent = stage === 'ripe' ? 'Ripe' : `Ripe in ${formatDuration(secondsToRipe)}`;
+    ripeEl.classList.toggle('cc-opt-lumps-ready', stage === 'ripe');
+  }
+
+  if (planRowEl && planEl) {
+    const next = plan?.next;
+    if (next) {
+      planRowEl.style.display = 'flex';
+      planEl.textContent = `${next.name} Lvl ${next.level + 1} (${next.cost})`;
+      planEl.title = plan.reason;
+    } else {
+      planRowEl.style.display = 'none';
+    }
+  }
+}
+
+/**
+ * Update the combo display section
+ * @param holdReason - Why a golden cookie is being held, or null if none is
+ */
+export function updateComboDisplay(combo: ComboState, holdReason: string | null): void {
+  const sectionEl = document.getElementById('cc-opt-combo-section');
+  const scoreEl = document.getElementById('cc-opt-combo-score');
+  const buffsEl = document.getElementById('cc-opt-combo-buffs');
+  const holdEl = document.getElementById('cc-opt-combo-hold');
+
+  if (!sectionEl) return;
+
+  // Hide section when nothing is stacked or held
+  if (combo.buffs.length === 0 && !holdReason) {
+    sectionEl.style.display = 'none';
+    return;
+  }
+
+  sectionEl.style.display = 'flex';
+
+  if (scoreEl) {
+    scoreEl.textContent = `x${formatNumber(combo.score)}`;
+    scoreEl.classList.toggle('cc-opt-combo-click', combo.clickCombo);
+  }
+
+  if (buffsEl) {
+    buffsEl.textContent = combo.buffs
+      .map((b) => `${b.name} ${Math.ceil(b.secondsLeft)}s`)
+      .join(' + ');
+  }
+
+  if (holdEl) {
+    holdEl.style.display = holdReason ? 'flex' : 'none';
+    holdEl.textContent = holdReason ? `Holding golden cookie: ${holdReason}` : '';
+  }
+}
+
 /**
  * Shorten aura names for display
  */
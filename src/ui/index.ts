@@ -5,3 +5,4 @@
 export * from './panel';
 export * from './buttons';
 export * from './display';
+export * from './settings';
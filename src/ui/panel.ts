@@ -2,7 +2,19 @@
  * Panel creation and management
  */
 
-import type { OptimizerState } from '../types';
+import type {
+  ClickerMode,
+  GrandmapocalypsePolicy,
+  OptimizerState,
+  PanelPosition,
+  PanelSettings,
+  OptionKey,
+  ProfileAction,
+  PurchaseOverrideAction,
+  RunMode,
+  WrinklerStrategy,
+} from '../types';
+import { bindSettingsPane, cleanupSettingsPane, renderSettingsPane, syncSettingsPane } from './settings';
 
 const STYLE_ID = 'cc-optimizer-styles';
 
@@ -22,6 +34,8 @@ const PANEL_HTML = `
     <a href="https://github.com/ianneub/cookie_clicker_optimizer" target="_blank" rel="noopener" id="cc-opt-github" aria-label="View on GitHub" title="View on GitHub">
       <svg viewBox="0 0 16 16" width="16" height="16" fill="currentColor"><path d="M8 0C3.58 0 0 3.58 0 8c0 3.54 2.29 6.53 5.47 7.59.4.07.55-.17.55-.38 0-.19-.01-.82-.01-1.49-2.01.37-2.53-.49-2.69-.94-.09-.23-.48-.94-.82-1.13-.28-.15-.68-.52-.01-.53.63-.01 1.08.58 1.23.82.72 1.21 1.87.87 2.33.66.07-.52.28-.87.51-1.07-1.78-.2-3.64-.89-3.64-3.95 0-.87.31-1.59.82-2.15-.08-.2-.36-1.02.08-2.12 0 0 .67-.21 2.2.82.64-.18 1.32-.27 2-.27.68 0 1.36.09 2 .27 1.53-1.04 2.2-.82 2.2-.82.44 1.1.16 1.92.08 2.12.51.56.82 1.27.82 2.15 0 3.07-1.87 3.75-3.65 3.95.29.25.54.73.54 1.48 0 1.07-.01 1.93-.01 2.2 0 .21.15.46.55.38A8.013 8.013 0 0016 8c0-4.42-3.58-8-8-8z"/></svg>
     </a>
+    <button id="cc-opt-settings-btn" aria-label="Settings" title="Show or hide the settings pane">&#9881;</button>
+    <button id="cc-opt-reset" aria-label="Reset settings" title="Reset settings to defaults">&#8634;</button>
     <button id="cc-opt-close" aria-label="Close">&times;</button>
   </div>
 </div>
@@ -29,58 +43,287 @@ const PANEL_HTML = `
   <button id="cc-opt-auto" class="cc-opt-toggle" data-label="Auto">OFF</button>
   <button id="cc-opt-golden" class="cc-opt-toggle" data-label="Gold">OFF</button>
   <button id="cc-opt-wrath" class="cc-opt-toggle" data-label="Wrath" style="display: none;">OFF</button>
-  <button id="cc-opt-wrinkler" class="cc-opt-toggle" data-label="Wrnk" style="display: none;">OFF</button>
+  <button id="cc-opt-wrinkler" class="cc-opt-toggle" data-label="Wrnk" title="Wrinkler popping: OFF, to afford purchases, fattest only, hold until ascension" style="display: none;">OFF</button>
+  <button id="cc-opt-elder-btn" class="cc-opt-toggle" data-label="Eldr" title="Grandmapocalypse policy: OFF, stay peaceful, stop at One mind, full apocalypse" style="display: none;">OFF</button>
+  <button id="cc-opt-ascend-btn" class="cc-opt-toggle" data-label="Asc" title="Ascension autopilot: ascend, buy heavenly upgrades and reincarnate" style="display: none;">OFF</button>
   <button id="cc-opt-dragon-btn" class="cc-opt-toggle" data-label="Drgn" style="display: none;">OFF</button>
+  <button id="cc-opt-pantheon-btn" class="cc-opt-toggle" data-label="Gods" style="display: none;">OFF</button>
+  <button id="cc-opt-grimoire-btn" class="cc-opt-toggle" data-label="Spell" style="display: none;">OFF</button>
+  <button id="cc-opt-combo-btn" class="cc-opt-toggle" data-label="Cmbo">OFF</button>
+  <button id="cc-opt-garden-btn" class="cc-opt-toggle" data-label="Gdn" style="display: none;">OFF</button>
+  <button id="cc-opt-stocks-btn" class="cc-opt-toggle" data-label="Stck" style="display: none;">OFF</button>
+  <button id="cc-opt-season-btn" class="cc-opt-toggle" data-label="Ssn" style="display: none;">OFF</button>
+  <button id="cc-opt-santa-btn" class="cc-opt-toggle" data-label="Snta" style="display: none;">OFF</button>
+  <button id="cc-opt-lumps-btn" class="cc-opt-toggle" data-label="Lump" style="display: none;">OFF</button>
+  <button id="cc-opt-click-btn" class="cc-opt-toggle" data-label="Click" title="Big cookie autoclicker: OFF, during click buffs, always">OFF</button>
+  <button id="cc-opt-mode-btn" class="cc-opt-toggle" data-label="Run" title="Challenge run: OFF, Born again, True Neverclick, Hardcore, Speed baking">OFF</button>
+  <button id="cc-opt-achieve-btn" class="cc-opt-toggle" data-label="Achv" title="Achievement hunting: buy building milestones and perform one-time achievement actions">OFF</button>
+  <button id="cc-opt-goal-btn" class="cc-opt-toggle" data-label="Goal" title="Goal mode: save for a cookie amount or an item (click again to clear)">OFF</button>
 </div>
+<div id="cc-opt-profile">
+  <span class="cc-opt-profile-label">Profile</span>
+  <button id="cc-opt-profile-btn" title="Strategy profile: click to switch">Idle</button>
+  <button id="cc-opt-profile-import" class="cc-opt-profile-action" title="Import a strategy profile from JSON">Import</button>
+  <button id="cc-opt-profile-export" class="cc-opt-profile-action" title="Export the active strategy profile as JSON">Export</button>
+</div>
+<div id="cc-opt-notice" title="Click to dismiss" style="display: none;"></div>
+<div id="cc-opt-settings" style="display: none;"></div>
 <div id="cc-opt-lucky-bank" style="display: none;">
-  <div class="cc-opt-bank-icon">&#9733;</div>
+  <div class="cc-opt-bank-icon" data-collapse="cc-opt-lucky-bank" title="Collapse">&#9733;</div>
   <div class="cc-opt-bank-content"></div>
 </div>
+<div id="cc-opt-mode-section" style="display: none;">
+  <div class="cc-opt-mode-icon" data-collapse="cc-opt-mode-section" title="Collapse">&#127937;</div>
+  <div class="cc-opt-mode-content">
+    <div class="cc-opt-mode-row">
+      <span class="cc-opt-mode-label">Challenge</span>
+      <span id="cc-opt-mode-name"></span>
+    </div>
+    <div class="cc-opt-mode-row cc-opt-detail">
+      <span>Status</span>
+      <span id="cc-opt-mode-status"></span>
+    </div>
+  </div>
+</div>
+<div id="cc-opt-goal-section" style="display: none;">
+  <div class="cc-opt-goal-icon" data-collapse="cc-opt-goal-section" title="Collapse">&#127919;</div>
+  <div class="cc-opt-goal-content">
+    <div class="cc-opt-goal-row">
+      <span class="cc-opt-goal-label">Goal</span>
+      <span id="cc-opt-goal-name"></span>
+    </div>
+    <div class="cc-opt-goal-row cc-opt-detail">
+      <span>Saving only</span>
+      <span id="cc-opt-goal-eta"></span>
+    </div>
+    <div class="cc-opt-goal-row cc-opt-detail">
+      <span>With buys</span>
+      <span id="cc-opt-goal-eta-buys"></span>
+    </div>
+  </div>
+</div>
+<div id="cc-opt-achievement-section" style="display: none;">
+  <div class="cc-opt-achievement-icon" data-collapse="cc-opt-achievement-section" title="Collapse">&#127942;</div>
+  <div class="cc-opt-achievement-content">
+    <div class="cc-opt-achievement-row">
+      <span class="cc-opt-achievement-label">Achievement</span>
+      <span id="cc-opt-achievement-next"></span>
+    </div>
+    <div class="cc-opt-achievement-row cc-opt-detail">
+      <span>Milk</span>
+      <span id="cc-opt-achievement-milk"></span>
+    </div>
+  </div>
+</div>
 <div id="cc-opt-ascension" style="display: none;">
-  <div class="cc-opt-ascension-icon">&#11014;</div>
+  <div class="cc-opt-ascension-icon" data-collapse="cc-opt-ascension" title="Collapse">&#11014;</div>
   <div class="cc-opt-ascension-content">
     <div class="cc-opt-ascension-row">
       <span class="cc-opt-ascension-label">Prestige</span>
       <span id="cc-opt-ascension-current">0</span>
     </div>
-    <div class="cc-opt-ascension-row">
+    <div class="cc-opt-ascension-row cc-opt-detail">
       <span id="cc-opt-ascension-label">Gain</span>
       <span id="cc-opt-ascension-pending">+0 (0%)</span>
     </div>
+    <div class="cc-opt-ascension-row cc-opt-detail">
+      <span>Heavenly</span>
+      <span id="cc-opt-heavenly-next"></span>
+    </div>
+    <div class="cc-opt-ascension-row cc-opt-detail">
+      <span>Milestone</span>
+      <span id="cc-opt-heavenly-milestone"></span>
+    </div>
+    <div id="cc-opt-slots-row" class="cc-opt-ascension-row cc-opt-detail" style="display: none;">
+      <span>Slots</span>
+      <span id="cc-opt-slots"></span>
+    </div>
+    <div id="cc-opt-autopilot" class="cc-opt-ascension-row" style="display: none;">
+      <span id="cc-opt-autopilot-status"></span>
+      <button id="cc-opt-ascend-cancel" title="Cancel the ascension autopilot">Cancel</button>
+    </div>
   </div>
 </div>
 <div id="cc-opt-wrinklers" style="display: none;">
-  <div class="cc-opt-wrinkler-icon">&#128027;</div>
+  <div class="cc-opt-wrinkler-icon" data-collapse="cc-opt-wrinklers" title="Collapse">&#128027;</div>
   <div class="cc-opt-wrinkler-content">
     <div class="cc-opt-wrinkler-row">
       <span class="cc-opt-wrinkler-label">Wrinklers</span>
       <span id="cc-opt-wrinkler-count">0/10</span>
     </div>
-    <div class="cc-opt-wrinkler-row cc-opt-wrinkler-reward-row">
+    <div class="cc-opt-wrinkler-row cc-opt-wrinkler-reward-row cc-opt-detail">
       <span>Pop Reward</span>
       <span id="cc-opt-wrinkler-reward">0</span>
     </div>
+    <div class="cc-opt-wrinkler-row cc-opt-detail">
+      <span>Respawn</span>
+      <span id="cc-opt-wrinkler-respawn"></span>
+    </div>
+    <div class="cc-opt-wrinkler-row cc-opt-detail" title="Net income a wrinkler earns, lost while its slot respawns">
+      <span>Income</span>
+      <span id="cc-opt-wrinkler-income"></span>
+    </div>
+  </div>
+  <div id="cc-opt-wrinkler-action" class="cc-opt-detail" style="display: none;"></div>
+</div>
+<div id="cc-opt-elder-section" style="display: none;">
+  <div class="cc-opt-elder-icon" data-collapse="cc-opt-elder-section" title="Collapse">&#128117;</div>
+  <div class="cc-opt-elder-content">
+    <div class="cc-opt-elder-row">
+      <span class="cc-opt-elder-label">Elders</span>
+      <span id="cc-opt-elder-stage">Appeased</span>
+    </div>
+    <div class="cc-opt-elder-row cc-opt-detail">
+      <span>Policy</span>
+      <span id="cc-opt-elder-policy"></span>
+    </div>
+    <div class="cc-opt-elder-row cc-opt-detail">
+      <span>Next</span>
+      <span id="cc-opt-elder-next"></span>
+    </div>
   </div>
-  <div id="cc-opt-wrinkler-action" style="display: none;"></div>
 </div>
 <div id="cc-opt-dragon-section" style="display: none;">
-  <div class="cc-opt-dragon-icon">&#128009;</div>
+  <div class="cc-opt-dragon-icon" data-collapse="cc-opt-dragon-section" title="Collapse">&#128009;</div>
   <div class="cc-opt-dragon-content">
     <div class="cc-opt-dragon-row">
       <span class="cc-opt-dragon-label">Dragon</span>
       <span id="cc-opt-dragon-level">Lvl 0</span>
     </div>
-    <div class="cc-opt-dragon-row">
+    <div class="cc-opt-dragon-row cc-opt-detail">
       <span>Aura</span>
       <span id="cc-opt-dragon-aura">None</span>
     </div>
-    <div id="cc-opt-dragon-recommend" class="cc-opt-dragon-row" style="display: none;">
+    <div id="cc-opt-dragon-recommend" class="cc-opt-dragon-row cc-opt-detail" style="display: none;">
       <span>Switch to</span>
       <span id="cc-opt-dragon-recommend-aura"></span>
     </div>
   </div>
 </div>
+<div id="cc-opt-pantheon-section" style="display: none;">
+  <div class="cc-opt-pantheon-icon" data-collapse="cc-opt-pantheon-section" title="Collapse">&#127963;</div>
+  <div class="cc-opt-pantheon-content">
+    <div class="cc-opt-pantheon-row">
+      <span class="cc-opt-pantheon-label">Pantheon</span>
+      <span id="cc-opt-pantheon-swaps">0/3 swaps</span>
+    </div>
+    <div class="cc-opt-pantheon-row cc-opt-detail">
+      <span>Slots</span>
+      <span id="cc-opt-pantheon-slots">Empty</span>
+    </div>
+    <div id="cc-opt-pantheon-recommend" class="cc-opt-pantheon-row cc-opt-detail" style="display: none;">
+      <span>Slot next</span>
+      <span id="cc-opt-pantheon-recommend-god"></span>
+    </div>
+  </div>
+</div>
+<div id="cc-opt-grimoire-section" style="display: none;">
+  <div class="cc-opt-grimoire-icon" data-collapse="cc-opt-grimoire-section" title="Collapse">&#128302;</div>
+  <div class="cc-opt-grimoire-content">
+    <div class="cc-opt-grimoire-row">
+      <span class="cc-opt-grimoire-label">Magic</span>
+      <span id="cc-opt-grimoire-magic">0/0</span>
+    </div>
+    <div class="cc-opt-grimoire-row cc-opt-detail">
+      <span>Next</span>
+      <span id="cc-opt-grimoire-next"></span>
+    </div>
+  </div>
+</div>
+<div id="cc-opt-garden-section" style="display: none;">
+  <div class="cc-opt-garden-icon" data-collapse="cc-opt-garden-section" title="Collapse">&#127793;</div>
+  <div class="cc-opt-garden-content">
+    <div class="cc-opt-garden-row">
+      <span class="cc-opt-garden-label">Seeds</span>
+      <span id="cc-opt-garden-seeds">0/0</span>
+    </div>
+    <div class="cc-opt-garden-row cc-opt-detail">
+      <span id="cc-opt-garden-layout"></span>
+      <span id="cc-opt-garden-next"></span>
+    </div>
+    <div class="cc-opt-garden-row cc-opt-detail">
+      <span>Layout</span>
+      <button id="cc-opt-garden-import" class="cc-opt-profile-action" title="Import a garden layout from JSON">Import</button>
+    </div>
+  </div>
+</div>
+<div id="cc-opt-stocks-section" style="display: none;">
+  <div class="cc-opt-stocks-icon" data-collapse="cc-opt-stocks-section" title="Collapse">&#128200;</div>
+  <div class="cc-opt-stocks-content">
+    <div class="cc-opt-stocks-row">
+      <span class="cc-opt-stocks-label">Stocks</span>
+      <span id="cc-opt-stocks-profit">$0.00</span>
+    </div>
+    <div class="cc-opt-stocks-row cc-opt-detail">
+      <span>Session trades</span>
+      <span id="cc-opt-stocks-trades">0</span>
+    </div>
+  </div>
+</div>
+<div id="cc-opt-season-section" style="display: none;">
+  <div class="cc-opt-season-icon" data-collapse="cc-opt-season-section" title="Collapse">&#127876;</div>
+  <div class="cc-opt-season-content">
+    <div class="cc-opt-season-row">
+      <span class="cc-opt-season-label">Season</span>
+      <span id="cc-opt-season-current">None</span>
+    </div>
+    <div class="cc-opt-season-row cc-opt-detail">
+      <span>Drops</span>
+      <span id="cc-opt-season-drops"></span>
+    </div>
+    <div class="cc-opt-season-row cc-opt-detail">
+      <span>Next</span>
+      <span id="cc-opt-season-next"></span>
+    </div>
+  </div>
+</div>
+<div id="cc-opt-christmas-section" style="display: none;">
+  <div class="cc-opt-christmas-icon" data-collapse="cc-opt-christmas-section" title="Collapse">&#127877;</div>
+  <div class="cc-opt-christmas-content">
+    <div class="cc-opt-christmas-row">
+      <span class="cc-opt-christmas-label">Santa</span>
+      <span id="cc-opt-christmas-level">Lvl 0</span>
+    </div>
+    <div class="cc-opt-christmas-row cc-opt-detail">
+      <span>Next level</span>
+      <span id="cc-opt-christmas-next"></span>
+    </div>
+    <div class="cc-opt-christmas-row cc-opt-detail">
+      <span>Reindeer popped</span>
+      <span id="cc-opt-christmas-reindeer">0</span>
+    </div>
+  </div>
+</div>
+<div id="cc-opt-lumps-section" style="display: none;">
+  <div class="cc-opt-lumps-icon" data-collapse="cc-opt-lumps-section" title="Collapse">&#127852;</div>
+  <div class="cc-opt-lumps-content">
+    <div class="cc-opt-lumps-row">
+      <span class="cc-opt-lumps-label">Sugar lumps</span>
+      <span id="cc-opt-lumps-count">0</span>
+    </div>
+    <div class="cc-opt-lumps-row cc-opt-detail">
+      <span id="cc-opt-lumps-type">Normal lump</span>
+      <span id="cc-opt-lumps-ripe"></span>
+    </div>
+    <div id="cc-opt-lumps-plan-row" class="cc-opt-lumps-row cc-opt-detail" style="display: none;">
+      <span>Spend on</span>
+      <span id="cc-opt-lumps-plan"></span>
+    </div>
+  </div>
+</div>
+<div id="cc-opt-combo-section" style="display: none;">
+  <div class="cc-opt-combo-icon" data-collapse="cc-opt-combo-section" title="Collapse">&#10024;</div>
+  <div class="cc-opt-combo-content">
+    <div class="cc-opt-combo-row">
+      <span class="cc-opt-combo-label">Combo</span>
+      <span id="cc-opt-combo-score">x1</span>
+    </div>
+    <div id="cc-opt-combo-buffs" class="cc-opt-combo-row cc-opt-detail"></div>
+    <div id="cc-opt-combo-hold" class="cc-opt-combo-row cc-opt-detail" style="display: none;"></div>
+  </div>
+</div>
 <div id="cc-opt-content">Loading...</div>
+<div id="cc-opt-overrides" style="display: none;"></div>
 `;
 
 /**
@@ -90,7 +333,15 @@ export function getDisplay(
   state: OptimizerState,
   styles: string,
   onClose: () => void,
-  onToggle: (key: keyof OptimizerState) => void
+  onToggle: (key: keyof OptimizerState) => void,
+  onSettingsChange: () => void = () => {},
+  onReset: () => void = () => {},
+  onCancelAscension: () => void = () => {},
+  onProfileAction: (action: ProfileAction) => void = () => {},
+  onOptionChange: (key: OptionKey) => void = () => {},
+  onPurchaseOverride: (item: string, action: PurchaseOverrideAction) => void = () => {},
+  onGoal: () => void = () => {},
+  onGardenImport: () => void = () => {}
 ): HTMLElement {
   if (state.displayElement && document.body.contains(state.displayElement)) {
     return state.displayElement;
@@ -117,6 +368,49 @@ export function getDisplay(
     closeBtn.addEventListener('click', closeHandler);
   }
 
+  // Reset settings button
+  const resetBtn = document.getElementById('cc-opt-reset');
+  if (resetBtn) {
+    const resetHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onReset();
+    };
+    buttonHandlers.set('reset', resetHandler);
+    resetBtn.addEventListener('click', resetHandler);
+  }
+
+  // Collapsible sections (click a section icon to collapse/expand its details)
+  const collapseHandler = (e: MouseEvent) => {
+    const icon = (e.target as HTMLElement | null)?.closest?.('[data-collapse]');
+    const sectionId = icon?.getAttribute('data-collapse');
+    if (!sectionId) return;
+    const collapsed = state.settings.panel.collapsed;
+    const index = collapsed.indexOf(sectionId);
+    if (index === -1) {
+      collapsed.push(sectionId);
+    } else {
+      collapsed.splice(index, 1);
+    }
+    applyPanelLayout(displayElement, state.settings.panel);
+    onSettingsChange();
+  };
+  buttonHandlers.set('collapse', collapseHandler);
+  displayElement.addEventListener('click', collapseHandler);
+
+  // Purchase overrides (click an item name to pin/block it, click a listed override to clear it)
+  const overrideHandler = (e: MouseEvent) => {
+    const target = e.target as HTMLElement | null;
+    const item = target?.closest?.('[data-item]')?.getAttribute('data-item');
+    const override = target?.closest?.('[data-override]')?.getAttribute('data-override');
+    if (item) {
+      onPurchaseOverride(item, 'cycle');
+    } else if (override) {
+      onPurchaseOverride(override, 'clear');
+    }
+  };
+  buttonHandlers.set('overrides', overrideHandler);
+  displayElement.addEventListener('click', overrideHandler);
+
   // Auto-purchase toggle button
   const autoBtn = document.getElementById('cc-opt-auto');
   if (autoBtn) {
@@ -155,10 +449,14 @@ export function getDisplay(
     wrathBtn.addEventListener('click', wrathHandler);
   }
 
-  // Wrinkler toggle button
+  // Wrinkler strategy button (cycles OFF / BUY / FAT / HOLD)
   const wrinklerBtn = document.getElementById('cc-opt-wrinkler');
   if (wrinklerBtn) {
-    updateToggleButton(wrinklerBtn, state.autoWrinklers);
+    updateToggleButton(
+      wrinklerBtn,
+      state.autoWrinklers,
+      getWrinklerStrategyText(state.settings.wrinklerStrategy)
+    );
     const wrinklerHandler = (e: MouseEvent) => {
       e.stopPropagation();
       onToggle('autoWrinklers');
@@ -179,22 +477,273 @@ export function getDisplay(
     dragonBtn.addEventListener('click', dragonHandler);
   }
 
-  // Make draggable
+  // Pantheon toggle button
+  const pantheonBtn = document.getElementById('cc-opt-pantheon-btn');
+  if (pantheonBtn) {
+    updateToggleButton(pantheonBtn, state.autoPantheon);
+    const pantheonHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('autoPantheon');
+    };
+    buttonHandlers.set('pantheon', pantheonHandler);
+    pantheonBtn.addEventListener('click', pantheonHandler);
+  }
+
+  // Grimoire toggle button
+  const grimoireBtn = document.getElementById('cc-opt-grimoire-btn');
+  if (grimoireBtn) {
+    updateToggleButton(grimoireBtn, state.autoGrimoire);
+    const grimoireHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('autoGrimoire');
+    };
+    buttonHandlers.set('grimoire', grimoireHandler);
+    grimoireBtn.addEventListener('click', grimoireHandler);
+  }
+
+  // Combo toggle button
+  const comboBtn = document.getElementById('cc-opt-combo-btn');
+  if (comboBtn) {
+    updateToggleButton(comboBtn, state.autoCombo);
+    const comboHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('autoCombo');
+    };
+    buttonHandlers.set('combo', comboHandler);
+    comboBtn.addEventListener('click', comboHandler);
+  }
+
+  // Garden toggle button
+  const gardenBtn = document.getElementById('cc-opt-garden-btn');
+  if (gardenBtn) {
+    updateToggleButton(gardenBtn, state.autoGarden);
+    const gardenHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('autoGarden');
+    };
+    buttonHandlers.set('garden', gardenHandler);
+    gardenBtn.addEventListener('click', gardenHandler);
+  }
+
+  // Garden layout import
+  const gardenImportBtn = document.getElementById('cc-opt-garden-import');
+  if (gardenImportBtn) {
+    const gardenImportHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onGardenImport();
+    };
+    buttonHandlers.set('gardenImport', gardenImportHandler);
+    gardenImportBtn.addEventListener('click', gardenImportHandler);
+  }
+
+  // Stock market toggle button
+  const stocksBtn = document.getElementById('cc-opt-stocks-btn');
+  if (stocksBtn) {
+    updateToggleButton(stocksBtn, state.autoStocks);
+    const stocksHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('autoStocks');
+    };
+    buttonHandlers.set('stocks', stocksHandler);
+    stocksBtn.addEventListener('click', stocksHandler);
+  }
+
+  // Season toggle button
+  const seasonBtn = document.getElementById('cc-opt-season-btn');
+  if (seasonBtn) {
+    updateToggleButton(seasonBtn, state.autoSeason);
+    const seasonHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('autoSeason');
+    };
+    buttonHandlers.set('season', seasonHandler);
+    seasonBtn.addEventListener('click', seasonHandler);
+  }
+
+  // Santa toggle button
+  const santaBtn = document.getElementById('cc-opt-santa-btn');
+  if (santaBtn) {
+    updateToggleButton(santaBtn, state.autoSanta);
+    const santaHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('autoSanta');
+    };
+    buttonHandlers.set('santa', santaHandler);
+    santaBtn.addEventListener('click', santaHandler);
+  }
+
+  // Grandmapocalypse policy button (cycles OFF / PEACE / ONE / FULL)
+  const elderBtn = document.getElementById('cc-opt-elder-btn');
+  if (elderBtn) {
+    updateToggleButton(
+      elderBtn,
+      state.autoElder,
+      getElderPolicyText(state.settings.grandmapocalypsePolicy)
+    );
+    const elderHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('autoElder');
+    };
+    buttonHandlers.set('elder', elderHandler);
+    elderBtn.addEventListener('click', elderHandler);
+  }
+
+  // Ascension autopilot toggle button
+  const ascendBtn = document.getElementById('cc-opt-ascend-btn');
+  if (ascendBtn) {
+    updateToggleButton(ascendBtn, state.autoAscend);
+    const ascendHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('autoAscend');
+    };
+    buttonHandlers.set('ascend', ascendHandler);
+    ascendBtn.addEventListener('click', ascendHandler);
+  }
+
+  // Cancel a running ascension autopilot
+  const ascendCancelBtn = document.getElementById('cc-opt-ascend-cancel');
+  if (ascendCancelBtn) {
+    const ascendCancelHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onCancelAscension();
+    };
+    buttonHandlers.set('ascendCancel', ascendCancelHandler);
+    ascendCancelBtn.addEventListener('click', ascendCancelHandler);
+  }
+
+  // Sugar lump toggle button
+  const lumpsBtn = document.getElementById('cc-opt-lumps-btn');
+  if (lumpsBtn) {
+    updateToggleButton(lumpsBtn, state.autoLumps);
+    const lumpsHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('autoLumps');
+    };
+    buttonHandlers.set('lumps', lumpsHandler);
+    lumpsBtn.addEventListener('click', lumpsHandler);
+  }
+
+  // Autoclicker toggle button (cycles OFF / BUFF / ALL)
+  const clickBtn = document.getElementById('cc-opt-click-btn');
+  if (clickBtn) {
+    updateToggleButton(clickBtn, state.autoClick, getClickModeText(state.settings.clickMode));
+    const clickHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('autoClick');
+    };
+    buttonHandlers.set('click', clickHandler);
+    clickBtn.addEventListener('click', clickHandler);
+  }
+
+  // Challenge-run mode button (cycles OFF / BORN / NCLK / HARD / SPD)
+  const modeBtn = document.getElementById('cc-opt-mode-btn');
+  if (modeBtn) {
+    updateToggleButton(modeBtn, state.challengeMode, getRunModeText(state.settings.runMode));
+    const modeHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('challengeMode');
+    };
+    buttonHandlers.set('mode', modeHandler);
+    modeBtn.addEventListener('click', modeHandler);
+  }
+
+  // Achievement hunting button
+  const achieveBtn = document.getElementById('cc-opt-achieve-btn');
+  if (achieveBtn) {
+    updateToggleButton(achieveBtn, state.autoAchievements);
+    const achieveHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onToggle('autoAchievements');
+    };
+    buttonHandlers.set('achieve', achieveHandler);
+    achieveBtn.addEventListener('click', achieveHandler);
+  }
+
+  // Goal mode button (sets a goal when off, clears it when on)
+  const goalBtn = document.getElementById('cc-opt-goal-btn');
+  if (goalBtn) {
+    updateToggleButton(goalBtn, state.settings.goal !== null);
+    const goalHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onGoal();
+    };
+    buttonHandlers.set('goal', goalHandler);
+    goalBtn.addEventListener('click', goalHandler);
+  }
+
+  // Strategy profile buttons (switch / import / export)
+  const profileButtons: [string, string, ProfileAction][] = [
+    ['profile', 'cc-opt-profile-btn', 'switch'],
+    ['profileImport', 'cc-opt-profile-import', 'import'],
+    ['profileExport', 'cc-opt-profile-export', 'export'],
+  ];
+  for (const [key, id, action] of profileButtons) {
+    const btn = document.getElementById(id);
+    if (!btn) continue;
+    const profileHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      onProfileAction(action);
+    };
+    buttonHandlers.set(key, profileHandler);
+    btn.addEventListener('click', profileHandler);
+  }
+  const profileBtn = document.getElementById('cc-opt-profile-btn');
+  if (profileBtn) profileBtn.textContent = state.settings.profile;
+
+  // Notices (e.g. a failed import) stay up until clicked
+  const notice = document.getElementById('cc-opt-notice');
+  if (notice) {
+    const noticeHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      notice.style.display = 'none';
+    };
+    buttonHandlers.set('notice', noticeHandler);
+    notice.addEventListener('click', noticeHandler);
+  }
+
+  // Settings pane, shown and hidden by the gear button
+  const settingsBtn = document.getElementById('cc-opt-settings-btn');
+  const settingsPane = document.getElementById('cc-opt-settings');
+  if (settingsBtn && settingsPane) {
+    renderSettingsPane(settingsPane, state.settings);
+    bindSettingsPane(settingsPane, state, onOptionChange);
+    const settingsHandler = (e: MouseEvent) => {
+      e.stopPropagation();
+      const open = settingsPane.style.display === 'none';
+      settingsPane.style.display = open ? '' : 'none';
+      settingsBtn.classList.toggle('active', open);
+      if (open) syncSettingsPane(state.settings);
+    };
+    buttonHandlers.set('settings', settingsHandler);
+    settingsBtn.addEventListener('click', settingsHandler);
+  }
+
+  // Make draggable, remembering where the panel was dropped
   const header = document.getElementById('cc-opt-header');
   if (header) {
-    makeDraggable(displayElement, header);
+    makeDraggable(displayElement, header, (position) => {
+      state.settings.panel.position = position;
+      onSettingsChange();
+    });
   }
 
+  applyPanelLayout(displayElement, state.settings.panel);
+
   state.displayElement = displayElement;
   return displayElement;
 }
 
 /**
  * Update a toggle button's display state
+ * @param activeText - Text shown while active (multi-mode toggles show their mode)
  */
-export function updateToggleButton(btn: HTMLElement | null, isActive: boolean): void {
+export function updateToggleButton(
+  btn: HTMLElement | null,
+  isActive: boolean,
+  activeText = 'ON'
+): void {
   if (!btn) return;
-  btn.textContent = isActive ? 'ON' : 'OFF';
+  btn.textContent = isActive ? activeText : 'OFF';
   if (isActive) {
     btn.classList.add('active');
   } else {
@@ -202,19 +751,81 @@ export function updateToggleButton(btn: HTMLElement | null, isActive: boolean):
   }
 }
 
+/**
+ * Button text for an active autoclicker mode
+ */
+export function getClickModeText(mode: ClickerMode): string {
+  return mode === 'always' ? 'ALL' : 'BUFF';
+}
+
+/**
+ * Button text for an active challenge-run mode
+ */
+export function getRunModeText(mode: RunMode): string {
+  if (mode === 'bornAgain') return 'BORN';
+  if (mode === 'neverclick') return 'NCLK';
+  return mode === 'hardcore' ? 'HARD' : 'SPD';
+}
+
+/**
+ * Button text for an active wrinkler strategy
+ */
+export function getWrinklerStrategyText(strategy: WrinklerStrategy): string {
+  if (strategy === 'fattest') return 'FAT';
+  return strategy === 'hold' ? 'HOLD' : 'BUY';
+}
+
+/**
+ * Button text for an active Grandmapocalypse policy
+ */
+export function getElderPolicyText(policy: GrandmapocalypsePolicy): string {
+  if (policy === 'peaceful') return 'PEACE';
+  return policy === 'full' ? 'FULL' : 'ONE';
+}
+
+/**
+ * Apply saved panel position and collapsed sections
+ */
+export function applyPanelLayout(element: HTMLElement, panel: PanelSettings): void {
+  if (panel.position) {
+    // Keep the header on screen if the window shrank since the position was saved
+    const maxLeft = Math.max(0, window.innerWidth - 40);
+    const maxTop = Math.max(0, window.innerHeight - 40);
+    element.style.left = Math.min(Math.max(0, panel.position.left), maxLeft) + 'px';
+    element.style.top = Math.min(Math.max(0, panel.position.top), maxTop) + 'px';
+  } else {
+    element.style.left = '';
+    element.style.top = '';
+  }
+
+  const collapsibles = element.querySelectorAll('[data-collapse]');
+  for (const icon of Array.from(collapsibles)) {
+    const sectionId = icon.getAttribute('data-collapse');
+    const section = sectionId ? document.getElementById(sectionId) : null;
+    section?.classList.toggle('cc-opt-collapsed', panel.collapsed.includes(sectionId!));
+  }
+}
+
 /**
  * Make an element draggable
+ * @param onDragEnd - Called with the final position when a drag finishes
  */
-export function makeDraggable(element: HTMLElement, handle: HTMLElement): void {
+export function makeDraggable(
+  element: HTMLElement,
+  handle: HTMLElement,
+  onDragEnd?: (position: PanelPosition) => void
+): void {
   let offsetX = 0;
   let offsetY = 0;
   let isDragging = false;
+  let hasMoved = false;
 
   // Clean up any existing handlers
   cleanupDragHandlers();
 
   dragDownHandler = (e: MouseEvent) => {
     isDragging = true;
+    hasMoved = false;
     offsetX = e.clientX - element.offsetLeft;
     offsetY = e.clientY - element.offsetTop;
     e.preventDefault();
@@ -223,12 +834,17 @@ export function makeDraggable(element: HTMLElement, handle: HTMLElement): void {
 
   dragMoveHandler = (e: MouseEvent) => {
     if (!isDragging) return;
+    hasMoved = true;
     element.style.left = e.clientX - offsetX + 'px';
     element.style.top = e.clientY - offsetY + 'px';
   };
 
   dragUpHandler = () => {
+    if (!isDragging) return;
     isDragging = false;
+    if (hasMoved) {
+      onDragEnd?.({ left: element.offsetLeft, top: element.offsetTop });
+    }
   };
 
   document.addEventListener('mousemove', dragMoveHandler);
@@ -241,11 +857,35 @@ export function makeDraggable(element: HTMLElement, handle: HTMLElement): void {
 export function cleanupButtonHandlers(): void {
   const buttonIds: Record<string, string> = {
     close: 'cc-opt-close',
+    reset: 'cc-opt-reset',
+    settings: 'cc-opt-settings-btn',
+    collapse: 'cc-optimizer',
+    overrides: 'cc-optimizer',
     auto: 'cc-opt-auto',
     golden: 'cc-opt-golden',
     wrath: 'cc-opt-wrath',
     wrinkler: 'cc-opt-wrinkler',
+    elder: 'cc-opt-elder-btn',
+    ascend: 'cc-opt-ascend-btn',
+    ascendCancel: 'cc-opt-ascend-cancel',
     dragon: 'cc-opt-dragon-btn',
+    pantheon: 'cc-opt-pantheon-btn',
+    grimoire: 'cc-opt-grimoire-btn',
+    combo: 'cc-opt-combo-btn',
+    garden: 'cc-opt-garden-btn',
+    gardenImport: 'cc-opt-garden-import',
+    stocks: 'cc-opt-stocks-btn',
+    season: 'cc-opt-season-btn',
+    santa: 'cc-opt-santa-btn',
+    lumps: 'cc-opt-lumps-btn',
+    click: 'cc-opt-click-btn',
+    mode: 'cc-opt-mode-btn',
+    achieve: 'cc-opt-achieve-btn',
+    goal: 'cc-opt-goal-btn',
+    profile: 'cc-opt-profile-btn',
+    profileImport: 'cc-opt-profile-import',
+    profileExport: 'cc-opt-profile-export',
+    notice: 'cc-opt-notice',
   };
 
   for (const [key, id] of Object.entries(buttonIds)) {
@@ -286,6 +926,7 @@ export function cleanupDragHandlers(): void {
  */
 export function cleanupPanel(): void {
   cleanupButtonHandlers();
+  cleanupSettingsPane();
   cleanupDragHandlers();
   const style = document.getElementById(STYLE_ID);
   if (style) {
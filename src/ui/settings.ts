@@ -0,0 +1,146 @@
+/**
+ * Settings pane: inputs for the optimizer's options
+ */
+
+import { OPTION_FIELDS, getOptionChoices, getOptionValue, setOptionValue } from '../core/options';
+import type { OptimizerSettings, OptimizerState, OptionField, OptionKey } from '../types';
+
+const PANE_ID = 'cc-opt-settings';
+const INVALID_CLASS = 'cc-opt-invalid';
+
+// Store event handler for cleanup
+let changeHandler: ((e: Event) => void) | null = null;
+
+type OptionInput = HTMLInputElement | HTMLSelectElement;
+
+/**
+ * Create the input for a field
+ */
+function createInput(field: OptionField): OptionInput {
+  if (field.kind === 'select') {
+    const select = document.createElement('select');
+    select.dataset.option = field.key;
+    return select;
+  }
+
+  const input = document.createElement('input');
+  input.dataset.option = field.key;
+  if (field.kind === 'checkbox') {
+    input.type = 'checkbox';
+    return input;
+  }
+  input.type = 'number';
+  if (field.min !== undefined) input.min = String(field.min);
+  if (field.max !== undefined) input.max = String(field.max);
+  if (field.step !== undefined) input.step = String(field.step);
+  return input;
+}
+
+/**
+ * Replace a select's options if the choices changed (e.g. a profile was imported)
+ */
+function syncChoices(select: HTMLSelectElement, settings: OptimizerSettings, key: OptionKey): void {
+  const choices = getOptionChoices(settings, key);
+  const current = Array.from(select.options).map((o) => o.value);
+  if (current.length === choices.length && choices.every((c, i) => c.value === current[i])) return;
+
+  select.replaceChildren(
+    ...choices.map((choice) => {
+      const option = document.createElement('option');
+      option.value = choice.value;
+      option.textContent = choice.label;
+      return option;
+    })
+  );
+}
+
+/**
+ * Build the pane's inputs, grouped under headings
+ */
+export function renderSettingsPane(pane: HTMLElement, settings: OptimizerSettings): void {
+  pane.replaceChildren();
+  let group = '';
+
+  for (const field of OPTION_FIELDS) {
+    if (field.group !== group) {
+      group = field.group;
+      const heading = document.createElement('div');
+      heading.className = 'cc-opt-settings-group';
+      heading.textContent = group;
+      pane.appendChild(heading);
+    }
+
+    const row = document.createElement('label');
+    row.className = 'cc-opt-settings-row';
+    const label = document.createElement('span');
+    label.textContent = field.label;
+    row.append(label, createInput(field));
+    pane.appendChild(row);
+  }
+
+  syncSettingsPane(settings);
+}
+
+/**
+ * Show the current settings in the pane
+ * The input being edited is left alone so a refresh doesn't overwrite typing.
+ */
+export function syncSettingsPane(settings: OptimizerSettings): void {
+  const pane = document.getElementById(PANE_ID);
+  if (!pane) return;
+
+  for (const field of OPTION_FIELDS) {
+    const input = pane.querySelector<OptionInput>(`[data-option="${field.key}"]`);
+    if (!input || input === document.activeElement) continue;
+
+    const value = getOptionValue(settings, field.key);
+    if (input instanceof HTMLSelectElement) syncChoices(input, settings, field.key);
+    if (input instanceof HTMLInputElement && input.type === 'checkbox') {
+      input.checked = value === true;
+    } else {
+      input.value = String(value);
+    }
+    input.classList.remove(INVALID_CLASS);
+  }
+}
+
+/**
+ * Apply pane changes to the settings as they are made
+ * An invalid value is marked and not applied.
+ * @param onChange - Called after a value is applied
+ */
+export function bindSettingsPane(
+  pane: HTMLElement,
+  state: OptimizerState,
+  onChange: (key: OptionKey) => void
+): void {
+  cleanupSettingsPane();
+
+  changeHandler = (e: Event) => {
+    const input = e.target as OptionInput | null;
+    const key = input?.dataset?.option as OptionKey | undefined;
+    if (!input || !key) return;
+
+    const isCheckbox = input instanceof HTMLInputElement && input.type === 'checkbox';
+    const value = isCheckbox ? input.checked : input.value;
+    if (!setOptionValue(state.settings, key, value)) {
+      input.classList.add(INVALID_CLASS);
+      return;
+    }
+    input.classList.remove(INVALID_CLASS);
+    // Editing a built-in profile's parameter switches the profile select to Custom
+    syncSettingsPane(state.settings);
+    onChange(key);
+  };
+  pane.addEventListener('change', changeHandler);
+}
+
+/**
+ * Remove the pane's change handler
+ */
+export function cleanupSettingsPane(): void {
+  if (changeHandler) {
+    document.getElementById(PANE_ID)?.removeEventListener('change', changeHandler);
+    changeHandler = null;
+  }
+}